@@ -9,6 +9,7 @@ declare module 'discobus' {
 	 */
 
 	import { Observable, ConnectableObservable } from 'rxjs';
+	import { EventEmitter } from 'events';
 
 	/**
 	 * Creates a Disco Bus Master device.
@@ -23,9 +24,11 @@ declare module 'discobus' {
 	  nodeNum: number;
 
 		/**
-		 * An RXJS observable use to watch the process of the current message.
+		 * A hot RxJS observable (already connected) use to watch the process of the last message started.
+		 * Each message, queued or not, gets its own observable.
+		 * RxJS is optional, and only loaded when this is used.
 		 */
-	  messageSubscription: ConnectableObservable<any>;
+	  readonly messageSubscription: ConnectableObservable<any>;
 
 		/**
 		 * The response data from the current/last message.
@@ -34,6 +37,62 @@ declare module 'discobus' {
 		 */
 	  messageResponse: any;
 
+		/**
+		 * How each node responded to the current/last message.
+		 */
+		messageResponseInfo: NodeResponseInfo[];
+
+		/**
+		 * The default retry policy for `request()`.
+		 */
+		retryPolicy: RetryPolicy;
+
+		/**
+		 * Critical priority messages cut short a lower priority response message in progress.
+		 */
+		preemption: boolean;
+
+		/**
+		 * Watches for unexpected incoming bytes, like data between messages.
+		 */
+		noise: NoiseDetector;
+
+		/**
+		 * All the nodes that have been addressed, and how healthy they are.
+		 */
+		registry: NodeRegistry;
+
+		/**
+		 * Bus health metrics.
+		 */
+		metrics: BusMetrics;
+
+		/**
+		 * The named commands, which can be used in place of command codes.
+		 */
+		commands: CommandSchema;
+
+		/**
+		 * Sets the outgoing daisy line.
+		 */
+		daisyDriver: DaisyDriver;
+
+		/**
+		 * Remove the echo of the master's own bytes, for half-duplex adapters.
+		 */
+		echoCancellation: {
+
+			/**
+			 * Turn echo cancellation on (default: false)
+			 */
+			enabled: boolean,
+
+			/**
+			 * Number of milliseconds to wait for the echo of sent bytes.
+			 */
+			timeout: number
+		};
+
 		/**
      * The bus timeout options
      */
@@ -49,18 +108,34 @@ declare module 'discobus' {
        * this many milliseconds. This number needs to be sufficiently long to make up
        * for bus/processing latency.
 			 */
-			addressing:number
+			addressing:number,
+
+			/**
+			 * Node response timeouts for specific commands, by command code.
+			 */
+			commands: {[command: number]: number}
 		}
 
+		/**
+		 * Works out response timeouts from the baud rate and measured node latency, when enabled.
+		 */
+		adaptiveTiming: AdaptiveTiming;
+
 	  /**
 	   * Get the current message command.
 	   */
 	  messageCommand: number;
 
+	  /**
+	   * The number of messages waiting for the current message to finish.
+	   */
+	  queueLength: number;
+
 	  constructor();
 
 	  /**
-		 * Connect to a serial device via node-serialport.
+		 * Connect to a serial device via node-serialport, or to a transport URL
+		 * (`tcp://`, `rfc2217://`, `unix:` or `stdio:`).
 		 *
 		 * ```
 		 *  bus.connectTo("/dev/tty-usbserial1", {
@@ -68,9 +143,10 @@ declare module 'discobus' {
 		 *  });
 		 * ```
 		 *
-		 * @param {String}   port     Serial device port name or path
+		 * @param {String}   port     Serial device port name or path, or a transport URL
 		 * @param {Object}   options  The same options used to open a port with node-serialport
 		 *                            https://github.com/EmergingTechnologyAdvisors/node-serialport/blob/4.0.1/README.md#usage
+		 *                            or the transport options.
 		 * @param {Function} callback A callback called after the port has been opened (or returns an error)
 		 *
 		 * @return {DiscoBusMaster} Instance to this object, for chaining
@@ -88,13 +164,17 @@ declare module 'discobus' {
 		 *
 		 * @return {DiscoBus} Instance to this object, for chaining
 		 */
-		connectWith(port: string): DiscoBusMaster;
+		connectWith(port: any): DiscoBusMaster;
 
 	  /**
 		 * Start a new message.
 		 * Unless it is a response message, it will need to be closed with `endMessage()`.
 		 *
-		 * @throws {Error} If a new message is started before the previous one completes
+		 * If another message is still in progress, this message is queued and will be sent,
+		 * in order, once all the messages before it have completed. Data sent with `sendData()`
+		 * and `endMessage()` before then is held with the queued message.
+		 *
+		 * @throws {Error} If no port has been connected or the message options are invalid
 		 *
 		 * @param {number} command The message command.
 		 * @param {number} length The length of the data (per node, for batchMode) we're planning to send.
@@ -106,6 +186,15 @@ declare module 'discobus' {
 		 *                                 (only for broadcast messages)
 		 *  + responseMsg {boolean}      - True if we are asking nodes for a response.
 		 *  + responseDefault {number[]} - If a node doesn't response, this is the default response.
+		 *  + responseCrc {boolean}      - Ask each node to end its response with a CRC, which is verified
+		 *                                 by the master. Corrupted responses are reported as errors.
+		 *  + corruptAsMissing {boolean} - Use `responseDefault` in place of a corrupted response.
+		 *  + timeout {int}              - Milliseconds to wait for a node's response, in place of the
+		 *                                 command timeout (`timeouts.commands`) or the default timeout.
+		 *  + fragment {boolean}         - Each node's data section is a fragment of a larger payload.
+		 *  + priority {String|int}      - 'low', 'normal' (default), 'high' or 'critical'. Critical messages
+		 *                                 jump the queue and cut short a lower priority response message.
+		 *  + maxWait {int}              - Milliseconds the message can wait in the queue before it's dropped.
 		 *
 		 * @return {DiscoBusMaster} Instance to this object, for chaining
 		 */
@@ -114,21 +203,45 @@ declare module 'discobus' {
 	    batchMode?: boolean;
 	    responseMsg?: boolean;
 	    responseDefault?: number[];
+	    responseCrc?: boolean;
+	    corruptAsMissing?: boolean;
+	    timeout?: number;
+	    priority?: Priority;
+	    maxWait?: number;
+	    fragment?: boolean;
+	  }): DiscoBusMaster;
+	  startMessage(command: string, options?: {
+	    destination?: number;
+	    batchMode?: boolean;
+	    responseMsg?: boolean;
+	    responseDefault?: number[];
+	    responseCrc?: boolean;
+	    corruptAsMissing?: boolean;
+	    timeout?: number;
+	    priority?: Priority;
+	    maxWait?: number;
+	    fragment?: boolean;
 	  }): DiscoBusMaster;
 
 	  /**
-		 * Start dynamically addressing all nodes
+		 * Start dynamically addressing all nodes.
 		 *
-		 * @throws {Error} If a new message is started before the previous one completes
+		 * If another message is still in progress, addressing will start once it has completed.
+		 *
+		 * @throws {Error} If no port has been connected
 		 *
 		 * @param {number} startFrom (optional) The address to start from.
+		 * @param {Object} options (optional) Addressing options:
+		 *  + timeout {int}   - Milliseconds to wait for the next address, in place of `timeouts.addressing`
+		 *  + reset {boolean} - Reset all the nodes first, when starting from 0 (default: true)
 		 *
 		 * @return {DiscoBusMaster} Instance to this object, for chaining
 		 */
-		startAddressing (startFrom?: number): DiscoBusMaster;
+		startAddressing (startFrom?: number, options?: { timeout?: number, reset?: boolean, priority?: Priority }): DiscoBusMaster;
 
 		/**
-		 * Subscribe to the current message observer stream. (this is a wrapper to `messageSubscription.subscribe`)
+		 * Subscribe to the observer stream of the last message started.
+		 * This doesn't need RxJS.
 		 *
 		 * @param {Function} nextCallback     Called with the next value (received data or address)
 		 * @param {Function} errorCallback    Called when there is an error
@@ -139,15 +252,26 @@ declare module 'discobus' {
 		subscribe (nextCallback?: Function, errorCallback?: Function, completeCallback?: Function): DiscoBusMaster;
 
 		/**
-		 * Set's the outgoing daisy line to enabled or disabled, by toggling the port's RTS line.
-		 * Override this method to use your own implementation.
+		 * Set's the outgoing daisy line to enabled or disabled, with the `daisyDriver`
+		 * (the port's RTS line, by default).
 		 *
 		 * @param {boolean} enabled Set the daisy line to enabled.
 		 *
-		 * @return {Promise}
+		 * @return {Promise} Resolves once the line is set and has settled.
 		 */
 		setDaisyLine(enabled: boolean): Promise<void>; 
 
+		/**
+		 * Choose how the outgoing daisy line is set. By default, it's the port's RTS line.
+		 *
+		 * @param {String|Function|DaisyDriver} driver 'rts', 'dtr', 'gpio', a function which returns a promise,
+		 *                                             or a driver instance.
+		 * @param {Object} options (optional) Driver options
+		 *
+		 * @return {DiscoBusMaster} Instance to this object, for chaining
+		 */
+		setDaisyDriver(driver: DaisyDriverType, options?: DaisyDriverOptions): DiscoBusMaster;
+
 	  /**
 		 * Write data to the message.
 		 *
@@ -167,6 +291,1163 @@ declare module 'discobus' {
 		 * @return {DiscoBusMaster} Instance to this object, for chaining
 		 */
 		endMessage(error=null): DiscoBusMaster;
+
+		/**
+		 * Abort the message in progress, whether it's sending data, waiting for responses or addressing.
+		 * The message observer gets an 'ABORTED' error right away, and the message is wrapped up on the bus.
+		 *
+		 * @param {String} reason (optional) Why the message was aborted
+		 *
+		 * @return {DiscoBusMaster} Instance to this object, for chaining
+		 */
+		abort(reason?: string): DiscoBusMaster;
+
+		/**
+		 * Send a complete message and wait for it to finish.
+		 *
+		 * @param {number} command The message command.
+		 * @param {number[]} data The message data. For batchMode, this is an array of data arrays, one for each node.
+		 * @param {Object} options The same message options used with `startMessage()`
+		 *
+		 * @return {MessageHandle} Resolves when the message has been sent, or rejects with an error.
+		 */
+		send(command: number, data: number[]|number[][], options?: {
+			destination?: number;
+			batchMode?: boolean;
+			timeout?: number;
+			priority?: Priority;
+			maxWait?: number;
+		}): MessageHandle<void>;
+		send(command: string, values: CommandValues|CommandValues[], options?: {
+			destination?: number;
+			batchMode?: boolean;
+			timeout?: number;
+			priority?: Priority;
+			maxWait?: number;
+		}): MessageHandle<void>;
+
+		/**
+		 * Send a response message and get the data the node(s) respond with.
+		 *
+		 * @param {number} command The message command.
+		 * @param {number} length The length of the response data (per node, for batch responses)
+		 * @param {Object} options The same message options used with `startMessage()`, plus:
+		 *  + rejectOnTimeout {boolean} - Reject if a node does not send a full response in time.
+		 *                                (default: true, except for batch responses)
+		 *  + rejectOnCorrupt {boolean} - Reject if a node's response fails the `responseCrc` check.
+		 *                                (default: true, except for batch responses or with `corruptAsMissing`)
+		 *  + withInfo {boolean}        - Resolve with `{ response, info }`, where `info` describes how each node
+		 *                                responded. (default: false)
+		 *  + retry {Object}            - Override the master's `retryPolicy` for this request.
+		 *
+		 * @return {MessageHandle} Resolves with the response bytes for a single node, or an array of response bytes
+		 *                         for each node for batch responses.
+		 */
+		request(command: number, length: number, options?: {
+			destination?: number;
+			batchMode?: boolean;
+			responseDefault?: number[];
+			responseCrc?: boolean;
+			corruptAsMissing?: boolean;
+			timeout?: number;
+			priority?: Priority;
+			maxWait?: number;
+			rejectOnTimeout?: boolean;
+			rejectOnCorrupt?: boolean;
+			withInfo?: boolean;
+			retry?: RetryPolicy;
+		}): MessageHandle<any>;
+		request(command: string, options?: {
+			destination?: number;
+			batchMode?: boolean;
+			responseDefault?: number[];
+			responseCrc?: boolean;
+			corruptAsMissing?: boolean;
+			timeout?: number;
+			priority?: Priority;
+			maxWait?: number;
+			rejectOnTimeout?: boolean;
+			rejectOnCorrupt?: boolean;
+			withInfo?: boolean;
+			retry?: RetryPolicy;
+		}): MessageHandle<any>;
+
+		/**
+		 * Send data which is too large for one message, split up into several fragment messages.
+		 *
+		 * @param {number} command The message command.
+		 * @param {number[]} data The message data. For batchMode, this is an array of data arrays, one for each node.
+		 * @param {Object} options The same message options used with `send()`, plus:
+		 *  + fragmentSize {int} - The number of data bytes in each fragment, up to 252. (default: 252)
+		 *
+		 * @return {MessageHandle} Resolves when all the fragments have been sent.
+		 */
+		sendFragmented(command: number, data: number[]|number[][], options?: {
+			destination?: number;
+			batchMode?: boolean;
+			fragmentSize?: number;
+		}): MessageHandle<void>;
+
+		/**
+		 * Request responses which are too large for one message.
+		 *
+		 * @param {number} command The message command.
+		 * @param {Object} options The same message options used with `request()`, plus:
+		 *  + fragmentSize {int} - The number of response bytes in each fragment, up to 252. (default: 252)
+		 *
+		 * @return {MessageHandle} Resolves with the response bytes for a single node, or an array of response bytes
+		 *                         for each node for batch responses (`null` for nodes which did not respond).
+		 */
+		requestFragmented(command: number, options?: {
+			destination?: number;
+			batchMode?: boolean;
+			responseCrc?: boolean;
+			timeout?: number;
+			priority?: Priority;
+			maxWait?: number;
+			fragmentSize?: number;
+		}): MessageHandle<any>;
+
+		/**
+		 * Dynamically address all nodes and wait for it to finish.
+		 *
+		 * @param {number} startFrom (optional) The address to start from.
+		 *
+		 * @return {MessageHandle} Resolves with the number of nodes on the bus.
+		 */
+		address(startFrom?: number, options?: { timeout?: number, reset?: boolean, priority?: Priority }): MessageHandle<number>;
+
+		/**
+		 * Look for nodes which have been added to the end of the bus, without resetting the others.
+		 * A `node-added` event is emitted for each new node.
+		 *
+		 * @return {MessageHandle} Resolves with the addresses of the new nodes.
+		 */
+		discover(options?: { timeout?: number }): MessageHandle<number[]>;
+
+		/**
+		 * Run `discover()` on a schedule.
+		 *
+		 * @param {int} interval Milliseconds between discovery passes
+		 *
+		 * @return {DiscoBusMaster} Instance to this object, for chaining
+		 */
+		startDiscovery(interval: number, options?: { timeout?: number }): DiscoBusMaster;
+
+		/**
+		 * Stop the scheduled discovery passes.
+		 *
+		 * @return {DiscoBusMaster} Instance to this object, for chaining
+		 */
+		stopDiscovery(): DiscoBusMaster;
+
+		/**
+		 * Define named commands and the format of their data.
+		 *
+		 * @param {Object} commands Command definitions, by name.
+		 *
+		 * @return {DiscoBusMaster} Instance to this object, for chaining
+		 */
+		defineCommands(commands: { [name: string]: CommandDefinition }): DiscoBusMaster;
+	}
+
+	/**
+	 * How failed responses are retried by `request()`.
+	 */
+	/**
+	 * A message priority name, or a number from `PRIORITY`.
+	 */
+	export type Priority = 'low'|'normal'|'high'|'critical'|number;
+
+	export const PRIORITY: {
+		LOW: number;
+		NORMAL: number;
+		HIGH: number;
+		CRITICAL: number;
+	};
+
+	export interface RetryPolicy {
+
+		/**
+		 * The number of times to retry a failed response. (0 disables retries)
+		 */
+		count?: number;
+
+		/**
+		 * Number of milliseconds to wait before the first retry.
+		 */
+		backoff?: number;
+
+		/**
+		 * The backoff is multiplied by this, for each retry after the first.
+		 */
+		backoffFactor?: number;
+
+		/**
+		 * The kinds of failures to retry.
+		 */
+		on?: Array<'timeout'|'partial'|'crc'>;
+	}
+
+	/**
+	 * Describes how a node responded to a response message.
+	 */
+	export interface NodeResponseInfo {
+		node: number;
+		status: 'received'|'partial'|'default'|'pending';
+		corrupt: boolean;
+		received: number;
+		startedAt: number;
+		firstByteAt: number;
+		completedAt: number;
+		latency: number;
+		duration: number;
+	}
+
+	/**
+	 * The message passed to DiscoBusNode command handlers.
+	 */
+	export interface NodeMessage {
+		command: number;
+		destination: number;
+		batch: boolean;
+		response: boolean;
+		length: number;
+		data: number[];
+	}
+
+	/**
+	 * Creates a Disco Bus node device.
+	 * @class
+	 * @emits DiscoBusNode#error
+	 * @emits DiscoBusNode#message
+	 * @emits DiscoBusNode#addressed
+	 * @emits DiscoBusNode#reset
+	 */
+	export class DiscoBusNode {
+
+		/**
+		 * The node's address on the bus (0 until it has been addressed).
+		 */
+		address: number;
+
+		/**
+		 * The state of the incoming daisy line, from the previous node (or master).
+		 */
+		daisyIn: boolean;
+
+		/**
+		 * Sets the outgoing daisy line.
+		 */
+		daisyDriver: DaisyDriver;
+
+		constructor();
+
+		/**
+		 * Connect to a serial device via node-serialport, or to a transport URL.
+		 *
+		 * @return {DiscoBusNode} Instance to this object, for chaining
+		 */
+		connectTo(port:string, options?: {}, callback?: Function): DiscoBusNode;
+
+		/**
+		 * Pass an already connected device port to read and write from.
+		 * The node expects not to receive the bytes it writes to the port.
+		 *
+		 * @return {DiscoBusNode} Instance to this object, for chaining
+		 */
+		connectWith(port: any): DiscoBusNode;
+
+		/**
+		 * Register the handler for a message command.
+		 *
+		 * The handler is called with the message object. For response messages, it's called when it's
+		 * this node's turn to respond, and needs to return the response bytes. For all other messages,
+		 * it's called once the full message has been received and the CRC checks out.
+		 *
+		 * @return {DiscoBusNode} Instance to this object, for chaining
+		 */
+		handle(command: number, handler: (message: NodeMessage) => number[]|Buffer|void): DiscoBusNode;
+
+		/**
+		 * Sets the outgoing daisy line to enabled or disabled, with the `daisyDriver`
+		 * (the port's RTS line, by default).
+		 */
+		setDaisyLine(enabled: boolean): Promise<void>;
+
+		/**
+		 * Choose how the outgoing daisy line is set. By default, it's the port's RTS line.
+		 */
+		setDaisyDriver(driver: DaisyDriverType, options?: DaisyDriverOptions): DiscoBusNode;
+
+		/**
+		 * Tell the node the incoming daisy line has changed.
+		 * Call this whenever the previous node (or the master) toggles its daisy line.
+		 *
+		 * @return {DiscoBusNode} Instance to this object, for chaining
+		 */
+		setDaisyInput(enabled: boolean): DiscoBusNode;
+
+		on(event: string, listener: Function): this;
+	}
+
+	/**
+	 * An in-memory bus, with simulated nodes, for testing the master without any hardware.
+	 * Pass it to `DiscoBusMaster.connectWith()` in place of a serial port.
+	 */
+	export class VirtualBus {
+
+		/**
+		 * The simulated nodes, in daisy chain order
+		 */
+		nodes: DiscoBusNode[];
+
+		/**
+		 * @param {int} nodeCount The number of nodes to create on the bus
+		 * @param {Object} options Bus options:
+		 *  + latency {int} - Number of milliseconds it takes node data to arrive (default: 0)
+		 *  + echo {boolean} - Echo the master's writes back to it (default: false)
+		 */
+		constructor(nodeCount?: number, options?: {
+			latency?: number;
+			echo?: boolean;
+		});
+
+		/**
+		 * Add a new node to the end of the daisy chain.
+		 */
+		addNode(node?: DiscoBusNode): DiscoBusNode;
+
+		/**
+		 * Register a command handler on all nodes.
+		 * The handler is called with the message and the node it was received by.
+		 */
+		handle(command: number, handler: (message: NodeMessage, node: DiscoBusNode) => number[]|Buffer|void): VirtualBus;
+
+		/**
+		 * Make a node stop (or start) sending anything to the bus.
+		 */
+		setSilent(index: number, silent?: boolean): VirtualBus;
+
+		/**
+		 * Set how long it takes for data, sent from one node, to arrive.
+		 */
+		setLatency(index: number, latency: number): VirtualBus;
+
+		/**
+		 * Make a node claim the wrong address, the next time(s) it's addressing.
+		 */
+		setWrongAddress(index: number, address: number, times?: number): VirtualBus;
+
+		/**
+		 * Corrupt the next response(s) a node sends, by flipping a bit in the first byte.
+		 */
+		setCorrupt(index: number, times?: number): VirtualBus;
+
+		/**
+		 * Simulate a bus collision, by flipping a bit in the next byte(s) the master writes.
+		 */
+		setCollision(times?: number): VirtualBus;
+
+		/**
+		 * Create a port which receives all the traffic on the bus, from the master and nodes.
+		 * Useful for connecting a `BusMonitor`.
+		 */
+		tap(): any;
+	}
+
+	/**
+	 * A frame decoded from the bus traffic.
+	 */
+	export interface Frame {
+		type: 'message'|'addressing'|'null';
+		flags: number;
+		batch: boolean;
+		response: boolean;
+		responseCrc: boolean;
+		fragment: boolean;
+		destination: number;
+		command: number;
+		nodeCount: number;
+		length: number;
+		data: number[];
+		sections: number[][];
+		responses: number[][];
+		responseCrcValid: boolean[];
+		addresses: number[];
+		crc: number;
+		crcValid: boolean;
+		time: number;
+	}
+
+	/**
+	 * Decodes a stream of raw Disco Bus traffic into structured frames.
+	 * @emits FrameDecoder#frame
+	 * @emits FrameDecoder#skip
+	 */
+	export class FrameDecoder {
+		constructor();
+
+		/**
+		 * Push raw bus bytes into the decoder.
+		 */
+		push(data: Buffer|number[]): FrameDecoder;
+
+		/**
+		 * Drop the frame in progress and wait for the next start sequence (0xFF 0xFF).
+		 */
+		reset(): FrameDecoder;
+
+		on(event: 'frame', listener: (frame: Frame) => void): this;
+		on(event: string, listener: Function): this;
+	}
+
+	/**
+	 * A passive bus monitor (sniffer), which decodes all the traffic on the bus without sending anything.
+	 * @emits BusMonitor#frame
+	 * @emits BusMonitor#skip
+	 */
+	export class BusMonitor {
+
+		/**
+		 * The decoder used to parse the bus traffic.
+		 */
+		decoder: FrameDecoder;
+
+		/**
+		 * @param {Object} options Monitor options:
+		 *  + frameTimeout {int} - If no data is received for this many milliseconds in the middle of a frame,
+		 *                         drop it and wait for the next start sequence. (default: 100)
+		 */
+		constructor(options?: {
+			frameTimeout?: number;
+		});
+
+		connectTo(port:string, options?: {}, callback?: Function): BusMonitor;
+		connectWith(port: any): BusMonitor;
+
+		/**
+		 * Stop listening to the port.
+		 */
+		disconnect(): BusMonitor;
+
+		on(event: 'frame', listener: (frame: Frame) => void): this;
+		on(event: string, listener: Function): this;
+	}
+
+	/**
+	 * A node in the NodeRegistry
+	 */
+	export interface NodeRecord {
+		address: number;
+		status: 'online'|'degraded'|'offline';
+		firstSeen: number;
+		lastSeen: number;
+		consecutiveTimeouts: number;
+		consecutiveCrcErrors: number;
+		consecutiveFailures: number;
+		responses: number;
+		timeouts: number;
+		crcErrors: number;
 	}
 
+	/**
+	 * Keeps track of all the nodes the master has addressed and how healthy they are.
+	 * @emits NodeRegistry#node-online
+	 * @emits NodeRegistry#node-degraded
+	 * @emits NodeRegistry#node-offline
+	 */
+	export class NodeRegistry {
+
+		/**
+		 * When a node changes status
+		 */
+		thresholds: {
+
+			/**
+			 * The node is degraded after this many failed responses in a row.
+			 */
+			degradedAfter: number;
+
+			/**
+			 * The node is offline after not responding at all this many times in a row.
+			 */
+			offlineAfter: number;
+
+			/**
+			 * The node is offline after failing the response CRC check this many times in a row.
+			 */
+			crcOfflineAfter: number;
+		};
+
+		/**
+		 * The number of nodes in the registry.
+		 */
+		size: number;
+
+		constructor(thresholds?: { degradedAfter?: number; offlineAfter?: number; crcOfflineAfter?: number; });
+
+		/**
+		 * Get a node record.
+		 */
+		get(address: number): NodeRecord;
+
+		/**
+		 * Get all the node records, in address order.
+		 */
+		all(status?: string): NodeRecord[];
+
+		/**
+		 * Remove all the nodes from the registry.
+		 */
+		clear(): NodeRegistry;
+
+		addressed(address: number, time?: number): NodeRecord;
+		addressingComplete(nodeNum: number, startFrom?: number): NodeRegistry;
+		recordResponse(info: NodeResponseInfo): NodeRecord;
+
+		on(event: 'node-online'|'node-degraded'|'node-offline', listener: (node: NodeRecord) => void): this;
+		on(event: string, listener: Function): this;
+	}
+
+
+	/**
+	 * Field values for a named command, by field name.
+	 */
+	export interface CommandValues {
+		[field: string]: number;
+	}
+
+	/**
+	 * A field in a command's data
+	 */
+	export interface CommandField {
+		name: string;
+		type: 'u8'|'i8'|'u16le'|'u16be'|'i16le'|'i16be'|'u32le'|'u32be'|'i32le'|'i32be'|'f32le'|'f32be';
+		min?: number;
+		max?: number;
+		default?: number;
+	}
+
+	/**
+	 * A command definition. Fields are either strings with the type and name (`'u16le temp'`), or objects.
+	 */
+	export interface CommandDefinition {
+		code: number;
+		request?: (string|CommandField)[];
+		response?: (string|CommandField)[];
+	}
+
+	/**
+	 * Describes bus commands and the format of their data.
+	 */
+	export class CommandSchema {
+		constructor(commands?: { [name: string]: CommandDefinition });
+
+		/**
+		 * Define one or more commands.
+		 */
+		define(name: string, definition: CommandDefinition): CommandSchema;
+		define(commands: { [name: string]: CommandDefinition }): CommandSchema;
+
+		/**
+		 * Check if a command has been defined.
+		 */
+		has(command: string|number): boolean;
+
+		/**
+		 * Get a command definition.
+		 */
+		get(command: string|number): {
+			name: string;
+			code: number;
+			request: CommandField[];
+			response: CommandField[];
+			requestLength: number;
+			responseLength: number;
+		};
+
+		/**
+		 * Encode values into the command's request data.
+		 */
+		encode(command: string|number, values?: CommandValues): number[];
+
+		/**
+		 * Decode the command's response data into an object.
+		 */
+		decode(command: string|number, data: number[]): CommandValues;
+	}
+
+
+	/**
+	 * How a transport sets the daisy line: 'none', 'rfc2217', a callback or a control channel.
+	 */
+	export type DaisyStrategy = 'none'|'rfc2217'
+		| ((enabled: boolean, callback: (err?: Error) => void) => Promise<any>|void)
+		| { control: NodeJS.WritableStream|{ host?: string; port: number; }|{ path: string; } };
+
+	export interface TransportOptions {
+		daisy?: DaisyStrategy;
+		autoOpen?: boolean;
+		baudRate?: number;
+		input?: NodeJS.ReadableStream;
+		output?: NodeJS.WritableStream;
+	}
+
+	/**
+	 * Connects the bus to something other than a local serial device.
+	 * Transports have the same interface as a node-serialport object.
+	 */
+	export class Transport {
+		isOpen: boolean;
+		options: TransportOptions;
+
+		constructor(options?: TransportOptions);
+		open(callback?: (err: Error) => void): Transport;
+		write(data: Buffer|number[], callback?: (err: Error) => void): Transport;
+		drain(callback: (err: Error) => void): Transport;
+		set(options: { rts?: boolean }, callback?: (err: Error) => void): Transport;
+		close(callback?: (err: Error) => void): Transport;
+
+		on(event: 'data', listener: (data: Buffer) => void): this;
+		on(event: 'error', listener: (err: Error) => void): this;
+		on(event: 'open'|'close', listener: () => void): this;
+		on(event: string, listener: Function): this;
+	}
+
+	export class TcpTransport extends Transport {
+		host: string;
+		port: number;
+		constructor(host: string, port: number, options?: TransportOptions, callback?: (err: Error) => void);
+	}
+
+	export class UnixTransport extends Transport {
+		path: string;
+		constructor(path: string, options?: TransportOptions, callback?: (err: Error) => void);
+	}
+
+	export class StdioTransport extends Transport {
+		constructor(options?: TransportOptions, callback?: (err: Error) => void);
+	}
+
+	/**
+	 * Create a transport from a URL: tcp://host:port, rfc2217://host:port, unix:/path or stdio:
+	 */
+	export function createTransport(url: string, options?: TransportOptions, callback?: (err: Error) => void): Transport;
+
+
+	export interface DaisyDriverOptions {
+		invert?: boolean;
+		settle?: number;
+		chip?: number|string;
+		line?: number;
+		mode?: 'sysfs'|'chardev';
+		gpio?: number;
+		sysfs?: string;
+		command?: string;
+		libgpiod?: number;
+	}
+
+	export type DaisyDriverType = 'rts'|'dtr'|'gpio'|((level: boolean) => Promise<any>|void)|DaisyDriver;
+
+	/**
+	 * Sets the outgoing daisy line of a master or node.
+	 */
+	export class DaisyDriver {
+
+		/**
+		 * The line is active low.
+		 */
+		invert: boolean;
+
+		/**
+		 * Milliseconds to wait after setting the line, for it to be stable.
+		 */
+		settle: number;
+
+		constructor(options?: DaisyDriverOptions);
+
+		/**
+		 * Set the daisy line, once the writes before it are done.
+		 */
+		set(port: any, enabled: boolean, callback: (err: any) => void): void;
+
+		/**
+		 * Release the line. Only the drivers which hold on to something need this.
+		 */
+		close(callback?: (err: any) => void): void;
+	}
+
+	export class RtsDaisyDriver extends DaisyDriver {}
+	export class DtrDaisyDriver extends DaisyDriver {}
+
+	/**
+	 * Sets the daisy line with a Linux GPIO line, with sysfs or the GPIO character device.
+	 */
+	export class GpioDaisyDriver extends DaisyDriver {
+		chip: number|string;
+		chipName: string;
+		line: number;
+		mode: 'sysfs'|'chardev';
+	}
+
+	export class CallbackDaisyDriver extends DaisyDriver {
+		constructor(fn: (level: boolean, callback: (err?: any) => void) => Promise<any>|void, options?: DaisyDriverOptions);
+	}
+
+	/**
+	 * An entry in a recording
+	 */
+	export interface RecordingEntry {
+		time: number;
+		dir: 'start'|'out'|'in'|'daisy';
+		data?: string;
+		enabled?: boolean;
+		date?: string;
+	}
+
+	/**
+	 * Records a master's traffic to line-delimited JSON.
+	 */
+	export class BusRecorder {
+
+		/**
+		 * The recorded entries, when there's no output.
+		 */
+		entries: RecordingEntry[]|null;
+
+		/**
+		 * @param output (optional) A file path or writable stream to write the recording to.
+		 */
+		constructor(output?: string|NodeJS.WritableStream);
+
+		attach(master: DiscoBusMaster): BusRecorder;
+		detach(): BusRecorder;
+		close(callback?: () => void): void;
+
+		on(event: 'entry', listener: (entry: RecordingEntry) => void): this;
+		on(event: 'error', listener: (err: Error) => void): this;
+		on(event: string, listener: Function): this;
+	}
+
+	/**
+	 * A replay write which didn't match the recording
+	 */
+	export interface ReplayMismatch {
+		index: number;
+		time: number;
+		expected: number[];
+		received: number[];
+	}
+
+	/**
+	 * A port which plays a recording back into a master.
+	 */
+	export class ReplayPort {
+		entries: RecordingEntry[];
+		speed: number;
+		writes: number[][];
+		mismatches: ReplayMismatch[];
+		done: boolean;
+		isOpen: boolean;
+
+		/**
+		 * @param recording The recording file path, or its entries
+		 * @param options Replay options:
+		 *  + speed {number} - Play back this many times faster than real-time (default: 1)
+		 */
+		constructor(recording: string|RecordingEntry[], options?: {
+			speed?: number;
+		});
+
+		write(data: number[]|Buffer, callback?: (err: any) => void): void;
+		drain(callback: (err: any) => void): void;
+		set(options: {}, callback?: (err: any) => void): void;
+		close(callback?: () => void): void;
+
+		on(event: 'data', listener: (data: Buffer) => void): this;
+		on(event: 'mismatch', listener: (mismatch: ReplayMismatch) => void): this;
+		on(event: 'end'|'close', listener: () => void): this;
+		on(event: string, listener: Function): this;
+	}
+
+	/**
+	 * Read the entries of a recording file.
+	 */
+	export function loadRecording(path: string): RecordingEntry[];
+
+	/**
+	 * A histogram of millisecond values.
+	 * `buckets` has the number of values at or below each bound, and '+Inf'.
+	 */
+	export interface HistogramSnapshot {
+		count: number;
+		sum: number;
+		buckets: {[le: string]: number};
+	}
+
+	export interface NodeMetrics {
+		responses: number;
+		timeouts: number;
+		defaultFills: number;
+		crcErrors: number;
+		latency: HistogramSnapshot;
+	}
+
+	export interface MetricsSnapshot {
+		messages: {
+			total: number;
+			byCommand: {[command: number]: number};
+		};
+		bytes: {
+			sent: number;
+			received: number;
+		};
+		responses: number;
+		timeouts: number;
+		defaultFills: number;
+		crcErrors: number;
+		addressCorrections: number;
+		collisions: number;
+		queueWait: HistogramSnapshot;
+		nodeCount: number;
+		queueLength: number;
+		nodes: {[address: number]: NodeMetrics};
+	}
+
+	/**
+	 * Collects the master's bus health metrics.
+	 */
+	export class BusMetrics {
+
+		/**
+		 * Labels added to all the Prometheus metrics.
+		 */
+		labels: {[name: string]: string};
+
+		/**
+		 * Get the current metrics.
+		 */
+		snapshot(): MetricsSnapshot;
+
+		/**
+		 * Set all the metrics back to zero.
+		 */
+		reset(): BusMetrics;
+
+		/**
+		 * The metrics in the Prometheus text format.
+		 */
+		toPrometheus(): string;
+
+		/**
+		 * Serve the metrics, in the Prometheus text format, over HTTP.
+		 */
+		listen(port: number, options?: { host?: string, path?: string }, callback?: (err: Error) => void): any;
+		listen(port: number, callback?: (err: Error) => void): any;
+
+		/**
+		 * Stop serving the metrics.
+		 */
+		close(callback?: () => void): void;
+	}
+
+	/**
+	 * Works out node response timeouts from the baud rate and tunes them from the measured latency.
+	 */
+	export class AdaptiveTiming {
+
+		/**
+		 * Use adaptive timeouts for messages without a `timeout` option or command timeout.
+		 */
+		enabled: boolean;
+
+		/**
+		 * The bus baud rate.
+		 */
+		baudRate: number;
+
+		/**
+		 * The number of bits to send a byte (default: 10)
+		 */
+		bitsPerByte: number;
+
+		/**
+		 * Milliseconds to add for the node and transceivers to turn around (default: 2)
+		 */
+		turnaround: number;
+
+		/**
+		 * The longest measured latency is multiplied by this (default: 2)
+		 */
+		multiplier: number;
+
+		/**
+		 * The longest tuned timeout, in milliseconds (default: 1000)
+		 */
+		max: number;
+
+		/**
+		 * The number of recent latency samples to keep for each command (default: 32)
+		 */
+		window: number;
+
+		/**
+		 * The number of samples needed before the timeout is tuned (default: 5)
+		 */
+		minSamples: number;
+
+		constructor(options?: {});
+
+		/**
+		 * Milliseconds to transmit a byte, or null without a baud rate.
+		 */
+		byteTime(): number;
+
+		/**
+		 * The shortest timeout, after the master sent some bytes, or null without a baud rate.
+		 */
+		minimum(sentBytes: number): number;
+
+		/**
+		 * Record the measured latency of a node's response.
+		 */
+		record(command: number, latency: number): AdaptiveTiming;
+
+		/**
+		 * The recent latency samples for a command.
+		 */
+		samples(command: number): number[];
+
+		/**
+		 * Work out the response timeout.
+		 */
+		timeout(command: number, sentBytes: number, fallback: number): number;
+
+		/**
+		 * Forget all the latency samples.
+		 */
+		reset(): AdaptiveTiming;
+	}
+
+	/**
+	 * An HTTP/JSON gateway to a master's bus.
+	 */
+	export class BusGateway {
+
+		/**
+		 * The master the gateway sends messages with.
+		 */
+		master: DiscoBusMaster;
+
+		constructor(master: DiscoBusMaster);
+
+		/**
+		 * Start the HTTP server.
+		 */
+		listen(port: number, options?: { host?: string }, callback?: (err: Error) => void): any;
+		listen(port: number, callback?: (err: Error) => void): any;
+
+		/**
+		 * Stop the HTTP server, end all the event streams and stop listening to the master's events.
+		 */
+		close(callback?: () => void): void;
+	}
+
+
+	/**
+	 * Puts the fragments of one payload back together.
+	 */
+	export class FragmentAssembler {
+		data: number[];
+		count: number;
+		received: number;
+		complete: boolean;
+
+		/**
+		 * Forget the fragments received so far.
+		 */
+		reset(): FragmentAssembler;
+
+		/**
+		 * Add the next fragment. The first fragment (index 0) always starts a new payload.
+		 *
+		 * @return {boolean} true once all the fragments have been received
+		 */
+		push(section: number[]): boolean;
+	}
+
+	/**
+	 * Split a payload into fragments, each starting with the fragment header: [index, count, length].
+	 */
+	export function splitFragments(data: number[], size?: number, count?: number): number[][];
+
+	/**
+	 * A progress value of a message.
+	 */
+	export interface BusSubscriberNextVal {
+		type: 'addressing'|'response'|'progress'|'error';
+		value: any;
+		node: number;
+		info?: NodeResponseInfo;
+	}
+
+	export interface MessageSubscription {
+		unsubscribe(): void;
+	}
+
+	/**
+	 * A hot stream of progress values, which ends with `complete()` or `error()`.
+	 */
+	export class MessageStream {
+		closed: boolean;
+
+		subscribe(nextCallback?: (value: any) => void, errorCallback?: (err: any) => void, completeCallback?: () => void): MessageSubscription;
+		next(value: any): void;
+		error(err: any): void;
+		complete(): void;
+	}
+
+	/**
+	 * The handle returned by the master's promise methods. It's a promise of the result,
+	 * an EventEmitter of the progress values (by type) and an async iterator over them.
+	 *
+	 * @emits MessageHandle#addressing
+	 * @emits MessageHandle#response
+	 * @emits MessageHandle#progress
+	 * @emits MessageHandle#error
+	 * @emits MessageHandle#end
+	 */
+	export class MessageHandle<T> extends EventEmitter implements PromiseLike<T>, AsyncIterable<BusSubscriberNextVal> {
+
+		/**
+		 * All the progress values so far.
+		 */
+		values: BusSubscriberNextVal[];
+
+		/**
+		 * The result is ready, or was rejected.
+		 */
+		done: boolean;
+
+		then<R1 = T, R2 = never>(onFulfilled?: (value: T) => R1|PromiseLike<R1>, onRejected?: (err: any) => R2|PromiseLike<R2>): Promise<R1|R2>;
+		catch<R = never>(onRejected?: (err: any) => R|PromiseLike<R>): Promise<T|R>;
+
+		/**
+		 * Subscribe to the progress values, starting with the values so far.
+		 */
+		subscribe(nextCallback?: (value: BusSubscriberNextVal) => void, errorCallback?: (err: Error) => void, completeCallback?: () => void): MessageSubscription;
+
+		[Symbol.asyncIterator](): AsyncIterator<BusSubscriberNextVal>;
+	}
+
+	export interface ManagedNode extends NodeRecord {
+		id: string;
+		bus: string;
+		aliases: string[];
+	}
+
+	export type NodeId = string|{ bus: string, address: number };
+
+	/**
+	 * Manages several buses, each with its own master, from one controller.
+	 * Nodes have global IDs (`busName:address`) or aliases.
+	 *
+	 * @emits BusManager#node-online
+	 * @emits BusManager#node-degraded
+	 * @emits BusManager#node-offline
+	 * @emits BusManager#node-added
+	 * @emits BusManager#bus-error
+	 */
+	export class BusManager extends EventEmitter {
+		constructor(buses?: { [name: string]: DiscoBusMaster });
+
+		/**
+		 * The names of all the buses.
+		 */
+		readonly names: string[];
+
+		add(name: string, master: DiscoBusMaster): BusManager;
+		remove(name: string): BusManager;
+		get(name: string): DiscoBusMaster;
+
+		/**
+		 * Give a node an alias, or remove it with `null`.
+		 */
+		alias(alias: string, node: NodeId|null): BusManager;
+
+		/**
+		 * Find the bus and address of a node.
+		 */
+		resolve(node: NodeId): { id: string, bus: string, address: number, master: DiscoBusMaster };
+
+		nodes(status?: string): ManagedNode[];
+
+		address(options?: { parallel?: boolean, timeout?: number }): Promise<{ nodes: { [bus: string]: number }, errors: { [bus: string]: Error } }>;
+		discover(options?: { parallel?: boolean, timeout?: number }): Promise<{ added: string[], errors: { [bus: string]: Error } }>;
+
+		send(node: NodeId, command: number|string, data: number[]|CommandValues, options?: any): MessageHandle<void>;
+		request(node: NodeId, command: number, length: number, options?: any): MessageHandle<any>;
+		request(node: NodeId, command: string, options?: any): MessageHandle<any>;
+
+		broadcast(command: number|string, data: number[]|CommandValues, options?: any): Promise<{ errors: { [bus: string]: Error } }>;
+
+		/**
+		 * Request a batch response from all the nodes on all the buses.
+		 */
+		batchRequest(command: number, length: number, options?: any): Promise<{ responses: { [id: string]: any }, info?: { [id: string]: NodeResponseInfo }, errors: { [bus: string]: Error } }>;
+		batchRequest(command: string, options?: any): Promise<{ responses: { [id: string]: any }, info?: { [id: string]: NodeResponseInfo }, errors: { [bus: string]: Error } }>;
+	}
+
+	export interface BusNoise {
+		kind: 'idle'|'unsolicited'|'overflow';
+		command: number|null;
+		length: number;
+		hex: string;
+		time: number;
+	}
+
+	export interface NoiseAlarm {
+		bytes: number;
+		threshold: number;
+		window: number;
+		time: number;
+	}
+
+	/**
+	 * Watches for bytes the master received but wasn't expecting.
+	 *
+	 * @emits NoiseDetector#bus-noise
+	 * @emits NoiseDetector#noise-alarm
+	 */
+	export class NoiseDetector extends EventEmitter {
+		constructor(options?: { enabled?: boolean, alarmThreshold?: number, alarmWindow?: number, dumpLength?: number });
+
+		enabled: boolean;
+		alarmThreshold: number|null;
+		alarmWindow: number;
+		dumpLength: number;
+		alarming: boolean;
+
+		/**
+		 * The number of noise bytes, and the number of times noise was received, by kind.
+		 */
+		counts: { idle: number, unsolicited: number, overflow: number };
+		events: { idle: number, unsolicited: number, overflow: number };
+
+		/**
+		 * Record unexpected bytes.
+		 */
+		record(kind: 'idle'|'unsolicited'|'overflow', data: Buffer|number[], command?: number, time?: number): BusNoise;
+
+		/**
+		 * The number of noise bytes in the last `alarmWindow`.
+		 */
+		rate(time?: number): number;
+
+		/**
+		 * Clear the counts and the alarm.
+		 */
+		reset(): NoiseDetector;
+	}
 }
@@ -0,0 +1,492 @@
+'use strict';
+
+/**
+ * The `discobus` command line tool, for addressing, sending messages to and polling the bus.
+ *
+ * Run `discobus --help` for usage.
+ */
+
+import fs from 'fs';
+import { DiscoBusMaster } from './discobus';
+import { BusMonitor } from './monitor';
+import { openPort } from './transport';
+import { BusRecorder } from './recorder';
+import { BusGateway } from './gateway';
+
+const USAGE = `Usage: discobus <command> [arguments] [options]
+
+Commands:
+  address                         Address all nodes and print the node count
+  send <node> <cmd> <hex bytes>   Send a message to a node (0 to broadcast)
+  request <node> <cmd> <len>      Request a response from a node (0 for all nodes)
+  batch <cmd> <file>              Send a batch message with the data for each node in a file.
+                                  The file is either a JSON array of byte arrays, or one line of
+                                  hex bytes per node.
+  sniff                           Print all the messages on the bus
+  serve                           Run an HTTP/JSON gateway to the bus, until the port closes
+
+Options:
+  -p, --port <path>     Serial port, or a tcp://host:port, rfc2217://host:port or unix:/path URL
+                        (default: $DISCOBUS_PORT)
+  -b, --baud <rate>     Baud rate (default: 9600)
+  -t, --timeout <ms>    Node response and addressing timeout, in milliseconds
+  -n, --nodes <count>   Number of nodes on the bus, for batch messages (default: address the bus first)
+  -c, --crc             Ask nodes to add a CRC to their responses and verify it
+  -a, --adaptive        Work out the timeouts from the baud rate and measured node latency
+  -r, --retries <count> Number of times to retry failed responses (default: 0)
+  --record <file>       Record the master's traffic to a line-delimited JSON file
+  --listen <port>       The HTTP port for serve (default: 8080)
+  --host <host>         The HTTP host for serve (default: 127.0.0.1)
+  -j, --json            Output JSON
+  -h, --help            Show this help
+`;
+
+const OPTION_ALIASES = {
+  p: 'port',
+  b: 'baud',
+  t: 'timeout',
+  n: 'nodes',
+  c: 'crc',
+  a: 'adaptive',
+  r: 'retries',
+  j: 'json',
+  h: 'help'
+};
+
+const BOOLEAN_OPTIONS = ['json', 'crc', 'adaptive', 'help'];
+
+/**
+ * Parse the command line arguments.
+ *
+ * @throws {Error} If an option is missing its value
+ *
+ * @param {String[]} argv The command line arguments, without the node and script paths.
+ *
+ * @return {Object} The command, positional arguments and options.
+ */
+function parseArgs(argv) {
+  let parsed = {
+    command: null,
+    args: [],
+    options: {
+      baud: 9600,
+      json: false,
+      crc: false,
+      adaptive: false,
+      help: false
+    }
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    let arg = argv[i];
+    let name = null;
+
+    if (arg.startsWith('--')) {
+      name = arg.substr(2);
+    } else if (arg.length === 2 && arg[0] === '-' && OPTION_ALIASES[arg[1]]) {
+      name = OPTION_ALIASES[arg[1]];
+    }
+
+    // Positional arguments
+    if (name === null) {
+      if (parsed.command === null) {
+        parsed.command = arg;
+      } else {
+        parsed.args.push(arg);
+      }
+      continue;
+    }
+
+    // Options
+    if (BOOLEAN_OPTIONS.indexOf(name) > -1) {
+      parsed.options[name] = true;
+    } else {
+      i++;
+      if (i >= argv.length) {
+        throw new Error(`Missing value for --${name}`);
+      }
+      parsed.options[name] = argv[i];
+    }
+  }
+
+  ['baud', 'timeout', 'nodes', 'retries', 'listen'].forEach((name) => {
+    if (typeof parsed.options[name] !== 'undefined') {
+      parsed.options[name] = parseNumber(parsed.options[name], name);
+    }
+  });
+
+  return parsed;
+}
+
+/**
+ * Parse a decimal or hex (0x..) number.
+ *
+ * @throws {Error} If it's not a number
+ *
+ * @param {String} value The value to parse
+ * @param {String} name The name of the value, for the error message.
+ *
+ * @return {number}
+ */
+function parseNumber(value, name) {
+  let num = Number(value);
+  if (typeof value !== 'number' && (value === '' || isNaN(num))) {
+    throw new Error(`Invalid ${name}: ${value}`);
+  }
+  return num;
+}
+
+/**
+ * Parse hex bytes. They can be separated by spaces, commas or not at all, and can have a 0x prefix.
+ *
+ * @throws {Error} If the bytes are not valid hex
+ *
+ * @param {String|String[]} hex The hex string(s)
+ *
+ * @return {number[]}
+ */
+function parseHexBytes(hex) {
+  if (Array.isArray(hex)) {
+    hex = hex.join(' ');
+  }
+
+  let clean = hex.replace(/0x/gi, ' ').replace(/[\s,]+/g, ' ').trim();
+  let bytes = [];
+
+  clean.split(' ').forEach((group) => {
+    if (!group) return;
+    if (!/^[0-9a-f]+$/i.test(group)) {
+      throw new Error(`Invalid hex bytes: ${hex}`);
+    }
+    if (group.length % 2) {
+      group = '0' + group;
+    }
+    for (let i = 0; i < group.length; i += 2) {
+      bytes.push(parseInt(group.substr(i, 2), 16));
+    }
+  });
+
+  return bytes;
+}
+
+/**
+ * Format bytes as a hex string.
+ *
+ * @param {number[]} bytes
+ *
+ * @return {String}
+ */
+function toHex(bytes) {
+  return Array.from(bytes).map((b) => ('0' + b.toString(16)).substr(-2)).join(' ');
+}
+
+/**
+ * Read the batch data file.
+ *
+ * @param {String} contents The file contents
+ *
+ * @return {number[][]} The data for each node
+ */
+function parseBatchFile(contents) {
+  contents = contents.trim();
+
+  if (contents[0] === '[') {
+    return JSON.parse(contents);
+  }
+  return contents.split(/\r?\n/)
+    .filter((line) => line.trim().length)
+    .map((line) => parseHexBytes(line));
+}
+
+/**
+ * Format a decoded frame for the sniff command.
+ *
+ * @param {Object} frame A frame from the FrameDecoder
+ *
+ * @return {String}
+ */
+function formatFrame(frame) {
+  if (frame.type === 'addressing') {
+    return `ADDRESSING  ${toHex(frame.addresses)}`;
+  }
+  if (frame.type === 'null') {
+    return 'NULL';
+  }
+
+  let flags = [];
+  if (frame.batch) flags.push('batch');
+  if (frame.response) flags.push('response');
+  if (frame.responseCrc) flags.push('response-crc');
+  if (frame.fragment) flags.push('fragment');
+
+  let line = `CMD 0x${toHex([frame.command])}  dest ${frame.destination}`;
+  if (flags.length) {
+    line += `  ${flags.join(',')}`;
+  }
+  if (frame.batch) {
+    line += `  nodes ${frame.nodeCount}`;
+  }
+  line += `  len ${frame.length}`;
+
+  let sections = (frame.response) ? frame.responses : frame.sections;
+  if (sections.length) {
+    line += '  ' + sections.map((s, i) => {
+      let invalid = (frame.responseCrc && !frame.responseCrcValid[i]) ? ' CRC INVALID' : '';
+      return `[${toHex(s)}${invalid}]`;
+    }).join(' ');
+  }
+  line += (frame.crcValid) ? '  CRC ok' : '  CRC INVALID';
+
+  return line;
+}
+
+/**
+ * Run the CLI.
+ *
+ * @param {String[]} argv The command line arguments, without the node and script paths.
+ * @param {Object} io The input/output:
+ *  + stdout {Stream} - Where the output is written
+ *  + stderr {Stream} - Where errors are written
+ *  + env    {Object} - Environment variables
+ *  + port   {Object} - (optional) An open port to use, instead of opening `--port`
+ *
+ * @return {Promise} Resolves with the exit code. For `sniff` and `serve`, this only resolves when the port closes.
+ */
+function run(argv, io) {
+  const print = (line) => io.stdout.write(line + '\n');
+  let cli;
+  let port;
+  let recorder = null;
+
+  try {
+    cli = parseArgs(argv);
+  } catch(err) {
+    io.stderr.write(`${err.message}\n\n${USAGE}`);
+    return Promise.resolve(1);
+  }
+
+  const options = cli.options;
+  const args = cli.args;
+
+  if (options.help || !cli.command) {
+    io.stdout.write(USAGE);
+    return Promise.resolve(options.help ? 0 : 1);
+  }
+
+  const output = (json, text) => {
+    print(options.json ? JSON.stringify(json) : text);
+  };
+
+  // Open port
+  const connectPort = () => {
+    if (io.port) {
+      return Promise.resolve(io.port);
+    }
+
+    const path = options.port || (io.env && io.env.DISCOBUS_PORT);
+    if (!path) {
+      return Promise.reject(new Error('No serial port given. Use --port or set DISCOBUS_PORT'));
+    }
+
+    return new Promise( (resolve, reject) => {
+      let serial = openPort(path, { baudRate: options.baud }, (err) => {
+        if (err) reject(new Error(`Could not open ${path}: ${err.message || err}`));
+        else resolve(serial);
+      });
+    });
+  };
+
+  const closePort = () => {
+    if (port && port !== io.port && port.close) {
+      port.close();
+    }
+    if (recorder) {
+      return new Promise((resolve) => recorder.close(resolve));
+    }
+    return Promise.resolve();
+  };
+
+  // Create master
+  const connectMaster = () => {
+    let master = new DiscoBusMaster();
+    master.connectWith(port);
+    master.on('error', (err) => io.stderr.write(`Warning: ${err}\n`));
+
+    if (options.record) {
+      recorder = new BusRecorder(options.record);
+      recorder.on('error', (err) => io.stderr.write(`Warning: Could not record: ${err.message}\n`));
+      recorder.attach(master);
+    }
+
+    if (typeof options.timeout !== 'undefined') {
+      master.timeouts.nodeResponse = options.timeout;
+      master.timeouts.addressing = options.timeout;
+    }
+    if (typeof options.retries !== 'undefined') {
+      master.retryPolicy.count = options.retries;
+    }
+    if (options.adaptive) {
+      master.adaptiveTiming.enabled = true;
+      master.adaptiveTiming.baudRate = options.baud;
+    }
+    return master;
+  };
+
+  // Batch messages need to know how many nodes are on the bus
+  const countNodes = (master) => {
+    if (typeof options.nodes !== 'undefined') {
+      master.nodeNum = options.nodes;
+      return Promise.resolve(master.nodeNum);
+    }
+    return master.address();
+  };
+
+  const requireArgs = (num) => {
+    if (args.length < num) {
+      throw new Error(`The ${cli.command} command needs ${num} arguments`);
+    }
+  };
+
+  const commands = {
+
+    address() {
+      let master = connectMaster();
+      return master.address()
+      .then((nodeNum) => {
+        output({ nodes: nodeNum }, `${nodeNum} nodes`);
+      });
+    },
+
+    send() {
+      requireArgs(3);
+
+      let master = connectMaster();
+      let node = parseNumber(args[0], 'node');
+      let command = parseNumber(args[1], 'command');
+      let data = parseHexBytes(args.slice(2));
+
+      return master.send(command, data, { destination: node })
+      .then(() => {
+        output({ sent: true, node: node, command: command, data: data }, 'sent');
+      });
+    },
+
+    request() {
+      requireArgs(3);
+
+      let master = connectMaster();
+      let node = parseNumber(args[0], 'node');
+      let command = parseNumber(args[1], 'command');
+      let length = parseNumber(args[2], 'length');
+      let requestOptions = { responseCrc: options.crc };
+
+      // Single node
+      if (node !== 0) {
+        requestOptions.destination = node;
+        requestOptions.withInfo = true;
+        return master.request(command, length, requestOptions)
+        .then((result) => {
+          output({ node: node, response: result.response, status: result.info.status }, toHex(result.response));
+        });
+      }
+
+      // All nodes
+      return countNodes(master)
+      .then(() => {
+        requestOptions.withInfo = true;
+        return master.request(command, length, requestOptions);
+      })
+      .then((result) => {
+        let statuses = result.info.map((info) => info.status);
+        let lines = result.response.map((r, i) => {
+          let note = (statuses[i] !== 'received') ? `  (${statuses[i]})` : '';
+          return `${i + 1}: ${toHex(r)}${note}`;
+        });
+        output({ responses: result.response, status: statuses }, lines.join('\n'));
+      });
+    },
+
+    batch() {
+      requireArgs(2);
+
+      let master = connectMaster();
+      let command = parseNumber(args[0], 'command');
+      let data = parseBatchFile(fs.readFileSync(args[1], 'utf8'));
+
+      if (typeof options.nodes === 'undefined') {
+        options.nodes = data.length;
+      }
+
+      return countNodes(master)
+      .then(() => master.send(command, data, { batchMode: true }))
+      .then(() => {
+        output({ sent: true, command: command, nodes: master.nodeNum }, `sent to ${master.nodeNum} nodes`);
+      });
+    },
+
+    sniff() {
+      let monitor = new BusMonitor();
+      monitor.on('frame', (frame) => {
+        output(frame, formatFrame(frame));
+      });
+      monitor.connectWith(port);
+
+      return new Promise( (resolve) => {
+        port.on('close', resolve);
+      });
+    },
+
+    serve() {
+      let master = connectMaster();
+      let gateway = new BusGateway(master);
+      let listen = (typeof options.listen === 'undefined') ? 8080 : options.listen;
+
+      return new Promise( (resolve, reject) => {
+        let server = gateway.listen(listen, { host: options.host }, (err) => {
+          if (err) return reject(err);
+
+          let address = server.address();
+          print(`Listening on http://${address.address}:${address.port}`);
+          port.on('close', () => gateway.close(resolve));
+        });
+      });
+    }
+  };
+
+  if (!commands[cli.command]) {
+    io.stderr.write(`Unknown command: ${cli.command}\n\n${USAGE}`);
+    return Promise.resolve(1);
+  }
+
+  return connectPort()
+  .then((p) => {
+    port = p;
+    return commands[cli.command]();
+  })
+  .then(() => closePort())
+  .then(() => 0)
+  .catch((err) => {
+    return closePort()
+    .then(() => {
+      io.stderr.write(`Error: ${err.message || err}\n`);
+      return 1;
+    });
+  });
+}
+
+/**
+ * Run the CLI for the current process.
+ */
+function main() {
+  run(process.argv.slice(2), process)
+  .then((code) => {
+    process.exitCode = code;
+  });
+}
+
+module.exports.main = main;
+module.exports.run = run;
+module.exports.parseArgs = parseArgs;
+module.exports.parseHexBytes = parseHexBytes;
+module.exports.parseBatchFile = parseBatchFile;
+module.exports.formatFrame = formatFrame;
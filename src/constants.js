@@ -0,0 +1,41 @@
+'use strict';
+
+/**
+ * Disco Bus protocol constants, shared by the master and node implementations.
+ */
+
+const BROADCAST_ADDRESS = 0;
+
+// Reserved Commands
+const CMD = {
+  RESET:   0xFA,
+  ADDRESS: 0xFB,
+  NULL:    0xFF,
+};
+
+// Message flags
+const FLAGS = {
+  BATCH:        0x01,
+  RESPONSE:     0x02,
+  RESPONSE_CRC: 0x04, // Each node ends its response with a CRC16 of its response data
+  FRAGMENT:     0x08  // Each node's data section is one fragment of a larger payload (see fragment.js)
+};
+
+// Length of the CRC added to each node's response, with FLAGS.RESPONSE_CRC
+const RESPONSE_CRC_LEN = 2;
+
+// Message priorities (see the master's `priority` message option)
+const PRIORITY = {
+  LOW:      0,
+  NORMAL:   1,
+  HIGH:     2,
+  CRITICAL: 3  // Jumps the queue, and cuts short a lower priority response message in progress
+};
+
+module.exports = {
+  BROADCAST_ADDRESS,
+  CMD,
+  FLAGS,
+  PRIORITY,
+  RESPONSE_CRC_LEN
+};
@@ -0,0 +1,538 @@
+'use strict';
+
+/**
+ * Daisy line drivers set the outgoing daisy line of a master or node.
+ * By default, the daisy line is the port's RTS line.
+ *
+ * ```
+ *  master.setDaisyDriver('dtr', { invert: true, settle: 2 });
+ *  master.setDaisyDriver('gpio', { chip: 0, line: 17 });
+ *  master.setDaisyDriver((enabled) => board.setPin(4, enabled));
+ * ```
+ *
+ * Each driver has a `settle` delay, in milliseconds, to wait after the line is set. The master
+ * waits for this before sending the first address, so the line is stable when the first node sees it.
+ * Writes are done one at a time, in order, so a write never overtakes the one before it.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { execFile, spawn } from 'child_process';
+
+const SYSFS_GPIO = '/sys/class/gpio';
+
+/**
+ * The base daisy line driver. Subclasses implement `_write(port, level, callback)`.
+ *
+ * Options:
+ *  + invert {boolean} - The line is active low (default: false)
+ *  + settle {int}     - Milliseconds to wait after setting the line (default: 0)
+ *
+ * @class
+ */
+class DaisyDriver {
+
+  /**
+   * @param {Object} options Driver options
+   */
+  constructor(options={}) {
+
+    /**
+     * The line is active low.
+     *
+     * @type {boolean}
+     */
+    this.invert = !!options.invert;
+
+    /**
+     * Milliseconds to wait after setting the line, for it to be stable.
+     *
+     * @type {int}
+     */
+    this.settle = options.settle || 0;
+
+    this._writes = [];
+    this._writing = false;
+  }
+
+  /**
+   * Set the daisy line, once the writes before it are done.
+   *
+   * @param {Object} port The port of the master or node
+   * @param {boolean} enabled Set the daisy line to enabled
+   * @param {Function} callback Called once the line is set and has settled, or with an error.
+   */
+  set(port, enabled, callback) {
+    let level = (this.invert) ? !enabled : !!enabled;
+
+    this._writes.push({ port: port, level: level, callback: callback });
+    if (!this._writing) {
+      this._nextWrite();
+    }
+  }
+
+  /**
+   * Release the line. Only the drivers which hold on to something need this.
+   *
+   * @param {Function} callback (optional) Called once the line has been released.
+   */
+  close(callback) {
+    if (callback) callback(null);
+  }
+
+  /**
+   * Write the next queued line level.
+   */
+  _nextWrite() {
+    let write = this._writes.shift();
+    if (!write) {
+      this._writing = false;
+      return;
+    }
+
+    this._writing = true;
+    this._write(write.port, write.level, (err) => {
+      const done = () => {
+        write.callback(err || null);
+        this._nextWrite();
+      };
+
+      if (err || !this.settle) {
+        done();
+      } else {
+        setTimeout(done, this.settle);
+      }
+    });
+  }
+
+  /**
+   * Set the line level.
+   *
+   * @param {Object} port The port of the master or node
+   * @param {boolean} level The line level
+   * @param {Function} callback Called once the line is set, or with an error.
+   */
+  _write(port, level, callback) {
+    callback(null);
+  }
+}
+
+/**
+ * Sets the daisy line with the port's RTS line.
+ *
+ * @class
+ */
+class RtsDaisyDriver extends DaisyDriver {
+  _write(port, level, callback) {
+    port.set({ rts: level }, callback);
+  }
+}
+
+/**
+ * Sets the daisy line with the port's DTR line.
+ *
+ * @class
+ */
+class DtrDaisyDriver extends DaisyDriver {
+  _write(port, level, callback) {
+    port.set({ dtr: level }, callback);
+  }
+}
+
+/**
+ * Sets the daisy line with a Linux GPIO line.
+ *
+ * Options, in addition to the driver options:
+ *  + chip     {int|String} - The GPIO chip number or name (i.e. 0 or 'gpiochip0')
+ *  + line     {int}        - The line number on the chip
+ *  + mode     {String}     - 'sysfs' to use `/sys/class/gpio` (default), or 'chardev' to use the
+ *                            GPIO character device with libgpiod's `gpioset` command.
+ *  + gpio     {int}        - (sysfs) The global GPIO number, instead of looking it up from the chip and line.
+ *  + sysfs    {String}     - (sysfs) The sysfs GPIO directory (default: '/sys/class/gpio')
+ *  + command  {String}     - (chardev) The gpioset command (default: 'gpioset')
+ *  + libgpiod {int}        - (chardev) The libgpiod major version of gpioset (default: from `gpioset --version`)
+ *
+ * The character device line is released when gpioset exits, so gpioset keeps running to hold the level,
+ * and only runs again when the level changes:
+ *  + libgpiod v2: One `gpioset --interactive` process is sent `set` commands.
+ *  + libgpiod v1: `gpioset --mode=wait` holds the line until it reads a newline, so it's restarted for each level.
+ *    There's no word from gpioset once the line is set, so give it some `settle` time.
+ * gpioset exits when the driver is closed, or when this process exits.
+ *
+ * @class
+ */
+class GpioDaisyDriver extends DaisyDriver {
+
+  /**
+   * @param {Object} options Driver options
+   */
+  constructor(options={}) {
+    super(options);
+
+    if (typeof options.line !== 'number' && typeof options.gpio !== 'number') {
+      throw new Error('The GPIO daisy driver needs a line number');
+    }
+    if (options.mode && options.mode !== 'sysfs' && options.mode !== 'chardev') {
+      throw new Error(`Invalid GPIO mode: ${options.mode}`);
+    }
+
+    this.chip = (typeof options.chip === 'undefined') ? 0 : options.chip;
+    this.line = options.line;
+    this.mode = options.mode || 'sysfs';
+
+    this._gpio = options.gpio;
+    this._sysfs = options.sysfs || SYSFS_GPIO;
+    this._command = options.command || 'gpioset';
+    this._libgpiod = options.libgpiod || null;
+    this._exported = false;
+
+    this._gpioset = null;
+    this._level = null;
+    this._pending = null;
+    this._output = '';
+  }
+
+  /**
+   * The GPIO chip name.
+   *
+   * @type {String}
+   */
+  get chipName() {
+    return (typeof this.chip === 'number') ? `gpiochip${this.chip}` : this.chip;
+  }
+
+  /**
+   * Release the character device line, by stopping gpioset.
+   *
+   * @param {Function} callback (optional) Called once gpioset has exited.
+   */
+  close(callback) {
+    callback = callback || (() => {});
+
+    const proc = this._gpioset;
+    if (!proc) return callback(null);
+
+    this._gpiosetReady(proc, new Error('The GPIO line was released'));
+    this._gpioset = null;
+    this._level = null;
+    proc.once('exit', () => callback(null));
+    proc.stdin.end('\n');
+  }
+
+  _write(port, level, callback) {
+    let value = (level) ? '1' : '0';
+
+    if (this.mode === 'chardev') {
+      this._writeChardev(level, callback);
+      return;
+    }
+
+    this._export(level, (err, dir) => {
+      if (err) return callback(err);
+      fs.writeFile(path.join(dir, 'value'), value, callback);
+    });
+  }
+
+  /**
+   * Set the character device line with gpioset, unless it's already holding the line at that level.
+   *
+   * @param {boolean} level The line level
+   * @param {Function} callback Called once the line is set, or with an error.
+   */
+  _writeChardev(level, callback) {
+    if (this._gpioset && this._level === level) {
+      return callback(null);
+    }
+
+    this._libgpiodVersion((err, version) => {
+      if (err) return callback(err);
+
+      const value = (level) ? 1 : 0;
+      const done = (err) => {
+        this._level = (err) ? null : level;
+        callback(err || null);
+      };
+
+      // Send the new level to the running gpioset, and wait for it to answer `get`
+      if (version >= 2) {
+        let proc = this._gpioset;
+        if (!proc) {
+          proc = this._spawnGpioset(['--interactive', '--chip', this.chipName, `${this.line}=${value}`]);
+          proc.stdout.on('data', (data) => this._readGpioset(data));
+        } else {
+          proc.stdin.write(`set ${this.line}=${value}\n`);
+        }
+        this._waitForGpioset(proc, done);
+        proc.stdin.write(`get ${this.line}\n`);
+      }
+
+      // Restart gpioset with the new level
+      else {
+        this.close(() => {
+          let proc = this._spawnGpioset(['--mode=wait', this.chipName, `${this.line}=${value}`]);
+          this._waitForGpioset(proc, done);
+          setImmediate(() => this._gpiosetReady(proc, null));
+        });
+      }
+    });
+  }
+
+  /**
+   * Get the libgpiod major version of the gpioset command.
+   *
+   * @param {Function} callback Called with the version, or an error.
+   */
+  _libgpiodVersion(callback) {
+    if (this._libgpiod) {
+      return callback(null, this._libgpiod);
+    }
+
+    execFile(this._command, ['--version'], (err, stdout) => {
+      if (err) return callback(err);
+
+      let match = /v(\d+)\.\d+/.exec(stdout);
+      if (!match) {
+        return callback(new Error(`Could not find the libgpiod version of ${this._command}`));
+      }
+      this._libgpiod = parseInt(match[1], 10);
+      callback(null, this._libgpiod);
+    });
+  }
+
+  /**
+   * Start gpioset, which holds the line until it exits.
+   *
+   * @param {String[]} args The gpioset arguments
+   *
+   * @return {ChildProcess}
+   */
+  _spawnGpioset(args) {
+    let proc = spawn(this._command, args);
+    let stderr = '';
+
+    proc.stderr.on('data', (data) => { stderr += data; });
+    proc.stdin.on('error', () => {}); // It exited, which is handled below
+    proc.on('error', (err) => this._gpiosetReady(proc, err, true));
+    proc.on('exit', (code) => {
+      let err = new Error(`${this._command} exited with code ${code}: ${stderr.trim()}`);
+      this._gpiosetReady(proc, err, true);
+    });
+
+    this._gpioset = proc;
+    this._output = '';
+    this._setRef(proc, false);
+    return proc;
+  }
+
+  /**
+   * Wait for gpioset to set the line, keeping this process running until it has.
+   *
+   * @param {ChildProcess} proc The gpioset process
+   * @param {Function} callback Called once the line is set, or with an error.
+   */
+  _waitForGpioset(proc, callback) {
+    this._setRef(proc, true);
+    this._pending = callback;
+  }
+
+  /**
+   * gpioset has set the line, or failed to.
+   *
+   * @param {ChildProcess} proc The gpioset process
+   * @param {Error} err The error, if it failed
+   * @param {boolean} exited gpioset is no longer running
+   */
+  _gpiosetReady(proc, err, exited=false) {
+    if (proc !== this._gpioset) return;
+
+    if (exited) {
+      this._gpioset = null;
+      this._level = null;
+    }
+
+    let pending = this._pending;
+    this._pending = null;
+    this._setRef(proc, false);
+    if (pending) pending(err);
+  }
+
+  /**
+   * Read gpioset's answer to `get`, which comes once the commands before it have been applied.
+   *
+   * @param {Buffer} data Output from gpioset
+   */
+  _readGpioset(data) {
+    let lines = (this._output + data).split('\n');
+    this._output = lines.pop();
+
+    if (lines.some((line) => line.indexOf('=') > -1)) {
+      this._gpiosetReady(this._gpioset, null);
+    }
+  }
+
+  /**
+   * Let gpioset keep this process running, or not. It only needs to while the line is being set.
+   *
+   * @param {ChildProcess} proc The gpioset process
+   * @param {boolean} ref Keep this process running
+   */
+  _setRef(proc, ref) {
+    [proc, proc.stdin, proc.stdout, proc.stderr].forEach((handle) => {
+      if (!handle || !handle.ref) return;
+      if (ref) {
+        handle.ref();
+      } else {
+        handle.unref();
+      }
+    });
+  }
+
+  /**
+   * Export the sysfs GPIO and set it as an output.
+   *
+   * @param {boolean} level The initial line level
+   * @param {Function} callback Called with the GPIO directory, or an error.
+   */
+  _export(level, callback) {
+    this._resolveGpio((err, gpio) => {
+      if (err) return callback(err);
+
+      const dir = path.join(this._sysfs, `gpio${gpio}`);
+      if (this._exported) return callback(null, dir);
+
+      const setDirection = () => {
+        fs.writeFile(path.join(dir, 'direction'), (level) ? 'high' : 'low', (err) => {
+          if (err) return callback(err);
+          this._exported = true;
+          callback(null, dir);
+        });
+      };
+
+      fs.stat(dir, (err) => {
+        if (!err) return setDirection();
+
+        fs.writeFile(path.join(this._sysfs, 'export'), String(gpio), (err) => {
+          if (err) return callback(err);
+          setDirection();
+        });
+      });
+    });
+  }
+
+  /**
+   * Find the global sysfs GPIO number from the chip and line.
+   * Each `gpiochip<base>` sysfs entry links to its device, which has the chip's character device name.
+   *
+   * @param {Function} callback Called with the GPIO number, or an error.
+   */
+  _resolveGpio(callback) {
+    if (typeof this._gpio === 'number') {
+      return callback(null, this._gpio);
+    }
+
+    const chipName = this.chipName;
+
+    fs.readdir(this._sysfs, (err, entries) => {
+      if (err) return callback(err);
+
+      let chips = entries.filter((entry) => /^gpiochip\d+$/.test(entry));
+      let found = chips.find((entry) => {
+        try {
+          return fs.readdirSync(path.join(this._sysfs, entry, 'device')).indexOf(chipName) > -1;
+        } catch(e) {
+          return false;
+        }
+      });
+
+      if (!found) {
+        return callback(new Error(`Could not find GPIO chip ${chipName} in ${this._sysfs}`));
+      }
+
+      fs.readFile(path.join(this._sysfs, found, 'base'), 'utf8', (err, base) => {
+        if (err) return callback(err);
+        this._gpio = parseInt(base, 10) + this.line;
+        callback(null, this._gpio);
+      });
+    });
+  }
+}
+
+/**
+ * Sets the daisy line with a function, which is called with the line level and returns a promise
+ * (or calls the callback it's passed as the second argument). A function which does neither, and
+ * doesn't take a callback argument, is done once it returns.
+ *
+ * @class
+ */
+class CallbackDaisyDriver extends DaisyDriver {
+
+  /**
+   * @param {Function} fn The function that sets the line: `(level, callback) => Promise`
+   * @param {Object} options Driver options
+   */
+  constructor(fn, options) {
+    super(options);
+    this._fn = fn;
+  }
+
+  _write(port, level, callback) {
+    let called = false;
+    const done = (err) => {
+      if (called) return;
+      called = true;
+      callback(err || null);
+    };
+
+    let ret;
+    try {
+      ret = this._fn(level, done);
+    } catch(err) {
+      return done(err);
+    }
+
+    if (ret && typeof ret.then === 'function') {
+      ret.then(() => done(), (err) => done(err || new Error('Could not set the daisy line')));
+    }
+
+    // Functions which don't take the callback, or return a promise, set the line right away
+    else if (this._fn.length < 2) {
+      done();
+    }
+  }
+}
+
+/**
+ * Create a daisy line driver.
+ *
+ * @throws {Error} If the driver type is unknown or the options are invalid
+ *
+ * @param {String|Function|DaisyDriver} driver 'rts', 'dtr', 'gpio', a function or a driver instance
+ * @param {Object} options (optional) Driver options
+ *
+ * @return {DaisyDriver}
+ */
+function createDaisyDriver(driver, options={}) {
+  if (driver instanceof DaisyDriver) {
+    return driver;
+  }
+  if (typeof driver === 'function') {
+    return new CallbackDaisyDriver(driver, options);
+  }
+
+  switch (driver) {
+    case 'rts':
+      return new RtsDaisyDriver(options);
+    case 'dtr':
+      return new DtrDaisyDriver(options);
+    case 'gpio':
+      return new GpioDaisyDriver(options);
+  }
+  throw new Error(`Unknown daisy driver: ${driver}`);
+}
+
+module.exports.DaisyDriver = DaisyDriver;
+module.exports.RtsDaisyDriver = RtsDaisyDriver;
+module.exports.DtrDaisyDriver = DtrDaisyDriver;
+module.exports.GpioDaisyDriver = GpioDaisyDriver;
+module.exports.CallbackDaisyDriver = CallbackDaisyDriver;
+module.exports.createDaisyDriver = createDaisyDriver;
@@ -0,0 +1,168 @@
+'use strict';
+
+/**
+ * Decodes a stream of raw Disco Bus traffic into structured frames.
+ *
+ * ```
+ *  const decoder = new FrameDecoder();
+ *  decoder.on('frame', (frame) => console.log(frame));
+ *  decoder.push(bytes);
+ * ```
+ */
+
+import crc from 'crc';
+import EventEmitter from 'events';
+import { CMD, RESPONSE_CRC_LEN } from './constants';
+import { MessageParser } from './parser';
+
+/**
+ * Creates a streaming frame decoder.
+ *
+ * Frames have the following properties:
+ *  + type        {String}     - 'message', 'addressing' or 'null' (the message that wraps up addressing)
+ *  + flags       {number}     - The raw flags byte
+ *  + batch       {boolean}    - Batch message flag
+ *  + response    {boolean}    - Response message flag
+ *  + responseCrc {boolean}    - Each node's response ends with its own CRC
+ *  + fragment    {boolean}    - Each node's section is a fragment of a larger payload
+ *  + destination {number}     - Destination node address
+ *  + command     {number}     - Message command
+ *  + nodeCount   {number}     - The number of nodes in a batch message
+ *  + length      {number}     - The data length (per node, for batch messages)
+ *  + data        {number[]}   - All the bytes in the data section
+ *  + sections    {number[][]} - The data sent by the master, split up into each node's section.
+ *  + responses   {number[][]} - The data sent by nodes in response messages, split up by node.
+ *                               (without the node's response CRC)
+ *  + responseCrcValid {boolean[]} - For `responseCrc` messages, if each node's response CRC was valid.
+ *  + addresses   {number[]}   - All the address bytes sent during addressing.
+ *  + crc         {number}     - The CRC value received.
+ *  + crcValid    {boolean}    - The received CRC matches the message.
+ *  + time        {number}     - Timestamp of when the frame header was received.
+ *
+ * @class
+ * @emits FrameDecoder#frame A full frame has been decoded: (frame)
+ * @emits FrameDecoder#skip  Bytes received outside of a frame: (bytes)
+ */
+class FrameDecoder extends EventEmitter {
+
+  constructor() {
+    super();
+
+    this._frame = null;
+    this._parser = new MessageParser();
+    this._parser.on('header', this._handleHeader.bind(this));
+    this._parser.on('address', (addr) => this._frame.addresses.push(addr));
+    this._parser.on('addressing-end', this._handleAddressingEnd.bind(this));
+    this._parser.on('message', this._handleMessage.bind(this));
+    this._parser.on('skip', (byte) => this.emit('skip', [byte]));
+  }
+
+  /**
+   * Push raw bus bytes into the decoder.
+   *
+   * @param {Buffer|number[]} data The bytes to decode
+   *
+   * @return {FrameDecoder} Instance to this object, for chaining
+   */
+  push(data) {
+    this._parser.push(data);
+    return this;
+  }
+
+  /**
+   * Drop the frame in progress and wait for the next start sequence (0xFF 0xFF).
+   *
+   * @return {FrameDecoder} Instance to this object, for chaining
+   */
+  reset() {
+    this._frame = null;
+    this._parser.reset();
+    return this;
+  }
+
+  /**
+   * Start a new frame from the message header
+   *
+   * @param {Object} header The message header
+   */
+  _handleHeader(header) {
+    let type = 'message';
+    if (header.command === CMD.ADDRESS) {
+      type = 'addressing';
+    } else if (header.command === CMD.NULL) {
+      type = 'null';
+    }
+
+    this._frame = {
+      type: type,
+      flags: header.flags,
+      batch: header.batch,
+      response: header.response,
+      responseCrc: header.responseCrc,
+      fragment: header.fragment,
+      destination: header.destination,
+      command: header.command,
+      nodeCount: header.nodeCount,
+      length: header.length,
+      data: [],
+      sections: [],
+      responses: [],
+      responseCrcValid: [],
+      addresses: [],
+      crc: null,
+      crcValid: false,
+      time: Date.now()
+    };
+  }
+
+  /**
+   * The addressing stream has ended, which has no CRC.
+   */
+  _handleAddressingEnd() {
+    let frame = this._frame;
+    this._frame = null;
+    this.emit('frame', frame);
+  }
+
+  /**
+   * A full message has been received
+   *
+   * @param {Object} message The parsed message
+   */
+  _handleMessage(message) {
+    let frame = this._frame;
+    let slotLength = message.header.slotLength;
+    let sections = [];
+
+    // Split data into node sections
+    if (slotLength > 0) {
+      for (let i = 0; i < message.data.length; i += slotLength) {
+        sections.push(message.data.slice(i, i + slotLength));
+      }
+    }
+
+    // Verify and remove the response CRC from each node section
+    if (frame.responseCrc) {
+      sections = sections.map((section) => {
+        let data = section.slice(0, section.length - RESPONSE_CRC_LEN);
+        let received = (section[section.length - 2] << 8) | section[section.length - 1];
+        frame.responseCrcValid.push(crc.crc16modbus(data, 0xFFFF) === received);
+        return data;
+      });
+    }
+
+    frame.data = message.data;
+    frame.crc = message.crc;
+    frame.crcValid = message.crcValid;
+    if (frame.response) {
+      frame.responses = sections;
+    } else {
+      frame.sections = sections;
+    }
+
+    this._frame = null;
+    this.emit('frame', frame);
+  }
+}
+
+module.exports.FrameDecoder = FrameDecoder;
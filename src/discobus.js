@@ -9,31 +9,49 @@
  */
 
 import crc from 'crc';
-import { Observable, Observer, ConnectableObservable } from 'rxjs';
 import EventEmitter from 'events';
+import { BROADCAST_ADDRESS, CMD, FLAGS, PRIORITY, RESPONSE_CRC_LEN } from './constants';
+import { DiscoBusNode } from './node';
+import { VirtualBus } from './virtual-bus';
+import { FrameDecoder } from './decoder';
+import { BusMonitor } from './monitor';
+import { NodeRegistry } from './registry';
+import { CommandSchema } from './schema';
+import { Transport, TcpTransport, UnixTransport, StdioTransport, createTransport, openPort } from './transport';
+import { DaisyDriver, RtsDaisyDriver, DtrDaisyDriver, GpioDaisyDriver, CallbackDaisyDriver, createDaisyDriver } from './daisy';
+import { BusRecorder, ReplayPort, loadRecording } from './recorder';
+import { BusMetrics } from './metrics';
+import { BusGateway } from './gateway';
+import { AdaptiveTiming } from './timing';
+import { NoiseDetector } from './noise';
+import { FragmentAssembler, splitFragments, splitBatchFragments, FRAGMENT_HEADER_LEN, MAX_FRAGMENT_SIZE } from './fragment';
+import { MessageStream, MessageHandle, createHandle } from './handle';
+import { BusManager } from './manager';
 
-const BROADCAST_ADDRESS = 0;
 const RESPONSE_TIMEOUT = 20;
 const ADDR_RESPONSE_TIMEOUT = 30;
 const MAX_ADDRESS_CORRECTIONS = 10;
-
-// Reserved Commands
-const CMD = {
-  RESET:   0xFA,
-  ADDRESS: 0xFB,
-  NULL:    0xFF,
-};
-
-// Message flags
-const FLAGS = {
-  BATCH:    0x01,
-  RESPONSE: 0x02
-};
+const ECHO_TIMEOUT = 100;
+const ABORT_RESPONSE_TIMEOUT = 1;
 
 /**
  * Creates a Disco Bus Master device.
  * @class
  * @emits DiscoBusMaster#error
+ * @emits DiscoBusMaster#retry A failed response is being retried: ({ command, node, attempt, reason })
+ * @emits DiscoBusMaster#collision The echo of the bytes sent did not match: ({ expected, received, command })
+ * @emits DiscoBusMaster#write Bytes are being written to the port: (Buffer)
+ * @emits DiscoBusMaster#read  Bytes were received from the port, before the echo is removed: (Buffer)
+ * @emits DiscoBusMaster#daisy The outgoing daisy line is being set: (enabled)
+ * @emits DiscoBusMaster#abort The message in progress was aborted or preempted: ({ command, reason })
+ * @emits DiscoBusMaster#starved A message waited longer than its `maxWait` in the queue, and was dropped:
+ *                               ({ command, priority, waited })
+ * @emits DiscoBusMaster#node-online   See `NodeRegistry`
+ * @emits DiscoBusMaster#node-degraded See `NodeRegistry`
+ * @emits DiscoBusMaster#node-offline  See `NodeRegistry`
+ * @emits DiscoBusMaster#node-added    A new node was found by `discover()`: (node)
+ * @emits DiscoBusMaster#bus-noise     Unexpected bytes were received. See `NoiseDetector`
+ * @emits DiscoBusMaster#noise-alarm   The bus noise rate crossed the alarm threshold. See `NoiseDetector`
  */
 class DiscoBusMaster extends EventEmitter {
 
@@ -59,11 +77,15 @@ class DiscoBusMaster extends EventEmitter {
     this.messageResponse = [];
 
     /**
-     * An RXJS observable use to watch the process of the current message.
+     * Information about each node's response to the current/last message.
+     * For batch response messages, there's one for each node. Otherwise, there is just one.
      *
-     * @type ConnectableObservable
+     * @type {NodeResponseInfo[]}
      */
-    this.messageSubscription = null;
+    this.messageResponseInfo = [];
+
+    // The progress stream of the last message started (see `messageSubscription`)
+    this._messageStream = null;
 
     /**
      * The bus timeout options
@@ -85,9 +107,136 @@ class DiscoBusMaster extends EventEmitter {
        * this many milliseconds. This number needs to be sufficiently long to make up
        * for bus/processing latency.
        */
-      addressing: ADDR_RESPONSE_TIMEOUT
+      addressing: ADDR_RESPONSE_TIMEOUT,
+
+      /**
+       * Node response timeouts for specific commands, by command code.
+       * These are used in place of `nodeResponse` (or `addressing`) and adaptive timing,
+       * unless the message has its own `timeout` option.
+       *
+       * @type {Object}
+       */
+      commands: {}
     }
 
+    /**
+     * The default retry policy for `request()`.
+     *
+     * @type {Object}
+     */
+    this.retryPolicy = {
+
+      /**
+       * The number of times to retry a failed response. (0 disables retries)
+       *
+       * @type {int}
+       */
+      count: 0,
+
+      /**
+       * Number of milliseconds to wait before the first retry.
+       *
+       * @type {int}
+       */
+      backoff: 0,
+
+      /**
+       * The backoff is multiplied by this, for each retry after the first.
+       *
+       * @type {number}
+       */
+      backoffFactor: 2,
+
+      /**
+       * The kinds of failures to retry: 'timeout' (no response), 'partial' (incomplete response)
+       * and 'crc' (failed the `responseCrc` check).
+       *
+       * @type {String[]}
+       */
+      on: ['timeout', 'partial', 'crc']
+    };
+
+    /**
+     * Echo cancellation, for half-duplex adapters (like 2-wire RS485) where the master receives the
+     * bytes it sends. The echoed bytes are removed from the incoming data, and if they don't match
+     * what was sent, it's reported as a bus collision.
+     *
+     * @type {Object}
+     */
+    this.echoCancellation = {
+
+      /**
+       * Turn echo cancellation on.
+       *
+       * @type {boolean}
+       */
+      enabled: false,
+
+      /**
+       * Number of milliseconds to wait for an echo before giving up on it.
+       *
+       * @type {int}
+       */
+      timeout: ECHO_TIMEOUT
+    };
+
+    /**
+     * Critical priority messages cut short a lower priority response message in progress,
+     * instead of waiting for it to finish. (see the `priority` message option)
+     *
+     * @type {boolean}
+     */
+    this.preemption = true;
+
+    /**
+     * All the nodes that have been addressed, and how healthy they are.
+     *
+     * @type {NodeRegistry}
+     */
+    this.registry = new NodeRegistry();
+    ['node-online', 'node-degraded', 'node-offline'].forEach((event) => {
+      this.registry.on(event, (node) => this.emit(event, node));
+    });
+
+    /**
+     * Watches for unexpected incoming bytes, like data between messages.
+     *
+     * @type {NoiseDetector}
+     */
+    this.noise = new NoiseDetector();
+    ['bus-noise', 'noise-alarm'].forEach((event) => {
+      this.noise.on(event, (info) => this.emit(event, info));
+    });
+
+    /**
+     * Bus health metrics, with a snapshot API and Prometheus exporter.
+     *
+     * @type {BusMetrics}
+     */
+    this.metrics = new BusMetrics(() => ({ nodeCount: this.nodeNum, queueLength: this._queue.length }));
+
+    /**
+     * Works out response timeouts from the baud rate and measured node latency, when enabled.
+     *
+     * @type {AdaptiveTiming}
+     */
+    this.adaptiveTiming = new AdaptiveTiming();
+
+    /**
+     * The named commands, which can be used in place of command codes.
+     * See `defineCommands()`
+     *
+     * @type {CommandSchema}
+     */
+    this.commands = new CommandSchema();
+
+    /**
+     * Sets the outgoing daisy line. See `setDaisyDriver()`
+     *
+     * @type {DaisyDriver}
+     */
+    this.daisyDriver = new RtsDaisyDriver();
+
     ////////////////////////////////////////////
     // Private members
     ////////////////////////////////////////////
@@ -100,9 +249,15 @@ class DiscoBusMaster extends EventEmitter {
     this._fullDataLen = 0;
     this._sentLen = 0;
 
+    this._slotLen = 0;
+    this._slot = [];
+    this._slotStart = 0;
+
     this._responseDefault = [0x00];
     this._responseTimer = null;
     this._responseCount = 0;
+    this._timerStartedAt = null;
+    this._bytesInFlight = 0;
 
     this._promiseResolvers = null;
     this._drainPromise = null;
@@ -110,10 +265,22 @@ class DiscoBusMaster extends EventEmitter {
     this._messageObserver = null;
     this._addressCorrections = 0;
     this._addressing = false;
+
+    this._queue = [];
+    this._currentMessage = null;
+
+    this._echoQueue = [];
+    this._echoSeen = 0;
+    this._sentBytes = [];
+    this._openMessage = null;
+
+    this._discoveryTimer = null;
+    this._settleTimer = null;
   }
 
   /**
-   * Connect to a serial device via node-serialport.
+   * Connect to a serial device via node-serialport, or to a transport URL
+   * (`tcp://`, `rfc2217://`, `unix:` or `stdio:`, see `transport.js`).
    *
    * ```
    *  bus.connectTo("/dev/tty-usbserial1", {
@@ -121,26 +288,30 @@ class DiscoBusMaster extends EventEmitter {
    *  });
    * ```
    *
-   * @param {String}   port     Serial device port name or path
+   * @param {String}   port     Serial device port name or path, or a transport URL
    * @param {Object}   options  The same options used to open a port with node-serialport
    *                            https://github.com/EmergingTechnologyAdvisors/node-serialport/blob/4.0.1/README.md#usage
+   *                            or the transport options.
    * @param {Function} callback A callback called after the port has been opened (or returns an error)
    *
    * @return {DiscoBusMaster} Instance to this object, for chaining
    */
   connectTo(port, options, callback) {
-    const SerialPort = require("serialport");
-    this.port = new SerialPort(port, options, callback);
+    this.port = openPort(port, options, callback);
     this.connectWith(this.port);
 
+    if (options && options.baudRate) {
+      this.adaptiveTiming.baudRate = options.baudRate;
+    }
+
     return this;
   }
 
   /**
    * Pass an already connected device port to read and write from.
    *
-   * This port needs to follow the same object interface as node-serialport's SerialPort object.
-   * Most importantly, it needs to have the following:
+   * This port needs to follow the same object interface as node-serialport's SerialPort object,
+   * like the transports in `transport.js`. Most importantly, it needs to have the following:
    *    + port.on('data', function(){});
    *    + port.write(data)
    *    + port.drain()
@@ -169,13 +340,15 @@ class DiscoBusMaster extends EventEmitter {
     }
 
     // Add handlers
+    this.port = port;
+    this.adaptiveTiming.baudRate = port.baudRate || (port.options && port.options.baudRate) || this.adaptiveTiming.baudRate;
     port.on('data', this.__onData);
     port.on('open', this.__onOpen);
     if (port.isOpen) {
       this.__onOpen();
     }
 
-    this.port = port;
+    return this;
   }
 
   /**
@@ -185,14 +358,46 @@ class DiscoBusMaster extends EventEmitter {
     return this._msgCommand;
   }
 
+  /**
+   * Define named commands and the format of their data.
+   * Named commands can be used with `send()`, `request()` and `startMessage()`, which then
+   * encode and decode the data for you.
+   *
+   * ```
+   *  bus.defineCommands({
+   *    RGB:     { code: 0x09, request: ['u8 r', 'u8 g', 'u8 b'] },
+   *    SENSORS: { code: 0x06, response: ['u16le temp', 'i8 offset'] }
+   *  });
+   *
+   *  bus.send('RGB', { r: 255, g: 0, b: 10 }, { destination: 5 });
+   *  bus.request('SENSORS', { destination: 5 }).then((sensors) => console.log(sensors.temp));
+   * ```
+   *
+   * @throws {Error} If a definition is invalid
+   *
+   * @param {Object} commands Command definitions, by name. See `CommandSchema`.
+   *
+   * @return {DiscoBusMaster} Instance to this object, for chaining
+   */
+  defineCommands(commands) {
+    this.commands.define(commands);
+    return this;
+  }
+
 
   /**
    * Start a new message.
    * Unless it is a response message, it will need to be closed with `endMessage()`.
    *
-   * @throws {Error} If a new message is started before the previous one completes
+   * If another message is still in progress, this message is queued and will be sent,
+   * in order, once all the messages before it have completed. Data sent with `sendData()`
+   * and `endMessage()` before then is held with the queued message.
    *
-   * @param {number} command The message command.
+   * For named commands (see `defineCommands()`), the length is left out: `startMessage('RGB', options)`
+   *
+   * @throws {Error} If no port has been connected, the command is unknown or the message options are invalid
+   *
+   * @param {number|String} command The message command, or the name of a defined command.
    * @param {number} length The length of the data (per node, for batchMode) we're planning to send.
    * @param {Object} options Other message options (see section below.)
    *
@@ -203,170 +408,93 @@ class DiscoBusMaster extends EventEmitter {
    *                                 (only for broadcast messages)
    *  + responseMsg {boolean}      - True if we are asking nodes for a response.
    *  + responseDefault {number[]} - If a node doesn't response, this is the default response.
+   *  + responseCrc {boolean}      - Ask each node to end its response with a CRC, which is verified
+   *                                 by the master. Corrupted responses are reported as errors.
+   *  + corruptAsMissing {boolean} - Use `responseDefault` in place of a corrupted response.
+   *  + timeout {int}              - Milliseconds to wait for a node's response, in place of the
+   *                                 command timeout (`timeouts.commands`) or the default timeout.
+   *  + fragment {boolean}         - Each node's data section is a fragment of a larger payload.
+   *                                 (see `sendFragmented()` and `requestFragmented()`)
+   *  + priority {String|int}      - 'low', 'normal' (default), 'high' or 'critical' (see `PRIORITY`).
+   *                                 Messages are queued behind the messages with the same or higher priority.
+   *                                 Critical messages also cut short a lower priority response message
+   *                                 in progress (see `preemption`), which ends with a 'PREEMPTED' error.
+   *  + maxWait {int}              - Milliseconds the message can wait in the queue. After that, it's dropped
+   *                                 and ends with a 'STARVED' error.
    *
    * @return {DiscoBusMaster} Instance to this object, for chaining
    */
   startMessage (command, length, options={}) {
 
-    // ERROR. Previous message hasn't finished
-    if (!this._msgDone) {
-      throw new Error('Previous message has not finished.');
-    }
-
     // Check that we have a port object
     if (!this.port) {
       throw new Error('No output port has been defined. See "connectTo()" and "connectWith()"');
     }
 
-    const defaultOptions = {
-      destination: BROADCAST_ADDRESS,
-      batchMode: false,
-      responseMsg: false,
-      responseDefault:[0]
-    };
-
-    let flags = 0;
-    let header = [];
-
-    options = Object.assign({}, defaultOptions, options);
-
-    // If we're requesting a response from all nodes, we're a batch message
-    if (options.responseMsg && options.destination === BROADCAST_ADDRESS && options.batchMode === false) {
-      options.batchMode = true;
-    }
-
-    // Can't pass a destination address in batch mode
-    if (options.batchMode && options.destination !== BROADCAST_ADDRESS) {
-      throw new Error('Cannot give a message a destination and set batchMode to true.')
-    }
-
-    this._msgDone = false;
-    this._crc = [];
-    this._msgOptions = options;
-    this._msgCommand = command;
-    this._dataLen = length;
-    this._fullDataLen = this._dataLen;
-    this._responseCount = 0;
-    this._sentLen = 0;
-    this._promiseResolvers = [];
-
-    this.messageResponse = [];
-
-    this._createMessageObserver();
-
-    // Default response values
-    if (options.responseMsg) {
-      if (!Array.isArray(options.responseDefault)) {
-        options.responseDefault = [];
-      }
-      options.responseDefault.splice(this._dataLen); // cut down to the right size
-
-      // Fill rest of array with zeros
-      if (options.responseDefault.length < this._dataLen) {
-        let start = options.responseDefault.length;
-        options.responseDefault[this._dataLen - 1] = 0;
-        options.responseDefault.fill(0, start);
-      }
-    }
-
-    // Set flags
-    if (options.batchMode) {
-      flags |= FLAGS.BATCH;
-    }
-    if (options.responseMsg) {
-      flags |= FLAGS.RESPONSE;
-    }
-
-    // Header
-    header = [
-      flags,
-      options.destination,
-      command
-    ];
-
-    // Lengths
-    if (options.batchMode) {
-      header.push(this.nodeNum);
-      this._fullDataLen = length * this.nodeNum;
-    } else {
-      header.push(1);
+    // Named command
+    if (typeof command === 'string') {
+      let cmd = this.commands.get(command);
+      options = length || {};
+      length = (options.responseMsg) ? cmd.responseLength : cmd.requestLength;
+      command = cmd.code;
     }
-    header.push(length);
-
-    // Send header
-    this._sendBytes([0xFF, 0xFF], false)
-    this._sendBytes(header);
 
-    // Start response timer
-    if (options.responseMsg && command !== CMD.ADDRESS) {
-      this._startResponseTimer();
-    }
+    let message = new BusMessage(command, length, this._parseMessageOptions(options));
+    this._queueMessage(message);
 
-    // Message observer
     return this;
   }
 
   /**
-   * Start dynamically addressing all nodes
+   * Start dynamically addressing all nodes.
+   *
+   * If another message is still in progress, addressing will start once it has completed.
    *
-   * @throws {Error} If a new message is started before the previous one completes
+   * @throws {Error} If no port has been connected
    *
    * @param {number} startFrom (optional) The address to start from.
+   * @param {Object} options (optional) Addressing options:
+   *  + timeout {int}         - Milliseconds to wait for the next address, in place of `timeouts.addressing`
+   *  + reset {boolean}       - Reset all the nodes first, when starting from 0 (default: true)
+   *  + priority {String|int} - The message priority (see `startMessage()`). Addressing is never preempted.
    *
    * @return {DiscoBusMaster} Instance to this object, for chaining
    */
-  startAddressing (startFrom=0) {
-
-    // ERROR. Previous message hasn't finished
-    if (!this._msgDone) {
-      throw new Error('Previous message has not finished.');
-    }
+  startAddressing (startFrom=0, options={}) {
 
     // Check that we have a port object
     if (!this.port) {
       throw new Error('No output port has been defined. See "connectTo()" and "connectWith()"');
     }
 
-    // If starting from 0, we should reset all the nodes first
-    if (startFrom === 0) {
-      this.startMessage(CMD.RESET, 0, { destination: BROADCAST_ADDRESS })
-      .endMessage()
-      .subscribe(
-        (err) => { this._messageObserver.error(err); }
-      );
-    }
-
-    this.nodeNum = startFrom;
-    this.messageResponse = [];
-
-    this._crc = [];
-    this._msgOptions = {};
-    this._msgCommand = CMD.ADDRESS;
-    this._sentLen = 0;
-    this._dataLen = 0;
-    this._fullDataLen = 0;
-    this._addressing = true;
-    this._addressCorrections = 0;
-    this._promiseResolvers = [];
-
-    this.setDaisyLine(false);
-
-    // Start address message
-    this.startMessage(CMD.ADDRESS, 2, { batchMode: true, responseMsg: true });
-
-    // Set daisy and send first address
-    this._drainPromise.then(() => {
-      this.setDaisyLine(true);
-      this._sendBytes(startFrom);
-
-      this._startResponseTimer(); // timeout counter
-    });
-
+    this._queueMessage(this._addressingMessage(startFrom, options));
     return this;
   }
 
   /**
-   * Subscribe to the current message observer stream. (this is a wrapper to `messageSubscription.subscribe`)
+   * Create an addressing message.
+   *
+   * @param {number} startFrom The address to start from
+   * @param {Object} options The options passed to `startAddressing()`
+   *
+   * @return {BusMessage}
+   */
+  _addressingMessage(startFrom, options) {
+    let message = new BusMessage(CMD.ADDRESS, 2, this._parseMessageOptions({
+      batchMode: true,
+      responseMsg: true,
+      timeout: options.timeout,
+      priority: options.priority
+    }));
+    message.addressing = true;
+    message.startFrom = startFrom;
+    message.reset = (startFrom === 0 && options.reset !== false);
+    return message;
+  }
+
+  /**
+   * Subscribe to the observer stream of the last message started.
+   * This doesn't need RxJS.
    *
    * @param {Function} nextCallback     Called with the next value (received data or address)
    * @param {Function} errorCallback    Called when there is an error
@@ -375,25 +503,82 @@ class DiscoBusMaster extends EventEmitter {
    * @return {DiscoBusMaster} Instance to this object, for chaining
    */
   subscribe (nextCallback, errorCallback, completeCallback) {
-    this.messageSubscription.subscribe(nextCallback, errorCallback, completeCallback);
+    this._messageStream.subscribe(nextCallback, errorCallback, completeCallback);
+    return this;
+  }
+
+  /**
+   * A hot RxJS observable (an already connected `ConnectableObservable`) of the progress of the last
+   * message started. Each message, queued or not, gets its own observable.
+   *
+   * RxJS is optional: the adapter (`rx.js`) is only loaded when this is used, and needs `rxjs` to be installed.
+   *
+   * @throws {Error} If RxJS isn't installed
+   *
+   * @type {Observable}
+   */
+  get messageSubscription() {
+    const stream = this._messageStream;
+    if (!stream) {
+      return null;
+    }
+    if (!stream.observable) {
+      stream.observable = loadRxAdapter().toConnectableObservable(stream);
+    }
+    return stream.observable;
+  }
+
+  /**
+   * The number of messages waiting for the current message to finish.
+   *
+   * @type {int}
+   */
+  get queueLength() {
+    return this._queue.length;
+  }
+
+  /**
+   * Choose how the outgoing daisy line is set. By default, it's the port's RTS line.
+   *
+   * ```
+   *  bus.setDaisyDriver('dtr', { invert: true });
+   *  bus.setDaisyDriver('gpio', { chip: 0, line: 17, settle: 2 });
+   *  bus.setDaisyDriver((enabled) => board.setPin(4, enabled));
+   * ```
+   *
+   * @throws {Error} If the driver is unknown or the options are invalid
+   *
+   * @param {String|Function|DaisyDriver} driver 'rts', 'dtr', 'gpio', a function which returns a promise,
+   *                                             or a driver instance.
+   * @param {Object} options (optional) Driver options:
+   *  + invert {boolean} - The line is active low (default: false)
+   *  + settle {int}     - Milliseconds to wait after setting the line, before addressing continues (default: 0)
+   *  + (see `GpioDaisyDriver` for the GPIO options)
+   *
+   * @return {DiscoBusMaster} Instance to this object, for chaining
+   */
+  setDaisyDriver(driver, options) {
+    this.daisyDriver = createDaisyDriver(driver, options);
     return this;
   }
 
   /**
-   * Set's the outgoing daisy line to enabled or disabled, by toggling the port's RTS line.
-   * Override this method to use your own implementation.
+   * Set's the outgoing daisy line to enabled or disabled, with the `daisyDriver`
+   * (the port's RTS line, by default).
    *
    * @param {boolean} enabled Set the daisy line to enabled.
    *
-   * @return {Promise}
+   * @return {Promise} Resolves once the line is set and has settled.
    */
   setDaisyLine(enabled) {
     return new Promise ( (resolve, reject) => {
       if (!this.port) {
         reject('There is no open connection. First connect to a port with connectTo() or connectWith()');
+        return;
       }
 
-      this.port.set({rts:enabled}, err => {
+      this.emit('daisy', !!enabled);
+      this.daisyDriver.set(this.port, enabled, err => {
         if (err) {
           this.emit('error', `Error setting daisy line: ${err}`);
           reject(err);
@@ -412,13 +597,22 @@ class DiscoBusMaster extends EventEmitter {
    * @return {DiscoBusMaster} Instance to this object, for chaining
    */
   sendData(data) {
-    if (this._msgDone) {
-      this.emit('error', 'There is no message to put data in. Call "startMessage()" first.');
+    if (typeof data.length === 'undefined') {
+      data = [data];
+    }
+
+    // Hold on to it until the message is sent
+    let queued = this._openMessage;
+    if (queued && isHeld(queued)) {
+      queued.data.push.apply(queued.data, data);
       return this;
     }
 
-    if (typeof data.length === 'undefined') {
-      data = [data];
+    if (this._msgDone) {
+      if (!this._isAborted()) {
+        this.emit('error', 'There is no message to put data in. Call "startMessage()" first.');
+      }
+      return this;
     }
 
     this._sentLen += data.length;
@@ -444,13 +638,950 @@ class DiscoBusMaster extends EventEmitter {
    */
   endMessage(error=null) {
 
-    if (this._msgDone) {
-      this.emit('error', 'There is no message to end. Call "startMessage()" first.');
+    // The message is still queued, it will be ended once it has been sent
+    let queued = this._openMessage;
+    if (queued && isHeld(queued)) {
+      queued.ended = true;
+      queued.endError = error;
+      this._openMessage = null;
       return this;
     }
 
-    // End addressing message
-    if (this._addressing) {
+    // The message was aborted, and has already been ended
+    if (this._msgDone && this._isAborted()) {
+      return this;
+    }
+
+    return this._endMessage(error);
+  }
+
+  /**
+   * Abort the message in progress, whether it's sending data, waiting for responses or addressing.
+   *
+   * The message observer gets an error right away (promises reject with an 'ABORTED' error) and the
+   * message is wrapped up on the bus, so the nodes stay in sync:
+   *  + Data messages are filled in with zeros and end with an invalid CRC, so the nodes drop them.
+   *  + Response messages don't wait the full timeout for the nodes that haven't started responding yet.
+   *    (the master can't talk over nodes that are still responding) The next message waits until the
+   *    bus has been quiet for a node response timeout, so late responses don't end up in it.
+   *    Nodes which didn't get a chance to respond aren't counted as timeouts.
+   *  + Addressing ends with the usual 0xFF 0xFF and NULL message.
+   *
+   * The daisy line is disabled and the next message in the queue is sent once the message has been
+   * wrapped up. If there is no message in progress, this does nothing.
+   *
+   * @param {String} reason (optional) Why the message was aborted
+   *
+   * @return {DiscoBusMaster} Instance to this object, for chaining
+   */
+  abort(reason='Aborted') {
+    let err = new Error(`Message aborted: ${reason}`);
+    err.code = 'ABORTED';
+    return this._abortMessage(err, reason);
+  }
+
+  /**
+   * Abort the message in progress (see `abort()`).
+   *
+   * @param {Error} err The error to end the message observer with
+   * @param {String} reason Why the message was aborted, for the 'abort' event
+   *
+   * @return {DiscoBusMaster} Instance to this object, for chaining
+   */
+  _abortMessage(err, reason) {
+    const message = this._currentMessage;
+    if (this._msgDone || !message || message.aborted) {
+      return this;
+    }
+
+    message.aborted = true;
+    this._stopResponseTimer();
+    this._messageObserver.error(err);
+    this.emit('abort', { command: message.command, reason: reason });
+
+    // Wait for the rest of the responses, but not for long
+    if (!this._addressing && this._msgOptions.responseMsg && this._responseCount < this._fullDataLen) {
+      this._startResponseTimer();
+    } else {
+      this._endMessage();
+    }
+
+    return this;
+  }
+
+  /**
+   * Send a complete message and wait for it to finish.
+   *
+   * ```
+   *  bus.send(CMD_RGB, [0x00, 0x66, 0x20], { destination: 0x05 })
+   *  .then(() => console.log('sent'));
+   * ```
+   *
+   * @param {number|String} command The message command, or the name of a defined command.
+   * @param {number[]|Object} data The message data. For batchMode, this is an array of data arrays, one for each node.
+   *                               For named commands, this is an object of values (or an array of them, for batchMode).
+   * @param {Object} options The same message options used with `startMessage()`
+   *
+   * @return {MessageHandle} Resolves when the message has been sent, or rejects with an error.
+   *                         Invalid values for named commands are rejected before anything is sent.
+   *                         With `echoCancellation`, bus collisions are rejected with a 'COLLISION' error.
+   */
+  send(command, data, options={}) {
+    return createHandle((handle) => this._send(command, data, options, handle));
+  }
+
+  /**
+   * Send a complete message, for `send()`.
+   *
+   * @param {number|String} command The message command, or the name of a defined command.
+   * @param {number[]|Object} data The message data
+   * @param {Object} options The message options
+   * @param {MessageHandle} handle The handle to pass the message progress on to
+   *
+   * @return {Promise}
+   */
+  _send(command, data, options, handle) {
+    options = Object.assign({}, options, { responseMsg: false });
+
+    // Encode named command values
+    if (typeof command === 'string') {
+      let cmd = this.commands.get(command);
+      data = (options.batchMode)
+        ? data.map((values) => this.commands.encode(cmd.code, values))
+        : this.commands.encode(cmd.code, data);
+      command = cmd.code;
+    }
+
+    let length = data.length;
+
+    // Flatten node data sections into one, equally sized, block
+    if (options.batchMode) {
+      length = data.reduce((len, section) => Math.max(len, section.length), 0);
+      data = data.reduce((all, section) => {
+        let fill = new Array(length - section.length).fill(0);
+        return all.concat(Array.from(section), fill);
+      }, []);
+    }
+
+    return new Promise( (resolve, reject) => {
+      this.startMessage(command, length, options);
+
+      let message = this._openMessage;
+      handle.watch(message.observer);
+      message.subscribe(null, (err) => reject(toError(err)), () => {
+        if (message.collisions.length) reject(collisionError(message));
+        else resolve();
+      });
+
+      this.sendData(data).endMessage();
+    });
+  }
+
+  /**
+   * Send a response message and get the data the node(s) respond with.
+   *
+   * If no destination is set, all nodes will be asked to respond in a batch response message.
+   *
+   * ```
+   *  bus.request(CMD_SENSORS, 2, { destination: 0x09 })
+   *  .then((response) => console.log(response));
+   * ```
+   *
+   * @param {number} command The message command.
+   * @param {number} length The length of the response data (per node, for batch responses)
+   * @param {Object} options The same message options used with `startMessage()`, plus:
+   *  + rejectOnTimeout {boolean} - Reject if a node does not send a full response in time.
+   *                                (default: true, except for batch responses)
+   *  + rejectOnCorrupt {boolean} - Reject if a node's response fails the `responseCrc` check.
+   *                                (default: true, except for batch responses or with `corruptAsMissing`)
+   *  + withInfo {boolean}        - Resolve with `{ response, info }`, where `info` describes how each node
+   *                                responded (see `NodeResponseInfo`). (default: false)
+   *  + retry {Object}            - Override the master's `retryPolicy` for this request.
+   *
+   * Failed responses are retried based on the retry policy. Single node requests are sent again and
+   * batch requests re-query each failed node with its own request and merge in the new responses.
+   *
+   * For named commands (see `defineCommands()`), the length is left out and responses are decoded
+   * into objects: `request('SENSORS', options)`
+   *
+   * With `echoCancellation`, a bus collision while sending the request rejects with a 'COLLISION' error.
+   *
+   * @return {MessageHandle} Resolves with the response bytes for a single node, or an array of response bytes
+   *                         for each node for batch responses.
+   */
+  request(command, length, options={}) {
+    return createHandle((handle) => this._request(command, length, options, handle));
+  }
+
+  /**
+   * Send a response message and get the responses, for `request()`.
+   *
+   * @param {number|String} command The message command, or the name of a defined command.
+   * @param {number|Object} length The length of the response data, or the options for named commands
+   * @param {Object} options The message options
+   * @param {MessageHandle} handle The handle to pass the progress of the request, and its retries, on to
+   *
+   * @return {Promise}
+   */
+  _request(command, length, options, handle) {
+    let decode = (data) => data;
+
+    // Named command
+    if (typeof command === 'string') {
+      let cmd = this.commands.get(command);
+
+      options = length || {};
+      length = cmd.responseLength;
+      command = cmd.code;
+      decode = (data) => this.commands.decode(cmd.code, data);
+    }
+
+    options = Object.assign({}, options, { responseMsg: true });
+
+    const policy = Object.assign({}, this.retryPolicy, options.retry);
+    let batchMode;
+
+    return this._sendRequest(command, length, options, handle)
+    .then((message) => {
+      batchMode = message.options.batchMode;
+
+      let rejectOnTimeout = options.rejectOnTimeout;
+      let rejectOnCorrupt = options.rejectOnCorrupt;
+      if (typeof rejectOnTimeout === 'undefined') {
+        rejectOnTimeout = !batchMode;
+      }
+      if (typeof rejectOnCorrupt === 'undefined') {
+        rejectOnCorrupt = !batchMode && !message.options.corruptAsMissing;
+      }
+
+      let retry = (batchMode)
+        ? this._retryBatchRequest(message, policy, 0)
+        : this._retryRequest(message, policy, 0);
+
+      return retry.then((message) => {
+        let timedOut = message.responseInfo.filter((info) => info.status !== 'received');
+        let corrupted = message.responseInfo.filter((info) => info.corrupt);
+
+        if (message.collisions.length) {
+          throw collisionError(message);
+        }
+        if (rejectOnTimeout && timedOut.length) {
+          let nodes = timedOut.map((info) => info.node).join(', ');
+          let err = new Error(`Timed out waiting for a response from node ${nodes}`);
+          err.code = 'TIMEOUT';
+          throw err;
+        }
+        if (rejectOnCorrupt && corrupted.length) {
+          let nodes = corrupted.map((info) => info.node).join(', ');
+          let err = new Error(`Invalid response CRC from node ${nodes}`);
+          err.code = 'CRC';
+          throw err;
+        }
+        return message;
+      });
+    })
+    .then((message) => {
+      let response, info;
+      if (batchMode) {
+        response = message.response.map((section) => decode(section.slice()));
+        info = message.responseInfo.slice();
+      } else {
+        response = decode(message.response.slice());
+        info = message.responseInfo[0];
+      }
+      return (options.withInfo) ? { response: response, info: info } : response;
+    });
+  }
+
+  /**
+   * Send data which is too large for one message, split up into several fragment messages.
+   * The `DiscoBusNode` handler is called once, with all the data, after the last fragment.
+   *
+   * ```
+   *  bus.sendFragmented(CMD_LOOKUP_TABLE, table, { destination: 0x05 })
+   *  .then(() => console.log('sent'));
+   * ```
+   *
+   * The returned handle, and `messageSubscription` while the data is being sent, cover the whole transfer.
+   * It gets a 'progress' value, `{ fragment, fragments }`, after each fragment has been sent.
+   *
+   * @param {number} command The message command.
+   * @param {number[]} data The message data. For batchMode, this is an array of data arrays, one for each node.
+   * @param {Object} options The same message options used with `send()`, plus:
+   *  + fragmentSize {int} - The number of data bytes in each fragment, up to 252. (default: 252)
+   *
+   * @return {MessageHandle} Resolves when all the fragments have been sent, or rejects with the first error.
+   *                         Data which needs more than 255 fragments, or batch data without a section for
+   *                         each node, is rejected with an 'INVALID_VALUE' error.
+   */
+  sendFragmented(command, data, options={}) {
+    return createHandle((handle) => this._sendFragmented(command, data, options, handle));
+  }
+
+  /**
+   * Send the fragments, for `sendFragmented()`.
+   *
+   * @param {number} command The message command.
+   * @param {number[]} data The message data
+   * @param {Object} options The message options
+   * @param {MessageHandle} handle The handle to pass the transfer progress on to
+   *
+   * @return {Promise}
+   */
+  _sendFragmented(command, data, options, handle) {
+    const size = options.fragmentSize || MAX_FRAGMENT_SIZE;
+    const node = (options.batchMode) ? -1 : (options.destination || BROADCAST_ADDRESS);
+    let frames;
+
+    if (options.batchMode) {
+      frames = splitBatchFragments(data, this.nodeNum, size);
+    } else {
+      frames = splitFragments(data, size);
+    }
+
+    const frameOptions = Object.assign({}, options, { fragment: true });
+    const transfer = new BusTransfer(command, frames.length);
+    handle.watch(transfer.observer);
+
+    const sendFrame = (index) => {
+      return this._transferMessage(transfer, () => this.send(command, frames[index], frameOptions))
+      .then(() => {
+        transfer.observer.next(new BusSubscriberNextVal('progress', { fragment: index + 1, fragments: frames.length }, node));
+        if (index + 1 < frames.length) {
+          return sendFrame(index + 1);
+        }
+        return undefined;
+      });
+    };
+
+    return this._runTransfer(transfer, sendFrame(0));
+  }
+
+  /**
+   * Request responses which are too large for one message. Fragment messages are sent until
+   * each node has sent all the fragments of its response.
+   *
+   * The `DiscoBusNode` handler is called once, for the first fragment, and its response is split up
+   * and sent over the following fragment messages.
+   *
+   * ```
+   *  bus.requestFragmented(CMD_DUMP_CONFIG, { destination: 0x05 })
+   *  .then((config) => console.log(config.length));
+   * ```
+   *
+   * The returned handle, and `messageSubscription` while the transfer is in progress, cover the whole transfer.
+   * It gets a 'progress' value, `{ fragment, fragments }`, after each fragment has been received.
+   *
+   * Fragments are not retried. For batch responses, nodes which fail to respond with a fragment
+   * are given a `null` response.
+   *
+   * @param {number} command The message command.
+   * @param {Object} options The same message options used with `request()`, plus:
+   *  + fragmentSize {int} - The number of response bytes in each fragment, up to 252. (default: 252)
+   *
+   * @return {MessageHandle} Resolves with the response bytes for a single node, or an array of response bytes
+   *                         for each node for batch responses.
+   *                         Responses which are out of sequence are rejected with a 'FRAGMENT' error.
+   */
+  requestFragmented(command, options={}) {
+    return createHandle((handle) => this._requestFragmented(command, options, handle));
+  }
+
+  /**
+   * Request the fragments, for `requestFragmented()`.
+   *
+   * @param {number} command The message command.
+   * @param {Object} options The message options
+   * @param {MessageHandle} handle The handle to pass the transfer progress on to
+   *
+   * @return {Promise}
+   */
+  _requestFragmented(command, options, handle) {
+    const size = options.fragmentSize || MAX_FRAGMENT_SIZE;
+
+    splitFragments([], size); // Validates the size
+
+    const frameOptions = Object.assign({}, options, { fragment: true, withInfo: true, retry: { count: 0 } });
+    const transfer = new BusTransfer(command, 0);
+    handle.watch(transfer.observer);
+    let assemblers = null;
+    let failed = [];
+
+    const requestFrame = (index) => {
+      return this._transferMessage(transfer, () => this.request(command, size + FRAGMENT_HEADER_LEN, frameOptions))
+      .then((result) => {
+        let batchMode = Array.isArray(result.info);
+        let responses = (batchMode) ? result.response : [result.response];
+        let info = (batchMode) ? result.info : [result.info];
+
+        if (!assemblers) {
+          assemblers = responses.map(() => new FragmentAssembler());
+        }
+
+        responses.forEach((section, i) => {
+          if (failed[i] || assemblers[i].complete) return;
+
+          if (info[i].status !== 'received' || info[i].corrupt) {
+            failed[i] = true;
+            return;
+          }
+          try {
+            assemblers[i].push(section);
+          } catch(err) {
+            if (!batchMode) throw err;
+            failed[i] = true;
+          }
+        });
+
+        transfer.fragments = assemblers.reduce((max, assembler) => Math.max(max, assembler.count), 0);
+        transfer.observer.next(new BusSubscriberNextVal('progress', { fragment: index + 1, fragments: transfer.fragments },
+          (batchMode) ? -1 : info[0].node));
+
+        if (assemblers.some((assembler, i) => !failed[i] && !assembler.complete)) {
+          return requestFrame(index + 1);
+        }
+
+        let data = assemblers.map((assembler, i) => (failed[i]) ? null : assembler.data);
+        return (batchMode) ? data : data[0];
+      });
+    };
+
+    return this._runTransfer(transfer, requestFrame(0));
+  }
+
+  /**
+   * Start one of the messages of a transfer, and keep the transfer as the message observer stream.
+   *
+   * @param {BusTransfer} transfer The transfer
+   * @param {Function} start Starts the message and returns a promise
+   *
+   * @return {Promise} The promise returned by `start`
+   */
+  _transferMessage(transfer, start) {
+    let result = start();
+    this._messageStream = transfer.observer;
+    return result;
+  }
+
+  /**
+   * Complete the transfer observer stream when the transfer has finished.
+   *
+   * @param {BusTransfer} transfer The transfer
+   * @param {Promise} promise Resolves when the transfer has finished
+   *
+   * @return {Promise} The same result as `promise`
+   */
+  _runTransfer(transfer, promise) {
+    return promise.then((result) => {
+      transfer.observer.complete();
+      return result;
+    }, (err) => {
+      transfer.observer.error(err);
+      throw err;
+    });
+  }
+
+  /**
+   * Dynamically address all nodes and wait for it to finish.
+   *
+   * @param {number} startFrom (optional) The address to start from.
+   * @param {Object} options (optional) The same options used with `startAddressing()`
+   *
+   * @return {MessageHandle} Resolves with the number of nodes on the bus.
+   */
+  address(startFrom=0, options) {
+    return createHandle((handle) => new Promise( (resolve, reject) => {
+      this.startAddressing(startFrom, options);
+      handle.watch(this._openMessage.observer);
+      this._openMessage.subscribe(null, (err) => reject(toError(err)), () => resolve(this.nodeNum));
+    }));
+  }
+
+  /**
+   * Look for nodes which have been added to the end of the bus.
+   *
+   * This continues addressing from the last node, without resetting the nodes, so the nodes
+   * which are already addressed keep their addresses. Each new node is added to the `registry`
+   * and a `node-added` event is emitted for it.
+   *
+   * ```
+   *  bus.discover().then((added) => console.log(`Found nodes: ${added}`));
+   * ```
+   *
+   * @param {Object} options (optional) Addressing options:
+   *  + timeout {int} - Milliseconds to wait for the next address, in place of `timeouts.addressing`
+   *
+   * @return {MessageHandle} Resolves with the addresses of the new nodes.
+   */
+  discover(options={}) {
+    return createHandle((handle) => new Promise( (resolve, reject) => {
+      if (!this.port) {
+        throw new Error('No output port has been defined. See "connectTo()" and "connectWith()"');
+      }
+
+      let message = this._addressingMessage(this.nodeNum, { timeout: options.timeout, reset: false });
+      message.discovery = true;
+      handle.watch(message.observer);
+      message.subscribe(null, (err) => reject(toError(err)), () => resolve(message.added.slice()));
+      this._queueMessage(message);
+    }));
+  }
+
+  /**
+   * Run `discover()` on a schedule.
+   * Each pass is queued like any other message, and the next one is scheduled once it has finished.
+   *
+   * @param {int} interval Milliseconds between discovery passes
+   * @param {Object} options (optional) The same options used with `discover()`
+   *
+   * @return {DiscoBusMaster} Instance to this object, for chaining
+   */
+  startDiscovery(interval, options={}) {
+    this.stopDiscovery();
+
+    const schedule = () => {
+      this._discoveryTimer = setTimeout(() => {
+        this.discover(options)
+        .catch((err) => this.emit('error', `Discovery failed: ${err.message}`))
+        .then(() => {
+          if (this._discoveryTimer) schedule();
+        });
+      }, interval);
+    };
+    schedule();
+
+    return this;
+  }
+
+  /**
+   * Stop the scheduled discovery passes started with `startDiscovery()`.
+   * A pass that has already been queued will still run.
+   *
+   * @return {DiscoBusMaster} Instance to this object, for chaining
+   */
+  stopDiscovery() {
+    clearTimeout(this._discoveryTimer);
+    this._discoveryTimer = null;
+    return this;
+  }
+
+  /**
+   * Send a response message and wait for it to complete.
+   *
+   * @param {number} command The message command.
+   * @param {number} length The length of the response data
+   * @param {Object} options The message options
+   * @param {MessageHandle} handle (optional) The handle to pass the message progress on to
+   *
+   * @return {Promise} Resolves with the completed BusMessage
+   */
+  _sendRequest(command, length, options, handle) {
+    return new Promise( (resolve, reject) => {
+      this.startMessage(command, length, options);
+
+      let message = this._openMessage;
+      if (handle) {
+        message.handle = handle;
+        handle.watch(message.observer);
+      }
+      message.subscribe(null, (err) => reject(toError(err)), () => resolve(message));
+    });
+  }
+
+  /**
+   * Re-send a request, for a single node, until it gets a good response or runs out of retries.
+   *
+   * @param {BusMessage} message The completed request message
+   * @param {Object} policy The retry policy
+   * @param {int} attempt The number of retries so far
+   *
+   * @return {Promise} Resolves with the last request message
+   */
+  _retryRequest(message, policy, attempt) {
+    let info = message.responseInfo[0];
+    let reason = this._getRetryReason(info, policy);
+
+    if (!reason || attempt >= policy.count) {
+      return Promise.resolve(message);
+    }
+
+    this.emit('retry', { command: message.command, node: info.node, attempt: attempt + 1, reason: reason });
+    return retryDelay(policy, attempt)
+    .then(() => this._sendRequest(message.command, message.length, message.options, message.handle))
+    .then((retried) => this._retryRequest(retried, policy, attempt + 1));
+  }
+
+  /**
+   * Re-query the nodes which failed a batch request, with unicast requests, and
+   * merge their responses into the batch response.
+   *
+   * @param {BusMessage} message The completed batch request message
+   * @param {Object} policy The retry policy
+   * @param {int} attempt The number of retries so far
+   *
+   * @return {Promise} Resolves with the batch request message
+   */
+  _retryBatchRequest(message, policy, attempt) {
+    let failed = [];
+
+    message.responseInfo.forEach((info, i) => {
+      let reason = this._getRetryReason(info, policy);
+      if (reason) {
+        failed.push({ index: i, node: info.node, reason: reason });
+      }
+    });
+
+    if (!failed.length || attempt >= policy.count) {
+      return Promise.resolve(message);
+    }
+
+    return retryDelay(policy, attempt)
+    .then(() => {
+      let requests = failed.map((f) => {
+        let options = Object.assign({}, message.options, { batchMode: false, destination: f.node });
+
+        this.emit('retry', { command: message.command, node: f.node, attempt: attempt + 1, reason: f.reason });
+        return this._sendRequest(message.command, message.length, options, message.handle)
+        .then((retried) => {
+          let info = retried.responseInfo[0];
+
+          // Only replace the batch response with a good one
+          if (!this._getRetryReason(info, policy)) {
+            message.response[f.index] = retried.response.slice();
+            message.responseInfo[f.index] = info;
+          }
+        });
+      });
+      return Promise.all(requests);
+    })
+    .then(() => this._retryBatchRequest(message, policy, attempt + 1));
+  }
+
+  /**
+   * Check if a node's response should be retried.
+   *
+   * @param {NodeResponseInfo} info The node's response info
+   * @param {Object} policy The retry policy
+   *
+   * @return {String} The reason to retry ('timeout', 'partial' or 'crc'), or null
+   */
+  _getRetryReason(info, policy) {
+    let reason = null;
+
+    if (!info) {
+      return null;
+    }
+    if (info.status === 'default') {
+      reason = 'timeout';
+    } else if (info.status === 'partial') {
+      reason = 'partial';
+    } else if (info.corrupt) {
+      reason = 'crc';
+    }
+
+    return (reason && policy.on.indexOf(reason) > -1) ? reason : null;
+  }
+
+  /**
+   * Merge the message options with the defaults and verify they're valid.
+   *
+   * @throws {Error} If the options are not valid
+   *
+   * @param {Object} options The message options passed to `startMessage()`
+   *
+   * @return {Object} The full message options
+   */
+  _parseMessageOptions(options) {
+    const defaultOptions = {
+      destination: BROADCAST_ADDRESS,
+      batchMode: false,
+      responseMsg: false,
+      responseDefault:[0],
+      responseCrc: false,
+      corruptAsMissing: false,
+      fragment: false
+    };
+
+    options = Object.assign({}, defaultOptions, options);
+    options.priority = parsePriority(options.priority);
+
+    // If we're requesting a response from all nodes, we're a batch message
+    if (options.responseMsg && options.destination === BROADCAST_ADDRESS && options.batchMode === false) {
+      options.batchMode = true;
+    }
+
+    // Can't pass a destination address in batch mode
+    if (options.batchMode && options.destination !== BROADCAST_ADDRESS) {
+      throw new Error('Cannot give a message a destination and set batchMode to true.')
+    }
+
+    if (typeof options.timeout !== 'undefined' && !(options.timeout > 0)) {
+      throw new Error(`Invalid message timeout: ${options.timeout}`);
+    }
+
+    if (typeof options.maxWait !== 'undefined' && !(options.maxWait > 0)) {
+      throw new Error(`Invalid message maxWait: ${options.maxWait}`);
+    }
+
+    return options;
+  }
+
+  /**
+   * Add a message to the queue, behind the messages with the same or higher priority, and send it
+   * if the bus is free.
+   *
+   * @param {BusMessage} message The message to queue
+   */
+  _queueMessage(message) {
+    const priority = message.options.priority;
+
+    this._messageStream = message.observer;
+    this._openMessage = message;
+    message.queuedAt = Date.now();
+
+    let index = this._queue.length;
+    while (index > 0 && this._queue[index - 1].options.priority < priority) {
+      index--;
+    }
+    this._queue.splice(index, 0, message);
+
+    if (message.options.maxWait) {
+      message.waitTimer = setTimeout(() => this._dropStarved(message), message.options.maxWait);
+    }
+
+    this._preemptFor(message);
+    this._processQueue();
+  }
+
+  /**
+   * Cut short the message in progress for a critical message, if it's a lower priority response message.
+   *
+   * Only response messages are preempted: the master is only waiting for the nodes, so it can wrap the
+   * message up safely (see `abort()`). Data messages are still being written by their sender, and
+   * addressing would leave the nodes half addressed.
+   *
+   * @param {BusMessage} message The message that was queued
+   */
+  _preemptFor(message) {
+    const current = this._currentMessage;
+
+    if (!this.preemption || message.options.priority !== PRIORITY.CRITICAL) return;
+    if (!current || this._msgDone || current.addressing || !current.options.responseMsg) return;
+    if (current.options.priority >= PRIORITY.CRITICAL) return;
+
+    let err = new Error(`Message preempted by critical command 0x${message.command.toString(16)}`);
+    err.code = 'PREEMPTED';
+    this._abortMessage(err, 'Preempted');
+  }
+
+  /**
+   * Drop a message which has waited longer than its `maxWait` in the queue.
+   *
+   * @param {BusMessage} message The queued message
+   */
+  _dropStarved(message) {
+    let index = this._queue.indexOf(message);
+    if (index === -1) return;
+
+    let waited = Date.now() - message.queuedAt;
+    let err = new Error(`Message starved: waited ${waited}ms in the queue`);
+    err.code = 'STARVED';
+
+    this._queue.splice(index, 1);
+    message.state = 'dropped';
+    message.observer.error(err);
+    this.emit('starved', { command: message.command, priority: message.options.priority, waited: waited });
+  }
+
+  /**
+   * Send the next message in the queue, unless a message is still in progress.
+   */
+  _processQueue() {
+    if (this._currentMessage || this._queue.length === 0) return;
+
+    let message = this._queue.shift();
+    clearTimeout(message.waitTimer);
+    message.startedAt = Date.now();
+    if (message.addressing) {
+      this._beginAddressing(message);
+    } else {
+      this._beginMessage(message);
+    }
+
+    // Send everything that was held while the message was queued
+    if (message.data.length) {
+      this.sendData(message.data);
+    }
+    if (message.ended) {
+      this._endMessage(message.endError);
+    }
+  }
+
+  /**
+   * Put a message on the bus by sending the message header.
+   *
+   * @param {BusMessage} message The message to start
+   */
+  _beginMessage(message) {
+    const command = message.command;
+    const length = message.length;
+    const options = message.options;
+
+    let flags = 0;
+    let header = [];
+
+    message.state = 'active';
+    this._currentMessage = message;
+    this._messageObserver = message.observer;
+
+    this._msgDone = false;
+    this._bytesInFlight = 0;
+    this._crc = [];
+    this._msgOptions = options;
+    this._msgCommand = command;
+    this._dataLen = length;
+    this._slotLen = length;
+    this._slot = [];
+    this._responseCount = 0;
+    this._sentLen = 0;
+    this._promiseResolvers = [];
+
+    this.messageResponse = [];
+    this.messageResponseInfo = [];
+    message.response = this.messageResponse;
+    message.responseInfo = this.messageResponseInfo;
+
+    // Default response values
+    if (options.responseMsg) {
+      if (!Array.isArray(options.responseDefault)) {
+        options.responseDefault = [];
+      }
+      options.responseDefault.splice(this._dataLen); // cut down to the right size
+
+      // Fill rest of array with zeros
+      if (options.responseDefault.length < this._dataLen) {
+        let start = options.responseDefault.length;
+        options.responseDefault[this._dataLen - 1] = 0;
+        options.responseDefault.fill(0, start);
+      }
+    }
+
+    // Set flags
+    if (options.batchMode) {
+      flags |= FLAGS.BATCH;
+    }
+    if (options.responseMsg) {
+      flags |= FLAGS.RESPONSE;
+    }
+    if (options.responseMsg && options.responseCrc) {
+      flags |= FLAGS.RESPONSE_CRC;
+      this._slotLen += RESPONSE_CRC_LEN;
+    }
+    if (options.fragment) {
+      flags |= FLAGS.FRAGMENT;
+    }
+
+    // Header
+    header = [
+      flags,
+      options.destination,
+      command
+    ];
+
+    // Lengths
+    if (options.batchMode) {
+      header.push(this.nodeNum);
+      this._fullDataLen = this._slotLen * this.nodeNum;
+    } else {
+      header.push(1);
+      this._fullDataLen = this._slotLen;
+    }
+    header.push(length);
+
+    // Send header
+    this._sendBytes([0xFF, 0xFF], false)
+    this._sendBytes(header);
+
+    // Start response timer
+    if (options.responseMsg && command !== CMD.ADDRESS) {
+      this._slotStart = Date.now();
+      this._startResponseTimer();
+    }
+  }
+
+  /**
+   * Put the addressing message on the bus and send the first address.
+   *
+   * @param {BusMessage} message The addressing message to start
+   */
+  _beginAddressing(message) {
+
+    // Discovery continues from wherever the last addressing finished
+    if (message.discovery) {
+      message.startFrom = this.nodeNum;
+    }
+    const startFrom = message.startFrom;
+
+    // If starting from 0, we should reset all the nodes first
+    if (message.reset) {
+      let reset = new BusMessage(CMD.RESET, 0, this._parseMessageOptions({
+        destination: BROADCAST_ADDRESS
+      }));
+      reset.subscribe(null, (err) => { message.observer.error(err); });
+
+      this._beginMessage(reset);
+      this._endMessage();
+    }
+
+    this.nodeNum = startFrom;
+    this.messageResponse = [];
+
+    this._crc = [];
+    this._msgOptions = {};
+    this._msgCommand = CMD.ADDRESS;
+    this._sentLen = 0;
+    this._dataLen = 0;
+    this._fullDataLen = 0;
+    this._addressing = true;
+    this._addressCorrections = 0;
+    this._promiseResolvers = [];
+
+    this.setDaisyLine(false);
+
+    // Start address message
+    this._beginMessage(message);
+
+    // Set daisy, wait for it to settle, and send first address
+    this._drainPromise
+    .then(() => {
+      if (!message.aborted) return this.setDaisyLine(true);
+    })
+    .catch(() => {}) // Errors are emitted by setDaisyLine
+    .then(() => {
+      if (message.aborted) return;
+      this._sendBytes(startFrom);
+
+      this._startResponseTimer(); // timeout counter
+    });
+  }
+
+  /**
+   * Finish the current message and send the CRC bytes.
+   *
+   * @param {String} error (optional) An error to send to the message observer `error` handler.
+   *
+   * @return {DiscoBusMaster} Instance to this object, for chaining
+   */
+  _endMessage(error=null) {
+
+    if (this._msgDone) {
+      this.emit('error', 'There is no message to end. Call "startMessage()" first.');
+      return this;
+    }
+
+    // End addressing message
+    const addressing = this._addressing;
+    if (addressing) {
       this._addressing = false;
 
       // Send 0xFF twice, if not already
@@ -469,7 +1600,7 @@ class DiscoBusMaster extends EventEmitter {
     }
 
     // Can't end response message until all responses have been received
-    if(this._msgOptions.responseMsg && this._responseCount < this._fullDataLen) {
+    if(!addressing && this._msgOptions.responseMsg && this._responseCount < this._fullDataLen) {
       this.emit('error', 'Cannot end the message until all responses have been received.');
       return this;
     }
@@ -481,12 +1612,17 @@ class DiscoBusMaster extends EventEmitter {
       this.sendData(fill);
     }
 
-    // Add CRC
+    // Send and resolve
+    let obs = this._messageObserver;
+    let message = this._currentMessage;
+
+    // Add CRC (invalid for aborted messages, so the nodes drop them)
     let crcValue = crc.crc16modbus(this._crc, 0xFFFF);
+    if (message.aborted && !addressing) {
+      crcValue ^= 0xFFFF;
+    }
     let crcBytes = this._convert16bitTo8(crcValue);
 
-    // Send and resolve
-    let obs = this._messageObserver;
     this._sendBytes(crcBytes, false)
     .catch((sendErr) => {
       let errMsg = `Error sending data: ${sendErr}`;
@@ -498,34 +1634,63 @@ class DiscoBusMaster extends EventEmitter {
       if (error) {
         this.emit('error', error);
         obs.error(error);
-        return this;
       }
 
       // Completed
       else {
         obs.complete();
       }
+
+      this._finishMessage(message);
     });
 
     // Reset daisy and clean up
     this.setDaisyLine(false);
     this._msgDone = true;
+    if (this._openMessage === message) {
+      this._openMessage = null;
+    }
 
     return this;
   }
 
   /**
-   * Create a hot observer for the current message
+   * Called once a message has been completely sent, to move on to the next message in the queue.
+   *
+   * @param {BusMessage} message The message that finished
    */
-  _createMessageObserver() {
-    let source = Observable.create( (obs) => {
-      this._messageObserver = obs;
-    });
+  _finishMessage(message) {
+    message.state = 'done';
 
-    this.messageSubscription = source.publish();
-    this.messageSubscription.connect();
+    // An aborted message was filled in without waiting for the nodes, so those aren't timeouts
+    let responses = message.responseInfo;
+    if (message.aborted) {
+      responses = responses.filter((info) => info.status !== 'default');
+    }
+
+    // Update the node registry
+    if (message.addressing) {
+      if (message.reset) {
+        this.registry.addressingComplete(this.nodeNum, message.startFrom);
+      }
+    } else {
+      responses.forEach((info) => {
+        this.registry.recordResponse(info);
+        if (info.latency !== null) {
+          this.adaptiveTiming.record(message.command, info.latency);
+        }
+      });
+    }
+    this.metrics.recordMessage(message, responses);
+
+    if (this._currentMessage !== message) return;
 
-    return this.messageSubscription;
+    if (message.aborted && !message.addressing && message.options.responseMsg) {
+      this._settleBus();
+    } else {
+      this._currentMessage = null;
+      this._processQueue();
+    }
   }
 
 
@@ -535,7 +1700,32 @@ class DiscoBusMaster extends EventEmitter {
    * @param {Buffer} data A buffer of new data from the serial connection
    */
   _handleData(data) {
-    if (this._msgDone) return;
+    this.emit('read', data);
+    this.metrics.recordReceived(data.length);
+
+    // Remove the echo of what we sent
+    if (this.echoCancellation.enabled) {
+      data = this._removeEcho(data);
+      if (!data.length) return;
+    }
+
+    this._bytesInFlight = 0;
+
+    // Late responses to an aborted message
+    if (this._settleTimer) {
+      this._settleBus();
+      return;
+    }
+
+    // Nothing should be sending between messages, or during messages without responses
+    if (this._msgDone) {
+      this.noise.record('idle', this._skipOwnBytes(data));
+      return;
+    }
+    if (!this._addressing && !this._msgOptions.responseMsg) {
+      this.noise.record('unsolicited', this._skipOwnBytes(data), this._msgCommand);
+      return;
+    }
 
     this._restartResponseTimer();
 
@@ -546,9 +1736,18 @@ class DiscoBusMaster extends EventEmitter {
 
       // Verify it's 1 larger than the last address
       if (addr == expectedAddr) {
+        if (this._timerStartedAt) {
+          this.adaptiveTiming.record(CMD.ADDRESS, Date.now() - this._timerStartedAt);
+        }
         this.nodeNum++;
         this._addressCorrections = 0;
         this._sendBytes(this.nodeNum); // confirm address
+        this._restartResponseTimer(); // once the confirmation has been sent
+        let node = this.registry.addressed(this.nodeNum);
+        if (this._currentMessage.discovery) {
+          this._currentMessage.added.push(this.nodeNum);
+          this.emit('node-added', node);
+        }
         this._messageObserver.next(new BusSubscriberNextVal(
           'addressing',
           this.nodeNum,
@@ -558,10 +1757,11 @@ class DiscoBusMaster extends EventEmitter {
       // Invalid address
       else {
         this._addressCorrections++;
+        this.metrics.recordAddressCorrection();
 
         // Max tries, end in error
         if (this._addressCorrections > MAX_ADDRESS_CORRECTIONS) {
-          this.endMessage('maximum address corrections');
+          this._endMessage('maximum address corrections');
         }
         // Address correction: send 0x00 followed by last valid address
         else {
@@ -569,20 +1769,128 @@ class DiscoBusMaster extends EventEmitter {
           this._messageObserver.next(new BusSubscriberNextVal('error', errMsg));
           this.emit('error', errMsg);
 
-          this._sendBytes(0x00);
-          this._sendBytes(this.nodeNum);
-        }
+          this._sendBytes(0x00);
+          this._sendBytes(this.nodeNum);
+          this._restartResponseTimer();
+        }
+      }
+    }
+    // Response data
+    else if (this._msgOptions.responseMsg) {
+      let room = this._fullDataLen - this._responseCount;
+      if (data.length > room) {
+        this.noise.record('overflow', data.slice(Math.max(room, 0)), this._msgCommand);
+      }
+
+      this._pushDataToResponse(data);
+
+      // End message if we've received everything
+      if (this._responseCount >= this._fullDataLen) {
+        this._endMessage();
+      }
+    }
+  }
+
+  /**
+   * Remove the echo of the bytes we've sent from the incoming data.
+   * Any echoed byte that doesn't match what was sent is a bus collision.
+   *
+   * @param {Buffer} data The incoming data
+   *
+   * @return {Buffer} The data left over, from the nodes
+   */
+  _removeEcho(data) {
+    const queue = this._echoQueue;
+    const now = Date.now();
+    let remaining = [];
+
+    // Drop echoes that never arrived
+    while (queue.length && now - Math.max(queue[0].time, this._echoSeen) > this.echoCancellation.timeout) {
+      let lost = queue.shift();
+      this.emit('error', `No echo received for ${lost.bytes.length} bytes sent`);
+    }
+
+    for (let i = 0; i < data.length; i++) {
+      if (!queue.length) {
+        remaining.push(data[i]);
+        continue;
+      }
+
+      let echo = queue[0];
+      let expected = echo.bytes.shift();
+      if (!echo.bytes.length) {
+        queue.shift();
+      }
+
+      this._echoSeen = now;
+      if (data[i] !== expected) {
+        this._handleCollision(echo.message, expected, data[i]);
+      }
+    }
+
+    return Buffer.from(remaining);
+  }
+
+  /**
+   * Without echo cancellation, skip the leading bytes which match what the master recently sent,
+   * so the echo from a half-duplex adapter isn't counted as noise.
+   *
+   * @param {Buffer} data The incoming data
+   *
+   * @return {Buffer} The data which isn't an echo
+   */
+  _skipOwnBytes(data) {
+    const sent = this._sentBytes;
+    const now = Date.now();
+    let i = 0;
+
+    while (sent.length && now - sent[0].time > this.echoCancellation.timeout) {
+      sent.shift();
+    }
+
+    while (i < data.length && sent.length) {
+      let echo = sent[0];
+      if (data[i] !== echo.bytes[0]) {
+        // Not an echo, so it's not going to arrive
+        sent.length = 0;
+        break;
+      }
+
+      echo.bytes.shift();
+      if (!echo.bytes.length) {
+        sent.shift();
       }
+      i++;
     }
-    // Response data
-    else if (this._msgOptions.responseMsg) {
-      this._pushDataToResponse(data);
 
-      // End message if we've received everything
-      if (this._responseCount >= this._fullDataLen) {
-        this.endMessage();
+    return data.slice(i);
+  }
+
+  /**
+   * The echo of a byte we sent doesn't match, something else was sending at the same time.
+   *
+   * @param {BusMessage} message The message the byte was sent for
+   * @param {int} expected The byte sent
+   * @param {int} received The echo received
+   */
+  _handleCollision(message, expected, received) {
+    let errMsg = `Bus collision: sent 0x${hexByte(expected)} but received 0x${hexByte(received)}`;
+    this.metrics.recordCollision();
+
+    if (message) {
+      message.collisions.push({ expected: expected, received: received });
+
+      if (message === this._currentMessage && !this._msgDone) {
+        this._messageObserver.next(new BusSubscriberNextVal('error', errMsg));
       }
     }
+
+    this.emit('error', errMsg);
+    this.emit('collision', {
+      expected: expected,
+      received: received,
+      command: (message) ? message.command : null
+    });
   }
 
   /**
@@ -593,13 +1901,13 @@ class DiscoBusMaster extends EventEmitter {
 
     // Addressing timeout
     if (this._addressing) {
-      this.endMessage();
+      this._endMessage();
     }
     // Response message
     else if (this._msgOptions.responseMsg) {
       let dataDone = this._fillNextResponse();
       if (dataDone) {
-        this.endMessage();
+        this._endMessage();
       } else {
         this._drainPromise.then(() => {
           this._restartResponseTimer();
@@ -617,31 +1925,72 @@ class DiscoBusMaster extends EventEmitter {
    * @returns {Boolean} Returns `true` if all the data sections for this message has been sent.
    */
   _fillNextResponse() {
+    if (this._msgOptions.responseCrc) {
+      return this._fillNextSlot();
+    }
+
     let buff = this.messageResponse;
+    let node = this._msgOptions.destination;
 
     if (this._msgOptions.batchMode) {
       let index = this._getResponseNodeIndex();
       buff = this.messageResponse[index] || [];
+      node = index + 1;
     }
 
     // Fill in missing node message data
     let fill = this._msgOptions.responseDefault.slice(buff.length);
     if (fill.length > 0) {
-      this._pushDataToResponse(Buffer.from(fill));
-      this._sendBytes(fill);
+      this._currentMessage.timedOut.push(node);
+      this._pushDataToResponse(Buffer.from(fill), true);
+      this._sendBytes(fill, false);
+    }
+
+    return (this._responseCount >= this._fullDataLen);
+  }
+
+  /**
+   * Fill in the rest of the current node's response slot, for `responseCrc` messages.
+   * The slot is completed with default response data and a valid CRC, so the nodes still
+   * following the message stay in sync.
+   *
+   * @returns {Boolean} Returns `true` if all the data sections for this message has been sent.
+   */
+  _fillNextSlot() {
+    if (this._responseCount >= this._fullDataLen) {
+      return true;
     }
 
+    let slot = this._slot;
+    let data = slot.slice(0, this._dataLen);
+    data = data.concat(this._msgOptions.responseDefault.slice(data.length));
+
+    let crcBytes = this._convert16bitTo8(crc.crc16modbus(data, 0xFFFF));
+    let fill = data.concat(crcBytes).slice(slot.length);
+
+    this._currentMessage.timedOut.push(this._getSlotNode());
+    this._pushDataToResponse(Buffer.from(fill), true);
+    this._sendBytes(fill, false);
+
     return (this._responseCount >= this._fullDataLen);
   }
 
   /**
-   * Push received data to the proper sections in the reponse object
+   * Push received data to the proper sections in the reponse object.
+   * The response data is part of the message, so it's also added to the CRC.
    *
    * @param {Buffer} data The data to push to the response arrays
+   * @param {boolean} filled The data is default response data, filled in by the master
    */
-  _pushDataToResponse(data) {
+  _pushDataToResponse(data, filled=false) {
     if (this._msgDone) return;
 
+    // Responses are checked once each node's slot is complete
+    if (this._msgOptions.responseCrc) {
+      this._pushDataToSlot(data, filled);
+      return;
+    }
+
     // Break it up across node arrays
     if (this._msgOptions.batchMode) {
       for (let i = 0; i < data.length; i++) {
@@ -649,16 +1998,22 @@ class DiscoBusMaster extends EventEmitter {
         let byte = data.readUInt8(i);
         let n = this._getResponseNodeIndex();
 
-        if (n === -1) return; // Response buffer full)
+        if (n === -1 || this._responseCount >= this._fullDataLen) return; // Response buffer full
         buff = this.messageResponse[n];
         buff.push(byte);
+        this._crc.push(byte);
+
+        let info = this._getResponseInfo(n);
+        this._trackResponseByte(info, filled);
 
         // Full node message, inform the observable
         if (buff.length === this._dataLen) {
+          this._completeResponseInfo(info, this._dataLen);
           this._messageObserver.next(new BusSubscriberNextVal(
             "response",
             buff,
-            n
+            n,
+            info
           ));
         }
 
@@ -673,11 +2028,20 @@ class DiscoBusMaster extends EventEmitter {
 
         for (let i = 0; i < data.length; i++) {
           let byte = data.readUInt8(i);
+          let info = this._getResponseInfo(0);
+
           this.messageResponse.push(byte);
+          this._crc.push(byte);
+          this._trackResponseByte(info, filled);
+          if (this.messageResponse.length === this._fullDataLen) {
+            this._completeResponseInfo(info, this._fullDataLen);
+          }
+
           this._messageObserver.next(new BusSubscriberNextVal(
             "response",
             byte,
-            this._msgOptions.destination
+            this._msgOptions.destination,
+            info
           ));
           this._responseCount++;
         }
@@ -685,6 +2049,156 @@ class DiscoBusMaster extends EventEmitter {
     }
   }
 
+  /**
+   * Collect received data into the current node's response slot, for `responseCrc` messages.
+   *
+   * @param {Buffer} data The received data
+   * @param {boolean} filled The data is default response data, filled in by the master
+   */
+  _pushDataToSlot(data, filled) {
+    for (let i = 0; i < data.length; i++) {
+      if (this._responseCount >= this._fullDataLen) return; // Response buffer full
+
+      let byte = data.readUInt8(i);
+      this._slot.push(byte);
+      this._crc.push(byte);
+      this._responseCount++;
+      this._trackResponseByte(this._getResponseInfo(this._getSlotIndex()), filled);
+
+      if (this._slot.length === this._slotLen) {
+        this._completeSlot(filled);
+      }
+    }
+  }
+
+  /**
+   * Verify the CRC of a full node response slot and add the data to the response.
+   *
+   * @param {boolean} filled The slot was completed with default response data
+   */
+  _completeSlot(filled) {
+    const options = this._msgOptions;
+    let slot = this._slot;
+    let data = slot.slice(0, this._dataLen);
+    let node = this._getSlotNode();
+    let info = this._getResponseInfo(this._getSlotIndex());
+
+    this._completeResponseInfo(info, this._slotLen);
+
+    // Filled in slots were never sent by the node, so there's nothing to verify
+    if (!filled) {
+      let received = (slot[this._dataLen] << 8) | slot[this._dataLen + 1];
+
+      if (crc.crc16modbus(data, 0xFFFF) !== received) {
+        let errMsg = `Invalid response CRC from node ${node}`;
+        info.corrupt = true;
+        this._currentMessage.corrupted.push(node);
+        this._messageObserver.next(new BusSubscriberNextVal('error', errMsg, node));
+
+        // Corrupted responses are part of life on a bus, and the message reports them,
+        // so they shouldn't throw when nothing listens for errors
+        if (this.listenerCount('error')) {
+          this.emit('error', errMsg);
+        }
+
+        if (options.corruptAsMissing) {
+          data = options.responseDefault.slice();
+        }
+      }
+    }
+
+    this._slot = [];
+
+    // Add to response
+    if (options.batchMode) {
+      let index = this.messageResponse.length;
+      this.messageResponse.push(data);
+      this._messageObserver.next(new BusSubscriberNextVal("response", data, index, info));
+    } else {
+      data.forEach((byte) => {
+        this.messageResponse.push(byte);
+        this._messageObserver.next(new BusSubscriberNextVal("response", byte, options.destination, info));
+      });
+    }
+  }
+
+  /**
+   * Get the index, in the response, of the current response slot.
+   *
+   * @return {number}
+   */
+  _getSlotIndex() {
+    return (this._msgOptions.batchMode) ? this.messageResponse.length : 0;
+  }
+
+  /**
+   * Get the address of the node that should be responding in the current response slot.
+   *
+   * @return {number}
+   */
+  _getSlotNode() {
+    if (this._msgOptions.batchMode) {
+      return this.messageResponse.length + 1;
+    }
+    return this._msgOptions.destination;
+  }
+
+  /**
+   * Get the response info for a node's section of the response, creating it if it doesn't exist yet.
+   *
+   * @param {number} index The index of the response section (always 0 for non-batch messages)
+   *
+   * @return {NodeResponseInfo}
+   */
+  _getResponseInfo(index) {
+    let info = this.messageResponseInfo[index];
+    if (!info) {
+      let node = (this._msgOptions.batchMode) ? index + 1 : this._msgOptions.destination;
+      info = new NodeResponseInfo(node, this._slotStart);
+      this.messageResponseInfo[index] = info;
+    }
+    return info;
+  }
+
+  /**
+   * Track a response byte for a node, unless it's default data being filled in by the master.
+   *
+   * @param {NodeResponseInfo} info The node's response info
+   * @param {boolean} filled The byte is default response data, filled in by the master
+   */
+  _trackResponseByte(info, filled) {
+    if (filled) return;
+
+    if (info.received === 0) {
+      info.firstByteAt = Date.now();
+      info.latency = info.firstByteAt - info.startedAt;
+    }
+    info.received++;
+  }
+
+  /**
+   * A node's section of the response is full, so set its final status.
+   * The next node's response starts now.
+   *
+   * @param {NodeResponseInfo} info The node's response info
+   * @param {number} expected The number of bytes the node was expected to send
+   */
+  _completeResponseInfo(info, expected) {
+    let now = Date.now();
+
+    info.completedAt = now;
+    info.duration = now - info.startedAt;
+    if (info.received >= expected) {
+      info.status = 'received';
+    } else if (info.received > 0) {
+      info.status = 'partial';
+    } else {
+      info.status = 'default';
+    }
+
+    this._slotStart = now;
+  }
+
   /**
    * Return the message response node index we're currently processing.
    * For messages that are not batch mode (single message responses) this will always be 0.
@@ -722,17 +2236,100 @@ class DiscoBusMaster extends EventEmitter {
    * Start the timeout counter for addressing or node responses.
    */
   _startResponseTimer() {
-    let timeout = (this._addressing) ? this.timeouts.addressing : this.timeouts.nodeResponse;
+    let timeout = this._responseTimeout();
 
     this._stopResponseTimer();
     if (this._msgDone) return;
 
     // Start timer once data has sent
     this._drainPromise.then(() => {
+      this._stopResponseTimer(); // in case the timer was restarted before the last data was sent
+      this._timerStartedAt = Date.now();
       this._responseTimer = setTimeout(this._handleResponseTimeout.bind(this), timeout);
     });
   }
 
+  /**
+   * Get the addressing or node response timeout for the current message.
+   * Aborted messages barely wait for nodes which haven't started responding.
+   *
+   * @return {int} Milliseconds
+   */
+  _responseTimeout() {
+
+    // Once aborted, only wait the full timeout for a node which is in the middle of its response
+    if (this._isAborted() && !this._isMidResponse()) {
+      return Math.max(ABORT_RESPONSE_TIMEOUT, this.adaptiveTiming.minimum(this._bytesInFlight) || 0);
+    }
+    return this._nodeResponseTimeout();
+  }
+
+  /**
+   * Get the full addressing or node response timeout for the current message.
+   * In order: the message `timeout` option, the command timeout, adaptive timing or the default timeout.
+   *
+   * @return {int} Milliseconds
+   */
+  _nodeResponseTimeout() {
+    const command = (this._addressing) ? CMD.ADDRESS : this._msgCommand;
+    const fallback = (this._addressing) ? this.timeouts.addressing : this.timeouts.nodeResponse;
+    const commandTimeout = this.timeouts.commands && this.timeouts.commands[command];
+
+    if (this._msgOptions.timeout) {
+      return this._msgOptions.timeout;
+    }
+    if (commandTimeout) {
+      return commandTimeout;
+    }
+    if (this.adaptiveTiming.enabled) {
+      return this.adaptiveTiming.timeout(command, this._bytesInFlight, fallback);
+    }
+    return fallback;
+  }
+
+  /**
+   * @return {boolean} The current message has been aborted
+   */
+  _isAborted() {
+    return !!(this._currentMessage && this._currentMessage.aborted);
+  }
+
+  /**
+   * @return {boolean} The node whose turn it is to respond has sent part of its response
+   */
+  _isMidResponse() {
+    if (this._addressing || !this._msgOptions.responseMsg) return false;
+
+    let index = 0;
+    if (this._msgOptions.responseCrc) {
+      index = this._getSlotIndex();
+    } else if (this._msgOptions.batchMode) {
+      index = this._getResponseNodeIndex();
+    }
+
+    let info = this.messageResponseInfo[index];
+    return !!(info && info.status === 'pending' && info.received > 0);
+  }
+
+  /**
+   * Wait for the bus to go quiet after an aborted response message, before moving on to the next message.
+   * Nodes that hadn't started responding when the message was aborted may still send their response,
+   * and it can't end up in the next message. Anything received in the meantime is dropped.
+   *
+   * The bus is quiet once nothing has been received for the command's node response timeout.
+   * (not the message `timeout` option, which is often long for messages that might be aborted)
+   */
+  _settleBus() {
+    const commandTimeout = this.timeouts.commands && this.timeouts.commands[this._msgCommand];
+
+    clearTimeout(this._settleTimer);
+    this._settleTimer = setTimeout(() => {
+      this._settleTimer = null;
+      this._currentMessage = null;
+      this._processQueue();
+    }, commandTimeout || this.timeouts.nodeResponse);
+  }
+
   /**
    * Resets the message response timeout timer.
    */
@@ -769,10 +2366,33 @@ class DiscoBusMaster extends EventEmitter {
         buff = Buffer.from([values]);
       }
 
+      // Remember what we sent, to remove it from the incoming data
+      if (this.echoCancellation.enabled) {
+        this._echoQueue.push({ bytes: Array.from(buff), message: this._currentMessage, time: Date.now() });
+      }
+      else {
+        this._sentBytes.push({ bytes: Array.from(buff), time: Date.now() });
+      }
+
+      this.emit('write', buff);
+      this.metrics.recordSent(buff.length);
+
+      // Only count the bytes until they've drained
+      let inFlight = buff.length;
+      const drained = () => {
+        this._bytesInFlight = Math.max(0, this._bytesInFlight - inFlight);
+        inFlight = 0;
+      };
+      this._bytesInFlight += inFlight;
+
       this.port.write(buff, (err) => {
-        if (err) return reject(err);
+        if (err) {
+          drained();
+          return reject(err);
+        }
 
         this.port.drain((err) => {
+          drained();
           if (err) reject(err);
           else resolve()
         });
@@ -805,21 +2425,309 @@ class DiscoBusMaster extends EventEmitter {
   }
 }
 
+/**
+ * Get the number of a message priority.
+ *
+ * @throws {Error} If the priority is invalid
+ *
+ * @param {String|int} priority The priority name ('low', 'normal', 'high' or 'critical') or number
+ *
+ * @return {int} See `PRIORITY`. Without a priority, it's `PRIORITY.NORMAL`.
+ */
+function parsePriority(priority) {
+  if (typeof priority === 'undefined') {
+    return PRIORITY.NORMAL;
+  }
+
+  let value = (typeof priority === 'string') ? PRIORITY[priority.toUpperCase()] : priority;
+
+  if (typeof value !== 'number' || Object.keys(PRIORITY).every((name) => PRIORITY[name] !== value)) {
+    throw new Error(`Invalid message priority: ${priority}`);
+  }
+  return value;
+}
+
+/**
+ * A message which hasn't been put on the bus, so data and the end call are held with it.
+ *
+ * @param {BusMessage} message
+ *
+ * @return {boolean}
+ */
+function isHeld(message) {
+  return message.state === 'queued' || message.state === 'dropped';
+}
+
+/**
+ * Load the optional RxJS adapter.
+ *
+ * @throws {Error} If RxJS isn't installed
+ *
+ * @return {Object} The `rx.js` module
+ */
+function loadRxAdapter() {
+  try {
+    return require('./rx');
+  } catch(err) {
+    throw new Error(`The RxJS adapter needs the rxjs package. Install it with "npm install rxjs@5" (${err.message})`);
+  }
+}
+
+/**
+ * Convert an error message from the message observer into an Error object.
+ *
+ * @param {String|Error} err The error
+ *
+ * @return {Error}
+ */
+function toError(err) {
+  return (err instanceof Error) ? err : new Error(err);
+}
+
+/**
+ * Format a byte as 2 hex digits.
+ *
+ * @param {int} byte
+ *
+ * @return {String}
+ */
+function hexByte(byte) {
+  return ('0' + byte.toString(16).toUpperCase()).slice(-2);
+}
+
+/**
+ * Create the error for a message with bus collisions.
+ *
+ * @param {BusMessage} message
+ *
+ * @return {Error}
+ */
+function collisionError(message) {
+  let err = new Error(`Bus collision while sending command 0x${hexByte(message.command)}`);
+  err.code = 'COLLISION';
+  return err;
+}
+
+/**
+ * Wait before the next retry.
+ *
+ * @param {Object} policy The retry policy
+ * @param {int} attempt The number of retries so far
+ *
+ * @return {Promise} Resolves after the backoff time
+ */
+function retryDelay(policy, attempt) {
+  let delay = policy.backoff * Math.pow(policy.backoffFactor, attempt);
+  if (delay <= 0) {
+    return Promise.resolve();
+  }
+  return new Promise( (resolve) => setTimeout(resolve, delay) );
+}
+
+/**
+ * A message sent, or waiting to be sent, by the master.
+ */
+class BusMessage {
+
+  /**
+   * @param {number} command The message command.
+   * @param {number} length The length of the data (per node, for batchMode).
+   * @param {Object} options The message options (see `DiscoBusMaster.startMessage`)
+   */
+  constructor(command, length, options) {
+    this.command = command;
+    this.length = length;
+    this.options = options;
+
+    /**
+     * Where the message is at: 'queued', 'active', 'done' or 'dropped' (it waited longer than `maxWait`)
+     * @type {String}
+     */
+    this.state = 'queued';
+
+    /**
+     * The response data received for this message.
+     * @type {Array}
+     */
+    this.response = [];
+
+    /**
+     * Addresses of the nodes which did not respond in time, and were given the default response.
+     * @type {int[]}
+     */
+    this.timedOut = [];
+
+    /**
+     * Addresses of the nodes whose response failed the response CRC check.
+     * @type {int[]}
+     */
+    this.corrupted = [];
+
+    /**
+     * Information about each node's response to this message.
+     * @type {NodeResponseInfo[]}
+     */
+    this.responseInfo = [];
+
+    /**
+     * Bus collisions, found by echo cancellation, while sending this message: `{ expected, received }`
+     * @type {Object[]}
+     */
+    this.collisions = [];
+
+    /**
+     * Timestamps of when the message was queued and when it was put on the bus.
+     * @type {number}
+     */
+    this.queuedAt = null;
+    this.startedAt = null;
+
+    // Addressing message
+    this.addressing = false;
+    this.startFrom = 0;
+    this.reset = false;
+
+    // Discovery addressing message, and the addresses it found
+    this.discovery = false;
+    this.added = [];
+
+    // The message was aborted with `abort()`, or preempted
+    this.aborted = false;
+
+    // Drops the message if it waits longer than `maxWait` in the queue
+    this.waitTimer = null;
+
+    // Data and end call held while the message is queued
+    this.data = [];
+    this.ended = false;
+    this.endError = null;
+
+    // The handle of the promise method that sent the message, if there is one
+    this.handle = null;
+
+    // Hot stream of the message progress
+    this.observer = new MessageStream();
+  }
+
+  /**
+   * Subscribe to the message observer stream.
+   *
+   * @return {BusMessage}
+   */
+  subscribe (nextCallback, errorCallback, completeCallback) {
+    this.observer.subscribe(nextCallback, errorCallback, completeCallback);
+    return this;
+  }
+}
+
+/**
+ * A transfer made up of several messages, like the fragments sent by `sendFragmented()`.
+ */
+class BusTransfer {
+
+  /**
+   * @param {number} command The message command
+   * @param {int} fragments The number of fragments, if it's known
+   */
+  constructor(command, fragments) {
+    this.command = command;
+    this.fragments = fragments;
+
+    // Hot stream of the transfer progress
+    this.observer = new MessageStream();
+  }
+}
+
+/**
+ * Describes how a node responded to a response message.
+ */
+class NodeResponseInfo {
+
+  /**
+   * @param {number} node The address of the node
+   * @param {number} startedAt When the master started waiting for this node's response (timestamp)
+   */
+  constructor(node, startedAt) {
+    this.node = node;
+
+    /**
+     * 'received' - the node sent its full response
+     * 'partial'  - the node sent part of its response and the rest was filled with the default response
+     * 'default'  - the node did not respond and the default response was used
+     * 'pending'  - the node's response has not been completed yet
+     * @type {String}
+     */
+    this.status = 'pending';
+
+    /**
+     * The response failed the response CRC check (only for `responseCrc` messages)
+     * @type {boolean}
+     */
+    this.corrupt = false;
+
+    /**
+     * The number of bytes actually received from the node
+     * @type {int}
+     */
+    this.received = 0;
+
+    // Timing (timestamps and milliseconds)
+    this.startedAt = startedAt;
+    this.firstByteAt = null;
+    this.completedAt = null;
+    this.latency = null;
+    this.duration = null;
+  }
+}
+
 /**
  * An object that descrives the "next" data passed to subscribers.
  */
 class BusSubscriberNextVal {
 
   /**
-   * @param {String} type The type of value ('response', 'addressing', 'error')
+   * @param {String} type The type of value ('response', 'addressing', 'progress', 'error')
    * @param {Any} value The value
    * @param {number} nodeAddr The node address associated with this value.
+   * @param {NodeResponseInfo} info (optional) For responses, how the node responded.
    */
-  constructor(type, value, nodeAddr=-1) {
+  constructor(type, value, nodeAddr=-1, info=null) {
     this.type = type;
     this.value = value;
     this.node = nodeAddr;
+    this.info = info;
   }
 }
 
 module.exports.DiscoBusMaster = DiscoBusMaster;
+module.exports.DiscoBusNode = DiscoBusNode;
+module.exports.VirtualBus = VirtualBus;
+module.exports.FrameDecoder = FrameDecoder;
+module.exports.BusMonitor = BusMonitor;
+module.exports.NodeRegistry = NodeRegistry;
+module.exports.CommandSchema = CommandSchema;
+module.exports.Transport = Transport;
+module.exports.TcpTransport = TcpTransport;
+module.exports.UnixTransport = UnixTransport;
+module.exports.StdioTransport = StdioTransport;
+module.exports.createTransport = createTransport;
+module.exports.DaisyDriver = DaisyDriver;
+module.exports.RtsDaisyDriver = RtsDaisyDriver;
+module.exports.DtrDaisyDriver = DtrDaisyDriver;
+module.exports.GpioDaisyDriver = GpioDaisyDriver;
+module.exports.CallbackDaisyDriver = CallbackDaisyDriver;
+module.exports.BusRecorder = BusRecorder;
+module.exports.ReplayPort = ReplayPort;
+module.exports.loadRecording = loadRecording;
+module.exports.BusMetrics = BusMetrics;
+module.exports.BusGateway = BusGateway;
+module.exports.BusManager = BusManager;
+module.exports.AdaptiveTiming = AdaptiveTiming;
+module.exports.NoiseDetector = NoiseDetector;
+module.exports.FragmentAssembler = FragmentAssembler;
+module.exports.MessageHandle = MessageHandle;
+module.exports.MessageStream = MessageStream;
+module.exports.splitFragments = splitFragments;
+module.exports.CMD = CMD;
+module.exports.PRIORITY = PRIORITY;
+module.exports.FLAGS = FLAGS;
@@ -0,0 +1,206 @@
+'use strict';
+
+/**
+ * Splits payloads which are too large for one frame into fragments, and puts them back together.
+ *
+ * The lengths in the message header are single bytes, so a node's data section can't be longer than
+ * 255 bytes. Fragmented messages have the `FLAGS.FRAGMENT` flag set, and each node's data section
+ * (or response) starts with a fragment header:
+ *
+ * ```
+ *  [index, count, length, ...data]
+ * ```
+ *
+ *  + index  - The fragment number, starting from 0
+ *  + count  - The total number of fragments
+ *  + length - The number of data bytes in this fragment. The rest of the section is filled with zeros.
+ */
+
+const FRAGMENT_HEADER_LEN = 3;
+const MAX_FRAGMENT_SIZE = 255 - FRAGMENT_HEADER_LEN;
+const MAX_FRAGMENTS = 255;
+
+/**
+ * Puts the fragments of one payload back together.
+ *
+ * @class
+ */
+class FragmentAssembler {
+
+  constructor() {
+    this.reset();
+  }
+
+  /**
+   * Forget the fragments received so far.
+   *
+   * @return {FragmentAssembler} Instance to this object, for chaining
+   */
+  reset() {
+
+    /**
+     * The data put together so far.
+     *
+     * @type {number[]}
+     */
+    this.data = [];
+
+    /**
+     * The total number of fragments, from the fragment headers.
+     *
+     * @type {int}
+     */
+    this.count = 0;
+
+    /**
+     * The number of fragments received.
+     *
+     * @type {int}
+     */
+    this.received = 0;
+
+    /**
+     * All the fragments have been received.
+     *
+     * @type {boolean}
+     */
+    this.complete = false;
+
+    return this;
+  }
+
+  /**
+   * Add the next fragment. The first fragment (index 0) always starts a new payload.
+   *
+   * @throws {Error} With the code 'FRAGMENT', if the fragment header is invalid or out of sequence.
+   *
+   * @param {number[]} section A data section, starting with the fragment header
+   *
+   * @return {boolean} true once all the fragments have been received
+   */
+  push(section) {
+    let index = section[0];
+    let count = section[1];
+    let length = section[2];
+
+    if (!count || index >= count || length > section.length - FRAGMENT_HEADER_LEN) {
+      throw fragmentError(`Invalid fragment header: [${index}, ${count}, ${length}]`);
+    }
+
+    if (index === 0) {
+      this.reset();
+      this.count = count;
+    }
+    else if (index !== this.received || count !== this.count) {
+      throw fragmentError(`Expected fragment ${this.received + 1} of ${this.count}, but received ${index + 1} of ${count}`);
+    }
+
+    for (let i = 0; i < length; i++) {
+      this.data.push(section[FRAGMENT_HEADER_LEN + i]);
+    }
+    this.received++;
+    this.complete = (this.received === this.count);
+
+    return this.complete;
+  }
+}
+
+/**
+ * The number of fragments needed for a payload.
+ *
+ * @param {int} length The payload length
+ * @param {int} size The number of payload bytes in each fragment
+ *
+ * @return {int}
+ */
+function fragmentCount(length, size=MAX_FRAGMENT_SIZE) {
+  return Math.max(1, Math.ceil(length / size));
+}
+
+/**
+ * Split a payload into fragments. Each fragment is a data section of `size` bytes, after the
+ * fragment header.
+ *
+ * @throws {Error} With the code 'INVALID_VALUE', if the size is invalid or the payload needs more than 255 fragments.
+ *
+ * @param {number[]} data The payload
+ * @param {int} size (optional) The number of payload bytes in each fragment (default: 252)
+ * @param {int} count (optional) Split into this many fragments, so nodes in a batch message can have the
+ *                    same number. The extra fragments are empty.
+ *
+ * @return {number[][]} The data section of each fragment
+ */
+function splitFragments(data, size=MAX_FRAGMENT_SIZE, count) {
+  if (!(size >= 1 && size <= MAX_FRAGMENT_SIZE) || Math.floor(size) !== size) {
+    throw invalidValue(`Invalid fragment size: ${size}`);
+  }
+
+  count = Math.max(count || 0, fragmentCount(data.length, size));
+  if (count > MAX_FRAGMENTS) {
+    throw invalidValue(`Data is too large to fragment: ${data.length} bytes, in ${count} fragments of ${size} bytes`);
+  }
+
+  let sections = [];
+  for (let index = 0; index < count; index++) {
+    let chunk = Array.from(data.slice(index * size, (index + 1) * size));
+    let fill = new Array(size - chunk.length).fill(0);
+    sections.push([index, count, chunk.length].concat(chunk, fill));
+  }
+  return sections;
+}
+
+/**
+ * Split the data for each node in a batch message into fragments. Every node gets the same number of
+ * fragments, so each fragment message has a data section for every node.
+ *
+ * @throws {Error} With the code 'INVALID_VALUE', if there isn't one data section for each node,
+ *                 or a section can't be fragmented (see `splitFragments()`).
+ *
+ * @param {number[][]} data The payload for each node
+ * @param {int} nodeCount The number of nodes in the batch message
+ * @param {int} size (optional) The number of payload bytes in each fragment (default: 252)
+ *
+ * @return {number[][][]} The data sections of each fragment message, one for each node
+ */
+function splitBatchFragments(data, nodeCount, size=MAX_FRAGMENT_SIZE) {
+  if (data.length !== nodeCount) {
+    throw invalidValue(`Batch data has ${data.length} sections, but there are ${nodeCount} nodes`);
+  }
+
+  let count = data.reduce((max, section) => Math.max(max, fragmentCount(section.length, size)), 1);
+  let sections = data.map((section) => splitFragments(section, size, count));
+  return sections[0].map((fragment, index) => sections.map((fragments) => fragments[index]));
+}
+
+/**
+ * Create a fragment sequence error.
+ *
+ * @param {String} message
+ *
+ * @return {Error}
+ */
+function fragmentError(message) {
+  let err = new Error(message);
+  err.code = 'FRAGMENT';
+  return err;
+}
+
+/**
+ * Create an invalid value error.
+ *
+ * @param {String} message
+ *
+ * @return {Error}
+ */
+function invalidValue(message) {
+  let err = new Error(message);
+  err.code = 'INVALID_VALUE';
+  return err;
+}
+
+module.exports.FragmentAssembler = FragmentAssembler;
+module.exports.fragmentCount = fragmentCount;
+module.exports.splitFragments = splitFragments;
+module.exports.splitBatchFragments = splitBatchFragments;
+module.exports.FRAGMENT_HEADER_LEN = FRAGMENT_HEADER_LEN;
+module.exports.MAX_FRAGMENT_SIZE = MAX_FRAGMENT_SIZE;
@@ -0,0 +1,516 @@
+'use strict';
+
+/**
+ * A local HTTP/JSON gateway to the bus, for services that can't use this library directly.
+ *
+ * ```
+ *  const gateway = new BusGateway(master);
+ *  gateway.listen(8080);
+ *
+ *  // curl -X POST localhost:8080/address
+ *  // curl -X POST localhost:8080/nodes/3/requests -d '{"command": 6, "length": 2}'
+ * ```
+ *
+ * Routes:
+ *  + POST /address               - Address the bus: `{ startFrom }` => `{ nodes }`
+ *  + POST /discover              - Look for new nodes at the end of the bus => `{ added, nodes }`
+ *  + GET  /nodes                 - The nodes on the bus: `{ nodeCount, nodes }` (see `NodeRegistry`)
+ *  + POST /nodes/:addr/messages  - Send a message to a node (0 to broadcast): `{ command, data }`
+ *  + POST /nodes/:addr/requests  - Request a response from a node: `{ command, length, responseCrc }`
+ *                                  => `{ node, response, status }`
+ *  + POST /batch                 - Send a batch message, `{ command, data }`, with an array of data for each node.
+ *                                  Or, with `{ command, length }`, request a response from all nodes
+ *                                  => `{ responses, status }`
+ *  + GET  /events                - Server-Sent Events: `addressing`, `response`, `node`, `node-added`
+ *                                  and `bus-error`
+ *  + GET  /metrics               - The master's metrics, in the Prometheus text format
+ *
+ * The `command` is a command code or the name of a command defined with `master.defineCommands()`,
+ * in which case `data` is an object of field values.
+ *
+ * Operations are run one at a time, in the order they're received. Errors are returned as
+ * `{ error, code }` with these statuses:
+ *  + 400 - Invalid request body or parameters
+ *  + 404 - Unknown route
+ *  + 409 - The bus needs to be addressed first
+ *  + 502 - Protocol errors, like failed response CRCs, bus collisions and aborted messages
+ *  + 503 - The message was dropped for a higher priority one (preempted or starved), with a Retry-After header
+ *  + 504 - A node did not respond in time
+ */
+
+import http from 'http';
+
+const DEFAULT_HOST = '127.0.0.1';
+const MAX_BODY_SIZE = 1024 * 1024;
+const NODE_EVENTS = ['node-online', 'node-degraded', 'node-offline'];
+const RETRY_AFTER = 1; // seconds
+
+const ERROR_STATUS = {
+  INVALID_VALUE: 400,
+  TIMEOUT: 504,
+  CRC: 502,
+  COLLISION: 502,
+  ABORTED: 502,
+  PREEMPTED: 503,
+  STARVED: 503
+};
+
+/**
+ * Creates an HTTP gateway for a master.
+ *
+ * @class
+ */
+class BusGateway {
+
+  /**
+   * @param {DiscoBusMaster} master The master to send messages with
+   */
+  constructor(master) {
+
+    /**
+     * The master the gateway sends messages with.
+     *
+     * @type {DiscoBusMaster}
+     */
+    this.master = master;
+
+    this._server = null;
+    this._clients = [];
+    this._queue = Promise.resolve();
+
+    // Forward bus events to the event stream, while the server is running
+    this.__onNode = (node) => this._broadcast('node', node);
+    this.__onNodeAdded = (node) => this._broadcast('node-added', node);
+    this.__onError = (err) => this._broadcast('bus-error', { error: String(err) });
+  }
+
+  /**
+   * Start the HTTP server.
+   *
+   * @param {int} port The port to listen on
+   * @param {Object} options (optional) Server options:
+   *  + host {String} - The host to listen on (default: '127.0.0.1')
+   * @param {Function} callback (optional) Called once the server is listening, or with an error.
+   *
+   * @return {http.Server} The HTTP server
+   */
+  listen(port, options={}, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+
+    this.close();
+    this._forwardEvents(true);
+    this._server = http.createServer((req, res) => this._handleRequest(req, res));
+
+    if (callback) {
+      this._server.once('error', callback);
+    }
+    this._server.listen(port, options.host || DEFAULT_HOST, () => {
+      if (callback) {
+        this._server.removeListener('error', callback);
+        callback(null);
+      }
+    });
+
+    return this._server;
+  }
+
+  /**
+   * Stop the HTTP server, end all the event streams and stop listening to the master.
+   *
+   * @param {Function} callback (optional) Called once the server has closed
+   */
+  close(callback) {
+    this._clients.forEach((res) => res.end());
+    this._clients = [];
+    this._forwardEvents(false);
+
+    if (!this._server) {
+      if (callback) setImmediate(callback);
+      return;
+    }
+    this._server.close(callback);
+    this._server = null;
+  }
+
+  /**
+   * Route an HTTP request.
+   *
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   */
+  _handleRequest(req, res) {
+    const path = req.url.split('?')[0].replace(/\/+$/, '');
+    const method = req.method;
+    let match;
+
+    if (method === 'GET' && path === '/events') {
+      return this._openEventStream(req, res);
+    }
+    if (method === 'GET' && path === '/metrics') {
+      res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+      res.end(this.master.metrics.toPrometheus());
+      return undefined;
+    }
+    if (method === 'GET' && path === '/nodes') {
+      return sendJson(res, 200, { nodeCount: this.master.nodeNum, nodes: this.master.registry.all() });
+    }
+
+    let route = null;
+    if (method === 'POST' && path === '/address') {
+      route = (body) => this._address(body);
+    }
+    else if (method === 'POST' && path === '/discover') {
+      route = () => this._discover();
+    }
+    else if (method === 'POST' && path === '/batch') {
+      route = (body) => this._batch(body);
+    }
+    else if (method === 'POST' && (match = path.match(/^\/nodes\/([^/]+)\/(messages|requests)$/))) {
+      route = (match[2] === 'messages')
+        ? (body) => this._message(match[1], body)
+        : (body) => this._request(match[1], body);
+    }
+
+    if (!route) {
+      return sendJson(res, 404, { error: `Not found: ${method} ${path}` });
+    }
+
+    readJson(req)
+    .then((body) => this._serialize(() => route(body)))
+    .then((result) => sendJson(res, 200, result))
+    .catch((err) => sendError(res, err));
+    return undefined;
+  }
+
+  /**
+   * Run an operation after all the ones before it have finished.
+   *
+   * @param {Function} fn Returns a promise
+   *
+   * @return {Promise} The result of the operation
+   */
+  _serialize(fn) {
+    let run = this._queue.then(() => fn());
+    this._queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * POST /address
+   */
+  _address(body) {
+    let startFrom = optionalNumber(body.startFrom, 'startFrom', 0, 254) || 0;
+    let addressing = this.master.address(startFrom);
+
+    addressing.on('addressing', (val) => {
+      this._broadcast('addressing', { address: val.value });
+    });
+
+    return addressing.then((nodes) => ({ nodes: nodes }));
+  }
+
+  /**
+   * POST /discover
+   */
+  _discover() {
+    return this.master.discover()
+    .then((added) => ({ added: added, nodes: this.master.nodeNum }));
+  }
+
+  /**
+   * POST /nodes/:addr/messages
+   */
+  _message(addr, body) {
+    let node = parseAddress(addr, 0);
+    let command = this._parseCommand(body.command);
+    let data = (typeof command === 'string') ? (body.data || {}) : parseBytes(body.data, 'data');
+
+    return this.master.send(command, data, { destination: node })
+    .then(() => ({ sent: true, node: node, command: command }));
+  }
+
+  /**
+   * POST /nodes/:addr/requests
+   */
+  _request(addr, body) {
+    let node = parseAddress(addr, 1);
+    let command = this._parseCommand(body.command);
+    let options = { destination: node, responseCrc: !!body.responseCrc, withInfo: true };
+    let request;
+
+    if (typeof command === 'string') {
+      request = this.master.request(command, options);
+    } else {
+      request = this.master.request(command, requireNumber(body.length, 'length', 1, 255), options);
+    }
+
+    return request.then((result) => {
+      this._broadcastResponses([result.response], [result.info]);
+      return { node: node, response: result.response, status: result.info.status };
+    });
+  }
+
+  /**
+   * POST /batch
+   */
+  _batch(body) {
+    let command = this._parseCommand(body.command);
+    let named = (typeof command === 'string');
+    let isRequest = (typeof body.length !== 'undefined' || (named && typeof body.data === 'undefined'));
+
+    if (!this.master.nodeNum) {
+      throw httpError(409, 'The bus has not been addressed');
+    }
+
+    // Request a response from all nodes
+    if (isRequest) {
+      let options = { responseCrc: !!body.responseCrc, withInfo: true };
+      let request = (named)
+        ? this.master.request(command, options)
+        : this.master.request(command, requireNumber(body.length, 'length', 1, 255), options);
+
+      return request.then((result) => {
+        this._broadcastResponses(result.response, result.info);
+        return { responses: result.response, status: result.info.map((info) => info.status) };
+      });
+    }
+
+    // Batch message
+    if (!Array.isArray(body.data)) {
+      throw httpError(400, 'data needs to be an array, with the data for each node');
+    }
+    let data = (named) ? body.data : body.data.map((d, i) => parseBytes(d, `data[${i}]`));
+
+    return this.master.send(command, data, { batchMode: true })
+    .then(() => ({ sent: true, command: command, nodes: this.master.nodeNum }));
+  }
+
+  /**
+   * Validate the command: a command code or the name of a defined command.
+   *
+   * @throws {Error} With a 400 status, if the command is invalid
+   *
+   * @param {number|String} command
+   *
+   * @return {number|String}
+   */
+  _parseCommand(command) {
+    if (typeof command === 'string' && this.master.commands.has(command)) {
+      return command;
+    }
+    if (typeof command === 'string' && isNaN(Number(command))) {
+      throw httpError(400, `Unknown command: ${command}`);
+    }
+    return requireNumber(command, 'command', 0, 255);
+  }
+
+  /**
+   * Send node responses to the event stream.
+   *
+   * @param {Array} responses The response of each node, in the same order as `info`
+   * @param {NodeResponseInfo[]} info How each node responded
+   */
+  _broadcastResponses(responses, info) {
+    info.forEach((nodeInfo, i) => {
+      this._broadcast('response', { node: nodeInfo.node, response: responses[i], status: nodeInfo.status });
+    });
+  }
+
+  /**
+   * GET /events
+   */
+  _openEventStream(req, res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive'
+    });
+    res.write(': connected\n\n');
+
+    this._clients.push(res);
+    req.on('close', () => {
+      this._clients = this._clients.filter((client) => client !== res);
+    });
+  }
+
+  /**
+   * Start or stop forwarding the master's node and error events to the event streams.
+   *
+   * @param {boolean} forward
+   */
+  _forwardEvents(forward) {
+    const master = this.master;
+    const method = (forward) ? 'on' : 'removeListener';
+
+    NODE_EVENTS.forEach((event) => master[method](event, this.__onNode));
+    master[method]('node-added', this.__onNodeAdded);
+    master[method]('error', this.__onError);
+  }
+
+  /**
+   * Send an event to all the event streams.
+   *
+   * @param {String} event The event name
+   * @param {Object} data The event data
+   */
+  _broadcast(event, data) {
+    let message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    this._clients.forEach((res) => res.write(message));
+  }
+}
+
+/**
+ * Create an error with an HTTP status.
+ *
+ * @param {int} status The HTTP status code
+ * @param {String} message The error message
+ *
+ * @return {Error}
+ */
+function httpError(status, message) {
+  let err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * Read the JSON body of a request. An empty body is an empty object.
+ *
+ * @param {http.IncomingMessage} req
+ *
+ * @return {Promise} Resolves with the parsed body
+ */
+function readJson(req) {
+  return new Promise( (resolve, reject) => {
+    let body = '';
+    let tooLarge = false;
+
+    req.setEncoding('utf8');
+    req.on('data', (chunk) => {
+      if (tooLarge) return;
+
+      // Too large: the rest is read and thrown away, so the connection stays open for the 413 response
+      body += chunk;
+      if (body.length > MAX_BODY_SIZE) {
+        tooLarge = true;
+        body = '';
+        reject(httpError(413, 'Request body is too large'));
+      }
+    });
+    req.on('end', () => {
+      if (tooLarge) return;
+      if (!body.trim()) {
+        return resolve({});
+      }
+      try {
+        let parsed = JSON.parse(body);
+        if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+          throw new Error('The body needs to be a JSON object');
+        }
+        resolve(parsed);
+      } catch(e) {
+        reject(httpError(400, `Invalid JSON body: ${e.message}`));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Send a JSON response.
+ *
+ * @param {http.ServerResponse} res
+ * @param {int} status The HTTP status code
+ * @param {Object} body The response body
+ * @param {Object} headers (optional) More response headers
+ */
+function sendJson(res, status, body, headers={}) {
+  res.writeHead(status, Object.assign({ 'Content-Type': 'application/json' }, headers));
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Send an error response, with the HTTP status for the error.
+ * Messages dropped for higher priority ones can be retried, so they get a Retry-After header.
+ *
+ * @param {http.ServerResponse} res
+ * @param {Error} err
+ */
+function sendError(res, err) {
+  let status = err.status || ERROR_STATUS[err.code] || 502;
+  let body = { error: err.message || String(err) };
+
+  if (err.code) {
+    body.code = err.code;
+  }
+  sendJson(res, status, body, (status === 503) ? { 'Retry-After': String(RETRY_AFTER) } : {});
+}
+
+/**
+ * Parse a decimal or hex (0x..) number and check its range.
+ *
+ * @throws {Error} With a 400 status, if it's not a whole number in range
+ *
+ * @param {number|String} value
+ * @param {String} name The name of the value, for the error message
+ * @param {number} min
+ * @param {number} max
+ *
+ * @return {number}
+ */
+function requireNumber(value, name, min, max) {
+  let num = (typeof value === 'string' && value.trim() !== '') ? Number(value) : value;
+
+  if (typeof num !== 'number' || !Number.isInteger(num) || num < min || num > max) {
+    throw httpError(400, `${name} needs to be a number from ${min} to ${max}`);
+  }
+  return num;
+}
+
+/**
+ * Like `requireNumber`, but the value can be left out.
+ *
+ * @return {number} The number, or undefined
+ */
+function optionalNumber(value, name, min, max) {
+  if (typeof value === 'undefined' || value === null) {
+    return undefined;
+  }
+  return requireNumber(value, name, min, max);
+}
+
+/**
+ * Parse the node address from the URL.
+ *
+ * @throws {Error} With a 400 status, if it's not a valid address
+ *
+ * @param {String} addr
+ * @param {number} min The lowest valid address
+ *
+ * @return {number}
+ */
+function parseAddress(addr, min) {
+  return requireNumber(addr, 'The node address', min, 255);
+}
+
+/**
+ * Check that the data is an array of bytes.
+ *
+ * @throws {Error} With a 400 status, if it's not
+ *
+ * @param {number[]} data
+ * @param {String} name The name of the value, for the error message
+ *
+ * @return {number[]}
+ */
+function parseBytes(data, name) {
+  if (!Array.isArray(data) || data.some((b) => !Number.isInteger(b) || b < 0 || b > 255)) {
+    throw httpError(400, `${name} needs to be an array of bytes`);
+  }
+  return data;
+}
+
+module.exports.BusGateway = BusGateway;
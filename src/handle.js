@@ -0,0 +1,310 @@
+'use strict';
+
+/**
+ * Message progress streams, without RxJS.
+ *
+ * Each message the master sends has a `MessageStream` of its progress values (see `BusSubscriberNextVal`).
+ * The promise methods (`send()`, `request()`, `address()`, ...) return a `MessageHandle`, which is a
+ * promise of the result, an EventEmitter of the progress values and an async iterator over them:
+ *
+ * ```
+ *  const handle = master.request(CMD_SENSORS, 2);
+ *  handle.on('response', (val) => console.log(`Node ${val.node}:`, val.value));
+ *
+ *  for await (const val of master.address()) {
+ *    console.log(`Addressed node ${val.value}`);
+ *  }
+ * ```
+ *
+ * For RxJS observables, see `rx.js`.
+ */
+
+import EventEmitter from 'events';
+
+const asyncIterator = Symbol.asyncIterator || Symbol.for('Symbol.asyncIterator');
+
+/**
+ * A hot stream of progress values, which ends with `complete()` or `error()`.
+ * Subscribers which subscribe after it has ended are only told how it ended.
+ *
+ * @class
+ */
+class MessageStream {
+
+  constructor() {
+    this.closed = false;
+
+    this._subscribers = [];
+    this._error = null;
+    this._hasError = false;
+  }
+
+  /**
+   * Subscribe to the stream.
+   *
+   * @param {Function} nextCallback     (optional) Called with the next value
+   * @param {Function} errorCallback    (optional) Called when the stream ends with an error
+   * @param {Function} completeCallback (optional) Called when the stream is complete
+   *
+   * @return {Object} The subscription, with an `unsubscribe()` method
+   */
+  subscribe(nextCallback, errorCallback, completeCallback) {
+    let subscriber = { next: nextCallback, error: errorCallback, complete: completeCallback };
+
+    if (this.closed) {
+      if (this._hasError && errorCallback) errorCallback(this._error);
+      else if (!this._hasError && completeCallback) completeCallback();
+      return { unsubscribe: () => {} };
+    }
+
+    this._subscribers.push(subscriber);
+    return {
+      unsubscribe: () => {
+        this._subscribers = this._subscribers.filter((s) => s !== subscriber);
+      }
+    };
+  }
+
+  /**
+   * Send the next value to all the subscribers.
+   *
+   * @param {Any} value
+   */
+  next(value) {
+    if (this.closed) return;
+    this._subscribers.slice().forEach((s) => { if (s.next) s.next(value); });
+  }
+
+  /**
+   * End the stream with an error.
+   *
+   * @param {Any} err
+   */
+  error(err) {
+    if (this.closed) return;
+    this.closed = true;
+    this._hasError = true;
+    this._error = err;
+
+    let subscribers = this._subscribers;
+    this._subscribers = [];
+    subscribers.forEach((s) => { if (s.error) s.error(err); });
+  }
+
+  /**
+   * End the stream.
+   */
+  complete() {
+    if (this.closed) return;
+    this.closed = true;
+
+    let subscribers = this._subscribers;
+    this._subscribers = [];
+    subscribers.forEach((s) => { if (s.complete) s.complete(); });
+  }
+}
+
+/**
+ * The handle of a message (or group of messages, like a request and its retries), returned by the
+ * master's promise methods.
+ *
+ *  + It's a promise: `then()` and `catch()` get the result.
+ *  + It's an EventEmitter: each progress value is emitted as an event of its type
+ *    ('addressing', 'response', 'progress' or 'error'). Error values are only emitted when there
+ *    is an 'error' listener, so they don't throw.
+ *  + It's an async iterator: `for await` loops over the progress values, and throws if the result
+ *    is rejected.
+ *
+ * @class
+ * @emits MessageHandle#addressing A node was addressed: (BusSubscriberNextVal)
+ * @emits MessageHandle#response   A node responded: (BusSubscriberNextVal)
+ * @emits MessageHandle#progress   A fragment was transferred: (BusSubscriberNextVal)
+ * @emits MessageHandle#error      An error value, like a failed response CRC: (BusSubscriberNextVal)
+ * @emits MessageHandle#end        The result is ready, or was rejected
+ */
+class MessageHandle extends EventEmitter {
+
+  constructor() {
+    super();
+
+    /**
+     * All the progress values so far.
+     *
+     * @type {BusSubscriberNextVal[]}
+     */
+    this.values = [];
+
+    /**
+     * The result is ready, or was rejected.
+     *
+     * @type {boolean}
+     */
+    this.done = false;
+
+    this._promise = null;
+    this._error = null;
+    this._waiting = [];
+  }
+
+  /**
+   * Pass on the progress values of a message stream.
+   *
+   * @param {MessageStream} stream
+   *
+   * @return {MessageHandle} Instance to this object, for chaining
+   */
+  watch(stream) {
+    stream.subscribe((value) => this._push(value));
+    return this;
+  }
+
+  /**
+   * Set the promise of the result. The handle is done once it has settled.
+   *
+   * @param {Promise} promise
+   *
+   * @return {MessageHandle} Instance to this object, for chaining
+   */
+  settle(promise) {
+    this._promise = promise;
+
+    promise.then(() => this._end(null), (err) => this._end(err));
+    return this;
+  }
+
+  then(onFulfilled, onRejected) {
+    return this._promise.then(onFulfilled, onRejected);
+  }
+
+  catch(onRejected) {
+    return this._promise.catch(onRejected);
+  }
+
+  /**
+   * Subscribe to the progress values, starting with the values so far.
+   *
+   * @param {Function} nextCallback     (optional) Called with the next value
+   * @param {Function} errorCallback    (optional) Called if the result is rejected
+   * @param {Function} completeCallback (optional) Called when the result is ready
+   *
+   * @return {Object} The subscription, with an `unsubscribe()` method
+   */
+  subscribe(nextCallback, errorCallback, completeCallback) {
+    let index = 0;
+    let active = true;
+
+    const flush = () => {
+      if (!active) return;
+      while (index < this.values.length) {
+        if (nextCallback) nextCallback(this.values[index]);
+        index++;
+      }
+      if (!this.done) {
+        this._waiting.push(flush);
+        return;
+      }
+
+      active = false;
+      if (this._error && errorCallback) errorCallback(this._error);
+      else if (!this._error && completeCallback) completeCallback();
+    };
+    flush();
+
+    return { unsubscribe: () => { active = false; } };
+  }
+
+  /**
+   * Iterate over the progress values.
+   *
+   * @return {Object} An async iterator
+   */
+  [asyncIterator]() {
+    let index = 0;
+    let closed = false;
+
+    return {
+      next: () => new Promise((resolve, reject) => {
+        const check = () => {
+          if (closed) {
+            resolve({ value: undefined, done: true });
+          }
+          else if (index < this.values.length) {
+            resolve({ value: this.values[index++], done: false });
+          }
+          else if (this.done) {
+            closed = true;
+            if (this._error) reject(this._error);
+            else resolve({ value: undefined, done: true });
+          }
+          else {
+            this._waiting.push(check);
+          }
+        };
+        check();
+      }),
+
+      return: () => {
+        closed = true;
+        return Promise.resolve({ value: undefined, done: true });
+      }
+    };
+  }
+
+  /**
+   * Add a progress value.
+   *
+   * @param {BusSubscriberNextVal} value
+   */
+  _push(value) {
+    this.values.push(value);
+    this._wake();
+
+    if (value.type !== 'error' || this.listenerCount('error')) {
+      this.emit(value.type, value);
+    }
+  }
+
+  /**
+   * The result is ready, or was rejected.
+   *
+   * @param {Error} err The rejection error, or null
+   */
+  _end(err) {
+    this.done = true;
+    this._error = err;
+    this._wake();
+    this.emit('end');
+  }
+
+  /**
+   * Call everything waiting for the next value.
+   */
+  _wake() {
+    let waiting = this._waiting;
+    this._waiting = [];
+    waiting.forEach((fn) => fn());
+  }
+}
+
+/**
+ * Create a handle for a promise.
+ *
+ * @param {Function} run Called with the handle, and returns the promise of the result
+ *
+ * @return {MessageHandle}
+ */
+function createHandle(run) {
+  let handle = new MessageHandle();
+  let promise;
+
+  try {
+    promise = Promise.resolve(run(handle));
+  } catch(err) {
+    promise = Promise.reject(err);
+  }
+  return handle.settle(promise);
+}
+
+module.exports.MessageStream = MessageStream;
+module.exports.MessageHandle = MessageHandle;
+module.exports.createHandle = createHandle;
@@ -0,0 +1,431 @@
+'use strict';
+
+/**
+ * Manages several buses, each with its own master, from one controller.
+ *
+ * ```
+ *  const manager = new BusManager({ porch: porchMaster, garage: garageMaster });
+ *  manager.alias('door', 'garage:2');
+ *
+ *  manager.address()
+ *  .then(() => manager.request('door', CMD_SENSORS, 2))
+ *  .then((response) => console.log(response));
+ * ```
+ *
+ * Nodes have global IDs, `busName:address` (`'porch:3'`), and can be given aliases. Address 0 on a bus
+ * (`'porch:0'`) is the broadcast address. Messages are routed to the master of the node's bus, so each
+ * bus keeps its own message queue, and a failure on one bus doesn't affect the others.
+ */
+
+import EventEmitter from 'events';
+import { BROADCAST_ADDRESS } from './constants';
+import { createHandle } from './handle';
+
+const NODE_EVENTS = ['node-online', 'node-degraded', 'node-offline', 'node-added'];
+
+/**
+ * Creates a bus manager.
+ *
+ * Node records from the manager are the master's registry records (see `NodeRegistry`), plus:
+ *  + id      {String}   - The global node ID (`busName:address`)
+ *  + bus     {String}   - The bus name
+ *  + aliases {String[]} - The aliases of the node
+ *
+ * @class
+ * @emits BusManager#node-online   A node was addressed or recovered: (node)
+ * @emits BusManager#node-degraded A node has crossed the `degradedAfter` threshold: (node)
+ * @emits BusManager#node-offline  A node has crossed the `offlineAfter` threshold: (node)
+ * @emits BusManager#node-added    A new node was found by `discover()`: (node)
+ * @emits BusManager#bus-error     A master emitted an error: (busName, error)
+ */
+class BusManager extends EventEmitter {
+
+  /**
+   * @param {Object} buses (optional) The masters to manage, by bus name.
+   */
+  constructor(buses={}) {
+    super();
+
+    this._buses = {};
+    this._listeners = {};
+    this._aliases = {};
+
+    Object.keys(buses).forEach((name) => this.add(name, buses[name]));
+  }
+
+  /**
+   * The names of all the buses.
+   *
+   * @type {String[]}
+   */
+  get names() {
+    return Object.keys(this._buses);
+  }
+
+  /**
+   * Add a bus.
+   *
+   * @throws {Error} If the name is invalid or is already used
+   *
+   * @param {String} name The bus name. It can't contain a colon.
+   * @param {DiscoBusMaster} master The master of the bus
+   *
+   * @return {BusManager} Instance to this object, for chaining
+   */
+  add(name, master) {
+    if (typeof name !== 'string' || !name.length || name.indexOf(':') > -1) {
+      throw new Error(`Invalid bus name: '${name}'`);
+    }
+    if (this._buses[name]) {
+      throw new Error(`There is already a bus named '${name}'`);
+    }
+
+    let listeners = {
+      error: (err) => this.emit('bus-error', name, err)
+    };
+    NODE_EVENTS.forEach((event) => {
+      listeners[event] = (node) => this.emit(event, this._globalNode(name, node));
+    });
+    Object.keys(listeners).forEach((event) => master.on(event, listeners[event]));
+
+    this._buses[name] = master;
+    this._listeners[name] = listeners;
+    return this;
+  }
+
+  /**
+   * Remove a bus, and the aliases of its nodes.
+   *
+   * @param {String} name The bus name
+   *
+   * @return {BusManager} Instance to this object, for chaining
+   */
+  remove(name) {
+    let master = this._buses[name];
+    if (!master) return this;
+
+    let listeners = this._listeners[name];
+    Object.keys(listeners).forEach((event) => master.removeListener(event, listeners[event]));
+
+    Object.keys(this._aliases).forEach((alias) => {
+      if (this._aliases[alias].bus === name) {
+        delete this._aliases[alias];
+      }
+    });
+
+    delete this._buses[name];
+    delete this._listeners[name];
+    return this;
+  }
+
+  /**
+   * Get the master of a bus.
+   *
+   * @param {String} name The bus name
+   *
+   * @return {DiscoBusMaster} The master, or undefined
+   */
+  get(name) {
+    return this._buses[name];
+  }
+
+  /**
+   * Give a node an alias, which can be used in place of its global ID.
+   *
+   * ```
+   *  manager.alias('door', 'garage:2');
+   * ```
+   *
+   * @throws {Error} With the code 'UNKNOWN_NODE', if the node's bus doesn't exist.
+   *
+   * @param {String} alias The alias. It can't contain a colon.
+   * @param {String|Object} node The node ID, `{ bus, address }` or another alias. `null` removes the alias.
+   *
+   * @return {BusManager} Instance to this object, for chaining
+   */
+  alias(alias, node) {
+    if (typeof alias !== 'string' || !alias.length || alias.indexOf(':') > -1) {
+      throw new Error(`Invalid alias: '${alias}'`);
+    }
+
+    if (node === null) {
+      delete this._aliases[alias];
+      return this;
+    }
+
+    let target = this.resolve(node);
+    this._aliases[alias] = { bus: target.bus, address: target.address };
+    return this;
+  }
+
+  /**
+   * Find the bus and address of a node.
+   *
+   * @throws {Error} With the code 'UNKNOWN_NODE', if the node ID is invalid, or its bus doesn't exist.
+   *
+   * @param {String|Object} node The node ID (`busName:address`), alias or `{ bus, address }`
+   *
+   * @return {Object} The node's `id`, `bus` name, `address` and `master`
+   */
+  resolve(node) {
+    let bus, address;
+
+    if (typeof node === 'string' && this._aliases[node]) {
+      node = this._aliases[node];
+    }
+
+    if (node && typeof node === 'object') {
+      bus = node.bus;
+      address = node.address;
+    }
+    else if (typeof node === 'string') {
+      let match = node.match(/^(.+):(\d+)$/);
+      if (match) {
+        bus = match[1];
+        address = parseInt(match[2], 10);
+      }
+    }
+
+    if (typeof address !== 'number' || address < BROADCAST_ADDRESS || address > 254) {
+      throw unknownNode(`Invalid node ID: '${node}'`);
+    }
+    if (!this._buses[bus]) {
+      throw unknownNode(`Unknown bus: '${bus}'`);
+    }
+
+    return { id: nodeId(bus, address), bus: bus, address: address, master: this._buses[bus] };
+  }
+
+  /**
+   * Get the records of all the nodes on all the buses, in bus and address order.
+   *
+   * @param {String} status (optional) Only get the nodes with this status
+   *
+   * @return {Object[]}
+   */
+  nodes(status) {
+    return this.names.reduce((nodes, name) => {
+      let records = this._buses[name].registry.all(status);
+      return nodes.concat(records.map((node) => this._globalNode(name, node)));
+    }, []);
+  }
+
+  /**
+   * Address the nodes on all the buses.
+   *
+   * @param {Object} options (optional)
+   *  + parallel {boolean} - Address all the buses at the same time, instead of one after the other. (default: true)
+   *  + timeout  {int}     - Milliseconds to wait for the next address, in place of each master's `timeouts.addressing`
+   *
+   * @return {Promise} Resolves with `{ nodes, errors }`: the number of nodes on each bus, and the error of each
+   *                   bus that failed, by bus name.
+   */
+  address(options={}) {
+    return this._eachBus(options.parallel, (master) => master.address(0, { timeout: options.timeout }))
+    .then((results) => ({ nodes: results.values, errors: results.errors }));
+  }
+
+  /**
+   * Look for new nodes at the end of all the buses (see `DiscoBusMaster.discover()`).
+   *
+   * @param {Object} options (optional) The same options used with `address()`
+   *
+   * @return {Promise} Resolves with `{ added, errors }`: the global IDs of the new nodes, and the error of each
+   *                   bus that failed, by bus name.
+   */
+  discover(options={}) {
+    return this._eachBus(options.parallel, (master) => master.discover({ timeout: options.timeout }))
+    .then((results) => {
+      let added = [];
+      Object.keys(results.values).forEach((name) => {
+        results.values[name].forEach((address) => added.push(nodeId(name, address)));
+      });
+      return { added: added, errors: results.errors };
+    });
+  }
+
+  /**
+   * Send a message to a node, on its bus.
+   *
+   * @param {String|Object} node The node ID, alias or `{ bus, address }`. Address 0 broadcasts to the whole bus.
+   * @param {number|String} command The message command, or the name of a command defined on the bus's master.
+   * @param {number[]|Object} data The message data
+   * @param {Object} options (optional) The same options used with `DiscoBusMaster.send()`
+   *
+   * @return {MessageHandle} Resolves when the message has been sent. Unknown nodes are rejected with an
+   *                         'UNKNOWN_NODE' error.
+   */
+  send(node, command, data, options={}) {
+    return createHandle((handle) => {
+      let target = this.resolve(node);
+      let sent = target.master.send(command, data, Object.assign({}, options, { destination: target.address }));
+      handle.watch(sent);
+      return sent;
+    });
+  }
+
+  /**
+   * Request a response from a node, on its bus.
+   *
+   * @param {String|Object} node The node ID, alias or `{ bus, address }`
+   * @param {number|String} command The message command, or the name of a command defined on the bus's master.
+   * @param {number|Object} length The length of the response data, or the options for named commands
+   * @param {Object} options (optional) The same options used with `DiscoBusMaster.request()`
+   *
+   * @return {MessageHandle} Resolves with the node's response. Unknown nodes are rejected with an
+   *                         'UNKNOWN_NODE' error.
+   */
+  request(node, command, length, options={}) {
+    return createHandle((handle) => {
+      let target = this.resolve(node);
+      let requested = (typeof command === 'string')
+        ? target.master.request(command, Object.assign({}, length, { destination: target.address }))
+        : target.master.request(command, length, Object.assign({}, options, { destination: target.address }));
+      handle.watch(requested);
+      return requested;
+    });
+  }
+
+  /**
+   * Send a message to all the nodes on all the buses.
+   *
+   * @param {number|String} command The message command, or the name of a command defined on the masters.
+   * @param {number[]|Object} data The message data
+   * @param {Object} options (optional) The same options used with `DiscoBusMaster.send()`, plus:
+   *  + parallel {boolean} - Send on all the buses at the same time. (default: true)
+   *
+   * @return {Promise} Resolves with `{ errors }`, the error of each bus that failed, by bus name.
+   */
+  broadcast(command, data, options={}) {
+    let sendOptions = Object.assign({}, options, { destination: BROADCAST_ADDRESS, batchMode: false });
+    delete sendOptions.parallel;
+
+    return this._eachBus(options.parallel, (master) => master.send(command, data, sendOptions))
+    .then((results) => ({ errors: results.errors }));
+  }
+
+  /**
+   * Request a batch response from all the nodes on all the buses, and collect them into one result.
+   *
+   * ```
+   *  manager.batchRequest(CMD_SENSORS, 2)
+   *  .then((result) => console.log(result.responses['porch:3']));
+   * ```
+   *
+   * @param {number|String} command The message command, or the name of a command defined on the masters.
+   * @param {number|Object} length The length of each node's response, or the options for named commands
+   * @param {Object} options (optional) The same options used with `DiscoBusMaster.request()`, plus:
+   *  + parallel {boolean} - Request from all the buses at the same time. (default: true)
+   *
+   * @return {Promise} Resolves with `{ responses, errors }`: the response of each node, by global node ID,
+   *                   and the error of each bus that failed, by bus name. With `withInfo`, it also has
+   *                   the `info` of each node response, by global node ID.
+   */
+  batchRequest(command, length, options={}) {
+    if (typeof command === 'string') {
+      options = length || {};
+    }
+
+    let requestOptions = Object.assign({}, options, { batchMode: true });
+    delete requestOptions.destination;
+    delete requestOptions.parallel;
+
+    return this._eachBus(options.parallel, (master) => {
+      return (typeof command === 'string')
+        ? master.request(command, requestOptions)
+        : master.request(command, length, requestOptions);
+    })
+    .then((results) => {
+      let collected = { responses: {}, errors: results.errors };
+      if (options.withInfo) {
+        collected.info = {};
+      }
+
+      Object.keys(results.values).forEach((name) => {
+        let result = results.values[name];
+        let responses = (options.withInfo) ? result.response : result;
+
+        responses.forEach((response, i) => {
+          let id = nodeId(name, i + 1);
+          collected.responses[id] = response;
+          if (options.withInfo) {
+            collected.info[id] = result.info[i];
+          }
+        });
+      });
+      return collected;
+    });
+  }
+
+  /**
+   * Run an operation on all the buses. A failure on one bus doesn't stop the others.
+   *
+   * @param {boolean} parallel Run on all the buses at the same time, instead of one after the other (default: true)
+   * @param {Function} fn Called with the master and bus name, and returns a promise
+   *
+   * @return {Promise} Resolves with `{ values, errors }`, by bus name.
+   */
+  _eachBus(parallel, fn) {
+    let results = { values: {}, errors: {} };
+
+    const run = (name) => {
+      return Promise.resolve()
+      .then(() => fn(this._buses[name], name))
+      .then(
+        (value) => { results.values[name] = value; },
+        (err) => { results.errors[name] = err; }
+      );
+    };
+
+    let done;
+    if (parallel === false) {
+      done = this.names.reduce((prev, name) => prev.then(() => run(name)), Promise.resolve());
+    } else {
+      done = Promise.all(this.names.map(run));
+    }
+    return done.then(() => results);
+  }
+
+  /**
+   * Create the manager's record of a node, from the master's registry record.
+   *
+   * @param {String} bus The bus name
+   * @param {Object} node The registry record
+   *
+   * @return {Object}
+   */
+  _globalNode(bus, node) {
+    let aliases = Object.keys(this._aliases).filter((alias) => {
+      let target = this._aliases[alias];
+      return target.bus === bus && target.address === node.address;
+    });
+    return Object.assign({ id: nodeId(bus, node.address), bus: bus, aliases: aliases }, node);
+  }
+}
+
+/**
+ * Create a global node ID.
+ *
+ * @param {String} bus The bus name
+ * @param {number} address The node address
+ *
+ * @return {String}
+ */
+function nodeId(bus, address) {
+  return `${bus}:${address}`;
+}
+
+/**
+ * Create an unknown node error.
+ *
+ * @param {String} message
+ *
+ * @return {Error}
+ */
+function unknownNode(message) {
+  let err = new Error(message);
+  err.code = 'UNKNOWN_NODE';
+  return err;
+}
+
+module.exports.BusManager = BusManager;
@@ -0,0 +1,405 @@
+'use strict';
+
+/**
+ * Collects bus health metrics from the master: messages, bytes, node response latency,
+ * timeouts, default fills, CRC failures, address corrections and queue wait time.
+ *
+ * ```
+ *  console.log(master.metrics.snapshot());
+ *
+ *  // Serve http://127.0.0.1:9464/metrics for Prometheus
+ *  master.metrics.listen(9464);
+ * ```
+ */
+
+import http from 'http';
+
+const LATENCY_BUCKETS = [1, 2, 5, 10, 20, 50, 100, 250, 500, 1000];
+const QUEUE_BUCKETS = [1, 5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000];
+
+const DEFAULT_HOST = '127.0.0.1';
+const DEFAULT_PATH = '/metrics';
+const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/**
+ * A cumulative histogram of millisecond values.
+ *
+ * @class
+ */
+class Histogram {
+
+  /**
+   * @param {number[]} buckets The bucket upper bounds, in milliseconds, in ascending order
+   */
+  constructor(buckets) {
+    this.buckets = buckets;
+    this.counts = buckets.map(() => 0);
+    this.count = 0;
+    this.sum = 0;
+  }
+
+  /**
+   * Add a value to the histogram.
+   *
+   * @param {number} value The value, in milliseconds
+   */
+  observe(value) {
+    this.count++;
+    this.sum += value;
+    this.buckets.forEach((le, i) => {
+      if (value <= le) {
+        this.counts[i]++;
+      }
+    });
+  }
+
+  /**
+   * @return {Object} `{ count, sum, buckets }`, where `buckets` has the number of values at or below each bound.
+   */
+  snapshot() {
+    let buckets = {};
+    this.buckets.forEach((le, i) => { buckets[le] = this.counts[i]; });
+    buckets['+Inf'] = this.count;
+
+    return { count: this.count, sum: this.sum, buckets: buckets };
+  }
+}
+
+/**
+ * Creates a metrics collector. The master has one in `master.metrics`.
+ *
+ * @class
+ */
+class BusMetrics {
+
+  /**
+   * @param {Function} gauges (optional) Returns the current gauge values: `{ nodeCount, queueLength }`
+   */
+  constructor(gauges) {
+
+    /**
+     * Labels added to all the Prometheus metrics, i.e. `{ bus: 'stage-left' }`.
+     *
+     * @type {Object}
+     */
+    this.labels = {};
+
+    this._gauges = gauges || (() => ({}));
+    this._server = null;
+    this.reset();
+  }
+
+  /**
+   * Set all the metrics back to zero.
+   *
+   * @return {BusMetrics} Instance to this object, for chaining
+   */
+  reset() {
+    this._messages = {};
+    this._bytesSent = 0;
+    this._bytesReceived = 0;
+    this._addressCorrections = 0;
+    this._collisions = 0;
+    this._queueWait = new Histogram(QUEUE_BUCKETS);
+    this._nodes = {};
+    return this;
+  }
+
+  /**
+   * Record bytes written to the bus.
+   *
+   * @param {int} length The number of bytes
+   */
+  recordSent(length) {
+    this._bytesSent += length;
+  }
+
+  /**
+   * Record bytes received from the bus.
+   *
+   * @param {int} length The number of bytes
+   */
+  recordReceived(length) {
+    this._bytesReceived += length;
+  }
+
+  /**
+   * Record that a node sent the wrong address and had to be corrected.
+   */
+  recordAddressCorrection() {
+    this._addressCorrections++;
+  }
+
+  /**
+   * Record a bus collision.
+   */
+  recordCollision() {
+    this._collisions++;
+  }
+
+  /**
+   * Record a message that has finished: the command, how long it waited in the queue and
+   * how each node responded.
+   *
+   * @param {BusMessage} message The finished message
+   * @param {NodeResponseInfo[]} responses (optional) The node responses to record, if not all of `message.responseInfo`
+   */
+  recordMessage(message, responses=message.responseInfo) {
+    this._messages[message.command] = (this._messages[message.command] || 0) + 1;
+
+    if (message.startedAt && message.queuedAt) {
+      this._queueWait.observe(message.startedAt - message.queuedAt);
+    }
+
+    responses.forEach((info) => {
+      let node = this._node(info.node);
+      let filled = info.status !== 'received' || (info.corrupt && message.options.corruptAsMissing);
+
+      if (info.status === 'received' && !info.corrupt) node.responses++;
+      if (info.status === 'default') node.timeouts++;
+      if (filled) node.defaultFills++;
+      if (info.corrupt) node.crcErrors++;
+      if (info.latency !== null && typeof info.latency !== 'undefined') {
+        node.latency.observe(info.latency);
+      }
+    });
+  }
+
+  /**
+   * Get the current metrics.
+   *
+   * ```
+   *  {
+   *    messages: { total: 12, byCommand: { 9: 10, 255: 2 } },
+   *    bytes: { sent: 130, received: 24 },
+   *    responses: 20, timeouts: 1, defaultFills: 2, crcErrors: 1,
+   *    addressCorrections: 0,
+   *    collisions: 0,
+   *    queueWait: { count: 12, sum: 40, buckets: { 1: 6, 5: 10, ..., '+Inf': 12 } },
+   *    nodeCount: 5,
+   *    queueLength: 0,
+   *    nodes: {
+   *      1: { responses: 4, timeouts: 0, defaultFills: 0, crcErrors: 0, latency: { count, sum, buckets } },
+   *      ...
+   *    }
+   *  }
+   * ```
+   *
+   * @return {Object}
+   */
+  snapshot() {
+    let gauges = this._gauges();
+    let byCommand = Object.assign({}, this._messages);
+    let nodes = {};
+    let totals = { responses: 0, timeouts: 0, defaultFills: 0, crcErrors: 0 };
+
+    Object.keys(this._nodes).forEach((addr) => {
+      let node = this._nodes[addr];
+      nodes[addr] = {
+        responses: node.responses,
+        timeouts: node.timeouts,
+        defaultFills: node.defaultFills,
+        crcErrors: node.crcErrors,
+        latency: node.latency.snapshot()
+      };
+      Object.keys(totals).forEach((name) => { totals[name] += node[name]; });
+    });
+
+    return {
+      messages: {
+        total: Object.keys(byCommand).reduce((sum, cmd) => sum + byCommand[cmd], 0),
+        byCommand: byCommand
+      },
+      bytes: { sent: this._bytesSent, received: this._bytesReceived },
+      responses: totals.responses,
+      timeouts: totals.timeouts,
+      defaultFills: totals.defaultFills,
+      crcErrors: totals.crcErrors,
+      addressCorrections: this._addressCorrections,
+      collisions: this._collisions,
+      queueWait: this._queueWait.snapshot(),
+      nodeCount: gauges.nodeCount || 0,
+      queueLength: gauges.queueLength || 0,
+      nodes: nodes
+    };
+  }
+
+  /**
+   * Format the metrics in the Prometheus text format.
+   * Times are converted to seconds, as Prometheus expects.
+   *
+   * @return {String}
+   */
+  toPrometheus() {
+    const snap = this.snapshot();
+    let lines = [];
+
+    const metric = (name, type, help) => {
+      lines.push(`# HELP discobus_${name} ${help}`);
+      lines.push(`# TYPE discobus_${name} ${type}`);
+    };
+    const sample = (name, labels, value) => {
+      lines.push(`discobus_${name}${this._formatLabels(labels)} ${value}`);
+    };
+    const histogram = (name, labels, hist) => {
+      Object.keys(hist.buckets).forEach((le) => {
+        let bound = (le === '+Inf') ? le : String(Number(le) / 1000);
+        sample(`${name}_bucket`, Object.assign({}, labels, { le: bound }), hist.buckets[le]);
+      });
+      sample(`${name}_sum`, labels, hist.sum / 1000);
+      sample(`${name}_count`, labels, hist.count);
+    };
+    const perNode = (name, type, help, fn) => {
+      metric(name, type, help);
+      Object.keys(snap.nodes).forEach((addr) => fn(addr, snap.nodes[addr]));
+    };
+
+    metric('messages_total', 'counter', 'Messages sent, by command.');
+    Object.keys(snap.messages.byCommand).forEach((cmd) => {
+      sample('messages_total', { command: formatCommand(cmd) }, snap.messages.byCommand[cmd]);
+    });
+
+    metric('sent_bytes_total', 'counter', 'Bytes written to the bus.');
+    sample('sent_bytes_total', {}, snap.bytes.sent);
+    metric('received_bytes_total', 'counter', 'Bytes received from the bus.');
+    sample('received_bytes_total', {}, snap.bytes.received);
+
+    perNode('responses_total', 'counter', 'Complete node responses.',
+      (addr, node) => sample('responses_total', { node: addr }, node.responses));
+    perNode('response_timeouts_total', 'counter', 'Node responses which timed out without any data.',
+      (addr, node) => sample('response_timeouts_total', { node: addr }, node.timeouts));
+    perNode('response_default_fills_total', 'counter', 'Node responses filled in with the default response.',
+      (addr, node) => sample('response_default_fills_total', { node: addr }, node.defaultFills));
+    perNode('response_crc_errors_total', 'counter', 'Node responses which failed the response CRC check.',
+      (addr, node) => sample('response_crc_errors_total', { node: addr }, node.crcErrors));
+    perNode('response_latency_seconds', 'histogram', 'Time until the first byte of a node response.',
+      (addr, node) => histogram('response_latency_seconds', { node: addr }, node.latency));
+
+    metric('address_corrections_total', 'counter', 'Invalid addresses corrected while addressing.');
+    sample('address_corrections_total', {}, snap.addressCorrections);
+    metric('collisions_total', 'counter', 'Bus collisions found by echo cancellation.');
+    sample('collisions_total', {}, snap.collisions);
+
+    metric('queue_wait_seconds', 'histogram', 'Time messages waited in the queue before being sent.');
+    histogram('queue_wait_seconds', {}, snap.queueWait);
+
+    metric('nodes', 'gauge', 'Number of nodes on the bus.');
+    sample('nodes', {}, snap.nodeCount);
+    metric('queue_length', 'gauge', 'Messages waiting to be sent.');
+    sample('queue_length', {}, snap.queueLength);
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Serve the metrics, in the Prometheus text format, over HTTP.
+   *
+   * @param {int} port The port to listen on
+   * @param {Object} options (optional) Server options:
+   *  + host {String} - The host to listen on (default: '127.0.0.1')
+   *  + path {String} - The URL path of the metrics (default: '/metrics')
+   * @param {Function} callback (optional) Called once the server is listening, or with an error.
+   *
+   * @return {http.Server} The HTTP server
+   */
+  listen(port, options={}, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+
+    const path = options.path || DEFAULT_PATH;
+
+    this.close();
+    this._server = http.createServer((req, res) => {
+      if (req.method !== 'GET' || req.url.split('?')[0] !== path) {
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        res.end('Not found\n');
+        return;
+      }
+
+      res.writeHead(200, { 'Content-Type': PROMETHEUS_CONTENT_TYPE });
+      res.end(this.toPrometheus());
+    });
+
+    if (callback) {
+      this._server.once('error', callback);
+    }
+    this._server.listen(port, options.host || DEFAULT_HOST, () => {
+      if (callback) {
+        this._server.removeListener('error', callback);
+        callback(null);
+      }
+    });
+
+    return this._server;
+  }
+
+  /**
+   * Stop serving the metrics.
+   *
+   * @param {Function} callback (optional) Called once the server has closed
+   */
+  close(callback) {
+    if (!this._server) {
+      if (callback) setImmediate(callback);
+      return;
+    }
+    this._server.close(callback);
+    this._server = null;
+  }
+
+  /**
+   * Get the metrics of a node.
+   *
+   * @param {number} address The node address
+   *
+   * @return {Object}
+   */
+  _node(address) {
+    if (!this._nodes[address]) {
+      this._nodes[address] = {
+        responses: 0,
+        timeouts: 0,
+        defaultFills: 0,
+        crcErrors: 0,
+        latency: new Histogram(LATENCY_BUCKETS)
+      };
+    }
+    return this._nodes[address];
+  }
+
+  /**
+   * Format Prometheus labels, with the constant `labels`.
+   *
+   * @param {Object} labels
+   *
+   * @return {String}
+   */
+  _formatLabels(labels) {
+    let all = Object.assign({}, this.labels, labels);
+    let names = Object.keys(all);
+
+    if (!names.length) {
+      return '';
+    }
+    return '{' + names.map((name) => {
+      let value = String(all[name]).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+      return `${name}="${value}"`;
+    }).join(',') + '}';
+  }
+}
+
+/**
+ * Format a command as a hex label value, i.e. `0x09`.
+ *
+ * @param {number|String} command
+ *
+ * @return {String}
+ */
+function formatCommand(command) {
+  return '0x' + ('0' + Number(command).toString(16)).substr(-2);
+}
+
+module.exports.BusMetrics = BusMetrics;
+module.exports.Histogram = Histogram;
@@ -0,0 +1,128 @@
+'use strict';
+
+/**
+ * A passive bus monitor (sniffer), which decodes all the traffic on the bus without sending anything.
+ *
+ * ```
+ *  const monitor = new BusMonitor();
+ *  monitor.on('frame', (frame) => console.log(frame));
+ *  monitor.connectTo('/dev/ttyUSB0', { baudRate: 9600 });
+ * ```
+ */
+
+import EventEmitter from 'events';
+import { FrameDecoder } from './decoder';
+import { openPort } from './transport';
+
+const FRAME_TIMEOUT = 100;
+
+/**
+ * Creates a bus monitor.
+ *
+ * @class
+ * @emits BusMonitor#frame A message on the bus was decoded: (frame) See `FrameDecoder`
+ * @emits BusMonitor#skip  Bytes received outside of a message: (bytes)
+ */
+class BusMonitor extends EventEmitter {
+
+  /**
+   * @param {Object} options Monitor options:
+   *  + frameTimeout {int} - If no data is received for this many milliseconds in the middle of a frame,
+   *                         drop it and wait for the next start sequence. This needs to be longer
+   *                         than the master's addressing timeout. (default: 100)
+   */
+  constructor(options={}) {
+    super();
+
+    /**
+     * The decoder used to parse the bus traffic.
+     *
+     * @type {FrameDecoder}
+     */
+    this.decoder = new FrameDecoder();
+    this.decoder.on('frame', (frame) => this.emit('frame', frame));
+    this.decoder.on('skip', (bytes) => this.emit('skip', bytes));
+
+    this.port = null;
+
+    this._frameTimeout = options.frameTimeout || FRAME_TIMEOUT;
+    this._idleTimer = null;
+  }
+
+  /**
+   * Connect to a serial device via node-serialport, or to a transport URL (see `transport.js`).
+   *
+   * @param {String}   port     Serial device port name or path, or a transport URL
+   * @param {Object}   options  The same options used to open a port with node-serialport, or the transport options
+   * @param {Function} callback A callback called after the port has been opened (or returns an error)
+   *
+   * @return {BusMonitor} Instance to this object, for chaining
+   */
+  connectTo(port, options, callback) {
+    this.connectWith(openPort(port, options, callback));
+
+    return this;
+  }
+
+  /**
+   * Listen to the data of an already connected port.
+   * This only needs the port to emit `data` events.
+   *
+   * @return {BusMonitor} Instance to this object, for chaining
+   */
+  connectWith(port) {
+    if (!this.__onData) {
+      this.__onData = function(d) {
+        this._handleData(d);
+      }.bind(this);
+    }
+
+    this.disconnect();
+    port.on('data', this.__onData);
+    this.port = port;
+
+    return this;
+  }
+
+  /**
+   * Stop listening to the port.
+   *
+   * @return {BusMonitor} Instance to this object, for chaining
+   */
+  disconnect() {
+    if (this.port) {
+      this.port.removeListener('data', this.__onData);
+      this.port = null;
+    }
+    this._stopIdleTimer();
+    return this;
+  }
+
+  /**
+   * Handle new data from the bus
+   *
+   * @param {Buffer} data
+   */
+  _handleData(data) {
+    this._stopIdleTimer();
+    this.decoder.push(data);
+
+    // Resync if the rest of the frame never comes
+    this._idleTimer = setTimeout(() => {
+      this._idleTimer = null;
+      this.decoder.reset();
+    }, this._frameTimeout);
+  }
+
+  /**
+   * Stop the idle timer
+   */
+  _stopIdleTimer() {
+    if (this._idleTimer) {
+      clearTimeout(this._idleTimer);
+      this._idleTimer = null;
+    }
+  }
+}
+
+module.exports.BusMonitor = BusMonitor;
@@ -0,0 +1,497 @@
+'use strict';
+
+/**
+ * Implements the Disco Bus protocol for a node (slave) device on the network.
+ *
+ * See more about Disco Bus: https://github.com/jgillick/Disco-Bus-Protocol
+ *
+ * See examples in README.md
+ */
+
+import crc from 'crc';
+import EventEmitter from 'events';
+import { BROADCAST_ADDRESS, CMD } from './constants';
+import { MessageParser } from './parser';
+import { openPort } from './transport';
+import { RtsDaisyDriver, createDaisyDriver } from './daisy';
+import { FragmentAssembler, splitFragments, FRAGMENT_HEADER_LEN } from './fragment';
+
+/**
+ * Creates a Disco Bus node device.
+ *
+ * @class
+ * @emits DiscoBusNode#error
+ * @emits DiscoBusNode#message   A message for this node has been received: (message)
+ * @emits DiscoBusNode#addressed The node has been given an address: (address)
+ * @emits DiscoBusNode#reset     The node address was reset by the master
+ */
+class DiscoBusNode extends EventEmitter {
+
+  constructor() {
+    super();
+
+    ////////////////////////////////////////////
+    // Public members
+    ////////////////////////////////////////////
+
+    /**
+     * The node's address on the bus (0 until it has been addressed).
+     *
+     * @type {int}
+     */
+    this.address = 0;
+
+    /**
+     * The state of the incoming daisy line, from the previous node (or master).
+     * See `setDaisyInput()`.
+     *
+     * @type {boolean}
+     */
+    this.daisyIn = false;
+
+    /**
+     * Sets the outgoing daisy line. See `setDaisyDriver()`
+     *
+     * @type {DaisyDriver}
+     */
+    this.daisyDriver = new RtsDaisyDriver();
+
+    ////////////////////////////////////////////
+    // Private members
+    ////////////////////////////////////////////
+    this._handlers = {};
+
+    this._message = null;
+    this._responded = false;
+
+    // Fragmented payloads being received, and responses being sent, by command
+    this._fragmentsIn = {};
+    this._fragmentsOut = {};
+
+    this._addressing = false;
+    this._lastAddr = null;
+    this._pendingAddr = null;
+    this._addrCorrection = false;
+
+    this._parser = new MessageParser();
+    this._parser.on('header', this._handleHeader.bind(this));
+    this._parser.on('data', this._handleMessageData.bind(this));
+    this._parser.on('address', this._handleAddress.bind(this));
+    this._parser.on('addressing-end', this._handleAddressingEnd.bind(this));
+    this._parser.on('message', this._handleMessage.bind(this));
+  }
+
+  /**
+   * Connect to a serial device via node-serialport, or to a transport URL (see `transport.js`).
+   *
+   * @param {String}   port     Serial device port name or path, or a transport URL
+   * @param {Object}   options  The same options used to open a port with node-serialport, or the transport options
+   * @param {Function} callback A callback called after the port has been opened (or returns an error)
+   *
+   * @return {DiscoBusNode} Instance to this object, for chaining
+   */
+  connectTo(port, options, callback) {
+    this.connectWith(openPort(port, options, callback));
+
+    return this;
+  }
+
+  /**
+   * Pass an already connected device port to read and write from.
+   *
+   * This port needs to follow the same object interface as node-serialport's SerialPort object:
+   *    + port.on('data', function(){});
+   *    + port.write(data)
+   *
+   * The node expects not to receive the bytes it writes to the port.
+   *
+   * @return {DiscoBusNode} Instance to this object, for chaining
+   */
+  connectWith(port) {
+    if (!this.__onData) {
+      this.__onData = function(d) {
+        this._handleData(d);
+      }.bind(this);
+    }
+
+    // Detach from previous port
+    if (this.port) {
+      this.port.removeListener('data', this.__onData);
+    }
+
+    port.on('data', this.__onData);
+    this.port = port;
+
+    return this;
+  }
+
+  /**
+   * Register the handler for a message command.
+   *
+   * The handler is called with the message object. For response messages, it's called when it's
+   * this node's turn to respond, and needs to return the response bytes. For all other messages,
+   * it's called once the full message has been received and the CRC checks out.
+   *
+   * Fragmented messages (see `DiscoBusMaster.sendFragmented()`) are put back together, and the handler
+   * is called once, with all the data, after the last fragment. For fragmented response messages, the
+   * handler is called for the first fragment and its response is sent over the following messages.
+   *
+   * ```
+   *  node.handle(CMD_SENSORS, (message) => {
+   *    return [temp, offset];
+   *  });
+   * ```
+   *
+   * @param {number} command The message command
+   * @param {Function} handler The handler function
+   *
+   * @return {DiscoBusNode} Instance to this object, for chaining
+   */
+  handle(command, handler) {
+    this._handlers[command] = handler;
+    return this;
+  }
+
+  /**
+   * Choose how the outgoing daisy line is set. By default, it's the port's RTS line.
+   * See `DiscoBusMaster.setDaisyDriver()`
+   *
+   * @throws {Error} If the driver is unknown or the options are invalid
+   *
+   * @param {String|Function|DaisyDriver} driver 'rts', 'dtr', 'gpio', a function which returns a promise,
+   *                                             or a driver instance.
+   * @param {Object} options (optional) Driver options
+   *
+   * @return {DiscoBusNode} Instance to this object, for chaining
+   */
+  setDaisyDriver(driver, options) {
+    this.daisyDriver = createDaisyDriver(driver, options);
+    return this;
+  }
+
+  /**
+   * Sets the outgoing daisy line to enabled or disabled, with the `daisyDriver`
+   * (the port's RTS line, by default).
+   *
+   * @param {boolean} enabled Set the daisy line to enabled.
+   *
+   * @return {Promise}
+   */
+  setDaisyLine(enabled) {
+    return new Promise ( (resolve, reject) => {
+      if (!this.port) {
+        reject('There is no open connection. First connect to a port with connectTo() or connectWith()');
+        return;
+      }
+
+      this.daisyDriver.set(this.port, enabled, err => {
+        if (err) {
+          this.emit('error', `Error setting daisy line: ${err}`);
+          reject(err);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+
+  /**
+   * Tell the node the incoming daisy line has changed.
+   * Call this whenever the previous node (or the master) toggles its daisy line.
+   *
+   * @param {boolean} enabled The incoming daisy line is enabled
+   *
+   * @return {DiscoBusNode} Instance to this object, for chaining
+   */
+  setDaisyInput(enabled) {
+    this.daisyIn = enabled;
+    this._claimAddress();
+    return this;
+  }
+
+  /**
+   * Handle new data received from the bus
+   *
+   * @param {Buffer} data A buffer of new data from the serial connection
+   */
+  _handleData(data) {
+    this._parser.push(data);
+  }
+
+  /**
+   * A new message header has been received
+   *
+   * @param {Object} header The message header
+   */
+  _handleHeader(header) {
+    this._message = header;
+    this._responded = false;
+
+    if (header.command === CMD.ADDRESS) {
+      this._addressing = true;
+      this._lastAddr = null;
+      this._pendingAddr = null;
+      this._addrCorrection = false;
+    }
+    else {
+      this._respondIfReady();
+    }
+  }
+
+  /**
+   * A data byte for the current message has been received
+   */
+  _handleMessageData() {
+    this._respondIfReady();
+  }
+
+  /**
+   * An address was sent by the master or another node during addressing.
+   *
+   * @param {number} addr The address byte
+   */
+  _handleAddress(addr) {
+
+    // The first address is the one the master is starting from
+    if (this._lastAddr === null) {
+      this._lastAddr = addr;
+    }
+    // Address correction: 0x00 followed by the last valid address
+    else if (this._addrCorrection) {
+      this._addrCorrection = false;
+      this._pendingAddr = null;
+      this._lastAddr = addr;
+    }
+    else if (addr === 0x00) {
+      this._addrCorrection = true;
+      return;
+    }
+    // The master confirmed our address
+    else if (this._pendingAddr !== null && addr === this._pendingAddr) {
+      this._pendingAddr = null;
+      this._lastAddr = addr;
+      this.address = addr;
+
+      this.setDaisyLine(true).catch(() => {});
+      this.emit('addressed', addr);
+      return;
+    }
+    else {
+      this._lastAddr = addr;
+    }
+
+    this._claimAddress();
+  }
+
+  /**
+   * The master has stopped addressing.
+   */
+  _handleAddressingEnd() {
+    this._addressing = false;
+    this._pendingAddr = null;
+  }
+
+  /**
+   * A full message has been received.
+   *
+   * @param {Object} message The parsed message
+   */
+  _handleMessage(message) {
+    const header = message.header;
+    const handler = this._handlers[header.command];
+
+    if (!this._isForThisNode(header)) return;
+
+    // Response messages have already been handled when it was our turn
+    if (header.response) {
+      return;
+    }
+
+    if (!message.crcValid) {
+      this.emit('error', `Invalid CRC for message command ${header.command}`);
+      return;
+    }
+
+    // Reset address
+    if (header.command === CMD.RESET) {
+      this.address = 0;
+      this._fragmentsIn = {};
+      this._fragmentsOut = {};
+      this.setDaisyLine(false).catch(() => {});
+      this.emit('reset');
+      return;
+    }
+    else if (header.command === CMD.NULL) {
+      return;
+    }
+
+    let nodeMessage = this._createNodeMessage(header, message.data);
+
+    // Wait for the rest of the fragments
+    if (header.fragment) {
+      let assembler = this._fragmentsIn[header.command] || (this._fragmentsIn[header.command] = new FragmentAssembler());
+      try {
+        if (!assembler.push(nodeMessage.data)) return;
+      } catch(err) {
+        this.emit('error', `Invalid fragment for message command ${header.command}: ${err.message}`);
+        return;
+      }
+      nodeMessage.data = assembler.data;
+      nodeMessage.length = assembler.data.length;
+      assembler.reset();
+    }
+
+    this.emit('message', nodeMessage);
+
+    if (handler) {
+      try {
+        handler(nodeMessage);
+      } catch(err) {
+        this.emit('error', err);
+      }
+    }
+  }
+
+  /**
+   * Send a response if it's this node's turn to respond to the current message.
+   */
+  _respondIfReady() {
+    const header = this._message;
+
+    if (!header || !header.response || this._responded || !this._isForThisNode(header)) {
+      return;
+    }
+
+    // Batch responses are sent in address order
+    let position = (header.batch) ? (this.address - 1) * header.slotLength : 0;
+    if (this._parser.position !== position) {
+      return;
+    }
+
+    this._responded = true;
+
+    const handler = this._handlers[header.command];
+    if (!handler) {
+      return;
+    }
+
+    let nodeMessage = this._createNodeMessage(header, []);
+    let response;
+    try {
+      response = (header.fragment)
+        ? this._nextResponseFragment(header, () => handler(nodeMessage))
+        : handler(nodeMessage);
+    } catch(err) {
+      this.emit('error', err);
+      return;
+    }
+
+    // Fit the response to the message length
+    response = Array.from(response || []).slice(0, header.length);
+    while (response.length < header.length) {
+      response.push(0);
+    }
+
+    // Protect the response with its own CRC
+    if (header.responseCrc) {
+      let crcValue = crc.crc16modbus(response, 0xFFFF);
+      response.push((crcValue >> 8) & 0xFF, crcValue & 0xFF);
+    }
+
+    this.emit('message', nodeMessage);
+    this._send(response, true);
+  }
+
+  /**
+   * Get the next fragment of a response. Once all the fragments of the last response have been sent,
+   * the handler is called for a new response.
+   *
+   * @throws {Error} If the response is too large to fragment
+   *
+   * @param {Object} header The message header
+   * @param {Function} respond Calls the command handler and returns the whole response
+   *
+   * @return {number[]} The fragment, with the fragment header
+   */
+  _nextResponseFragment(header, respond) {
+    let outgoing = this._fragmentsOut[header.command];
+
+    if (!outgoing || outgoing.index >= outgoing.fragments.length) {
+      let response = Array.from(respond() || []);
+      outgoing = this._fragmentsOut[header.command] = {
+        fragments: splitFragments(response, header.length - FRAGMENT_HEADER_LEN),
+        index: 0
+      };
+    }
+    return outgoing.fragments[outgoing.index++];
+  }
+
+  /**
+   * Claim the next address, if this node is next in line to be addressed.
+   */
+  _claimAddress() {
+    if (!this._addressing || !this.daisyIn || this.address) return;
+    if (this._pendingAddr !== null || this._lastAddr === null || this._addrCorrection) return;
+
+    this._pendingAddr = this._lastAddr + 1;
+    this._send([this._pendingAddr], false);
+  }
+
+  /**
+   * Check if a message is meant for this node.
+   *
+   * @param {Object} header The message header
+   *
+   * @return {boolean}
+   */
+  _isForThisNode(header) {
+    if (header.batch) {
+      return (this.address > 0 && this.address <= header.nodeCount);
+    }
+    return (header.destination === BROADCAST_ADDRESS || header.destination === this.address);
+  }
+
+  /**
+   * Create the message object passed to handlers and `message` listeners.
+   *
+   * @param {Object} header The message header
+   * @param {number[]} data All of the message data bytes
+   *
+   * @return {Object}
+   */
+  _createNodeMessage(header, data) {
+    if (header.batch && !header.response) {
+      let start = (this.address - 1) * header.length;
+      data = data.slice(start, start + header.length);
+    }
+
+    return {
+      command: header.command,
+      destination: header.destination,
+      batch: header.batch,
+      response: header.response,
+      length: header.length,
+      data: data
+    };
+  }
+
+  /**
+   * Write bytes to the bus.
+   *
+   * @param {number[]} bytes The bytes to send
+   * @param {boolean} parse Pass the bytes to the parser, since they are now part of the message
+   */
+  _send(bytes, parse) {
+    this.port.write(Buffer.from(bytes), (err) => {
+      if (err) {
+        this.emit('error', `Error sending data: ${err}`);
+      }
+    });
+
+    if (parse) {
+      this._parser.push(bytes);
+    }
+  }
+}
+
+module.exports.DiscoBusNode = DiscoBusNode;
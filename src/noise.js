@@ -0,0 +1,209 @@
+'use strict';
+
+/**
+ * Watches for bytes the master received but wasn't expecting, which point to stuck transmitters,
+ * wiring faults or rogue nodes.
+ *
+ * ```
+ *  master.noise.alarmThreshold = 20; // Noise bytes per `alarmWindow`
+ *  master.on('bus-noise', (noise) => console.log(`${noise.kind}: ${noise.hex}`));
+ *  master.on('noise-alarm', (alarm) => console.log(`${alarm.bytes} noise bytes in ${alarm.window}ms`));
+ * ```
+ *
+ * Unexpected bytes are classified as:
+ *  + idle        - Received between messages, when the bus should be quiet
+ *  + unsolicited - Received during a message which didn't ask the nodes for a response
+ *  + overflow    - Received after all the responses to a response message
+ */
+
+import EventEmitter from 'events';
+
+const KINDS = ['idle', 'unsolicited', 'overflow'];
+const ALARM_WINDOW = 1000;
+const DUMP_LENGTH = 64;
+
+/**
+ * Creates a bus noise detector. The master has one in `master.noise`, and passes on its events.
+ *
+ * @class
+ * @emits NoiseDetector#bus-noise   Unexpected bytes were received: ({ kind, command, length, hex, time })
+ * @emits NoiseDetector#noise-alarm The number of noise bytes in the `alarmWindow` crossed the `alarmThreshold`:
+ *                                  ({ bytes, threshold, window, time })
+ */
+class NoiseDetector extends EventEmitter {
+
+  /**
+   * @param {Object} options (optional) Override any of the default property values.
+   */
+  constructor(options={}) {
+    super();
+
+    /**
+     * Watch for unexpected bytes.
+     *
+     * @type {boolean}
+     */
+    this.enabled = true;
+
+    /**
+     * Raise an alarm when there are at least this many noise bytes in the `alarmWindow`.
+     * Without a threshold, there is no alarm.
+     *
+     * @type {int}
+     */
+    this.alarmThreshold = null;
+
+    /**
+     * The alarm window, in milliseconds.
+     *
+     * @type {int}
+     */
+    this.alarmWindow = ALARM_WINDOW;
+
+    /**
+     * The most bytes to include in the hex dump of the `bus-noise` event.
+     *
+     * @type {int}
+     */
+    this.dumpLength = DUMP_LENGTH;
+
+    Object.assign(this, options);
+
+    /**
+     * The alarm has been raised, and the rate hasn't dropped below the threshold since.
+     *
+     * @type {boolean}
+     */
+    this.alarming = false;
+
+    this.reset();
+  }
+
+  /**
+   * Record unexpected bytes.
+   *
+   * @param {String} kind 'idle', 'unsolicited' or 'overflow'
+   * @param {Buffer|number[]} data The unexpected bytes
+   * @param {number} command (optional) The command of the message in progress
+   * @param {number} time (optional) Timestamp
+   *
+   * @return {Object} The noise report, or null when the detector isn't enabled
+   */
+  record(kind, data, command=null, time=Date.now()) {
+    if (!this.enabled || !data.length) return null;
+    if (KINDS.indexOf(kind) === -1) {
+      throw new Error(`Unknown bus noise kind: '${kind}'`);
+    }
+
+    this.counts[kind] += data.length;
+    this.events[kind]++;
+
+    let noise = {
+      kind: kind,
+      command: command,
+      length: data.length,
+      hex: hexDump(data, this.dumpLength),
+      time: time
+    };
+    this.emit('bus-noise', noise);
+
+    this._samples.push({ time: time, bytes: data.length });
+    this._prune(time);
+    this._checkAlarm(time);
+
+    return noise;
+  }
+
+  /**
+   * The number of noise bytes in the last `alarmWindow`.
+   *
+   * @param {number} time (optional) Timestamp of now
+   *
+   * @return {int}
+   */
+  rate(time=Date.now()) {
+    this._prune(time);
+    return this._samples.reduce((total, sample) => total + sample.bytes, 0);
+  }
+
+  /**
+   * Clear the counts and the alarm.
+   *
+   * @return {NoiseDetector} Instance to this object, for chaining
+   */
+  reset() {
+
+    /**
+     * The number of noise bytes received, by kind.
+     *
+     * @type {Object}
+     */
+    this.counts = {};
+
+    /**
+     * The number of times noise was received, by kind.
+     *
+     * @type {Object}
+     */
+    this.events = {};
+
+    KINDS.forEach((kind) => {
+      this.counts[kind] = 0;
+      this.events[kind] = 0;
+    });
+
+    this.alarming = false;
+    this._samples = [];
+    return this;
+  }
+
+  /**
+   * Raise the alarm when the rate crosses the threshold, and clear it once it drops below.
+   *
+   * @param {number} time Timestamp of now
+   */
+  _checkAlarm(time) {
+    if (!this.alarmThreshold) return;
+
+    let bytes = this.rate(time);
+    if (bytes < this.alarmThreshold) {
+      this.alarming = false;
+    }
+    else if (!this.alarming) {
+      this.alarming = true;
+      this.emit('noise-alarm', {
+        bytes: bytes,
+        threshold: this.alarmThreshold,
+        window: this.alarmWindow,
+        time: time
+      });
+    }
+  }
+
+  /**
+   * Remove the samples older than the alarm window.
+   *
+   * @param {number} time Timestamp of now
+   */
+  _prune(time) {
+    while (this._samples.length && this._samples[0].time <= time - this.alarmWindow) {
+      this._samples.shift();
+    }
+  }
+}
+
+/**
+ * Format bytes as space separated hex digits, like `'AA 01 FF'`.
+ *
+ * @param {Buffer|number[]} data
+ * @param {int} max The most bytes to include. The dump ends with '...' if there are more.
+ *
+ * @return {String}
+ */
+function hexDump(data, max) {
+  let bytes = Array.from(data.slice(0, max));
+  let hex = bytes.map((b) => ('0' + b.toString(16).toUpperCase()).slice(-2)).join(' ');
+  return (data.length > max) ? `${hex} ...` : hex;
+}
+
+module.exports.NoiseDetector = NoiseDetector;
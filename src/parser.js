@@ -0,0 +1,250 @@
+'use strict';
+
+/**
+ * A streaming parser for Disco Bus messages.
+ *
+ * Bytes are pushed into the parser as they come off the bus and it emits events
+ * for each part of the message, as they are received.
+ *
+ * See more about Disco Bus: https://github.com/jgillick/Disco-Bus-Protocol
+ */
+
+import crc from 'crc';
+import EventEmitter from 'events';
+import { CMD, FLAGS, RESPONSE_CRC_LEN } from './constants';
+
+const HEADER_LEN = 5;
+const NULL_HEADER_LEN = 4; // The NULL message has no node count
+
+// Parser states
+const STATE = {
+  START:   0, // Waiting for the first 0xFF of the start sequence
+  START2:  1, // Waiting for the second 0xFF
+  HEADER:  2,
+  DATA:    3,
+  ADDRESS: 4,
+  CRC:     5
+};
+
+/**
+ * Parses a stream of bus bytes into messages.
+ *
+ * @class
+ * @emits MessageParser#header     The message header has been received: (header)
+ * @emits MessageParser#data       A data byte was received: (byte, position)
+ * @emits MessageParser#address    An address was sent during addressing: (address)
+ * @emits MessageParser#addressing-end  The addressing stream has ended
+ * @emits MessageParser#message    The full message has been received: (message)
+ * @emits MessageParser#skip       A byte was received outside of a message: (byte)
+ */
+class MessageParser extends EventEmitter {
+
+  constructor() {
+    super();
+
+    /**
+     * The header of the current/last message.
+     *
+     * @type {Object}
+     */
+    this.header = null;
+
+    /**
+     * The number of data bytes received for the current message.
+     *
+     * @type {int}
+     */
+    this.position = 0;
+
+    this._state = STATE.START;
+    this._headerBytes = [];
+    this._data = [];
+    this._crc = [];
+    this._crcBytes = [];
+
+    this._pending = [];
+    this._parsing = false;
+  }
+
+  /**
+   * Push bytes from the bus into the parser.
+   *
+   * This can safely be called from within a parser event handler, in which case
+   * the bytes are parsed after the ones already being processed.
+   *
+   * @param {Buffer|number[]|number} data The byte or bytes to parse
+   *
+   * @return {MessageParser} Instance to this object, for chaining
+   */
+  push(data) {
+    if (typeof data.length === 'undefined') {
+      data = [data];
+    }
+
+    for (let i = 0; i < data.length; i++) {
+      this._pending.push(data[i]);
+    }
+
+    if (this._parsing) return this;
+
+    this._parsing = true;
+    try {
+      while (this._pending.length) {
+        this._parseByte(this._pending.shift());
+      }
+    } finally {
+      this._parsing = false;
+    }
+
+    return this;
+  }
+
+  /**
+   * Drop the message in progress and wait for the next start sequence.
+   *
+   * @return {MessageParser} Instance to this object, for chaining
+   */
+  reset() {
+    this._state = STATE.START;
+    this._pending = [];
+    return this;
+  }
+
+  /**
+   * Process the next byte from the bus
+   *
+   * @param {number} byte
+   */
+  _parseByte(byte) {
+    switch (this._state) {
+
+      // Start sequence
+      case STATE.START:
+        if (byte === 0xFF) {
+          this._state = STATE.START2;
+        } else {
+          this.emit('skip', byte);
+        }
+        break;
+      case STATE.START2:
+        if (byte === 0xFF) {
+          this._startMessage();
+        } else {
+          this._state = STATE.START;
+          this.emit('skip', 0xFF);
+          this.emit('skip', byte);
+        }
+        break;
+
+      // Header
+      case STATE.HEADER:
+        this._crc.push(byte);
+        this._headerBytes.push(byte);
+        if (this._headerBytes.length === HEADER_LEN) {
+          this._parseHeader();
+        }
+        else if (this._headerBytes.length === NULL_HEADER_LEN && this._headerBytes[2] === CMD.NULL) {
+          this._headerBytes.splice(3, 0, 1);
+          this._parseHeader();
+        }
+        break;
+
+      // Data section
+      case STATE.DATA:
+        this._crc.push(byte);
+        this._data.push(byte);
+        this.position++;
+        this.emit('data', byte, this.position - 1);
+
+        if (this.position >= this.header.dataLength) {
+          this._state = STATE.CRC;
+        }
+        break;
+
+      // Addressing stream, which ends with 0xFF
+      case STATE.ADDRESS:
+        if (byte === 0xFF) {
+          this._state = STATE.START2;
+          this.emit('addressing-end');
+        } else {
+          this.emit('address', byte);
+        }
+        break;
+
+      // CRC
+      case STATE.CRC:
+        this._crcBytes.push(byte);
+        if (this._crcBytes.length === 2) {
+          this._endMessage();
+        }
+        break;
+    }
+  }
+
+  /**
+   * Start parsing a new message, after the start sequence
+   */
+  _startMessage() {
+    this._state = STATE.HEADER;
+    this._headerBytes = [];
+    this._data = [];
+    this._crc = [];
+    this._crcBytes = [];
+    this.position = 0;
+    this.header = null;
+  }
+
+  /**
+   * Create the header object from the header bytes and move on to the data section.
+   */
+  _parseHeader() {
+    const bytes = this._headerBytes;
+    const flags = bytes[0];
+    const responseCrc = !!(flags & FLAGS.RESPONSE) && !!(flags & FLAGS.RESPONSE_CRC);
+
+    // Each node's section of the data, including the response CRC
+    const slotLength = bytes[4] + ((responseCrc) ? RESPONSE_CRC_LEN : 0);
+
+    this.header = {
+      flags: flags,
+      batch: !!(flags & FLAGS.BATCH),
+      response: !!(flags & FLAGS.RESPONSE),
+      responseCrc: responseCrc,
+      fragment: !!(flags & FLAGS.FRAGMENT),
+      destination: bytes[1],
+      command: bytes[2],
+      nodeCount: bytes[3],
+      length: bytes[4],
+      slotLength: slotLength,
+      dataLength: bytes[3] * slotLength
+    };
+
+    if (this.header.command === CMD.ADDRESS) {
+      this._state = STATE.ADDRESS;
+    } else if (this.header.dataLength === 0) {
+      this._state = STATE.CRC;
+    } else {
+      this._state = STATE.DATA;
+    }
+
+    this.emit('header', this.header);
+  }
+
+  /**
+   * Verify the CRC and emit the full message.
+   */
+  _endMessage() {
+    let crcValue = crc.crc16modbus(this._crc, 0xFFFF);
+    let received = (this._crcBytes[0] << 8) | this._crcBytes[1];
+
+    this._state = STATE.START;
+    this.emit('message', {
+      header: this.header,
+      data: this._data,
+      crc: received,
+      crcValid: (crcValue === received)
+    });
+  }
+}
+
+module.exports.MessageParser = MessageParser;
@@ -0,0 +1,369 @@
+'use strict';
+
+/**
+ * Record the traffic of a master to a line-delimited JSON (NDJSON) file, and replay it back into a master.
+ *
+ * ```
+ *  const recorder = new BusRecorder('bus.ndjson');
+ *  recorder.attach(master);
+ *
+ *  // Later, in a test
+ *  const port = new ReplayPort('bus.ndjson', { speed: 10 });
+ *  master.connectWith(port);
+ * ```
+ *
+ * Each line of a recording is one entry, with the number of milliseconds since the recording started
+ * (`time`) and the direction (`dir`):
+ *
+ * ```
+ *  {"time":0,"dir":"start","date":"2017-03-01T12:00:00.000Z"}
+ *  {"time":0.12,"dir":"daisy","enabled":true}
+ *  {"time":0.31,"dir":"out","data":"ffff00ff00000000"}
+ *  {"time":1.85,"dir":"in","data":"01"}
+ * ```
+ *
+ *  + start - The recording started, at `date`.
+ *  + out   - Hex bytes written by the master.
+ *  + in    - Hex bytes received by the master.
+ *  + daisy - The master set its outgoing daisy line.
+ */
+
+import fs from 'fs';
+import EventEmitter from 'events';
+
+/**
+ * Records the traffic of a master.
+ *
+ * @class
+ * @emits BusRecorder#entry An entry was recorded: (entry)
+ * @emits BusRecorder#error Writing to the output failed: (err)
+ */
+class BusRecorder extends EventEmitter {
+
+  /**
+   * @param {String|Stream} output (optional) The file path, or a writable stream, to write the recording to.
+   *                               Without it, the entries are only kept in `entries`.
+   */
+  constructor(output) {
+    super();
+
+    /**
+     * The recorded entries, when there's no output.
+     *
+     * @type {Object[]}
+     */
+    this.entries = (output) ? null : [];
+
+    this.master = null;
+
+    this._stream = null;
+    this._ownStream = false;
+    this._start = process.hrtime();
+
+    if (typeof output === 'string') {
+      this._stream = fs.createWriteStream(output);
+      this._ownStream = true;
+    } else if (output) {
+      this._stream = output;
+    }
+    if (this._stream && this._stream.on) {
+      this._stream.on('error', (err) => this.emit('error', err));
+    }
+
+    this.__onWrite = (data) => this._record({ dir: 'out', data: data.toString('hex') });
+    this.__onRead = (data) => this._record({ dir: 'in', data: Buffer.from(data).toString('hex') });
+    this.__onDaisy = (enabled) => this._record({ dir: 'daisy', enabled: enabled });
+
+    this._record({ dir: 'start', date: new Date().toISOString() });
+  }
+
+  /**
+   * Start recording a master's traffic.
+   * Only one master can be recorded at a time.
+   *
+   * @param {DiscoBusMaster} master
+   *
+   * @return {BusRecorder} Instance to this object, for chaining
+   */
+  attach(master) {
+    this.detach();
+
+    this.master = master;
+    master.on('write', this.__onWrite);
+    master.on('read', this.__onRead);
+    master.on('daisy', this.__onDaisy);
+
+    return this;
+  }
+
+  /**
+   * Stop recording the master.
+   *
+   * @return {BusRecorder} Instance to this object, for chaining
+   */
+  detach() {
+    if (this.master) {
+      this.master.removeListener('write', this.__onWrite);
+      this.master.removeListener('read', this.__onRead);
+      this.master.removeListener('daisy', this.__onDaisy);
+      this.master = null;
+    }
+    return this;
+  }
+
+  /**
+   * Stop recording, and close the output file (streams passed to the constructor are left open).
+   *
+   * @param {Function} callback (optional) Called once everything has been written
+   */
+  close(callback) {
+    this.detach();
+
+    if (this._stream && this._ownStream) {
+      this._stream.end(callback);
+      this._stream = null;
+    } else if (callback) {
+      setImmediate(callback);
+    }
+  }
+
+  /**
+   * Add an entry to the recording.
+   *
+   * @param {Object} entry The entry, without the time
+   */
+  _record(entry) {
+    let elapsed = process.hrtime(this._start);
+    let time = Math.round((elapsed[0] * 1e3 + elapsed[1] / 1e6) * 1000) / 1000;
+
+    entry = Object.assign({ time: time }, entry);
+
+    if (this.entries) {
+      this.entries.push(entry);
+    }
+    if (this._stream) {
+      this._stream.write(JSON.stringify(entry) + '\n');
+    }
+    this.emit('entry', entry);
+  }
+}
+
+/**
+ * A port which plays a recording back into a master.
+ *
+ * The recorded incoming data is emitted with the original timing, relative to the entry before it.
+ * Recorded outgoing data is waited for: playback only continues once the master has written the same
+ * number of bytes. If they don't match what was recorded, a `mismatch` is reported.
+ * Daisy line entries are only used for the timing.
+ *
+ * @class
+ * @emits ReplayPort#data     Recorded incoming data
+ * @emits ReplayPort#mismatch The master didn't write what was recorded: ({ index, time, expected, received })
+ * @emits ReplayPort#end      The whole recording has been played
+ * @emits ReplayPort#close
+ */
+class ReplayPort extends EventEmitter {
+
+  /**
+   * @param {String|Object[]} recording The recording file path, or its entries
+   * @param {Object} options Replay options:
+   *  + speed {number} - Play back this many times faster than real-time.
+   *                     Use `Infinity` to play as fast as possible. (default: 1)
+   */
+  constructor(recording, options={}) {
+    super();
+
+    /**
+     * The recording entries.
+     *
+     * @type {Object[]}
+     */
+    this.entries = (typeof recording === 'string') ? loadRecording(recording) : recording;
+
+    /**
+     * How many times faster than real-time the recording is played.
+     *
+     * @type {number}
+     */
+    this.speed = options.speed || 1;
+
+    /**
+     * Everything the master has written, one array of bytes per write.
+     *
+     * @type {number[][]}
+     */
+    this.writes = [];
+
+    /**
+     * The writes that didn't match the recording.
+     *
+     * @type {Object[]}
+     */
+    this.mismatches = [];
+
+    /**
+     * The whole recording has been played.
+     *
+     * @type {boolean}
+     */
+    this.done = false;
+
+    this.isOpen = true;
+
+    this._index = 0;
+    this._lastTime = null;
+    this._pending = [];
+    this._received = [];
+    this._waiting = false;
+    this._delayed = false;
+    this._timer = null;
+
+    // Give the master a chance to connect
+    this._timer = setImmediate(() => this._next());
+  }
+
+  write(data, cb) {
+    let bytes = Array.from(data);
+    this.writes.push(bytes);
+
+    if (!this.done) {
+      this._pending = this._pending.concat(bytes);
+      if (this._waiting) {
+        this._waiting = false;
+        this._next();
+      }
+    }
+    if (cb) cb(null);
+  }
+
+  drain(cb) {
+    setImmediate(cb);
+  }
+
+  set(options, cb) {
+    if (cb) cb(null);
+  }
+
+  /**
+   * Stop playing the recording.
+   *
+   * @param {Function} cb (optional) Called once the port is closed
+   */
+  close(cb) {
+    this.isOpen = false;
+    clearTimeout(this._timer);
+    clearImmediate(this._timer);
+    this._timer = null;
+
+    this.emit('close');
+    if (cb) setImmediate(cb);
+  }
+
+  /**
+   * Play entries until we need to wait for the master or for time to pass.
+   */
+  _next() {
+    this._timer = null;
+
+    while (this.isOpen && this._index < this.entries.length) {
+      let entry = this.entries[this._index];
+
+      if (entry.dir === 'out') {
+        if (!this._matchWrite(entry)) {
+          this._waiting = true;
+          return;
+        }
+      }
+      else if (entry.dir === 'in') {
+
+        // Wait for the time between the last entry and this one
+        if (!this._delayed) {
+          let delay = (this._lastTime === null) ? 0 : (entry.time - this._lastTime) / this.speed;
+          this._delayed = true;
+          this._timer = (delay >= 1) ? setTimeout(() => this._next(), delay) : setImmediate(() => this._next());
+          return;
+        }
+
+        this._delayed = false;
+        this.emit('data', Buffer.from(entry.data, 'hex'));
+      }
+
+      this._lastTime = entry.time;
+      this._index++;
+    }
+
+    if (this.isOpen && !this.done) {
+      this.done = true;
+      this.emit('end');
+    }
+  }
+
+  /**
+   * Compare what the master wrote with an outgoing entry.
+   *
+   * @param {Object} entry The outgoing entry
+   *
+   * @return {boolean} false if we're still waiting for the master to write the rest of it
+   */
+  _matchWrite(entry) {
+    let expected = Array.from(Buffer.from(entry.data, 'hex'));
+    let needed = expected.length - this._received.length;
+
+    this._received = this._received.concat(this._pending.splice(0, needed));
+    if (this._received.length < expected.length) {
+      return false;
+    }
+
+    let received = this._received;
+    this._received = [];
+
+    if (received.some((byte, i) => byte !== expected[i])) {
+      let mismatch = { index: this._index, time: entry.time, expected: expected, received: received };
+      this.mismatches.push(mismatch);
+      this.emit('mismatch', mismatch);
+    }
+    return true;
+  }
+}
+
+/**
+ * Parse the line-delimited JSON of a recording.
+ *
+ * @throws {Error} If a line isn't valid JSON
+ *
+ * @param {String} text The recording
+ *
+ * @return {Object[]} The recording entries
+ */
+function parseRecording(text) {
+  let entries = [];
+
+  text.split(/\r?\n/).forEach((line, i) => {
+    if (!line.trim().length) return;
+    try {
+      entries.push(JSON.parse(line));
+    } catch(e) {
+      throw new Error(`Invalid recording entry on line ${i + 1}: ${e.message}`);
+    }
+  });
+
+  return entries;
+}
+
+/**
+ * Read a recording file.
+ *
+ * @throws {Error} If the file can't be read or parsed
+ *
+ * @param {String} path The path to the recording
+ *
+ * @return {Object[]} The recording entries
+ */
+function loadRecording(path) {
+  return parseRecording(fs.readFileSync(path, 'utf8'));
+}
+
+module.exports.BusRecorder = BusRecorder;
+module.exports.ReplayPort = ReplayPort;
+module.exports.parseRecording = parseRecording;
+module.exports.loadRecording = loadRecording;
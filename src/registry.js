@@ -0,0 +1,274 @@
+'use strict';
+
+/**
+ * Keeps track of all the nodes the master has addressed and how healthy they are,
+ * based on how they respond to messages.
+ *
+ * ```
+ *  master.registry.on('node-offline', (node) => console.log(`Node ${node.address} is offline`));
+ *  master.registry.thresholds.offlineAfter = 5;
+ * ```
+ */
+
+import EventEmitter from 'events';
+
+const DEGRADED_AFTER = 1;
+const OFFLINE_AFTER = 3;
+const CRC_OFFLINE_AFTER = 5;
+
+/**
+ * Creates a node registry.
+ *
+ * Each node record has the following properties:
+ *  + address             {number}  - The node address
+ *  + status              {String}  - 'online', 'degraded' or 'offline'
+ *  + firstSeen           {number}  - Timestamp of when the node was first addressed or responded
+ *  + lastSeen            {number}  - Timestamp of the last time the node was addressed or sent data
+ *  + consecutiveTimeouts {int}     - Responses in a row the node did not send anything for
+ *  + consecutiveCrcErrors {int}    - Responses in a row that failed the response CRC check
+ *  + consecutiveFailures {int}     - Responses in a row that timed out, were partial or failed the CRC check
+ *  + responses           {int}     - Total number of good responses
+ *  + timeouts            {int}     - Total number of timeouts
+ *  + crcErrors           {int}     - Total number of CRC failures
+ *
+ * @class
+ * @emits NodeRegistry#node-online   A node was addressed or recovered: (node)
+ * @emits NodeRegistry#node-degraded A node has crossed the `degradedAfter` threshold: (node)
+ * @emits NodeRegistry#node-offline  A node has crossed the `offlineAfter` or `crcOfflineAfter` threshold,
+ *                                   or was not found when the bus was addressed: (node)
+ */
+class NodeRegistry extends EventEmitter {
+
+  /**
+   * @param {Object} thresholds (optional) Override the default `thresholds`
+   */
+  constructor(thresholds={}) {
+    super();
+
+    /**
+     * When a node changes status
+     *
+     * @type {Object}
+     */
+    this.thresholds = Object.assign({
+
+      /**
+       * The node is degraded after this many failed responses in a row.
+       *
+       * @type {int}
+       */
+      degradedAfter: DEGRADED_AFTER,
+
+      /**
+       * The node is offline after not responding at all this many times in a row.
+       *
+       * @type {int}
+       */
+      offlineAfter: OFFLINE_AFTER,
+
+      /**
+       * The node is offline after failing the response CRC check this many times in a row.
+       *
+       * @type {int}
+       */
+      crcOfflineAfter: CRC_OFFLINE_AFTER
+    }, thresholds);
+
+    this._nodes = {};
+  }
+
+  /**
+   * The number of nodes in the registry.
+   *
+   * @type {int}
+   */
+  get size() {
+    return Object.keys(this._nodes).length;
+  }
+
+  /**
+   * Get a node record.
+   *
+   * @param {number} address The node address
+   *
+   * @return {Object} The node record, or undefined
+   */
+  get(address) {
+    return this._nodes[address];
+  }
+
+  /**
+   * Get all the node records, in address order.
+   *
+   * @param {String} status (optional) Only get the nodes with this status
+   *
+   * @return {Object[]}
+   */
+  all(status) {
+    let nodes = Object.keys(this._nodes)
+      .map((addr) => this._nodes[addr])
+      .sort((a, b) => a.address - b.address);
+
+    if (status) {
+      nodes = nodes.filter((node) => node.status === status);
+    }
+    return nodes;
+  }
+
+  /**
+   * Remove all the nodes from the registry.
+   *
+   * @return {NodeRegistry} Instance to this object, for chaining
+   */
+  clear() {
+    this._nodes = {};
+    return this;
+  }
+
+  /**
+   * Record that a node has been given an address.
+   *
+   * @param {number} address The node address
+   * @param {number} time (optional) Timestamp
+   *
+   * @return {Object} The node record
+   */
+  addressed(address, time=Date.now()) {
+    let node = this._getOrCreate(address, time);
+
+    node.lastSeen = time;
+    node.consecutiveTimeouts = 0;
+    node.consecutiveCrcErrors = 0;
+    node.consecutiveFailures = 0;
+    this._setStatus(node, 'online');
+
+    return node;
+  }
+
+  /**
+   * Addressing has finished. When addressing started from the beginning, all the nodes past the
+   * last address are no longer on the bus.
+   *
+   * @param {number} nodeNum The number of nodes on the bus
+   * @param {number} startFrom The address addressing started from
+   *
+   * @return {NodeRegistry} Instance to this object, for chaining
+   */
+  addressingComplete(nodeNum, startFrom=0) {
+    if (startFrom !== 0) return this;
+
+    this.all().forEach((node) => {
+      if (node.address > nodeNum) {
+        this._setStatus(node, 'offline');
+      }
+    });
+    return this;
+  }
+
+  /**
+   * Record how a node responded to a response message.
+   * Timeouts from nodes that are not in the registry are ignored.
+   *
+   * @param {NodeResponseInfo} info The node response info from the master
+   *
+   * @return {Object} The node record, if there is one
+   */
+  recordResponse(info) {
+    const thresholds = this.thresholds;
+    let time = info.completedAt || Date.now();
+    let node = this._nodes[info.node];
+
+    if (!node) {
+      if (info.received === 0) return undefined;
+      node = this._getOrCreate(info.node, time);
+      this._setStatus(node, 'online');
+    }
+
+    if (info.received > 0) {
+      node.lastSeen = info.firstByteAt || time;
+    }
+
+    // Good response
+    if (info.status === 'received' && !info.corrupt) {
+      node.responses++;
+      node.consecutiveTimeouts = 0;
+      node.consecutiveCrcErrors = 0;
+      node.consecutiveFailures = 0;
+      this._setStatus(node, 'online');
+      return node;
+    }
+
+    // Failed response
+    node.consecutiveFailures++;
+    if (info.status === 'default') {
+      node.timeouts++;
+      node.consecutiveTimeouts++;
+    } else {
+      node.consecutiveTimeouts = 0;
+    }
+    if (info.corrupt) {
+      node.crcErrors++;
+      node.consecutiveCrcErrors++;
+    } else {
+      node.consecutiveCrcErrors = 0;
+    }
+
+    if (node.consecutiveTimeouts >= thresholds.offlineAfter ||
+        node.consecutiveCrcErrors >= thresholds.crcOfflineAfter) {
+      this._setStatus(node, 'offline');
+    }
+    // Offline nodes need to send something to come back
+    else if (node.status === 'offline' && info.received === 0) {
+      return node;
+    }
+    else if (node.consecutiveFailures >= thresholds.degradedAfter) {
+      this._setStatus(node, 'degraded');
+    }
+
+    return node;
+  }
+
+  /**
+   * Get a node record, or create it if it doesn't exist yet.
+   *
+   * @param {number} address The node address
+   * @param {number} time Timestamp of when the node was first seen
+   *
+   * @return {Object} The node record
+   */
+  _getOrCreate(address, time) {
+    let node = this._nodes[address];
+
+    if (!node) {
+      node = {
+        address: address,
+        status: null,
+        firstSeen: time,
+        lastSeen: time,
+        consecutiveTimeouts: 0,
+        consecutiveCrcErrors: 0,
+        consecutiveFailures: 0,
+        responses: 0,
+        timeouts: 0,
+        crcErrors: 0
+      };
+      this._nodes[address] = node;
+    }
+    return node;
+  }
+
+  /**
+   * Change the node status and emit an event, if it has changed.
+   *
+   * @param {Object} node The node record
+   * @param {String} status The new status
+   */
+  _setStatus(node, status) {
+    if (node.status === status) return;
+
+    node.status = status;
+    this.emit(`node-${status}`, node);
+  }
+}
+
+module.exports.NodeRegistry = NodeRegistry;
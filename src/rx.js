@@ -0,0 +1,55 @@
+'use strict';
+
+/**
+ * An optional RxJS adapter for message progress.
+ *
+ * RxJS isn't a dependency of this library and this module is only loaded when it's asked for,
+ * either by requiring it or by using the master's `messageSubscription`. Install RxJS to use it:
+ *
+ * ```
+ *  npm install rxjs@5
+ *
+ *  const toObservable = require('discobus/dist/rx').toObservable;
+ *  toObservable(master.request(CMD_SENSORS, 2))
+ *  .filter((val) => val.type === 'response')
+ *  .subscribe((val) => console.log(val.value));
+ * ```
+ */
+
+import { Observable } from 'rxjs';
+
+/**
+ * Create an RxJS observable of a message's progress values.
+ *
+ * @param {MessageHandle|MessageStream} source A message handle (from `send()`, `request()`, etc) or message stream
+ *
+ * @return {Observable}
+ */
+function toObservable(source) {
+  return Observable.create((observer) => {
+    let subscription = source.subscribe(
+      (value) => observer.next(value),
+      (err) => observer.error(err),
+      () => observer.complete()
+    );
+    return () => subscription.unsubscribe();
+  });
+}
+
+/**
+ * Create a hot RxJS observable of a message's progress values, which is already connected.
+ * This is the `ConnectableObservable` the master's `messageSubscription` has always been, so
+ * calling `connect()` on it still works.
+ *
+ * @param {MessageHandle|MessageStream} source A message handle (from `send()`, `request()`, etc) or message stream
+ *
+ * @return {ConnectableObservable}
+ */
+function toConnectableObservable(source) {
+  let observable = toObservable(source).publish();
+  observable.connect();
+  return observable;
+}
+
+module.exports.toObservable = toObservable;
+module.exports.toConnectableObservable = toConnectableObservable;
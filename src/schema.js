@@ -0,0 +1,280 @@
+'use strict';
+
+/**
+ * Describes bus commands and the format of their data, so messages can be sent and
+ * received as objects instead of hand-packed byte arrays.
+ *
+ * ```
+ *  const commands = new CommandSchema({
+ *    RGB:     { code: 0x09, request: ['u8 r', 'u8 g', 'u8 b'] },
+ *    SENSORS: { code: 0x06, response: ['u16le temp', 'i8 offset'] }
+ *  });
+ *
+ *  commands.encode('RGB', { r: 255, g: 0, b: 10 }); // [255, 0, 10]
+ *  commands.decode('SENSORS', [0x10, 0x01, 0xFE]);  // { temp: 272, offset: -2 }
+ * ```
+ */
+
+import { CMD } from './constants';
+
+/**
+ * Value types, and how to read and write them.
+ */
+const CODECS = {
+  u8:    { size: 1, min: 0,           max: 0xFF,       read: 'readUInt8',    write: 'writeUInt8' },
+  i8:    { size: 1, min: -0x80,       max: 0x7F,       read: 'readInt8',     write: 'writeInt8' },
+  u16le: { size: 2, min: 0,           max: 0xFFFF,     read: 'readUInt16LE', write: 'writeUInt16LE' },
+  u16be: { size: 2, min: 0,           max: 0xFFFF,     read: 'readUInt16BE', write: 'writeUInt16BE' },
+  i16le: { size: 2, min: -0x8000,     max: 0x7FFF,     read: 'readInt16LE',  write: 'writeInt16LE' },
+  i16be: { size: 2, min: -0x8000,     max: 0x7FFF,     read: 'readInt16BE',  write: 'writeInt16BE' },
+  u32le: { size: 4, min: 0,           max: 0xFFFFFFFF, read: 'readUInt32LE', write: 'writeUInt32LE' },
+  u32be: { size: 4, min: 0,           max: 0xFFFFFFFF, read: 'readUInt32BE', write: 'writeUInt32BE' },
+  i32le: { size: 4, min: -0x80000000, max: 0x7FFFFFFF, read: 'readInt32LE',  write: 'writeInt32LE' },
+  i32be: { size: 4, min: -0x80000000, max: 0x7FFFFFFF, read: 'readInt32BE',  write: 'writeInt32BE' },
+  f32le: { size: 4, min: -Infinity,   max: Infinity,   read: 'readFloatLE',  write: 'writeFloatLE', float: true },
+  f32be: { size: 4, min: -Infinity,   max: Infinity,   read: 'readFloatBE',  write: 'writeFloatBE', float: true }
+};
+
+/**
+ * Creates a command schema.
+ *
+ * Commands are defined with:
+ *  + code     {number}   - The command byte
+ *  + request  {Array}    - (optional) The fields of the data the master sends
+ *  + response {Array}    - (optional) The fields of the data the nodes respond with
+ *
+ * Fields are either a string, with the type and name (`'u16le temp'`), or an object:
+ *  + name    {String} - The field name
+ *  + type    {String} - The value type (u8, i8, u16le, u16be, i16le, i16be, u32le, u32be, i32le, i32be, f32le, f32be)
+ *  + min     {number} - (optional) The smallest value allowed (default: the smallest for the type)
+ *  + max     {number} - (optional) The largest value allowed (default: the largest for the type)
+ *  + default {number} - (optional) The value to use when it's not given
+ *
+ * @class
+ */
+class CommandSchema {
+
+  /**
+   * @param {Object} commands (optional) Commands to define, by name.
+   */
+  constructor(commands) {
+    this._byName = {};
+    this._byCode = {};
+
+    if (commands) {
+      this.define(commands);
+    }
+  }
+
+  /**
+   * Define one or more commands.
+   *
+   * ```
+   *  schema.define('RGB', { code: 0x09, request: ['u8 r', 'u8 g', 'u8 b'] });
+   *  schema.define({ RGB: { code: 0x09, request: ['u8 r', 'u8 g', 'u8 b'] } });
+   * ```
+   *
+   * @throws {Error} If the definition is invalid, or the code is one of the reserved commands (`CMD`)
+   *
+   * @param {String|Object} name The command name, or an object of command definitions by name.
+   * @param {Object} definition The command definition, if `name` is a string.
+   *
+   * @return {CommandSchema} Instance to this object, for chaining
+   */
+  define(name, definition) {
+    if (typeof name === 'object') {
+      Object.keys(name).forEach((n) => this.define(n, name[n]));
+      return this;
+    }
+
+    if (typeof definition.code !== 'number' || definition.code < 0 || definition.code > 0xFF) {
+      throw new Error(`Command ${name} needs a code between 0 and 255`);
+    }
+    let reserved = Object.keys(CMD).find((key) => CMD[key] === definition.code);
+    if (reserved) {
+      throw new Error(`Command ${name} cannot use the code of the reserved ${reserved} command (${definition.code})`);
+    }
+
+    let command = {
+      name: name,
+      code: definition.code,
+      request: parseFields(name, definition.request),
+      response: parseFields(name, definition.response)
+    };
+    command.requestLength = fieldsLength(command.request);
+    command.responseLength = fieldsLength(command.response);
+
+    if (command.requestLength > 0xFF || command.responseLength > 0xFF) {
+      throw new Error(`Command ${name} data cannot be longer than 255 bytes`);
+    }
+
+    this._byName[name] = command;
+    this._byCode[command.code] = command;
+    return this;
+  }
+
+  /**
+   * Check if a command has been defined.
+   *
+   * @param {String|number} command The command name or code
+   *
+   * @return {boolean}
+   */
+  has(command) {
+    return !!this._find(command);
+  }
+
+  /**
+   * Get a command definition.
+   *
+   * @throws {Error} If the command is not defined
+   *
+   * @param {String|number} command The command name or code
+   *
+   * @return {Object} The command: `{ name, code, request, response, requestLength, responseLength }`
+   */
+  get(command) {
+    let found = this._find(command);
+    if (!found) {
+      throw new Error(`Unknown command: ${command}`);
+    }
+    return found;
+  }
+
+  /**
+   * Encode values into the command's request data.
+   *
+   * @throws {Error} If a value is missing or out of range (error code: 'INVALID_VALUE')
+   *
+   * @param {String|number} command The command name or code
+   * @param {Object} values The field values, by name.
+   *
+   * @return {number[]} The data bytes
+   */
+  encode(command, values={}) {
+    const cmd = this.get(command);
+    let buff = Buffer.alloc(cmd.requestLength);
+    let offset = 0;
+
+    cmd.request.forEach((field) => {
+      let value = values[field.name];
+
+      if (typeof value === 'undefined') {
+        value = field.default;
+      }
+      if (typeof value !== 'number' || isNaN(value)) {
+        throw invalidValue(`Missing value for '${field.name}' in command ${cmd.name}`);
+      }
+      if (value < field.min || value > field.max) {
+        throw invalidValue(
+          `Value ${value} for '${field.name}' in command ${cmd.name} is out of range (${field.min} to ${field.max})`
+        );
+      }
+      if (!field.codec.float && Math.floor(value) !== value) {
+        throw invalidValue(`Value ${value} for '${field.name}' in command ${cmd.name} needs to be an integer`);
+      }
+
+      buff[field.codec.write](value, offset);
+      offset += field.codec.size;
+    });
+
+    return Array.from(buff);
+  }
+
+  /**
+   * Decode the command's response data into an object.
+   *
+   * @param {String|number} command The command name or code
+   * @param {number[]} data The response data bytes
+   *
+   * @return {Object} The field values, by name.
+   */
+  decode(command, data) {
+    const cmd = this.get(command);
+    let buff = Buffer.from(data);
+    let values = {};
+    let offset = 0;
+
+    cmd.response.forEach((field) => {
+      if (offset + field.codec.size <= buff.length) {
+        values[field.name] = buff[field.codec.read](offset);
+      }
+      offset += field.codec.size;
+    });
+
+    return values;
+  }
+
+  /**
+   * Find a command by name or code
+   */
+  _find(command) {
+    if (typeof command === 'number') {
+      return this._byCode[command];
+    }
+    return this._byName[command];
+  }
+}
+
+/**
+ * Parse a list of field definitions.
+ *
+ * @throws {Error} If a field is invalid
+ *
+ * @param {String} command The command name, for errors
+ * @param {Array} fields The field definitions
+ *
+ * @return {Object[]}
+ */
+function parseFields(command, fields) {
+  return (fields || []).map((field) => {
+    if (typeof field === 'string') {
+      let parts = field.trim().split(/\s+/);
+      field = { type: parts[0], name: parts[1] };
+    }
+
+    const codec = CODECS[field.type];
+    if (!codec) {
+      throw new Error(`Unknown type '${field.type}' in command ${command}`);
+    }
+    if (!field.name) {
+      throw new Error(`Missing field name in command ${command}`);
+    }
+
+    return {
+      name: field.name,
+      type: field.type,
+      codec: codec,
+      min: (typeof field.min === 'number') ? Math.max(field.min, codec.min) : codec.min,
+      max: (typeof field.max === 'number') ? Math.min(field.max, codec.max) : codec.max,
+      default: field.default
+    };
+  });
+}
+
+/**
+ * Get the number of bytes for a list of fields.
+ *
+ * @param {Object[]} fields
+ *
+ * @return {int}
+ */
+function fieldsLength(fields) {
+  return fields.reduce((len, field) => len + field.codec.size, 0);
+}
+
+/**
+ * Create an invalid value error.
+ *
+ * @param {String} message
+ *
+ * @return {Error}
+ */
+function invalidValue(message) {
+  let err = new Error(message);
+  err.code = 'INVALID_VALUE';
+  return err;
+}
+
+module.exports.CommandSchema = CommandSchema;
+module.exports.CODECS = CODECS;
@@ -0,0 +1,188 @@
+'use strict';
+
+/**
+ * Works out node response timeouts from the baud rate and tunes them from the measured node response latency.
+ *
+ * ```
+ *  master.adaptiveTiming.enabled = true;
+ *  master.adaptiveTiming.baudRate = 9600; // Set automatically by connectTo()
+ * ```
+ *
+ * The timer for a node response starts once the master's data has been handed to the port, but the
+ * bytes still need to go out over the wire. So the timeout is never shorter than the time it takes to
+ * transmit the bytes the master sent, plus one response byte and the `turnaround` time.
+ *
+ * Once there are enough latency samples for a command, the timeout is the longest latency in the
+ * recent samples, times the `multiplier`, plus the `turnaround` time.
+ */
+
+const BITS_PER_BYTE = 10; // 8N1: start bit, 8 data bits and stop bit
+const TURNAROUND = 2;
+const MULTIPLIER = 2;
+const MAX_TIMEOUT = 1000;
+const WINDOW = 32;
+const MIN_SAMPLES = 5;
+
+/**
+ * Creates an adaptive timing calculator. The master has one in `master.adaptiveTiming`.
+ *
+ * @class
+ */
+class AdaptiveTiming {
+
+  /**
+   * @param {Object} options (optional) Override any of the default property values.
+   */
+  constructor(options={}) {
+
+    /**
+     * Use adaptive timeouts for messages without a `timeout` option or command timeout.
+     *
+     * @type {boolean}
+     */
+    this.enabled = false;
+
+    /**
+     * The bus baud rate. Without it, the master's timeouts are the minimum.
+     *
+     * @type {int}
+     */
+    this.baudRate = null;
+
+    /**
+     * The number of bits to send a byte, with the start, parity and stop bits.
+     *
+     * @type {int}
+     */
+    this.bitsPerByte = BITS_PER_BYTE;
+
+    /**
+     * Milliseconds to add for the node and the RS485 transceivers to turn around.
+     *
+     * @type {number}
+     */
+    this.turnaround = TURNAROUND;
+
+    /**
+     * The longest measured latency is multiplied by this.
+     *
+     * @type {number}
+     */
+    this.multiplier = MULTIPLIER;
+
+    /**
+     * The longest tuned timeout, in milliseconds.
+     *
+     * @type {int}
+     */
+    this.max = MAX_TIMEOUT;
+
+    /**
+     * The number of recent latency samples to keep for each command.
+     *
+     * @type {int}
+     */
+    this.window = WINDOW;
+
+    /**
+     * The number of samples needed before the timeout is tuned.
+     *
+     * @type {int}
+     */
+    this.minSamples = MIN_SAMPLES;
+
+    Object.assign(this, options);
+
+    this._samples = {};
+  }
+
+  /**
+   * The number of milliseconds it takes to transmit a byte, or null without a baud rate.
+   *
+   * @return {number}
+   */
+  byteTime() {
+    if (!this.baudRate) return null;
+    return this.bitsPerByte * 1000 / this.baudRate;
+  }
+
+  /**
+   * The shortest timeout for a node response, after the master sent some bytes.
+   * It's never longer than `max`.
+   *
+   * @param {int} sentBytes The number of bytes the master sent which haven't drained yet
+   *
+   * @return {int} Milliseconds, or null without a baud rate
+   */
+  minimum(sentBytes) {
+    let byteTime = this.byteTime();
+    if (byteTime === null) return null;
+    return Math.min(Math.ceil(byteTime * (sentBytes + 1) + this.turnaround), this.max);
+  }
+
+  /**
+   * Record the measured latency of a node's response.
+   *
+   * @param {number} command The message command
+   * @param {number} latency Milliseconds until the first byte of the response arrived
+   *
+   * @return {AdaptiveTiming} Instance to this object, for chaining
+   */
+  record(command, latency) {
+    let samples = this._samples[command] || (this._samples[command] = []);
+
+    samples.push(latency);
+    if (samples.length > this.window) {
+      samples.shift();
+    }
+    return this;
+  }
+
+  /**
+   * Get the recent latency samples for a command.
+   *
+   * @param {number} command The message command
+   *
+   * @return {number[]}
+   */
+  samples(command) {
+    return (this._samples[command] || []).slice();
+  }
+
+  /**
+   * Work out the response timeout.
+   *
+   * @param {number} command The message command
+   * @param {int} sentBytes The number of bytes the master sent which haven't drained yet
+   * @param {int} fallback The timeout to use until there are enough samples, and as the minimum
+   *                       when there's no baud rate.
+   *
+   * @return {int} Milliseconds
+   */
+  timeout(command, sentBytes, fallback) {
+    let samples = this._samples[command] || [];
+    let minimum = this.minimum(sentBytes);
+
+    if (minimum === null) {
+      minimum = fallback;
+    }
+    if (samples.length < this.minSamples) {
+      return Math.max(minimum, fallback);
+    }
+
+    let tuned = Math.ceil(Math.max.apply(null, samples) * this.multiplier + this.turnaround);
+    return Math.max(minimum, Math.min(tuned, this.max));
+  }
+
+  /**
+   * Forget all the latency samples.
+   *
+   * @return {AdaptiveTiming} Instance to this object, for chaining
+   */
+  reset() {
+    this._samples = {};
+    return this;
+  }
+}
+
+module.exports.AdaptiveTiming = AdaptiveTiming;
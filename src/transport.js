@@ -0,0 +1,832 @@
+'use strict';
+
+/**
+ * Transports connect the bus to something other than a local serial device: a TCP serial server
+ * (like ser2net), a Unix-domain socket or stdin/stdout pipes.
+ *
+ * Every transport has the same interface as a node-serialport object, so it can be passed to
+ * `connectWith()` of the master, node or monitor:
+ *    + isOpen                 - `true` once the connection is open
+ *    + open(callback)         - Open the connection (done automatically, unless `autoOpen` is `false`)
+ *    + write(data, callback)  - Write bytes to the bus
+ *    + drain(callback)        - Wait for all the written bytes to be sent
+ *    + set({rts}, callback)   - Set the outgoing daisy line
+ *    + close(callback)        - Close the connection
+ *    + Events: open, data, close, error
+ *
+ * There are no RTS pins on a socket, so each transport is given a `daisy` strategy for setting the
+ * daisy line:
+ *    + 'none'         - The daisy line is not controlled (default). Messages work, but addressing will not.
+ *    + 'rfc2217'      - Send RFC 2217 (Telnet COM port control) commands in-band, for serial servers which
+ *                       support it, like ser2net in telnet mode.
+ *    + function       - Call `function(enabled, callback)`, which either calls the callback or returns a promise.
+ *    + { control }    - Write `rts 1\n` or `rts 0\n` to a separate control channel. `control` is a writable
+ *                       stream, `{ host, port }` or `{ path }` to connect to.
+ *
+ * ```
+ *  const transport = new TcpTransport('10.0.0.5', 4001, { daisy: 'rfc2217' });
+ *  master.connectWith(transport);
+ *
+ *  // Or use a transport URL, anywhere a serial port path is accepted
+ *  master.connectTo('rfc2217://10.0.0.5:4001');
+ * ```
+ */
+
+import net from 'net';
+import querystring from 'querystring';
+import EventEmitter from 'events';
+import { CallbackDaisyDriver } from './daisy';
+
+// Telnet and RFC 2217 codes
+const TELNET = {
+  SE:   240,
+  SB:   250,
+  WILL: 251,
+  WONT: 252,
+  DO:   253,
+  DONT: 254,
+  IAC:  255,
+
+  BINARY:          0,
+  COM_PORT_OPTION: 44,
+
+  SET_BAUDRATE: 1,
+  SET_CONTROL:  5,
+  RTS_ON:       11,
+  RTS_OFF:      12
+};
+
+// Matches transport URLs: tcp://host:port, rfc2217://host:port, unix:/path and stdio:
+const URL_PATTERN = /^(tcp|rfc2217|unix|stdio):(?:\/\/)?([^?]*)(?:\?(.*))?$/;
+
+/**
+ * The base transport, which reads from one stream and writes to another.
+ * Subclasses implement `_open(callback)`, which connects and calls `_attach()`.
+ *
+ * Options:
+ *  + daisy    {String|Function|Object} - How the daisy line is controlled (see above, default: 'none')
+ *  + autoOpen {boolean}                - Open the connection right away (default: true)
+ *
+ * @class
+ * @emits Transport#open  The connection is open
+ * @emits Transport#data  Data was received: (Buffer)
+ * @emits Transport#close The connection was closed
+ * @emits Transport#error A connection error: (Error)
+ */
+class Transport extends EventEmitter {
+
+  /**
+   * @param {Object} options Transport options
+   */
+  constructor(options={}) {
+    super();
+
+    /**
+     * `true` once the connection is open.
+     *
+     * @type {boolean}
+     */
+    this.isOpen = false;
+
+    this.options = options;
+
+    this._daisy = createDaisyControl(options.daisy);
+    this._readable = null;
+    this._writable = null;
+    this._opening = false;
+    this._pendingWrites = 0;
+    this._drainCallbacks = [];
+    this.__onData = this._handleData.bind(this);
+    this.__onEnd = () => this._closed();
+    this.__onError = (err) => this.emit('error', err);
+  }
+
+  /**
+   * Open the connection.
+   *
+   * @param {Function} callback (optional) Called when the connection is open, or with an error.
+   *
+   * @return {Transport} Instance to this object, for chaining
+   */
+  open(callback) {
+    const done = (err) => {
+      this._opening = false;
+      if (callback) {
+        callback(err || null);
+      } else if (err) {
+        this.emit('error', err);
+      }
+    };
+
+    if (this.isOpen || this._opening) {
+      let err = new Error('The transport is already open');
+      if (callback) setImmediate(() => callback(err));
+      else this.emit('error', err);
+      return this;
+    }
+
+    this._opening = true;
+    this._open((err) => {
+      if (err) return done(err);
+
+      this._daisy.open(this, (err) => {
+        if (err) {
+          this._detach();
+          return done(err);
+        }
+
+        this.isOpen = true;
+        this.emit('open');
+        done();
+      });
+    });
+    return this;
+  }
+
+  /**
+   * Write bytes to the bus.
+   *
+   * @param {Buffer|number[]} data The bytes to write
+   * @param {Function} callback (optional) Called when the data has been written, or with an error.
+   *
+   * @return {Transport} Instance to this object, for chaining
+   */
+  write(data, callback) {
+    data = Buffer.from(data);
+    if (this._daisy.encode) {
+      data = this._daisy.encode(data);
+    }
+    return this._writeRaw(data, callback);
+  }
+
+  /**
+   * Wait for all the written data to be sent.
+   *
+   * @param {Function} callback Called when everything has been sent.
+   *
+   * @return {Transport} Instance to this object, for chaining
+   */
+  drain(callback) {
+    if (!this._pendingWrites) {
+      setImmediate(() => callback(null));
+    } else {
+      this._drainCallbacks.push(callback);
+    }
+    return this;
+  }
+
+  /**
+   * Set control lines. Only `rts`, the daisy line, is supported.
+   * Other lines, like `dtr`, return an error, since they would never be set.
+   *
+   * @param {Object} options The control lines: `{ rts: true }`
+   * @param {Function} callback (optional) Called when the lines have been set, or with an error.
+   *
+   * @return {Transport} Instance to this object, for chaining
+   */
+  set(options, callback) {
+    callback = callback || (() => {});
+
+    let unsupported = Object.keys(options).filter((line) => line !== 'rts' && typeof options[line] !== 'undefined');
+
+    if (unsupported.length) {
+      let err = new Error(`Transports can only set the rts daisy line, not: ${unsupported.join(', ')}`);
+      setImmediate(() => callback(err));
+    }
+    else if (typeof options.rts === 'undefined') {
+      setImmediate(() => callback(null));
+    }
+    else if (!this.isOpen) {
+      setImmediate(() => callback(new Error('The transport is not open')));
+    }
+    else {
+      this._daisy.set(!!options.rts, (err) => callback(err || null));
+    }
+    return this;
+  }
+
+  /**
+   * Close the connection.
+   *
+   * @param {Function} callback (optional) Called when the connection has been closed.
+   *
+   * @return {Transport} Instance to this object, for chaining
+   */
+  close(callback) {
+    if (!this.isOpen) {
+      if (callback) setImmediate(() => callback(new Error('The transport is not open')));
+      return this;
+    }
+
+    if (callback) {
+      this.once('close', () => callback(null));
+    }
+    this._close();
+    return this;
+  }
+
+  /**
+   * Start reading and writing to the connection streams.
+   *
+   * @param {Stream} readable The stream to read bus data from
+   * @param {Stream} writable The stream to write bus data to
+   */
+  _attach(readable, writable) {
+    this._readable = readable;
+    this._writable = writable;
+
+    readable.on('data', this.__onData);
+    readable.on('end', this.__onEnd);
+    readable.on('error', this.__onError);
+    if (writable !== readable) {
+      writable.on('error', this.__onError);
+    }
+  }
+
+  /**
+   * Stop listening to the connection streams.
+   */
+  _detach() {
+    if (this._readable) {
+      this._readable.removeListener('data', this.__onData);
+      this._readable.removeListener('end', this.__onEnd);
+      this._readable.removeListener('error', this.__onError);
+    }
+    if (this._writable && this._writable !== this._readable) {
+      this._writable.removeListener('error', this.__onError);
+    }
+    this._readable = null;
+    this._writable = null;
+  }
+
+  /**
+   * Close the connection streams. Subclasses call `_closed()` once they're closed.
+   */
+  _close() {
+    this._closed();
+  }
+
+  /**
+   * The connection has closed.
+   */
+  _closed() {
+    if (!this.isOpen) return;
+
+    this.isOpen = false;
+    this._detach();
+    this._daisy.close();
+    this._pendingWrites = 0;
+    this._flushDrain();
+    this.emit('close');
+  }
+
+  /**
+   * Write bytes to the connection, without passing them through the daisy strategy.
+   *
+   * @param {Buffer} data The bytes to write
+   * @param {Function} callback (optional) Called when the data has been written, or with an error.
+   *
+   * @return {Transport} Instance to this object, for chaining
+   */
+  _writeRaw(data, callback) {
+    if (!this._writable) {
+      if (callback) setImmediate(() => callback(new Error('The transport is not open')));
+      return this;
+    }
+
+    // Writables only emit 'drain' after going over their highWaterMark, so count the writes instead
+    this._pendingWrites++;
+    this._writable.write(data, (err) => {
+      this._pendingWrites = Math.max(0, this._pendingWrites - 1);
+      if (callback) callback(err || null);
+      if (!this._pendingWrites) this._flushDrain();
+    });
+    return this;
+  }
+
+  /**
+   * Call the drain callbacks, now that all the writes are done.
+   */
+  _flushDrain() {
+    let callbacks = this._drainCallbacks;
+    this._drainCallbacks = [];
+    callbacks.forEach((callback) => callback(null));
+  }
+
+  /**
+   * Handle data read from the connection.
+   *
+   * @param {Buffer} data
+   */
+  _handleData(data) {
+    if (this._daisy.decode) {
+      data = this._daisy.decode(data);
+    }
+    if (data.length) {
+      this.emit('data', data);
+    }
+  }
+
+  /**
+   * Open the connection after the subclass constructor, unless `autoOpen` is false.
+   *
+   * @param {Function} callback (optional) Called when the connection is open, or with an error.
+   */
+  _autoOpen(callback) {
+    if (this.options.autoOpen !== false) {
+      this.open(callback);
+    }
+  }
+}
+
+/**
+ * The base of transports which connect to a socket.
+ *
+ * @class
+ */
+class SocketTransport extends Transport {
+
+  /**
+   * @param {Object} connectOptions The options for `net.connect()`
+   * @param {Object} options Transport options
+   */
+  constructor(connectOptions, options) {
+    super(options);
+    this._connectOptions = connectOptions;
+    this.socket = null;
+  }
+
+  _open(callback) {
+    let socket = net.connect(this._connectOptions);
+
+    const onError = (err) => callback(err);
+    socket.once('error', onError);
+    socket.once('connect', () => {
+      socket.removeListener('error', onError);
+      socket.on('close', this.__onEnd);
+
+      this.socket = socket;
+      this._attach(socket, socket);
+      callback();
+    });
+  }
+
+  _close() {
+    let socket = this.socket;
+    socket.end(() => socket.destroy());
+  }
+
+  _closed() {
+    let socket = this.socket;
+    super._closed();
+
+    if (socket) {
+      socket.removeListener('close', this.__onEnd);
+      socket.destroy();
+      this.socket = null;
+    }
+  }
+}
+
+/**
+ * Connects to the bus over TCP, like a ser2net serial server.
+ *
+ * Options, in addition to the transport options:
+ *  + baudRate {int} - With the 'rfc2217' daisy strategy, ask the server to set the serial port to this baud rate.
+ *
+ * @class
+ */
+class TcpTransport extends SocketTransport {
+
+  /**
+   * @param {String}   host     The server host name or IP
+   * @param {int}      port     The TCP port
+   * @param {Object}   options  (optional) Transport options
+   * @param {Function} callback (optional) Called when the connection is open, or with an error.
+   */
+  constructor(host, port, options={}, callback) {
+    super({ host: host, port: port }, options);
+    this.host = host;
+    this.port = port;
+    this._autoOpen(callback);
+  }
+}
+
+/**
+ * Connects to the bus over a Unix-domain socket.
+ *
+ * @class
+ */
+class UnixTransport extends SocketTransport {
+
+  /**
+   * @param {String}   path     The socket path
+   * @param {Object}   options  (optional) Transport options
+   * @param {Function} callback (optional) Called when the connection is open, or with an error.
+   */
+  constructor(path, options={}, callback) {
+    super({ path: path }, options);
+    this.path = path;
+    this._autoOpen(callback);
+  }
+}
+
+/**
+ * Reads the bus from one stream and writes to another, stdin and stdout by default.
+ * Useful for piping the bus through another program, like `socat`.
+ *
+ * Options, in addition to the transport options:
+ *  + input  {Stream} - The stream to read from (default: process.stdin)
+ *  + output {Stream} - The stream to write to (default: process.stdout)
+ *
+ * @class
+ */
+class StdioTransport extends Transport {
+
+  /**
+   * @param {Object}   options  (optional) Transport options
+   * @param {Function} callback (optional) Called when the connection is open, or with an error.
+   */
+  constructor(options={}, callback) {
+    super(options);
+    this.input = options.input || process.stdin;
+    this.output = options.output || process.stdout;
+    this._autoOpen(callback);
+  }
+
+  _open(callback) {
+    this._attach(this.input, this.output);
+    if (this.input.resume) {
+      this.input.resume();
+    }
+    setImmediate(callback);
+  }
+
+  _close() {
+    if (this.input.pause) {
+      this.input.pause();
+    }
+    setImmediate(() => this._closed());
+  }
+}
+
+/**
+ * No daisy line control.
+ */
+class NoDaisyControl {
+  open(transport, callback) {
+    callback();
+  }
+
+  set(enabled, callback) {
+    setImmediate(callback);
+  }
+
+  close() {}
+}
+
+/**
+ * Sets the daisy line with a user callback, using the callback daisy driver.
+ */
+class CallbackDaisyControl extends NoDaisyControl {
+
+  /**
+   * @param {Function} fn Called with `(enabled, callback)`, it either calls the callback or returns a promise.
+   */
+  constructor(fn) {
+    super();
+    this._driver = new CallbackDaisyDriver(fn);
+  }
+
+  set(enabled, callback) {
+    this._driver.set(null, enabled, callback);
+  }
+}
+
+/**
+ * Sets the daisy line by writing `rts 1\n` or `rts 0\n` to a separate control channel.
+ */
+class ControlChannelDaisyControl extends NoDaisyControl {
+
+  /**
+   * @param {Stream|Object} control A writable stream, or the `net.connect()` options to connect to it.
+   */
+  constructor(control) {
+    super();
+    this._control = control;
+    this._stream = null;
+  }
+
+  open(transport, callback) {
+    const control = this._control;
+
+    if (typeof control.write === 'function') {
+      this._stream = control;
+      return callback();
+    }
+
+    let socket = net.connect(control);
+    socket.once('error', callback);
+    socket.once('connect', () => {
+      socket.removeListener('error', callback);
+      socket.on('error', (err) => transport.emit('error', err));
+      this._stream = socket;
+      callback();
+    });
+  }
+
+  set(enabled, callback) {
+    if (!this._stream) {
+      return setImmediate(() => callback(new Error('The daisy control channel is not open')));
+    }
+    this._stream.write(`rts ${enabled ? 1 : 0}\n`, callback);
+  }
+
+  close() {
+    if (this._stream && this._stream !== this._control) {
+      this._stream.end();
+    }
+    this._stream = null;
+  }
+}
+
+/**
+ * Sets the daisy line with RFC 2217 (Telnet COM port control) commands, sent in-band.
+ * This also escapes the data sent, and strips Telnet commands from the data received.
+ */
+class Rfc2217DaisyControl extends NoDaisyControl {
+
+  constructor() {
+    super();
+    this._transport = null;
+    this._state = 'data';
+    this._negotiating = null;
+    this._sent = {};
+  }
+
+  open(transport, callback) {
+    this._transport = transport;
+    this._state = 'data';
+    this._sent = {};
+
+    this._negotiate(TELNET.WILL, TELNET.BINARY);
+    this._negotiate(TELNET.DO, TELNET.BINARY);
+    this._negotiate(TELNET.WILL, TELNET.COM_PORT_OPTION);
+
+    let baudRate = transport.options.baudRate;
+    if (baudRate) {
+      this._command(TELNET.SET_BAUDRATE, [
+        (baudRate >> 24) & 0xFF, (baudRate >> 16) & 0xFF, (baudRate >> 8) & 0xFF, baudRate & 0xFF
+      ]);
+    }
+    callback();
+  }
+
+  set(enabled, callback) {
+    this._command(TELNET.SET_CONTROL, [enabled ? TELNET.RTS_ON : TELNET.RTS_OFF], callback);
+  }
+
+  close() {
+    this._transport = null;
+  }
+
+  /**
+   * Escape IAC bytes in the data.
+   */
+  encode(data) {
+    let bytes = [];
+    for (let i = 0; i < data.length; i++) {
+      bytes.push(data[i]);
+      if (data[i] === TELNET.IAC) {
+        bytes.push(TELNET.IAC);
+      }
+    }
+    return Buffer.from(bytes);
+  }
+
+  /**
+   * Remove Telnet commands from the data and answer option negotiations.
+   */
+  decode(data) {
+    let bytes = [];
+
+    for (let i = 0; i < data.length; i++) {
+      let byte = data[i];
+
+      switch (this._state) {
+        case 'data':
+          if (byte === TELNET.IAC) {
+            this._state = 'iac';
+          } else {
+            bytes.push(byte);
+          }
+          break;
+
+        case 'iac':
+          this._state = 'data';
+          if (byte === TELNET.IAC) {
+            bytes.push(byte);
+          } else if (byte === TELNET.SB) {
+            this._state = 'sb';
+          } else if (byte >= TELNET.WILL && byte <= TELNET.DONT) {
+            this._negotiating = byte;
+            this._state = 'option';
+          }
+          break;
+
+        case 'option':
+          this._state = 'data';
+          this._answer(this._negotiating, byte);
+          break;
+
+        // Sub-negotiation responses from the server are ignored
+        case 'sb':
+          if (byte === TELNET.IAC) {
+            this._state = 'sb-iac';
+          }
+          break;
+
+        case 'sb-iac':
+          this._state = (byte === TELNET.SE) ? 'data' : 'sb';
+          break;
+      }
+    }
+
+    return Buffer.from(bytes);
+  }
+
+  /**
+   * Answer an option negotiation from the server.
+   */
+  _answer(request, option) {
+    const supported = (option === TELNET.BINARY || option === TELNET.COM_PORT_OPTION);
+
+    if (request === TELNET.DO) {
+      this._negotiate((supported) ? TELNET.WILL : TELNET.WONT, option);
+    }
+    else if (request === TELNET.WILL) {
+      this._negotiate((option === TELNET.BINARY) ? TELNET.DO : TELNET.DONT, option);
+    }
+  }
+
+  /**
+   * Send an option negotiation, unless it has already been sent.
+   */
+  _negotiate(command, option) {
+    let key = `${command}:${option}`;
+    if (this._sent[key] || !this._transport) return;
+
+    this._sent[key] = true;
+    this._transport._writeRaw(Buffer.from([TELNET.IAC, command, option]));
+  }
+
+  /**
+   * Send a COM port control command.
+   */
+  _command(command, values, callback) {
+    let escaped = Array.from(this.encode(Buffer.from(values)));
+    let bytes = [TELNET.IAC, TELNET.SB, TELNET.COM_PORT_OPTION, command].concat(escaped, [TELNET.IAC, TELNET.SE]);
+    this._transport._writeRaw(Buffer.from(bytes), callback);
+  }
+}
+
+/**
+ * Create the daisy strategy from the `daisy` transport option.
+ *
+ * @throws {Error} If the option is not valid
+ *
+ * @param {String|Function|Object} daisy The `daisy` option
+ *
+ * @return {Object}
+ */
+function createDaisyControl(daisy) {
+  if (!daisy || daisy === 'none') {
+    return new NoDaisyControl();
+  }
+  if (daisy === 'rfc2217') {
+    return new Rfc2217DaisyControl();
+  }
+  if (typeof daisy === 'function') {
+    return new CallbackDaisyControl(daisy);
+  }
+  if (typeof daisy === 'object' && daisy.control) {
+    return new ControlChannelDaisyControl(daisy.control);
+  }
+  throw new Error(`Invalid daisy option: ${daisy}`);
+}
+
+/**
+ * Check if a port name is a transport URL.
+ *
+ * @param {String} port The port name
+ *
+ * @return {boolean}
+ */
+function isTransportUrl(port) {
+  return typeof port === 'string' && URL_PATTERN.test(port);
+}
+
+/**
+ * Create a transport from a URL:
+ *    + tcp://host:port
+ *    + rfc2217://host:port  (TCP, with the 'rfc2217' daisy strategy)
+ *    + unix:/path/to/socket
+ *    + stdio:
+ *
+ * A daisy control channel can be added with the `control` query parameter, which is either
+ * a `host:port`, a TCP port on the same host or a socket path: `tcp://10.0.0.5:4001?control=4002`
+ *
+ * @throws {Error} If the URL is not valid
+ *
+ * @param {String}   url      The transport URL
+ * @param {Object}   options  (optional) Transport options
+ * @param {Function} callback (optional) Called when the connection is open, or with an error.
+ *
+ * @return {Transport}
+ */
+function createTransport(url, options={}, callback) {
+  const match = URL_PATTERN.exec(url);
+  if (!match) {
+    throw new Error(`Invalid transport URL: ${url}`);
+  }
+
+  const scheme = match[1];
+  const address = match[2];
+  const query = querystring.parse(match[3] || '');
+  let host, port;
+
+  options = Object.assign({}, options);
+
+  if (scheme === 'tcp' || scheme === 'rfc2217') {
+    let hostPort = /^(.*):(\d+)$/.exec(address);
+    if (!hostPort) {
+      throw new Error(`Transport URL needs a host and port: ${url}`);
+    }
+    host = hostPort[1] || 'localhost';
+    port = parseInt(hostPort[2], 10);
+  }
+
+  if (scheme === 'rfc2217') {
+    options.daisy = 'rfc2217';
+  }
+  if (query.control) {
+    options.daisy = { control: parseControl(query.control, host) };
+  }
+
+  switch (scheme) {
+    case 'tcp':
+    case 'rfc2217':
+      return new TcpTransport(host, port, options, callback);
+    case 'unix':
+      return new UnixTransport(address, options, callback);
+    default:
+      return new StdioTransport(options, callback);
+  }
+}
+
+/**
+ * Parse the `control` URL parameter into `net.connect()` options.
+ *
+ * @param {String} control The parameter value
+ * @param {String} host The host of the transport
+ *
+ * @return {Object}
+ */
+function parseControl(control, host) {
+  if (/^\d+$/.test(control)) {
+    return { host: host || 'localhost', port: parseInt(control, 10) };
+  }
+
+  let hostPort = /^(.+):(\d+)$/.exec(control);
+  if (hostPort) {
+    return { host: hostPort[1], port: parseInt(hostPort[2], 10) };
+  }
+  return { path: control };
+}
+
+/**
+ * Open a serial port with node-serialport, or a transport if the port is a transport URL.
+ *
+ * @param {String}   port     Serial device port name or path, or a transport URL
+ * @param {Object}   options  The serialport or transport options
+ * @param {Function} callback (optional) Called when the port has been opened (or with an error)
+ *
+ * @return {Object} The port
+ */
+function openPort(port, options, callback) {
+  if (isTransportUrl(port)) {
+    return createTransport(port, options, callback);
+  }
+
+  const SerialPort = require("serialport");
+  return new SerialPort(port, options, callback);
+}
+
+module.exports.Transport = Transport;
+module.exports.TcpTransport = TcpTransport;
+module.exports.UnixTransport = UnixTransport;
+module.exports.StdioTransport = StdioTransport;
+module.exports.createTransport = createTransport;
+module.exports.isTransportUrl = isTransportUrl;
+module.exports.openPort = openPort;
+module.exports.TELNET = TELNET;
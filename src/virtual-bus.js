@@ -0,0 +1,339 @@
+'use strict';
+
+/**
+ * An in-memory bus, with simulated nodes, for testing the master without any hardware.
+ *
+ * The virtual bus acts as the master's serial port. Everything the master writes is seen by all
+ * the nodes and everything a node writes is seen by the master and the other nodes. The master's
+ * daisy line (RTS) is connected to the first node and each node's daisy line to the next one.
+ *
+ * ```
+ *  const bus = new VirtualBus(5);
+ *  bus.handle(CMD_SENSORS, (message, node) => [node.address, 0x00]);
+ *
+ *  master.connectWith(bus);
+ * ```
+ */
+
+import EventEmitter from 'events';
+import { CMD } from './constants';
+import { DiscoBusNode } from './node';
+import { MessageParser } from './parser';
+
+/**
+ * The port each simulated node is connected to.
+ */
+class VirtualNodePort extends EventEmitter {
+
+  /**
+   * @param {VirtualBus} bus The bus this port is connected to
+   * @param {int} index The index of the node on the bus
+   */
+  constructor(bus, index) {
+    super();
+    this.bus = bus;
+    this.index = index;
+    this.isOpen = true;
+  }
+
+  write(data, cb) {
+    this.bus._nodeWrite(this.index, data);
+    if (cb) cb();
+  }
+
+  drain(cb) {
+    setImmediate(cb);
+  }
+
+  set(options, cb) {
+    if (typeof options.rts !== 'undefined') {
+      this.bus._setDaisy(this.index + 1, options.rts);
+    }
+    if (cb) cb();
+  }
+}
+
+/**
+ * Creates a virtual bus, which a DiscoBusMaster can connect to with `connectWith()`.
+ *
+ * @class
+ * @emits VirtualBus#data Data written by the nodes, for the master
+ */
+class VirtualBus extends EventEmitter {
+
+  /**
+   * @param {int} nodeCount The number of nodes to create on the bus
+   * @param {Object} options Bus options:
+   *  + latency {int}  - Number of milliseconds it takes node data to arrive (default: 0)
+   *  + echo {boolean} - The master receives the bytes it sends, like on a half-duplex RS485 bus (default: false)
+   */
+  constructor(nodeCount=0, options={}) {
+    super();
+
+    /**
+     * The simulated nodes, in daisy chain order
+     *
+     * @type {DiscoBusNode[]}
+     */
+    this.nodes = [];
+
+    /**
+     * The bus is always open
+     *
+     * @type {boolean}
+     */
+    this.isOpen = true;
+
+    this._latency = options.latency || 0;
+    this._echo = !!options.echo;
+    this._collisions = 0;
+    this._faults = [];
+    this._handlers = {};
+    this._daisy = [];
+    this._taps = [];
+
+    // Follow all the traffic, to know when the bus is addressing
+    this._addressing = false;
+    this._parser = new MessageParser();
+    this._parser.on('header', (header) => { this._addressing = (header.command === CMD.ADDRESS); });
+    this._parser.on('addressing-end', () => { this._addressing = false; });
+
+    for (let i = 0; i < nodeCount; i++) {
+      this.addNode();
+    }
+  }
+
+  /**
+   * Add a new node to the end of the daisy chain.
+   *
+   * @param {DiscoBusNode} node (optional) The node to add, otherwise a new one is created.
+   *
+   * @return {DiscoBusNode} The node
+   */
+  addNode(node) {
+    let index = this.nodes.length;
+
+    node = node || new DiscoBusNode();
+    node.connectWith(new VirtualNodePort(this, index));
+
+    this.nodes.push(node);
+    this._faults.push({ silent: false, latency: null, wrongAddresses: [], corrupt: 0 });
+
+    Object.keys(this._handlers).forEach((command) => {
+      this._addHandler(node, command, this._handlers[command]);
+    });
+
+    // The previous node might already have its daisy line enabled
+    if (this._daisy[index]) {
+      node.setDaisyInput(true);
+    }
+
+    return node;
+  }
+
+  /**
+   * Register a command handler on all nodes.
+   * The handler is called with the message and the node it was received by.
+   *
+   * @param {number} command The message command
+   * @param {Function} handler The handler function: `(message, node) => response`
+   *
+   * @return {VirtualBus} Instance to this object, for chaining
+   */
+  handle(command, handler) {
+    this._handlers[command] = handler;
+    this.nodes.forEach((node) => this._addHandler(node, command, handler));
+    return this;
+  }
+
+  /**
+   * Create a port which receives all the traffic on the bus, from the master and nodes.
+   * Useful for connecting a `BusMonitor`.
+   *
+   * @return {EventEmitter} Emits `data` events for everything on the bus
+   */
+  tap() {
+    let tap = new EventEmitter();
+    this._taps.push(tap);
+    return tap;
+  }
+
+  /**
+   * Make a node stop (or start) sending anything to the bus.
+   *
+   * @param {int} index The index of the node in `nodes`
+   * @param {boolean} silent
+   *
+   * @return {VirtualBus} Instance to this object, for chaining
+   */
+  setSilent(index, silent=true) {
+    this._faults[index].silent = silent;
+    return this;
+  }
+
+  /**
+   * Set how long it takes for data, sent from one node, to arrive.
+   *
+   * @param {int} index The index of the node in `nodes`
+   * @param {int} latency Latency in milliseconds
+   *
+   * @return {VirtualBus} Instance to this object, for chaining
+   */
+  setLatency(index, latency) {
+    this._faults[index].latency = latency;
+    return this;
+  }
+
+  /**
+   * Make a node claim the wrong address, the next time(s) it's addressing.
+   *
+   * @param {int} index The index of the node in `nodes`
+   * @param {number} address The wrong address the node will send.
+   * @param {int} times The number of times to send the wrong address
+   *
+   * @return {VirtualBus} Instance to this object, for chaining
+   */
+  setWrongAddress(index, address, times=1) {
+    for (let i = 0; i < times; i++) {
+      this._faults[index].wrongAddresses.push(address);
+    }
+    return this;
+  }
+
+  /**
+   * Corrupt the next response(s) a node sends, by flipping a bit in the first byte.
+   *
+   * @param {int} index The index of the node in `nodes`
+   * @param {int} times The number of responses to corrupt
+   *
+   * @return {VirtualBus} Instance to this object, for chaining
+   */
+  setCorrupt(index, times=1) {
+    this._faults[index].corrupt += times;
+    return this;
+  }
+
+  /**
+   * Garble the next byte(s) the master sends, as if a node was sending at the same time.
+   * Everyone on the bus, including the master with the `echo` option, receives the garbled byte.
+   *
+   * @param {int} times The number of bytes to garble
+   *
+   * @return {VirtualBus} Instance to this object, for chaining
+   */
+  setCollision(times=1) {
+    this._collisions += times;
+    return this;
+  }
+
+  /**
+   * Data written by the master, is delivered to all nodes.
+   */
+  write(data, cb) {
+    let buff = Buffer.from(data);
+
+    for (let i = 0; i < buff.length && this._collisions > 0; i++) {
+      this._collisions--;
+      buff[i] ^= 0x01;
+    }
+
+    this._deliver(-1, buff, 0);
+    if (cb) cb();
+  }
+
+  /**
+   * Data has drained once everything before it has been delivered.
+   */
+  drain(cb) {
+    setImmediate(cb);
+  }
+
+  /**
+   * The master's RTS line is the daisy line to the first node.
+   */
+  set(options, cb) {
+    if (typeof options.rts !== 'undefined') {
+      this._setDaisy(0, options.rts);
+    }
+    if (cb) cb();
+  }
+
+  /**
+   * Register a bus command handler on a node
+   */
+  _addHandler(node, command, handler) {
+    node.handle(command, (message) => handler(message, node));
+  }
+
+  /**
+   * A node has written data to the bus
+   *
+   * @param {int} index The index of the node
+   * @param {Buffer} data The data
+   */
+  _nodeWrite(index, data) {
+    const faults = this._faults[index];
+    let buff = Buffer.from(data);
+
+    if (faults.silent) return;
+
+    if (this._addressing && faults.wrongAddresses.length) {
+      buff = Buffer.from([faults.wrongAddresses.shift()]);
+    }
+    else if (!this._addressing && faults.corrupt > 0 && buff.length) {
+      faults.corrupt--;
+      buff[0] ^= 0x01;
+    }
+
+    let latency = (faults.latency !== null) ? faults.latency : this._latency;
+    this._deliver(index, buff, latency);
+  }
+
+  /**
+   * Deliver data to everyone on the bus, except the sender.
+   *
+   * @param {int} from The index of the node sending the data, or -1 for the master
+   * @param {Buffer} data The data
+   * @param {int} latency Milliseconds before the data arrives
+   */
+  _deliver(from, data, latency) {
+    const deliver = () => {
+      this._parser.push(data);
+      this._taps.forEach((tap) => tap.emit('data', data));
+
+      if (from !== -1 || this._echo) {
+        this.emit('data', data);
+      }
+      this.nodes.forEach((node, i) => {
+        if (i !== from) {
+          node.port.emit('data', data);
+        }
+      });
+    };
+
+    if (latency > 0) {
+      setTimeout(deliver, latency);
+    } else {
+      setImmediate(deliver);
+    }
+  }
+
+  /**
+   * Set the incoming daisy line for a node.
+   *
+   * @param {int} index The index of the node receiving the daisy line
+   * @param {boolean} enabled
+   */
+  _setDaisy(index, enabled) {
+    this._daisy[index] = enabled;
+
+    // Daisy changes arrive after the data already on the bus
+    setImmediate(() => {
+      if (this.nodes[index]) {
+        this.nodes[index].setDaisyInput(enabled);
+      }
+    });
+  }
+}
+
+module.exports.VirtualBus = VirtualBus;
@@ -0,0 +1,300 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sinon = require('sinon');
+const chai = require('chai');
+const expect = require('chai').expect;
+const sinonChai = require("sinon-chai");
+
+chai.use(sinonChai);
+
+const DiscoBusMaster = require('../dist/discobus').DiscoBusMaster;
+const VirtualBus = require('../dist/virtual-bus').VirtualBus;
+const cli = require('../dist/cli');
+const transport = require('../dist/transport');
+
+const CMD_SENSORS = 0x06;
+const CMD_COLOR = 0x09;
+
+/**
+ * Creates the CLI input/output, which collects everything written to stdout and stderr
+ */
+function createIO(port) {
+  let io = { port: port, env: {}, out: '', err: '' };
+  io.stdout = { write: (s) => { io.out += s; } };
+  io.stderr = { write: (s) => { io.err += s; } };
+  return io;
+}
+
+describe('CLI', function() {
+  let bus, io;
+
+  beforeEach(function(){
+    bus = new VirtualBus(3);
+    io = createIO(bus);
+  });
+
+  describe('Arguments', function() {
+
+    it('parses the command, arguments and options', function() {
+      let parsed = cli.parseArgs(['send', '2', '0x09', 'ff', '-b', '19200', '--json', '--port', '/dev/tty1', '-a']);
+
+      expect(parsed.command).to.equal('send');
+      expect(parsed.args).to.deep.equal(['2', '0x09', 'ff']);
+      expect(parsed.options.baud).to.equal(19200);
+      expect(parsed.options.json).to.be.true;
+      expect(parsed.options.port).to.equal('/dev/tty1');
+      expect(parsed.options.adaptive).to.be.true;
+    });
+
+    it('throws when an option has no value', function() {
+      expect(() => cli.parseArgs(['address', '--port'])).to.throw('Missing value for --port');
+    });
+
+    it('parses hex bytes', function() {
+      expect(cli.parseHexBytes('ff 0a,01')).to.deep.equal([0xFF, 0x0A, 0x01]);
+      expect(cli.parseHexBytes('ff0a01')).to.deep.equal([0xFF, 0x0A, 0x01]);
+      expect(cli.parseHexBytes(['0xff', '0x0a'])).to.deep.equal([0xFF, 0x0A]);
+      expect(() => cli.parseHexBytes('zz')).to.throw('Invalid hex bytes');
+    });
+
+    it('parses batch files', function() {
+      expect(cli.parseBatchFile('[[1, 2], [3, 4]]')).to.deep.equal([[1, 2], [3, 4]]);
+      expect(cli.parseBatchFile('01 02\n\n03 04\n')).to.deep.equal([[1, 2], [3, 4]]);
+    });
+
+    it('fails with unknown commands', function() {
+      return cli.run(['dance'], io).then((code) => {
+        expect(code).to.equal(1);
+        expect(io.err).to.contain('Unknown command: dance');
+      });
+    });
+
+    it('fails without a port', function() {
+      io = createIO(null);
+      return cli.run(['address'], io).then((code) => {
+        expect(code).to.equal(1);
+        expect(io.err).to.contain('No serial port given');
+      });
+    });
+
+    it('prints help', function() {
+      return cli.run(['--help'], io).then((code) => {
+        expect(code).to.equal(0);
+        expect(io.out).to.contain('Usage: discobus');
+      });
+    });
+  });
+
+  describe('Opening the port', function() {
+    let openPort;
+    let openError;
+
+    beforeEach(function(){
+      io = createIO(null);
+      openError = null;
+      openPort = sinon.stub(transport, 'openPort', (port, options, callback) => {
+        setImmediate(() => callback(openError));
+        return bus;
+      });
+    });
+
+    afterEach(function(){
+      openPort.restore();
+    });
+
+    it('opens the --port path', function() {
+      return cli.run(['address', '--port', '/dev/ttyFAKE0', '-b', '19200'], io).then((code) => {
+        expect(code).to.equal(0);
+        expect(io.out).to.equal('3 nodes\n');
+        expect(openPort).to.have.been.calledOnce;
+        expect(openPort.firstCall.args[0]).to.equal('/dev/ttyFAKE0');
+        expect(openPort.firstCall.args[1]).to.deep.equal({ baudRate: 19200 });
+      });
+    });
+
+    it('opens a transport URL from DISCOBUS_PORT', function() {
+      io.env.DISCOBUS_PORT = 'tcp://10.0.0.5:4001';
+      return cli.run(['address'], io).then((code) => {
+        expect(code).to.equal(0);
+        expect(openPort.firstCall.args[0]).to.equal('tcp://10.0.0.5:4001');
+      });
+    });
+
+    it('fails when the port cannot be opened', function() {
+      openError = new Error('No such file');
+
+      return cli.run(['address', '--port', '/dev/ttyFAKE0'], io).then((code) => {
+        expect(code).to.equal(1);
+        expect(io.err).to.contain('Could not open /dev/ttyFAKE0: No such file');
+      });
+    });
+  });
+
+  describe('Commands', function() {
+
+    it('addresses the bus', function() {
+      return cli.run(['address'], io).then((code) => {
+        expect(code).to.equal(0);
+        expect(io.out).to.equal('3 nodes\n');
+      });
+    });
+
+    it('outputs JSON', function() {
+      return cli.run(['address', '--json'], io).then(() => {
+        expect(JSON.parse(io.out)).to.deep.equal({ nodes: 3 });
+      });
+    });
+
+    it('sends a message to a node', function() {
+      let received = [];
+      bus.handle(CMD_COLOR, (message, node) => { received.push([node.address, message.data]); });
+
+      return cli.run(['address'], io)
+      .then(() => cli.run(['send', '2', '0x09', 'ff 00 0a'], io))
+      .then((code) => {
+        expect(code).to.equal(0);
+        expect(received).to.deep.equal([[2, [0xFF, 0x00, 0x0A]]]);
+      });
+    });
+
+    it('requests a response from a node', function() {
+      bus.handle(CMD_SENSORS, (message, node) => [node.address, 0xAB]);
+
+      return cli.run(['address'], io)
+      .then(() => {
+        io = createIO(bus);
+        return cli.run(['request', '2', '6', '2'], io);
+      })
+      .then((code) => {
+        expect(code).to.equal(0);
+        expect(io.out).to.equal('02 ab\n');
+      });
+    });
+
+    it('requests responses from all nodes', function() {
+      bus.handle(CMD_SENSORS, (message, node) => [node.address]);
+
+      return cli.run(['request', '0', '6', '1', '--json'], io)
+      .then((code) => {
+        let lines = io.out.trim().split('\n');
+        expect(code).to.equal(0);
+        expect(JSON.parse(lines[lines.length - 1])).to.deep.equal({
+          responses: [[1], [2], [3]],
+          status: ['received', 'received', 'received']
+        });
+      });
+    });
+
+    it('marks nodes that did not respond', function() {
+      bus.handle(CMD_SENSORS, (message, node) => [node.address]);
+
+      return cli.run(['address'], io)
+      .then(() => {
+        bus.setSilent(1);
+        io = createIO(bus);
+        return cli.run(['request', '0', '6', '1', '-n', '3'], io);
+      })
+      .then((code) => {
+        expect(code).to.equal(0);
+        expect(io.out).to.equal('1: 01\n2: 00  (default)\n3: 03\n');
+      });
+    });
+
+    it('fails when a node does not respond', function() {
+      bus.setSilent(1);
+
+      return cli.run(['address'], io)
+      .then(() => cli.run(['request', '3', '6', '1', '-t', '5'], io))
+      .then((code) => {
+        expect(code).to.equal(1);
+        expect(io.err).to.contain('Error:');
+      });
+    });
+
+    it('sends batch data from a file', function() {
+      let file = path.join(os.tmpdir(), `discobus-batch-${process.pid}.txt`);
+      let received = [];
+
+      fs.writeFileSync(file, '01 02\n03 04\n05 06\n');
+      bus.handle(CMD_COLOR, (message, node) => { received.push(message.data); });
+
+      return cli.run(['address'], io)
+      .then(() => cli.run(['batch', '9', file], io))
+      .then((code) => {
+        fs.unlinkSync(file);
+        expect(code).to.equal(0);
+        expect(received).to.deep.equal([[1, 2], [3, 4], [5, 6]]);
+      });
+    });
+
+    it('records the traffic to a file', function() {
+      let file = path.join(os.tmpdir(), `discobus-record-${process.pid}.ndjson`);
+
+      return cli.run(['address', '--record', file], io)
+      .then((code) => {
+        let entries = fs.readFileSync(file, 'utf8').trim().split('\n').map((line) => JSON.parse(line));
+        fs.unlinkSync(file);
+
+        expect(code).to.equal(0);
+        expect(entries[0].dir).to.equal('start');
+        expect(entries.filter((e) => e.dir === 'in').map((e) => e.data)).to.deep.equal(['01', '02', '03']);
+      });
+    });
+
+    it('serves the HTTP gateway', function() {
+      const http = require('http');
+      let done = cli.run(['serve', '--listen', '0'], io);
+
+      const waitForServer = () => new Promise((resolve) => {
+        let check = () => {
+          let match = io.out.match(/Listening on (http:\/\/[^\s]+)/);
+          if (match) resolve(match[1]);
+          else setTimeout(check, 5);
+        };
+        check();
+      });
+
+      return waitForServer()
+      .then((url) => new Promise((resolve, reject) => {
+        let req = http.request(`${url}/address`, { method: 'POST' }, (res) => {
+          let body = '';
+          res.on('data', (d) => { body += d; });
+          res.on('end', () => resolve(JSON.parse(body)));
+        });
+        req.on('error', reject);
+        req.end();
+      }))
+      .then((body) => {
+        expect(body).to.deep.equal({ nodes: 3 });
+        bus.emit('close');
+        return done;
+      })
+      .then((code) => {
+        expect(code).to.equal(0);
+      });
+    });
+
+    it('sniffs the bus', function() {
+      let tap = bus.tap();
+      let master = new DiscoBusMaster();
+      let done;
+
+      io = createIO(tap);
+      done = cli.run(['sniff'], io);
+
+      master.connectWith(bus);
+      return master.send(CMD_COLOR, [1, 2, 3], { destination: 2 })
+      .then(() => {
+        tap.emit('close');
+        return done;
+      })
+      .then((code) => {
+        expect(code).to.equal(0);
+        expect(io.out).to.contain('CMD 0x09  dest 2  len 3  [01 02 03]  CRC ok');
+      });
+    });
+  });
+});
@@ -0,0 +1,349 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sinon = require('sinon');
+const chai = require('chai');
+const expect = require('chai').expect;
+const sinonChai = require("sinon-chai");
+
+chai.use(sinonChai);
+
+const daisy = require('../dist/daisy');
+const createDaisyDriver = daisy.createDaisyDriver;
+const GpioDaisyDriver = daisy.GpioDaisyDriver;
+const DiscoBusMaster = require('../dist/discobus').DiscoBusMaster;
+const DiscoBusNode = require('../dist/discobus').DiscoBusNode;
+const VirtualBus = require('../dist/virtual-bus').VirtualBus;
+
+/**
+ * A port which only sets control lines
+ */
+function createPort() {
+  return { set: sinon.spy((options, cb) => cb()) };
+}
+
+/**
+ * Set a driver's line and resolve with the error, if there was one
+ */
+function setLine(driver, port, enabled) {
+  return new Promise((resolve) => driver.set(port, enabled, resolve));
+}
+
+let tmpDirs = [];
+
+/**
+ * Create a temporary directory, which is removed after the tests
+ */
+function tmpDir() {
+  let dir = fs.mkdtempSync(path.join(os.tmpdir(), 'discobus-daisy-'));
+  tmpDirs.push(dir);
+  return dir;
+}
+
+describe('Daisy drivers', function() {
+  let port;
+
+  beforeEach(function(){
+    port = createPort();
+  });
+
+  after(function(){
+    tmpDirs.forEach((dir) => fs.rmSync(dir, { recursive: true, force: true }));
+    tmpDirs = [];
+  });
+
+  it('sets the RTS line', function() {
+    let driver = createDaisyDriver('rts');
+    let callback = sinon.spy();
+
+    driver.set(port, true, callback);
+    expect(port.set).to.have.been.calledWith({ rts: true });
+    expect(callback).to.have.been.calledWith(null);
+  });
+
+  it('sets an inverted DTR line', function() {
+    let driver = createDaisyDriver('dtr', { invert: true });
+
+    return setLine(driver, port, true)
+    .then(() => setLine(driver, port, false))
+    .then(() => {
+      expect(port.set.firstCall).to.have.been.calledWith({ dtr: false });
+      expect(port.set.secondCall).to.have.been.calledWith({ dtr: true });
+    });
+  });
+
+  it('returns port errors', function() {
+    let driver = createDaisyDriver('rts', { settle: 50 });
+    port.set = (options, cb) => cb('no rts');
+
+    return setLine(driver, port, true)
+    .then((err) => {
+      expect(err).to.equal('no rts');
+    });
+  });
+
+  it('waits for the line to settle', function() {
+    let driver = createDaisyDriver('rts', { settle: 30 });
+    let start = Date.now();
+
+    return setLine(driver, port, true)
+    .then(() => {
+      expect(Date.now() - start).to.be.at.least(25);
+    });
+  });
+
+  it('sets the line with a function that returns a promise', function() {
+    let fn = sinon.spy(() => Promise.resolve());
+    let driver = createDaisyDriver(fn, { invert: true });
+
+    return setLine(driver, port, true)
+    .then((err) => {
+      expect(err).to.be.null;
+      expect(fn).to.have.been.calledWith(false);
+      expect(port.set).to.not.have.been.called;
+    });
+  });
+
+  it('sets the line with a synchronous function', function() {
+    let levels = [];
+    let driver = createDaisyDriver((level) => { levels.push(level); });
+
+    return setLine(driver, port, true)
+    .then(() => setLine(driver, port, false))
+    .then((err) => {
+      expect(err).to.be.null;
+      expect(levels).to.deep.equal([true, false]);
+    });
+  });
+
+  it('returns errors from the function', function() {
+    let driver = createDaisyDriver(() => Promise.reject(new Error('pin busy')));
+
+    return setLine(driver, port, true)
+    .then((err) => {
+      expect(err.message).to.equal('pin busy');
+    });
+  });
+
+  it('throws for unknown drivers and missing GPIO lines', function() {
+    expect(() => createDaisyDriver('cts')).to.throw('Unknown daisy driver: cts');
+    expect(() => createDaisyDriver('gpio', { chip: 0 })).to.throw(/line number/);
+  });
+
+  describe('GPIO', function() {
+    let sysfs;
+
+    beforeEach(function(){
+      sysfs = tmpDir();
+
+      // Chip 1 starts at GPIO 32
+      fs.mkdirSync(path.join(sysfs, 'gpiochip0'));
+      fs.mkdirSync(path.join(sysfs, 'gpiochip0', 'device'));
+      fs.mkdirSync(path.join(sysfs, 'gpiochip0', 'device', 'gpiochip0'));
+      fs.writeFileSync(path.join(sysfs, 'gpiochip0', 'base'), '0\n');
+      fs.mkdirSync(path.join(sysfs, 'gpiochip32'));
+      fs.mkdirSync(path.join(sysfs, 'gpiochip32', 'device'));
+      fs.mkdirSync(path.join(sysfs, 'gpiochip32', 'device', 'gpiochip1'));
+      fs.writeFileSync(path.join(sysfs, 'gpiochip32', 'base'), '32\n');
+      fs.writeFileSync(path.join(sysfs, 'export'), '');
+    });
+
+    it('sets a sysfs GPIO line', function() {
+      let driver = new GpioDaisyDriver({ chip: 1, line: 17, sysfs: sysfs });
+      let gpioDir = path.join(sysfs, 'gpio49');
+      fs.mkdirSync(gpioDir);
+
+      return setLine(driver, port, true)
+      .then((err) => {
+        expect(err).to.be.null;
+        expect(fs.readFileSync(path.join(gpioDir, 'direction'), 'utf8')).to.equal('high');
+        expect(fs.readFileSync(path.join(gpioDir, 'value'), 'utf8')).to.equal('1');
+        return setLine(driver, port, false);
+      })
+      .then(() => {
+        expect(fs.readFileSync(path.join(gpioDir, 'value'), 'utf8')).to.equal('0');
+      });
+    });
+
+    it('exports the sysfs GPIO line', function() {
+      let driver = new GpioDaisyDriver({ chip: 'gpiochip1', line: 3, sysfs: sysfs });
+
+      // The fake sysfs doesn't create the GPIO directory
+      return setLine(driver, port, true)
+      .then((err) => {
+        expect(err).to.be.an('error');
+        expect(fs.readFileSync(path.join(sysfs, 'export'), 'utf8')).to.equal('35');
+      });
+    });
+
+    it('returns an error for unknown chips', function() {
+      let driver = new GpioDaisyDriver({ chip: 4, line: 3, sysfs: sysfs });
+
+      return setLine(driver, port, true)
+      .then((err) => {
+        expect(err.message).to.match(/Could not find GPIO chip gpiochip4/);
+      });
+    });
+
+    it('serializes writes while exporting the sysfs GPIO line', function() {
+      let driver = new GpioDaisyDriver({ chip: 1, line: 17, sysfs: sysfs });
+      let exportFile = path.join(sysfs, 'export');
+      let gpioDir = path.join(sysfs, 'gpio49');
+
+      // Export creates the GPIO directory, like sysfs
+      let writeFile = fs.writeFile;
+      let writeStub = sinon.stub(fs, 'writeFile', (file, data, callback) => {
+        if (file === exportFile) {
+          fs.appendFileSync(exportFile, data);
+          fs.mkdirSync(gpioDir);
+          return setImmediate(() => callback(null));
+        }
+        writeFile(file, data, callback);
+      });
+
+      return Promise.all([setLine(driver, port, false), setLine(driver, port, true)])
+      .then((errors) => {
+        writeStub.restore();
+        expect(errors).to.deep.equal([null, null]);
+        expect(fs.readFileSync(exportFile, 'utf8')).to.equal('49');
+        expect(fs.readFileSync(path.join(gpioDir, 'value'), 'utf8')).to.equal('1');
+      }, (err) => {
+        writeStub.restore();
+        throw err;
+      });
+    });
+  });
+
+  describe('GPIO character device', function() {
+    let dir;
+    let log;
+    let driver;
+
+    /**
+     * Create a fake gpioset command for a libgpiod version, which logs its arguments and input
+     */
+    function gpioset(version, script) {
+      let command = path.join(dir, 'gpioset');
+      fs.writeFileSync(command, [
+        '#!/bin/sh',
+        `if [ "$1" = "--version" ]; then echo "gpioset (libgpiod) v${version}"; exit 0; fi`,
+        `echo "$@" >> ${log}`,
+        script
+      ].join('\n'));
+      fs.chmodSync(command, '755');
+      return command;
+    }
+
+    function logged() {
+      return fs.readFileSync(log, 'utf8').trim().split('\n');
+    }
+
+    beforeEach(function(){
+      dir = tmpDir();
+      log = path.join(dir, 'log');
+    });
+
+    afterEach(function(){
+      return new Promise((resolve) => driver.close(resolve));
+    });
+
+    it('holds the line with an interactive libgpiod v2 gpioset', function() {
+      let command = gpioset('2.1.1', [
+        'while read cmd; do',
+        `  echo "$cmd" >> ${log}`,
+        '  case "$cmd" in get*) echo \'"17"=active\';; esac',
+        'done'
+      ].join('\n'));
+      driver = new GpioDaisyDriver({ mode: 'chardev', chip: 0, line: 17, invert: true, command: command });
+
+      return setLine(driver, port, true)
+      .then((err) => {
+        expect(err).to.be.null;
+        return setLine(driver, port, false);
+      })
+      .then(() => setLine(driver, port, false))
+      .then(() => {
+        expect(logged()).to.deep.equal([
+          '--interactive --chip gpiochip0 17=0',
+          'get 17',
+          'set 17=1',
+          'get 17'
+        ]);
+      });
+    });
+
+    it('restarts a libgpiod v1 gpioset for each level', function() {
+      let command = gpioset('1.6.3', `read line; echo "released" >> ${log}`);
+      driver = new GpioDaisyDriver({ mode: 'chardev', chip: 'gpiochip1', line: 4, command: command });
+
+      return setLine(driver, port, true)
+      .then(() => setLine(driver, port, true))
+      .then(() => setLine(driver, port, false))
+      .then((err) => {
+        expect(err).to.be.null;
+        return new Promise((resolve) => driver.close(resolve));
+      })
+      .then(() => {
+        expect(logged()).to.deep.equal([
+          '--mode=wait gpiochip1 4=1',
+          'released',
+          '--mode=wait gpiochip1 4=0',
+          'released'
+        ]);
+      });
+    });
+
+    it('returns an error when gpioset exits', function() {
+      let command = gpioset('2.0', 'echo "unable to request lines" >&2; exit 1');
+      driver = new GpioDaisyDriver({ mode: 'chardev', chip: 0, line: 17, command: command });
+
+      return setLine(driver, port, true)
+      .then((err) => {
+        expect(err.message).to.match(/exited with code 1: unable to request lines/);
+      });
+    });
+
+    it('skips the version check with the libgpiod option', function() {
+      let command = path.join(dir, 'missing-gpioset');
+      driver = new GpioDaisyDriver({ mode: 'chardev', line: 17, command: command, libgpiod: 1 });
+
+      return setLine(driver, port, true)
+      .then((err) => {
+        expect(err.code).to.equal('ENOENT');
+        expect(err.syscall).to.match(/spawn/);
+      });
+    });
+  });
+
+  describe('Master and node', function() {
+
+    it('waits for the daisy line before sending the first address', function() {
+      let bus = new VirtualBus(3);
+      let master = new DiscoBusMaster();
+      master.connectWith(bus);
+
+      // Takes a while to set the line
+      master.setDaisyDriver((enabled) => new Promise((resolve) => {
+        setTimeout(() => bus.set({ rts: enabled }, resolve), 5);
+      }));
+
+      return master.address()
+      .then((nodeNum) => {
+        expect(nodeNum).to.equal(3);
+      });
+    });
+
+    it('sets the node daisy line with its driver', function() {
+      let node = new DiscoBusNode();
+      node.connectWith(Object.assign(port, { on: () => {} }));
+      node.setDaisyDriver('dtr');
+
+      return node.setDaisyLine(true)
+      .then(() => {
+        expect(port.set).to.have.been.calledWith({ dtr: true });
+      });
+    });
+  });
+});
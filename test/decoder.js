@@ -0,0 +1,117 @@
+'use strict';
+
+const crc = require('crc');
+const sinon = require('sinon');
+const chai = require('chai');
+const expect = require('chai').expect;
+const sinonChai = require("sinon-chai");
+
+chai.use(sinonChai);
+
+const FrameDecoder = require('../dist/decoder').FrameDecoder;
+
+/**
+ * Build a full message, with start sequence and CRC
+ */
+function message(header, data) {
+  let body = header.concat(data || []);
+  let crcValue = crc.crc16modbus(body, 0xFFFF);
+  return [0xFF, 0xFF].concat(body, [(crcValue >> 8) & 0xFF, crcValue & 0xFF]);
+}
+
+describe('FrameDecoder', function() {
+  let decoder;
+  let frameSpy;
+
+  beforeEach(function(){
+    frameSpy = sinon.spy();
+    decoder = new FrameDecoder();
+    decoder.on('frame', frameSpy);
+  });
+
+  it('decodes a standard message', function() {
+    decoder.push(message([0, 5, 0x09, 1, 2], [1, 2]));
+
+    let frame = frameSpy.firstCall.args[0];
+    expect(frame.type).to.equal('message');
+    expect(frame.destination).to.equal(5);
+    expect(frame.command).to.equal(0x09);
+    expect(frame.data).to.deep.equal([1, 2]);
+    expect(frame.sections).to.deep.equal([[1, 2]]);
+    expect(frame.crcValid).to.be.true;
+  });
+
+  it('splits batch data into node sections', function() {
+    decoder.push(message([1, 0, 0x09, 3, 2], [1, 2, 3, 4, 5, 6]));
+
+    let frame = frameSpy.firstCall.args[0];
+    expect(frame.batch).to.be.true;
+    expect(frame.nodeCount).to.equal(3);
+    expect(frame.sections).to.deep.equal([[1, 2], [3, 4], [5, 6]]);
+    expect(frame.responses).to.deep.equal([]);
+  });
+
+  it('splits response data into node responses', function() {
+    decoder.push(message([3, 0, 0x09, 2, 2], [1, 2, 3, 4]));
+
+    let frame = frameSpy.firstCall.args[0];
+    expect(frame.response).to.be.true;
+    expect(frame.responses).to.deep.equal([[1, 2], [3, 4]]);
+    expect(frame.sections).to.deep.equal([]);
+  });
+
+  it('verifies and removes node response CRCs', function() {
+    let crc1 = crc.crc16modbus([1, 2], 0xFFFF);
+    decoder.push(message([7, 0, 0x09, 2, 2], [1, 2, crc1 >> 8, crc1 & 0xFF, 3, 4, 0, 0]));
+
+    let frame = frameSpy.firstCall.args[0];
+    expect(frame.responseCrc).to.be.true;
+    expect(frame.responses).to.deep.equal([[1, 2], [3, 4]]);
+    expect(frame.responseCrcValid).to.deep.equal([true, false]);
+    expect(frame.crcValid).to.be.true;
+  });
+
+  it('flags invalid CRCs', function() {
+    let msg = message([0, 5, 0x09, 1, 2], [1, 2]);
+    msg[7] = 0x10;
+    decoder.push(msg);
+
+    expect(frameSpy.firstCall.args[0].crcValid).to.be.false;
+  });
+
+  it('decodes addressing and the NULL message that ends it', function() {
+    decoder.push([0xFF, 0xFF, 3, 0, 0xFB, 0, 2, 0, 1, 1, 5, 0, 1, 2, 2]);
+    decoder.push(message([0, 0, 0xFF, 0]));
+
+    expect(frameSpy).to.have.been.calledTwice;
+
+    let addressing = frameSpy.firstCall.args[0];
+    expect(addressing.type).to.equal('addressing');
+    expect(addressing.addresses).to.deep.equal([0, 1, 1, 5, 0, 1, 2, 2]);
+
+    let nullFrame = frameSpy.secondCall.args[0];
+    expect(nullFrame.type).to.equal('null');
+    expect(nullFrame.crcValid).to.be.true;
+  });
+
+  it('resyncs on the start sequence after garbage', function() {
+    let skipSpy = sinon.spy();
+
+    decoder.on('skip', skipSpy);
+    decoder.push([0x01, 0x02, 0xFF, 0x03]);
+    decoder.push(message([0, 5, 0x09, 1, 1], [1]));
+
+    expect(skipSpy.callCount).to.equal(4);
+    expect(frameSpy).to.have.been.calledOnce;
+    expect(frameSpy.firstCall.args[0].crcValid).to.be.true;
+  });
+
+  it('drops a partial frame when reset', function() {
+    decoder.push([0xFF, 0xFF, 0, 5, 0x09, 1, 10, 1, 2]);
+    decoder.reset();
+    decoder.push(message([0, 5, 0x09, 1, 1], [1]));
+
+    expect(frameSpy).to.have.been.calledOnce;
+    expect(frameSpy.firstCall.args[0].length).to.equal(1);
+  });
+});
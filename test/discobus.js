@@ -120,13 +120,14 @@ describe('Messaging', function() {
     bus.timeouts.nodeResponse = 1;
   });
 
-  it('throws an exception if another message is being sent', function() {
+  it('queues a message if another message is being sent', function() {
     function startWrapper() {
       bus.startMessage(0x00, 1);
     }
 
     startWrapper();
-    expect(startWrapper).to.throw(Error);
+    expect(startWrapper).to.not.throw(Error);
+    expect(bus.queueLength).to.equal(1);
   });
 
   it('throws an exception when no port has been connected', function() {
@@ -250,6 +251,175 @@ describe('Messaging', function() {
     bus.port.receiveData(Buffer.from([1, 2]));
   });
 
+  /**
+   * Message queue
+   */
+  describe('Message queue', function() {
+
+    it('sends queued messages once the current message is done', function(done) {
+      bus.startMessage(0x09, 2, { destination: 1 })
+      .sendData([1, 2]);
+
+      bus.startMessage(0x0A, 1, { destination: 2 })
+      .sendData([3])
+      .endMessage()
+      .subscribe(null, null, () => {
+        try {
+          expect(bus.port.buffer).to.deep.equal([
+            0xFF, 0xFF, 0x00, 0x01, 0x09, 0x01, 0x02, 1, 2, 189, 230, // first message
+            0xFF, 0xFF, 0x00, 0x02, 0x0A, 0x01, 0x01, 3, 82, 106       // queued message
+          ]);
+          done();
+        } catch(e) { done(e); }
+      });
+
+      // Only the first message has been sent so far
+      expect(bus.port.buffer).to.have.lengthOf(9);
+      expect(bus.queueLength).to.equal(1);
+      bus.endMessage();
+    });
+
+    it('does not send a queued message until all responses have been received', function(done) {
+      bus.startMessage(0x09, 2, { destination: 1, responseMsg: true });
+      bus.startMessage(0x0A, 0, { destination: 2 }).endMessage();
+
+      bus.subscribe(null, null, () => {
+        try {
+          expect(bus.port.buffer.slice(-9, -2)).to.deep.equal([0xFF, 0xFF, 0x00, 0x02, 0x0A, 0x01, 0x00]);
+          done();
+        } catch(e) { done(e); }
+      });
+
+      bus._drainPromise.then(() => {
+        expect(bus.queueLength).to.equal(1);
+        bus.port.receiveData(Buffer.from([1, 2]));
+      });
+    });
+
+    it('gives each message its own observer and response', function(done) {
+      let firstResponse;
+
+      bus.timeouts.nodeResponse = 50;
+      bus.startMessage(0x09, 2, { destination: 1, responseMsg: true })
+      .subscribe(null, null, () => {
+        firstResponse = bus.messageResponse;
+
+        // Respond to the second message, once it has started
+        Promise.resolve().then(() => {
+          bus.port.receiveData(Buffer.from([3, 4]));
+        });
+      });
+      let first = bus.messageSubscription;
+
+      bus.startMessage(0x09, 2, { destination: 2, responseMsg: true })
+      .subscribe(null, null, () => {
+        try {
+          expect(bus.messageSubscription).to.not.equal(first);
+          expect(firstResponse).to.deep.equal([1, 2]);
+          expect(bus.messageResponse).to.deep.equal([3, 4]);
+          done();
+        } catch(e) { done(e); }
+      });
+
+      bus.port.receiveData(Buffer.from([1, 2]));
+    });
+  });
+
+  /**
+   * Promise API
+   */
+  describe('Promise API', function() {
+
+    it('sends a message', function() {
+      return bus.send(0x09, [0x01, 0x02], { destination: 0x05 })
+      .then(() => {
+        expect(bus.port.buffer).to.deep.equal([
+          0xFF, 0xFF, 0x00, 0x05, 0x09, 0x01, 0x02, // Header
+          0x01, 0x02, // Data
+          57, 231     // CRC
+        ]);
+      });
+    });
+
+    it('sends node data sections for a batch message', function() {
+      return bus.send(0x09, [[1, 2], [3], [4, 5]], { batchMode: true })
+      .then(() => {
+        expect(bus.port.buffer.slice(7, -2)).to.deep.equal([1, 2, 3, 0, 4, 5, 0, 0, 0, 0]);
+      });
+    });
+
+    it('rejects when the message cannot be sent', function() {
+      bus.port.drain = function(cb) {
+        cb('Error thing');
+      };
+
+      return bus.send(0x09, [1])
+      .then(() => { throw new Error('Should have rejected'); })
+      .catch((err) => {
+        expect(err).to.be.instanceOf(Error);
+        expect(err.message).to.contain('Error thing');
+      });
+    });
+
+    it('resolves with the node response', function() {
+      let req = bus.request(0x09, 3, { destination: 1 });
+      bus.port.receiveData(Buffer.from([1, 2, 3]));
+
+      return req.then((response) => {
+        expect(response).to.deep.equal([1, 2, 3]);
+      });
+    });
+
+    it('keeps its response when another message follows', function() {
+      let req = bus.request(0x09, 2, { destination: 1 });
+      bus.startMessage(0x0A, 1, { destination: 2 }).sendData([5]).endMessage();
+      bus.port.receiveData(Buffer.from([1, 2]));
+
+      return req.then((response) => {
+        expect(response).to.deep.equal([1, 2]);
+        expect(bus.messageResponse).to.not.equal(response);
+      });
+    });
+
+    it('rejects when the node does not respond', function() {
+      return bus.request(0x09, 2, { destination: 1 })
+      .then(() => { throw new Error('Should have rejected'); })
+      .catch((err) => {
+        expect(err.code).to.equal('TIMEOUT');
+      });
+    });
+
+    it('resolves with the default response, when not rejecting on timeouts', function() {
+      return bus.request(0x09, 2, { destination: 1, rejectOnTimeout: false, responseDefault: [7, 7] })
+      .then((response) => {
+        expect(response).to.deep.equal([7, 7]);
+      });
+    });
+
+    it('resolves with the response of each node in a batch', function() {
+      bus.nodeNum = 2;
+
+      let req = bus.request(0x09, 2);
+      bus.port.receiveData(Buffer.from([1, 2]));
+
+      return req.then((response) => {
+        expect(response).to.deep.equal([[1, 2], [0, 0]]);
+      });
+    });
+
+    it('resolves with the number of nodes after addressing', function() {
+      bus.nodeNum = 0;
+
+      let addr = bus.address();
+      bus.port.receiveData(Buffer.from([1]));
+      bus.port.receiveData(Buffer.from([2]));
+
+      return addr.then((nodeNum) => {
+        expect(nodeNum).to.equal(2);
+      });
+    });
+  });
+
   /**
    * Response messages
    */
@@ -269,6 +439,23 @@ describe('Messaging', function() {
       bus.port.receiveData(Buffer.from([1, 2, 3]));
     });
 
+    it('waits for a node in the middle of its response after an abort', function(done) {
+      bus.timeouts.nodeResponse = 50;
+      bus.request(0x09, 3, { destination: 1 })
+      .catch((err) => {
+        expect(err.code).to.equal('ABORTED');
+      });
+
+      bus.port.receiveData(Buffer.from([1]));
+      bus.abort();
+
+      setTimeout(() => {
+        bus.port.receiveData(Buffer.from([2, 3]));
+        expect(bus.messageResponse).to.deep.equal([1, 2, 3]);
+        done();
+      }, 10);
+    });
+
     it('creates default response fill data', function() {
     // When no `responseDefault` is set in message options
       bus.startMessage(0x09, 5, {
@@ -379,6 +566,324 @@ describe('Messaging', function() {
       bus.port.receiveData(Buffer.from([1, 2, 3]));
     });
   });
+
+  /**
+   * Response info
+   */
+  describe('Response info', function() {
+
+    it('describes how each node responded to a batch message', function(done) {
+      bus.startMessage(0x09, 2, {
+        batchMode: true,
+        responseMsg: true
+      })
+      .subscribe(
+        (n) => {
+          if (n.node == 3) {
+            bus.port.receiveData(Buffer.from([8, 9]));
+          }
+        }, null,
+        () => {
+          let info = bus.messageResponseInfo;
+          expect(info.map((i) => i.status)).to.deep.equal(['received', 'partial', 'default', 'default', 'received']);
+          expect(info.map((i) => i.received)).to.deep.equal([2, 1, 0, 0, 2]);
+          expect(info.map((i) => i.node)).to.deep.equal([1, 2, 3, 4, 5]);
+          expect(info[2].firstByteAt).to.be.null;
+          expect(info[4].latency).to.be.a('number');
+          expect(info[4].duration).to.be.at.least(info[4].latency);
+          done();
+        });
+
+      bus.port.receiveData(Buffer.from([1, 2, 3]));
+    });
+
+    it('passes the response info to subscribers', function(done) {
+      let values = [];
+
+      bus.startMessage(0x09, 1, {
+        batchMode: true,
+        responseMsg: true
+      })
+      .subscribe(
+        (n) => values.push(n), null,
+        () => {
+          expect(values).to.have.lengthOf(5);
+          expect(values[0].info.status).to.equal('received');
+          expect(values[1].info.status).to.equal('default');
+          expect(values[1].info.node).to.equal(2);
+          done();
+        });
+
+      bus.port.receiveData(Buffer.from([1]));
+    });
+
+    it('resolves requests with the response info', function() {
+      let req = bus.request(0x09, 2, { destination: 3, withInfo: true });
+      bus.port.receiveData(Buffer.from([1, 2]));
+
+      return req.then((result) => {
+        expect(result.response).to.deep.equal([1, 2]);
+        expect(result.info.node).to.equal(3);
+        expect(result.info.status).to.equal('received');
+        expect(result.info.received).to.equal(2);
+      });
+    });
+
+    it('resolves batch requests with info for each node', function() {
+      let req = bus.request(0x09, 1, { withInfo: true });
+      bus.port.receiveData(Buffer.from([1, 2]));
+
+      return req.then((result) => {
+        expect(result.response).to.deep.equal([[1], [2], [0], [0], [0]]);
+        expect(result.info.map((i) => i.status)).to.deep.equal(['received', 'received', 'default', 'default', 'default']);
+      });
+    });
+  });
+
+  /**
+   * Response CRC
+   */
+  describe('Response CRC', function() {
+
+    /**
+     * Node response data followed by its CRC
+     */
+    function withCrc(data) {
+      let value = crc.crc16modbus(data, 0xFFFF);
+      return data.concat([(value >> 8) & 0xFF, value & 0xFF]);
+    }
+
+    it('sets the response CRC flag', function() {
+      bus.startMessage(0x09, 2, {
+        batchMode: true,
+        responseMsg: true,
+        responseCrc: true
+      });
+      expect(bus.port.buffer).to.deep.equal([0xFF, 0xFF, 0x07, 0x00, 0x09, 0x05, 0x02]);
+    });
+
+    it('accepts a valid response', function() {
+      let req = bus.request(0x09, 2, { destination: 1, responseCrc: true });
+      bus.port.receiveData(Buffer.from(withCrc([1, 2])));
+
+      return req.then((response) => {
+        expect(response).to.deep.equal([1, 2]);
+      });
+    });
+
+    it('rejects a corrupted response', function() {
+      let errors = [];
+      let req = bus.request(0x09, 2, { destination: 1, responseCrc: true });
+
+      bus.messageSubscription.subscribe((n) => {
+        if (n.type === 'error') errors.push(n);
+      });
+
+      let data = withCrc([1, 2]);
+      data[0] = 9;
+      bus.port.receiveData(Buffer.from(data));
+
+      return req
+      .then(() => { throw new Error('Should have rejected'); })
+      .catch((err) => {
+        expect(err.code).to.equal('CRC');
+        expect(errors).to.have.lengthOf(1);
+        expect(errors[0].node).to.equal(1);
+        expect(errorEmitterSpy).to.have.been.calledWith('Invalid response CRC from node 1');
+      });
+    });
+
+    it('reports corrupted responses for each node in a batch', function() {
+      let data = [].concat(withCrc([1, 1]), withCrc([2, 2]), withCrc([3, 3]), withCrc([4, 4]), withCrc([5, 5]));
+      data[4] = 0; // node 2
+
+      let req = bus.request(0x09, 2, { responseCrc: true });
+      let message = bus._openMessage;
+      bus.port.receiveData(Buffer.from(data));
+
+      return req.then((response) => {
+        expect(response[1]).to.deep.equal([0, 2]);
+        expect(response[4]).to.deep.equal([5, 5]);
+        expect(message.corrupted).to.deep.equal([2]);
+        expect(message.responseInfo[1].corrupt).to.be.true;
+        expect(message.responseInfo[1].status).to.equal('received');
+        expect(message.responseInfo[0].corrupt).to.be.false;
+      });
+    });
+
+    it('uses the default response for corrupted responses', function() {
+      let data = [].concat(withCrc([1, 1]), withCrc([2, 2]), withCrc([3, 3]), withCrc([4, 4]), withCrc([5, 5]));
+      data[4] = 0; // node 2
+
+      let req = bus.request(0x09, 2, { responseCrc: true, corruptAsMissing: true, responseDefault: [0xAA, 0xBB] });
+      bus.port.receiveData(Buffer.from(data));
+
+      return req.then((response) => {
+        expect(response[0]).to.deep.equal([1, 1]);
+        expect(response[1]).to.deep.equal([0xAA, 0xBB]);
+        expect(response[2]).to.deep.equal([3, 3]);
+      });
+    });
+
+    it('fills the rest of a timed out response with a valid CRC', function() {
+      let req = bus.request(0x09, 2, { destination: 1, responseCrc: true, rejectOnTimeout: false });
+      bus.port.receiveData(Buffer.from([1]));
+
+      return req.then((response) => {
+        expect(response).to.deep.equal([1, 0]);
+        expect(bus.port.buffer.slice(7, -2)).to.deep.equal(withCrc([1, 0]).slice(1));
+      });
+    });
+  });
+
+  describe('Echo cancellation', function() {
+
+    beforeEach(function(){
+      bus.echoCancellation.enabled = true;
+    });
+
+    it('removes the echo of the bytes sent', function() {
+      let req = bus.request(0x09, 2, { destination: 1 });
+      bus.port.receiveData(Buffer.from(bus.port.buffer));
+      bus.port.receiveData(Buffer.from([1, 2]));
+
+      return req.then((response) => {
+        expect(response).to.deep.equal([1, 2]);
+      });
+    });
+
+    it('removes echoes split across reads', function() {
+      let req = bus.request(0x09, 2, { destination: 1 });
+      let echo = bus.port.buffer.slice();
+
+      bus.port.receiveData(Buffer.from(echo.slice(0, 3)));
+      bus.port.receiveData(Buffer.from(echo.slice(3).concat([1, 2])));
+
+      return req.then((response) => {
+        expect(response).to.deep.equal([1, 2]);
+      });
+    });
+
+    it('reports a bus collision when the echo does not match', function() {
+      let collisionSpy = sinon.spy();
+      bus.on('collision', collisionSpy);
+
+      let req = bus.request(0x09, 2, { destination: 1 });
+      let echo = bus.port.buffer.slice();
+      echo[4] = 0x0A;
+
+      bus.port.receiveData(Buffer.from(echo));
+      bus.port.receiveData(Buffer.from([1, 2]));
+
+      return req
+      .then(() => { throw new Error('Should have rejected'); })
+      .catch((err) => {
+        expect(err.code).to.equal('COLLISION');
+        expect(collisionSpy).to.have.been.calledWith({ expected: 0x09, received: 0x0A, command: 0x09 });
+        expect(errorEmitterSpy).to.have.been.calledWith('Bus collision: sent 0x09 but received 0x0A');
+      });
+    });
+
+    it('gives up on echoes that never arrive', function() {
+      bus.echoCancellation.timeout = 5;
+      bus.startMessage(0x09, 1, { destination: 1 }).sendData([1]).endMessage();
+
+      return new Promise((resolve) => setTimeout(resolve, 15))
+      .then(() => {
+        bus.port.receiveData(Buffer.from([0x42]));
+
+        expect(errorEmitterSpy).to.have.been.calledWithMatch(/No echo received/);
+        expect(bus._echoQueue).to.be.empty;
+      });
+    });
+  });
+
+  describe('Bus noise', function() {
+    let noise;
+
+    beforeEach(function(){
+      noise = [];
+      bus.on('bus-noise', (n) => noise.push(n));
+    });
+
+    it('detects data between messages', function() {
+      bus.port.receiveData(Buffer.from([0xAA, 0x01]));
+
+      expect(noise).to.have.lengthOf(1);
+      expect(noise[0].kind).to.equal('idle');
+      expect(noise[0].hex).to.equal('AA 01');
+      expect(noise[0].command).to.be.null;
+      expect(bus.noise.counts.idle).to.equal(2);
+    });
+
+    it('detects data during a message without responses', function() {
+      bus.startMessage(0x09, 3, { destination: 1 });
+      bus.port.receiveData(Buffer.from([0x42]));
+      bus.endMessage();
+
+      expect(noise).to.have.lengthOf(1);
+      expect(noise[0].kind).to.equal('unsolicited');
+      expect(noise[0].command).to.equal(0x09);
+    });
+
+    it('does not report the echo of sent bytes without echo cancellation', function() {
+      let sent = [];
+      bus.on('write', (buff) => { sent = sent.concat(Array.from(buff)); });
+
+      bus.startMessage(0x09, 1, { destination: 1 });
+      bus.sendData([0x10]);
+      bus.port.receiveData(Buffer.from(sent.concat([0x42])));
+      bus.endMessage();
+
+      expect(noise).to.have.lengthOf(1);
+      expect(noise[0].kind).to.equal('unsolicited');
+      expect(noise[0].hex).to.equal('42');
+    });
+
+    it('detects more response data than expected', function() {
+      let req = bus.request(0x09, 2, { destination: 1 });
+      bus.port.receiveData(Buffer.from([1, 2, 3, 4]));
+
+      return req.then((response) => {
+        expect(response).to.deep.equal([1, 2]);
+        expect(noise).to.have.lengthOf(1);
+        expect(noise[0].kind).to.equal('overflow');
+        expect(noise[0].hex).to.equal('03 04');
+        expect(bus.noise.counts.overflow).to.equal(2);
+      });
+    });
+
+    it('does not report expected responses', function() {
+      let req = bus.request(0x09, 2, { destination: 1 });
+      bus.port.receiveData(Buffer.from([1]));
+      bus.port.receiveData(Buffer.from([2]));
+
+      return req.then(() => {
+        expect(noise).to.be.empty;
+      });
+    });
+
+    it('raises an alarm when the noise rate crosses the threshold', function() {
+      let alarm = sinon.spy();
+      bus.on('noise-alarm', alarm);
+      bus.noise.alarmThreshold = 4;
+
+      bus.port.receiveData(Buffer.from([1, 2]));
+      expect(alarm).to.not.have.been.called;
+
+      bus.port.receiveData(Buffer.from([3, 4]));
+      bus.port.receiveData(Buffer.from([5]));
+      expect(alarm).to.have.been.calledOnce;
+      expect(alarm.firstCall.args[0].bytes).to.equal(4);
+    });
+
+    it('can be turned off', function() {
+      bus.noise.enabled = false;
+      bus.port.receiveData(Buffer.from([0xAA]));
+
+      expect(noise).to.be.empty;
+    });
+  });
 });
 
 /**
@@ -397,9 +902,30 @@ describe('Addressing', function() {
     bus.timeouts.nodeResponse = 1;
   });
 
-  it('throws an exception if another message is being sent', function() {
-    bus.startMessage(0x00, 1);
-    expect(() => { bus.startAddressing() }).to.throw(Error);
+  it('queues addressing if another message is being sent', function(done) {
+    bus.startMessage(0x09, 1, { destination: 1 })
+    .sendData([1])
+    .endMessage()
+    .subscribe(null, null, () => {
+      expect(bus._addressing).to.be.false;
+
+      // Addressing starts right after this message completes
+      Promise.resolve().then(() => {
+        expect(bus._addressing).to.be.true;
+        bus.port.receiveData(Buffer.from([1]));
+      })
+      .catch(done);
+    });
+
+    bus.startAddressing()
+    .subscribe(null, null, () => {
+      try {
+        expect(bus.nodeNum).to.be.equal(1);
+        done();
+      } catch(e) { done(e); }
+    });
+
+    expect(bus._addressing).to.be.false;
   });
 
   it('throws an exception if no port has been connected', function() {
@@ -427,7 +953,11 @@ describe('Addressing', function() {
 
   it('should reset nodes first', function(done) {
     bus.startAddressing();
-    bus._drainPromise.then(() => {
+
+    // The first address is sent once the daisy line has been set
+    bus._drainPromise
+    .then(() => new Promise((resolve) => setImmediate(resolve)))
+    .then(() => {
       try {
         expect(bus.port.buffer).to.deep.equal([
           0xFF, 0xFF, 0, 0, 0xFA, 1, 0, 161, 5, // Reset message
@@ -547,8 +1077,9 @@ describe('Addressing', function() {
       } catch(e) { done(e); }
     });
 
-    // Register 1 node
+    // Register 1 node, once the first address has been sent
     bus._drainPromise
+    .then(() => new Promise((resolve) => setImmediate(resolve)))
     .then(() => {
       bus.port.receiveData(Buffer.from([1]));
       bus.port.buffer = [];
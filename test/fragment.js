@@ -0,0 +1,99 @@
+'use strict';
+
+const expect = require('chai').expect;
+
+const fragment = require('../dist/fragment');
+const FragmentAssembler = fragment.FragmentAssembler;
+const splitFragments = fragment.splitFragments;
+const splitBatchFragments = fragment.splitBatchFragments;
+
+describe('Fragments', function() {
+
+  describe('splitFragments', function() {
+
+    it('splits data into fragments with headers', function() {
+      let sections = splitFragments([1, 2, 3, 4, 5], 2);
+      expect(sections).to.deep.equal([
+        [0, 3, 2, 1, 2],
+        [1, 3, 2, 3, 4],
+        [2, 3, 1, 5, 0]
+      ]);
+    });
+
+    it('always has at least one fragment', function() {
+      expect(splitFragments([], 2)).to.deep.equal([[0, 1, 0, 0, 0]]);
+    });
+
+    it('adds empty fragments to reach the count', function() {
+      expect(splitFragments([1], 2, 2)).to.deep.equal([[0, 2, 1, 1, 0], [1, 2, 0, 0, 0]]);
+    });
+
+    it('uses 252 bytes per fragment by default', function() {
+      let sections = splitFragments(new Array(300).fill(7));
+      expect(sections).to.have.lengthOf(2);
+      expect(sections[0]).to.have.lengthOf(255);
+      expect(sections[1].slice(0, 3)).to.deep.equal([1, 2, 48]);
+    });
+
+    it('rejects invalid sizes and data that is too large', function() {
+      expect(() => splitFragments([1], 0)).to.throw(/fragment size/);
+      expect(() => splitFragments([1], 253)).to.throw(/fragment size/);
+      expect(() => splitFragments(new Array(256).fill(0), 1)).to.throw(/too large/);
+    });
+  });
+
+  describe('splitBatchFragments', function() {
+
+    it('gives each node the same number of fragments', function() {
+      expect(splitBatchFragments([[1, 2, 3], [4]], 2, 2)).to.deep.equal([
+        [[0, 2, 2, 1, 2], [0, 2, 1, 4, 0]],
+        [[1, 2, 1, 3, 0], [1, 2, 0, 0, 0]]
+      ]);
+    });
+
+    it('rejects data without a section for each node', function() {
+      expect(() => splitBatchFragments([[1], [2]], 3)).to.throw(/2 sections, but there are 3 nodes/);
+      expect(() => splitBatchFragments([[1], [2]], 1)).to.throw(/2 sections, but there are 1 nodes/);
+    });
+  });
+
+  describe('FragmentAssembler', function() {
+    let assembler;
+
+    beforeEach(function(){
+      assembler = new FragmentAssembler();
+    });
+
+    it('puts fragments back together', function() {
+      let data = [1, 2, 3, 4, 5];
+      let done = splitFragments(data, 2).map((section) => assembler.push(section));
+
+      expect(done).to.deep.equal([false, false, true]);
+      expect(assembler.complete).to.be.true;
+      expect(assembler.data).to.deep.equal(data);
+    });
+
+    it('starts again from the first fragment', function() {
+      assembler.push([0, 2, 1, 9]);
+      assembler.push([0, 1, 2, 1, 2]);
+      expect(assembler.data).to.deep.equal([1, 2]);
+      expect(assembler.complete).to.be.true;
+    });
+
+    it('throws for fragments out of sequence', function() {
+      assembler.push([0, 3, 1, 9]);
+      try {
+        assembler.push([2, 3, 1, 9]);
+        throw new Error('Should have thrown');
+      } catch(err) {
+        expect(err.code).to.equal('FRAGMENT');
+        expect(err.message).to.equal('Expected fragment 2 of 3, but received 3 of 3');
+      }
+    });
+
+    it('throws for invalid fragment headers', function() {
+      expect(() => assembler.push([0, 0, 0])).to.throw(/Invalid fragment header/);
+      expect(() => assembler.push([0, 1, 5, 1, 2])).to.throw(/Invalid fragment header/);
+    });
+  });
+});
@@ -0,0 +1,273 @@
+'use strict';
+
+const http = require('http');
+const expect = require('chai').expect;
+
+const DiscoBusMaster = require('../dist/discobus').DiscoBusMaster;
+const VirtualBus = require('../dist/virtual-bus').VirtualBus;
+const BusGateway = require('../dist/gateway').BusGateway;
+
+const CMD_RGB = 0x09;
+const CMD_SENSORS = 0x06;
+
+/**
+ * Send an HTTP request to the gateway, and resolve with the status and parsed body
+ */
+function call(port, method, path, body) {
+  return new Promise((resolve, reject) => {
+    let req = http.request({ host: '127.0.0.1', port: port, method: method, path: path }, (res) => {
+      let text = '';
+      res.on('data', (d) => { text += d; });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: JSON.parse(text) }));
+    });
+    req.on('error', reject);
+    if (typeof body !== 'undefined') {
+      req.write((typeof body === 'string') ? body : JSON.stringify(body));
+    }
+    req.end();
+  });
+}
+
+/**
+ * Open the event stream, and collect the events in an array
+ */
+function openEvents(port) {
+  return new Promise((resolve, reject) => {
+    let events = [];
+    http.get({ host: '127.0.0.1', port: port, path: '/events' }, (res) => {
+      let buffer = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        buffer += chunk;
+        let parts = buffer.split('\n\n');
+        buffer = parts.pop();
+        parts.forEach((part) => {
+          let event = part.match(/^event: (.*)$/m);
+          let data = part.match(/^data: (.*)$/m);
+          if (event) {
+            events.push({ event: event[1], data: JSON.parse(data[1]) });
+          }
+        });
+      });
+      resolve(events);
+    }).on('error', reject);
+  });
+}
+
+describe('BusGateway', function() {
+  let master, bus, gateway, port;
+  let received;
+
+  beforeEach(function(done){
+    received = [];
+    bus = new VirtualBus(3);
+    bus.handle(CMD_SENSORS, (message, node) => [node.address, 0xAA]);
+    bus.handle(CMD_RGB, (message, node) => { received.push({ node: node.address, data: message.data }); });
+
+    master = new DiscoBusMaster();
+    master.connectWith(bus);
+
+    gateway = new BusGateway(master);
+    let server = gateway.listen(0, (err) => {
+      port = server.address().port;
+      done(err);
+    });
+  });
+
+  afterEach(function(done){
+    gateway.close(done);
+  });
+
+  it('addresses the bus and lists the nodes', function() {
+    return call(port, 'POST', '/address')
+    .then((res) => {
+      expect(res.status).to.equal(200);
+      expect(res.body).to.deep.equal({ nodes: 3 });
+      return call(port, 'GET', '/nodes');
+    })
+    .then((res) => {
+      expect(res.body.nodeCount).to.equal(3);
+      expect(res.body.nodes.map((n) => n.address)).to.deep.equal([1, 2, 3]);
+      expect(res.body.nodes[0].status).to.equal('online');
+    });
+  });
+
+  it('discovers new nodes', function() {
+    let events;
+
+    return openEvents(port)
+    .then((e) => {
+      events = e;
+      return call(port, 'POST', '/address');
+    })
+    .then(() => {
+      bus.addNode();
+      return call(port, 'POST', '/discover');
+    })
+    .then((res) => {
+      expect(res.status).to.equal(200);
+      expect(res.body).to.deep.equal({ added: [4], nodes: 4 });
+    })
+    .then(() => new Promise((resolve) => setTimeout(resolve, 20)))
+    .then(() => {
+      let added = events.filter((e) => e.event === 'node-added').map((e) => e.data.address);
+      expect(added).to.deep.equal([4]);
+    });
+  });
+
+  it('sends a message to a node', function() {
+    return call(port, 'POST', '/address')
+    .then(() => call(port, 'POST', '/nodes/2/messages', { command: CMD_RGB, data: [1, 2, 3] }))
+    .then((res) => {
+      expect(res.status).to.equal(200);
+      expect(res.body).to.deep.equal({ sent: true, node: 2, command: CMD_RGB });
+      expect(received).to.deep.equal([{ node: 2, data: [1, 2, 3] }]);
+    });
+  });
+
+  it('requests a response from a node', function() {
+    return call(port, 'POST', '/address')
+    .then(() => call(port, 'POST', '/nodes/3/requests', { command: '0x06', length: 2 }))
+    .then((res) => {
+      expect(res.status).to.equal(200);
+      expect(res.body).to.deep.equal({ node: 3, response: [3, 0xAA], status: 'received' });
+    });
+  });
+
+  it('sends named commands', function() {
+    master.defineCommands({
+      sensors: { code: CMD_SENSORS, response: [{ name: 'address', type: 'u8' }, { name: 'value', type: 'u8' }] }
+    });
+
+    return call(port, 'POST', '/address')
+    .then(() => call(port, 'POST', '/nodes/1/requests', { command: 'sensors' }))
+    .then((res) => {
+      expect(res.body.response).to.deep.equal({ address: 1, value: 0xAA });
+    });
+  });
+
+  it('sends batch messages and requests', function() {
+    return call(port, 'POST', '/address')
+    .then(() => call(port, 'POST', '/batch', { command: CMD_RGB, data: [[1], [2], [3]] }))
+    .then((res) => {
+      expect(res.body).to.deep.equal({ sent: true, command: CMD_RGB, nodes: 3 });
+      expect(received.map((r) => r.data)).to.deep.equal([[1], [2], [3]]);
+      return call(port, 'POST', '/batch', { command: CMD_SENSORS, length: 2 });
+    })
+    .then((res) => {
+      expect(res.body).to.deep.equal({
+        responses: [[1, 0xAA], [2, 0xAA], [3, 0xAA]],
+        status: ['received', 'received', 'received']
+      });
+    });
+  });
+
+  it('runs operations one at a time', function() {
+    return Promise.all([
+      call(port, 'POST', '/address'),
+      call(port, 'POST', '/batch', { command: CMD_SENSORS, length: 2 })
+    ])
+    .then((results) => {
+      expect(results[1].status).to.equal(200);
+      expect(results[1].body.responses).to.have.lengthOf(3);
+    });
+  });
+
+  it('returns HTTP errors', function() {
+    return Promise.all([
+      call(port, 'POST', '/nodes/2/messages', '{ nope'),
+      call(port, 'POST', '/nodes/x/messages', { command: 1, data: [] }),
+      call(port, 'POST', '/nodes/2/messages', { command: 1, data: [256] }),
+      call(port, 'POST', '/nodes/2/messages', { command: 'unknown', data: [] }),
+      call(port, 'POST', '/batch', { command: 1, data: [[1]] }),
+      call(port, 'GET', '/nowhere')
+    ])
+    .then((results) => {
+      expect(results.map((r) => r.status)).to.deep.equal([400, 400, 400, 400, 409, 404]);
+      expect(results[3].body.error).to.equal('Unknown command: unknown');
+    });
+  });
+
+  it('answers a body which is too large with a 413', function() {
+    let body = JSON.stringify({ data: new Array(600 * 1024).fill(1) });
+
+    return call(port, 'POST', '/nodes/1/messages', body)
+    .then((res) => {
+      expect(res.status).to.equal(413);
+      expect(res.body.error).to.equal('Request body is too large');
+    });
+  });
+
+  it('stops listening to the master once closed', function(done) {
+    const events = ['node-online', 'node-degraded', 'node-offline', 'node-added', 'error'];
+    let counts = () => events.map((event) => master.listenerCount(event));
+
+    expect(counts()).to.deep.equal([1, 1, 1, 1, 1]);
+    gateway.close(() => {
+      expect(counts()).to.deep.equal([0, 0, 0, 0, 0]);
+      done();
+    });
+  });
+
+  it('returns a gateway timeout when a node does not respond', function() {
+    return call(port, 'POST', '/address')
+    .then(() => {
+      bus.setSilent(1);
+      return call(port, 'POST', '/nodes/2/requests', { command: CMD_SENSORS, length: 2 });
+    })
+    .then((res) => {
+      expect(res.status).to.equal(504);
+      expect(res.body.code).to.equal('TIMEOUT');
+    });
+  });
+
+  it('returns service unavailable for messages dropped for higher priority ones', function() {
+    let dropped = (code) => () => {
+      let err = new Error('Dropped');
+      err.code = code;
+      return Promise.reject(err);
+    };
+
+    master.request = dropped('STARVED');
+    return call(port, 'POST', '/nodes/2/requests', { command: CMD_SENSORS, length: 2 })
+    .then((res) => {
+      expect(res.status).to.equal(503);
+      expect(res.body.code).to.equal('STARVED');
+      expect(res.headers['retry-after']).to.equal('1');
+
+      master.request = dropped('PREEMPTED');
+      return call(port, 'POST', '/nodes/2/requests', { command: CMD_SENSORS, length: 2 });
+    })
+    .then((res) => {
+      expect(res.status).to.equal(503);
+      expect(res.headers['retry-after']).to.equal('1');
+
+      master.request = dropped('ABORTED');
+      return call(port, 'POST', '/nodes/2/requests', { command: CMD_SENSORS, length: 2 });
+    })
+    .then((res) => {
+      expect(res.status).to.equal(502);
+      expect(res.headers['retry-after']).to.be.undefined;
+    });
+  });
+
+  it('streams addressing and response events', function() {
+    let events;
+
+    return openEvents(port)
+    .then((e) => {
+      events = e;
+      return call(port, 'POST', '/address');
+    })
+    .then(() => call(port, 'POST', '/batch', { command: CMD_SENSORS, length: 2 }))
+    .then(() => new Promise((resolve) => setTimeout(resolve, 20)))
+    .then(() => {
+      let addressing = events.filter((e) => e.event === 'addressing').map((e) => e.data.address);
+      let responses = events.filter((e) => e.event === 'response').map((e) => e.data);
+
+      expect(addressing).to.deep.equal([1, 2, 3]);
+      expect(responses[1]).to.deep.equal({ node: 2, response: [2, 0xAA], status: 'received' });
+      expect(events.some((e) => e.event === 'node' && e.data.status === 'online')).to.be.true;
+    });
+  });
+});
@@ -0,0 +1,171 @@
+'use strict';
+
+const sinon = require('sinon');
+const chai = require('chai');
+const expect = require('chai').expect;
+const sinonChai = require("sinon-chai");
+
+chai.use(sinonChai);
+
+const handle = require('../dist/handle');
+const MessageStream = handle.MessageStream;
+const MessageHandle = handle.MessageHandle;
+const createHandle = handle.createHandle;
+
+describe('Message handles', function() {
+
+  describe('MessageStream', function() {
+    let stream;
+
+    beforeEach(function(){
+      stream = new MessageStream();
+    });
+
+    it('sends values to all subscribers', function() {
+      let first = sinon.spy();
+      let second = sinon.spy();
+      stream.subscribe(first);
+      stream.subscribe(second);
+
+      stream.next(1);
+      expect(first).to.have.been.calledWith(1);
+      expect(second).to.have.been.calledWith(1);
+    });
+
+    it('stops sending values after unsubscribing', function() {
+      let next = sinon.spy();
+      stream.subscribe(next).unsubscribe();
+
+      stream.next(1);
+      expect(next).to.not.have.been.called;
+    });
+
+    it('ignores values after it has ended', function() {
+      let next = sinon.spy();
+      let complete = sinon.spy();
+      stream.subscribe(next, null, complete);
+
+      stream.complete();
+      stream.next(1);
+      stream.error('Too late');
+      expect(next).to.not.have.been.called;
+      expect(complete).to.have.been.calledOnce;
+      expect(stream.closed).to.be.true;
+    });
+
+    it('tells late subscribers how it ended', function() {
+      let error = sinon.spy();
+      stream.error('Failed');
+
+      stream.subscribe(null, error);
+      expect(error).to.have.been.calledWith('Failed');
+    });
+  });
+
+  describe('MessageHandle', function() {
+
+    it('resolves with the result', function() {
+      return createHandle(() => Promise.resolve(5))
+      .then((result) => {
+        expect(result).to.equal(5);
+      });
+    });
+
+    it('rejects when the run function throws', function() {
+      return createHandle(() => { throw new Error('Bad command'); })
+      .then(() => { throw new Error('Should have rejected'); }, (err) => {
+        expect(err.message).to.equal('Bad command');
+      });
+    });
+
+    it('emits the watched values as events', function() {
+      let stream = new MessageStream();
+      let responses = [];
+      let handle = createHandle((h) => {
+        h.watch(stream);
+        return new Promise((resolve) => stream.subscribe(null, null, resolve));
+      });
+      handle.on('response', (val) => responses.push(val.value));
+
+      stream.next({ type: 'response', value: [1] });
+      stream.next({ type: 'response', value: [2] });
+      stream.complete();
+
+      return handle.then(() => {
+        expect(responses).to.deep.equal([[1], [2]]);
+        expect(handle.values).to.have.lengthOf(2);
+        expect(handle.done).to.be.true;
+      });
+    });
+
+    it('does not throw for error values without an error listener', function() {
+      let handle = new MessageHandle();
+      expect(() => handle._push({ type: 'error', value: 'CRC error' })).to.not.throw();
+      expect(handle.values).to.have.lengthOf(1);
+    });
+
+    it('emits end once the result has settled', function(done) {
+      let handle = createHandle(() => Promise.reject(new Error('Failed')));
+      handle.on('end', () => {
+        expect(handle.done).to.be.true;
+        done();
+      });
+    });
+
+    it('iterates over the values with for await', async function() {
+      let stream = new MessageStream();
+      let handle = createHandle((h) => {
+        h.watch(stream);
+        return new Promise((resolve) => stream.subscribe(null, null, resolve));
+      });
+
+      stream.next({ type: 'addressing', value: 1 });
+      setTimeout(() => {
+        stream.next({ type: 'addressing', value: 2 });
+        stream.complete();
+      }, 5);
+
+      let values = [];
+      for await (const val of handle) {
+        values.push(val.value);
+      }
+      expect(values).to.deep.equal([1, 2]);
+    });
+
+    it('throws from for await when the result is rejected', async function() {
+      let handle = createHandle(() => Promise.reject(new Error('Timed out')));
+
+      let values = [];
+      let error = null;
+      try {
+        for await (const val of handle) {
+          values.push(val);
+        }
+      } catch(err) {
+        error = err;
+      }
+      expect(values).to.be.empty;
+      expect(error.message).to.equal('Timed out');
+    });
+
+    it('replays the values so far to new subscribers', function() {
+      let stream = new MessageStream();
+      let handle = createHandle((h) => {
+        h.watch(stream);
+        return new Promise((resolve) => stream.subscribe(null, null, resolve));
+      });
+      stream.next({ type: 'response', value: [1] });
+
+      let values = [];
+      let complete = sinon.spy();
+      handle.subscribe((val) => values.push(val.value), null, complete);
+      stream.next({ type: 'response', value: [2] });
+      stream.complete();
+
+      return handle.then(() => {
+        expect(values).to.deep.equal([[1], [2]]);
+        expect(complete).to.have.been.calledOnce;
+      });
+    });
+  });
+});
@@ -0,0 +1,245 @@
+'use strict';
+
+const sinon = require('sinon');
+const chai = require('chai');
+const expect = require('chai').expect;
+const sinonChai = require("sinon-chai");
+
+chai.use(sinonChai);
+
+const DiscoBusMaster = require('../dist/discobus').DiscoBusMaster;
+const VirtualBus = require('../dist/virtual-bus').VirtualBus;
+const BusManager = require('../dist/manager').BusManager;
+
+const CMD_RGB = 0x09;
+const CMD_SENSORS = 0x06;
+
+/**
+ * Create a master connected to a virtual bus, with the sensor command handled
+ */
+function createBus(nodeCount, tag) {
+  let bus = new VirtualBus(nodeCount);
+  bus.handle(CMD_SENSORS, (message, node) => [tag, node.address]);
+
+  let master = new DiscoBusMaster();
+  master.on('error', () => {});
+  master.connectWith(bus);
+  return { bus: bus, master: master };
+}
+
+describe('BusManager', function() {
+  let porch;
+  let garage;
+  let manager;
+
+  beforeEach(function(){
+    porch = createBus(3, 0x0A);
+    garage = createBus(2, 0x0B);
+    manager = new BusManager({ porch: porch.master, garage: garage.master });
+  });
+
+  describe('Buses', function() {
+
+    it('lists the buses', function() {
+      expect(manager.names).to.deep.equal(['porch', 'garage']);
+      expect(manager.get('garage')).to.equal(garage.master);
+    });
+
+    it('rejects invalid or duplicate bus names', function() {
+      expect(() => manager.add('a:b', new DiscoBusMaster())).to.throw(/Invalid bus name/);
+      expect(() => manager.add('porch', new DiscoBusMaster())).to.throw(/already a bus/);
+    });
+
+    it('stops forwarding events from a removed bus', function() {
+      let errors = sinon.spy();
+      manager.on('bus-error', errors);
+      manager.remove('porch');
+
+      porch.master.emit('error', 'Failed');
+      expect(errors).to.not.have.been.called;
+      expect(manager.names).to.deep.equal(['garage']);
+    });
+
+    it('forwards bus errors with the bus name', function() {
+      let errors = sinon.spy();
+      manager.on('bus-error', errors);
+
+      garage.master.emit('error', 'Failed');
+      expect(errors).to.have.been.calledWith('garage', 'Failed');
+    });
+  });
+
+  describe('Node IDs', function() {
+
+    it('resolves global node IDs', function() {
+      let node = manager.resolve('garage:2');
+      expect(node.bus).to.equal('garage');
+      expect(node.address).to.equal(2);
+      expect(node.master).to.equal(garage.master);
+    });
+
+    it('resolves aliases', function() {
+      manager.alias('door', 'garage:2');
+      expect(manager.resolve('door').id).to.equal('garage:2');
+
+      manager.alias('door', null);
+      expect(() => manager.resolve('door')).to.throw(/Invalid node ID/);
+    });
+
+    it('throws an UNKNOWN_NODE error for unknown buses', function() {
+      try {
+        manager.resolve('attic:1');
+        throw new Error('Should have thrown');
+      } catch(err) {
+        expect(err.code).to.equal('UNKNOWN_NODE');
+      }
+    });
+
+    it('lists the nodes on all the buses', function() {
+      manager.alias('door', 'garage:2');
+
+      return manager.address()
+      .then(() => {
+        let nodes = manager.nodes();
+        expect(nodes.map((n) => n.id)).to.deep.equal(['porch:1', 'porch:2', 'porch:3', 'garage:1', 'garage:2']);
+        expect(nodes[4].aliases).to.deep.equal(['door']);
+        expect(nodes[4].status).to.equal('online');
+      });
+    });
+  });
+
+  describe('Addressing', function() {
+
+    it('addresses all the buses in parallel', function() {
+      return manager.address()
+      .then((result) => {
+        expect(result.nodes).to.deep.equal({ porch: 3, garage: 2 });
+        expect(result.errors).to.deep.equal({});
+      });
+    });
+
+    it('addresses the buses in sequence', function() {
+      let order = [];
+      porch.master.on('node-online', () => order.push('porch'));
+      garage.master.on('node-online', () => order.push('garage'));
+
+      return manager.address({ parallel: false })
+      .then((result) => {
+        expect(result.nodes).to.deep.equal({ porch: 3, garage: 2 });
+        expect(order).to.deep.equal(['porch', 'porch', 'porch', 'garage', 'garage']);
+      });
+    });
+
+    it('keeps the failures of each bus separate', function() {
+      let broken = new DiscoBusMaster();
+      manager.add('attic', broken);
+
+      return manager.address()
+      .then((result) => {
+        expect(result.nodes).to.deep.equal({ porch: 3, garage: 2 });
+        expect(result.errors.attic).to.be.an('error');
+      });
+    });
+
+    it('emits node events with global node records', function() {
+      let online = [];
+      manager.on('node-online', (node) => online.push(node.id));
+
+      return manager.address()
+      .then(() => {
+        expect(online).to.have.members(['porch:1', 'porch:2', 'porch:3', 'garage:1', 'garage:2']);
+      });
+    });
+  });
+
+  describe('Routing', function() {
+
+    beforeEach(function(){
+      return manager.address();
+    });
+
+    it('sends a message to a node on its bus', function() {
+      let porchRgb = sinon.spy();
+      let garageRgb = sinon.spy();
+      porch.bus.handle(CMD_RGB, porchRgb);
+      garage.bus.handle(CMD_RGB, garageRgb);
+
+      return manager.send('garage:2', CMD_RGB, [1, 2, 3])
+      .then(() => {
+        expect(porchRgb).to.not.have.been.called;
+        expect(garageRgb).to.have.been.calledOnce;
+        expect(garageRgb.firstCall.args[1]).to.equal(garage.bus.nodes[1]);
+      });
+    });
+
+    it('requests a response from a node by alias', function() {
+      manager.alias('door', 'garage:2');
+
+      return manager.request('door', CMD_SENSORS, 2)
+      .then((response) => {
+        expect(response).to.deep.equal([0x0B, 2]);
+      });
+    });
+
+    it('passes on the progress of the routed message', function() {
+      let responses = sinon.spy();
+
+      let request = manager.request('porch:3', CMD_SENSORS, 2);
+      request.on('response', responses);
+      return request.then(() => {
+        expect(responses.args.map((args) => args[0].value)).to.deep.equal([0x0A, 3]);
+      });
+    });
+
+    it('rejects messages to unknown nodes', function() {
+      return manager.send('attic:1', CMD_RGB, [1, 2, 3])
+      .then(() => { throw new Error('Should have rejected'); }, (err) => {
+        expect(err.code).to.equal('UNKNOWN_NODE');
+      });
+    });
+
+    it('broadcasts to all the buses', function() {
+      let rgb = sinon.spy();
+      porch.bus.handle(CMD_RGB, rgb);
+      garage.bus.handle(CMD_RGB, rgb);
+
+      return manager.broadcast(CMD_RGB, [1, 2, 3])
+      .then((result) => {
+        expect(result.errors).to.deep.equal({});
+        expect(rgb).to.have.callCount(5);
+      });
+    });
+
+    it('collects batch responses from all the buses', function() {
+      return manager.batchRequest(CMD_SENSORS, 2)
+      .then((result) => {
+        expect(result.errors).to.deep.equal({});
+        expect(result.responses).to.deep.equal({
+          'porch:1': [0x0A, 1],
+          'porch:2': [0x0A, 2],
+          'porch:3': [0x0A, 3],
+          'garage:1': [0x0B, 1],
+          'garage:2': [0x0B, 2]
+        });
+      });
+    });
+
+    it('collects the response info of batch responses', function() {
+      return manager.batchRequest(CMD_SENSORS, 2, { withInfo: true })
+      .then((result) => {
+        expect(result.responses['garage:2']).to.deep.equal([0x0B, 2]);
+        expect(result.info['garage:2'].status).to.equal('received');
+      });
+    });
+
+    it('collects batch responses from the buses that did not fail', function() {
+      garage.bus.setSilent(0);
+
+      return manager.batchRequest(CMD_SENSORS, 2, { rejectOnTimeout: true })
+      .then((result) => {
+        expect(Object.keys(result.responses)).to.deep.equal(['porch:1', 'porch:2', 'porch:3']);
+        expect(result.errors.garage.code).to.equal('TIMEOUT');
+      });
+    });
+  });
+});
@@ -0,0 +1,183 @@
+'use strict';
+
+const http = require('http');
+const expect = require('chai').expect;
+
+const DiscoBusMaster = require('../dist/discobus').DiscoBusMaster;
+const VirtualBus = require('../dist/virtual-bus').VirtualBus;
+const Histogram = require('../dist/metrics').Histogram;
+
+const CMD_RESET = 0xFA;
+const CMD_ADDRESS = 0xFB;
+const CMD_RGB = 0x09;
+const CMD_SENSORS = 0x06;
+
+/**
+ * GET a URL and resolve with the status code and body
+ */
+function get(url) {
+  return new Promise((resolve, reject) => {
+    http.get(url, (res) => {
+      let body = '';
+      res.on('data', (d) => { body += d; });
+      res.on('end', () => resolve({ status: res.statusCode, type: res.headers['content-type'], body: body }));
+    }).on('error', reject);
+  });
+}
+
+describe('Metrics', function() {
+  let master;
+  let bus;
+
+  beforeEach(function(){
+    bus = new VirtualBus(3);
+    bus.handle(CMD_SENSORS, (message, node) => [node.address, 0xAA]);
+
+    master = new DiscoBusMaster();
+    master.on('error', () => {});
+    master.connectWith(bus);
+  });
+
+  afterEach(function(done){
+    master.metrics.close(done);
+  });
+
+  it('counts messages and bytes', function() {
+    let sent = 0;
+    let received = 0;
+    master.on('write', (data) => { sent += data.length; });
+    master.on('read', (data) => { received += data.length; });
+
+    return master.address()
+    .then(() => master.send(CMD_RGB, [1, 2, 3], { destination: 2 }))
+    .then(() => master.send(CMD_RGB, [4, 5, 6], { destination: 3 }))
+    .then(() => {
+      let snap = master.metrics.snapshot();
+
+      // Addressing resets the nodes first
+      expect(snap.messages.total).to.equal(4);
+      expect(snap.messages.byCommand).to.deep.equal({ [CMD_RESET]: 1, [CMD_ADDRESS]: 1, [CMD_RGB]: 2 });
+      expect(snap.bytes).to.deep.equal({ sent: sent, received: received });
+      expect(snap.bytes.sent).to.be.above(0);
+      expect(snap.nodeCount).to.equal(3);
+      expect(snap.queueLength).to.equal(0);
+    });
+  });
+
+  it('records node responses, timeouts and default fills', function() {
+    return master.address()
+    .then(() => {
+      bus.setSilent(1);
+      return master.request(CMD_SENSORS, 2, { rejectOnTimeout: false });
+    })
+    .then(() => {
+      let snap = master.metrics.snapshot();
+
+      expect(snap.responses).to.equal(2);
+      expect(snap.timeouts).to.equal(1);
+      expect(snap.defaultFills).to.equal(1);
+      expect(snap.nodes[2].timeouts).to.equal(1);
+      expect(snap.nodes[1].latency.count).to.equal(1);
+      expect(snap.nodes[2].latency.count).to.equal(0);
+    });
+  });
+
+  it('records CRC errors', function() {
+    return master.address()
+    .then(() => {
+      bus.setCorrupt(1);
+      return master.request(CMD_SENSORS, 2, { responseCrc: true, corruptAsMissing: true });
+    })
+    .then(() => {
+      let snap = master.metrics.snapshot();
+
+      expect(snap.crcErrors).to.equal(1);
+      expect(snap.nodes[2].crcErrors).to.equal(1);
+      expect(snap.nodes[2].defaultFills).to.equal(1);
+    });
+  });
+
+  it('records address corrections', function() {
+    bus.setWrongAddress(1, 5, 2);
+
+    return master.address()
+    .then(() => {
+      expect(master.metrics.snapshot().addressCorrections).to.equal(2);
+    });
+  });
+
+  it('records how long messages wait in the queue', function() {
+    let first = master.send(CMD_RGB, [1, 2, 3], { destination: 1 });
+    let second = master.send(CMD_RGB, [1, 2, 3], { destination: 2 });
+
+    return Promise.all([first, second])
+    .then(() => {
+      let wait = master.metrics.snapshot().queueWait;
+      expect(wait.count).to.equal(2);
+      expect(wait.buckets['+Inf']).to.equal(2);
+    });
+  });
+
+  it('resets the metrics', function() {
+    return master.send(CMD_RGB, [1, 2, 3], { destination: 1 })
+    .then(() => {
+      master.metrics.reset();
+
+      let snap = master.metrics.snapshot();
+      expect(snap.messages.total).to.equal(0);
+      expect(snap.bytes).to.deep.equal({ sent: 0, received: 0 });
+    });
+  });
+
+  it('builds cumulative histograms', function() {
+    let hist = new Histogram([1, 5, 10]);
+    [0, 3, 4, 20].forEach((v) => hist.observe(v));
+
+    expect(hist.snapshot()).to.deep.equal({
+      count: 4,
+      sum: 27,
+      buckets: { 1: 1, 5: 3, 10: 3, '+Inf': 4 }
+    });
+  });
+
+  it('formats the metrics for Prometheus', function() {
+    master.metrics.labels = { bus: 'stage "left"' };
+
+    return master.address()
+    .then(() => master.request(CMD_SENSORS, 2))
+    .then(() => {
+      let text = master.metrics.toPrometheus();
+
+      expect(text).to.contain('# TYPE discobus_messages_total counter');
+      expect(text).to.contain('discobus_messages_total{bus="stage \\"left\\"",command="0x06"} 1');
+      expect(text).to.contain('discobus_responses_total{bus="stage \\"left\\"",node="3"} 1');
+      expect(text).to.contain('# TYPE discobus_response_latency_seconds histogram');
+      expect(text).to.contain('discobus_response_latency_seconds_bucket{bus="stage \\"left\\"",node="1",le="+Inf"} 1');
+      expect(text).to.contain('discobus_response_latency_seconds_bucket{bus="stage \\"left\\"",node="1",le="0.001"}');
+      expect(text).to.contain('discobus_nodes{bus="stage \\"left\\""} 3');
+      expect(text).to.match(/\n$/);
+    });
+  });
+
+  it('serves the metrics over HTTP', function() {
+    let url;
+
+    return new Promise((resolve, reject) => {
+      let server = master.metrics.listen(0, (err) => {
+        if (err) return reject(err);
+        url = `http://127.0.0.1:${server.address().port}`;
+        resolve();
+      });
+    })
+    .then(() => get(`${url}/metrics`))
+    .then((res) => {
+      expect(res.status).to.equal(200);
+      expect(res.type).to.contain('text/plain; version=0.0.4');
+      expect(res.body).to.contain('discobus_sent_bytes_total 0');
+      return get(`${url}/other`);
+    })
+    .then((res) => {
+      expect(res.status).to.equal(404);
+    });
+  });
+});
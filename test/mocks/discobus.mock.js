@@ -39,7 +39,10 @@ SerialPortMock.prototype.set = function(config, cb) {
 
 // Module updates
 var DiscoBus = proxyquire('../../dist/discobus', {
-  'serialport': SerialPortMock
+  'serialport': SerialPortMock,
+  './transport': proxyquire('../../dist/transport', {
+    'serialport': SerialPortMock
+  })
 });
 
 module.exports = {
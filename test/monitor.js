@@ -0,0 +1,80 @@
+'use strict';
+
+const sinon = require('sinon');
+const chai = require('chai');
+const expect = require('chai').expect;
+const sinonChai = require("sinon-chai");
+
+chai.use(sinonChai);
+
+const SerialPort = require('./mocks/discobus.mock.js').SerialPort;
+const DiscoBusMaster = require('../dist/discobus').DiscoBusMaster;
+const VirtualBus = require('../dist/virtual-bus').VirtualBus;
+const BusMonitor = require('../dist/monitor').BusMonitor;
+
+const CMD_SENSORS = 0x06;
+
+describe('BusMonitor', function() {
+  let monitor;
+
+  beforeEach(function(){
+    monitor = new BusMonitor({ frameTimeout: 5 });
+  });
+
+  afterEach(function(){
+    monitor.disconnect();
+  });
+
+  it('emits frames for all messages on the bus', function() {
+    let frames = [];
+    let bus = new VirtualBus(2);
+    let master = new DiscoBusMaster();
+
+    bus.handle(CMD_SENSORS, (message, node) => [node.address]);
+    master.connectWith(bus);
+
+    // Needs to be longer than the addressing timeout
+    monitor = new BusMonitor();
+    monitor.connectWith(bus.tap());
+    monitor.on('frame', (frame) => frames.push(frame));
+
+    return master.address()
+    .then(() => master.request(CMD_SENSORS, 1))
+    .then(() => {
+      expect(frames.map((f) => f.type)).to.deep.equal(['message', 'addressing', 'null', 'message']);
+      expect(frames[0].command).to.equal(0xFA); // reset
+      expect(frames[3].responses).to.deep.equal([[1], [2]]);
+      frames.forEach((f) => {
+        if (f.type !== 'addressing') {
+          expect(f.crcValid).to.be.true;
+        }
+      });
+    });
+  });
+
+  it('stops listening when disconnected', function() {
+    let port = new SerialPort();
+
+    monitor.connectWith(port);
+    monitor.disconnect();
+    expect(port.listenerCount('data')).to.equal(0);
+  });
+
+  it('drops partial frames after the frame timeout', function(done) {
+    let port = new SerialPort();
+    let frameSpy = sinon.spy();
+
+    monitor.on('frame', frameSpy);
+    monitor.connectWith(port);
+    port.receiveData(Buffer.from([0xFF, 0xFF, 0, 5, 0x09, 1, 10, 1, 2]));
+
+    setTimeout(() => {
+      port.receiveData(Buffer.from([0xFF, 0xFF, 0, 0, 0xFF, 0, 212, 65]));
+      try {
+        expect(frameSpy).to.have.been.calledOnce;
+        expect(frameSpy.firstCall.args[0].type).to.equal('null');
+        done();
+      } catch(e) { done(e); }
+    }, 20);
+  });
+});
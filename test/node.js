@@ -0,0 +1,234 @@
+'use strict';
+
+const crc = require('crc');
+const sinon = require('sinon');
+const chai = require('chai');
+const expect = require('chai').expect;
+const sinonChai = require("sinon-chai");
+
+chai.use(sinonChai);
+
+const SerialPort = require('./mocks/discobus.mock.js').SerialPort;
+const DiscoBusNode = require('../dist/node').DiscoBusNode;
+
+/**
+ * Build a full message, with start sequence and CRC
+ */
+function message(header, data) {
+  let body = header.concat(data || []);
+  let crcValue = crc.crc16modbus(body, 0xFFFF);
+  return [0xFF, 0xFF].concat(body, [(crcValue >> 8) & 0xFF, crcValue & 0xFF]);
+}
+
+describe('DiscoBusNode', function() {
+  let node;
+
+  beforeEach(function(){
+    node = new DiscoBusNode();
+    node.connectWith(new SerialPort());
+  });
+
+  it('creates an unaddressed node', function() {
+    expect(node.address).to.equal(0);
+  });
+
+  it('removes port listeners when connecting to new port', function() {
+    let port1 = node.port;
+    node.connectWith(new SerialPort());
+    expect(port1.listenerCount('data')).to.be.equal(0);
+  });
+
+  /**
+   * Messages
+   */
+  describe('Messages', function() {
+
+    beforeEach(function(){
+      node.address = 2;
+    });
+
+    it('passes messages to the command handler', function() {
+      let handler = sinon.spy();
+      node.handle(0x09, handler);
+      node.port.receiveData(Buffer.from(message([0, 2, 0x09, 1, 3], [1, 2, 3])));
+
+      expect(handler).to.have.been.calledOnce;
+      expect(handler.firstCall.args[0].data).to.deep.equal([1, 2, 3]);
+    });
+
+    it('handles broadcast messages', function() {
+      let handler = sinon.spy();
+      node.handle(0x09, handler);
+      node.port.receiveData(Buffer.from(message([0, 0, 0x09, 1, 1], [1])));
+
+      expect(handler).to.have.been.calledOnce;
+    });
+
+    it('ignores messages for other nodes', function() {
+      let handler = sinon.spy();
+      node.handle(0x09, handler);
+      node.port.receiveData(Buffer.from(message([0, 3, 0x09, 1, 1], [1])));
+
+      expect(handler).to.not.have.been.called;
+    });
+
+    it('gets its section of batch message data', function() {
+      let handler = sinon.spy();
+      node.handle(0x09, handler);
+      node.port.receiveData(Buffer.from(message([1, 0, 0x09, 3, 2], [1, 2, 3, 4, 5, 6])));
+
+      expect(handler.firstCall.args[0].data).to.deep.equal([3, 4]);
+    });
+
+    it('emits an error for an invalid CRC', function() {
+      let handler = sinon.spy();
+      let errorSpy = sinon.spy();
+      let msg = message([0, 2, 0x09, 1, 1], [1]);
+
+      msg[msg.length - 1]++;
+      node.on('error', errorSpy);
+      node.handle(0x09, handler);
+      node.port.receiveData(Buffer.from(msg));
+
+      expect(errorSpy).to.have.been.called;
+      expect(handler).to.not.have.been.called;
+    });
+
+    it('parses messages split across several chunks', function() {
+      let handler = sinon.spy();
+      let msg = message([0, 2, 0x09, 1, 2], [1, 2]);
+
+      node.handle(0x09, handler);
+      msg.forEach((b) => node.port.receiveData(Buffer.from([b])));
+
+      expect(handler).to.have.been.calledOnce;
+    });
+
+    it('responds to a response message', function() {
+      node.handle(0x09, () => [7, 8, 9]);
+      node.port.receiveData(Buffer.from([0xFF, 0xFF, 2, 2, 0x09, 1, 3]));
+
+      expect(node.port.buffer).to.deep.equal([7, 8, 9]);
+    });
+
+    it('fits the response to the message length', function() {
+      node.handle(0x09, () => [7]);
+      node.port.receiveData(Buffer.from([0xFF, 0xFF, 2, 2, 0x09, 1, 3]));
+
+      expect(node.port.buffer).to.deep.equal([7, 0, 0]);
+    });
+
+    it('does not respond to response messages for other nodes', function() {
+      node.handle(0x09, () => [7, 8, 9]);
+      node.port.receiveData(Buffer.from([0xFF, 0xFF, 2, 1, 0x09, 1, 3]));
+
+      expect(node.port.buffer).to.deep.equal([]);
+    });
+
+    it('responds in turn to batch response messages', function() {
+      node.handle(0x09, () => [7, 8]);
+      node.port.receiveData(Buffer.from([0xFF, 0xFF, 3, 0, 0x09, 3, 2]));
+      expect(node.port.buffer).to.deep.equal([]);
+
+      // Node 1 responds
+      node.port.receiveData(Buffer.from([1]));
+      expect(node.port.buffer).to.deep.equal([]);
+      node.port.receiveData(Buffer.from([2]));
+      expect(node.port.buffer).to.deep.equal([7, 8]);
+    });
+
+    it('adds a CRC to its response, when asked to', function() {
+      let crcValue = crc.crc16modbus([7, 8], 0xFFFF);
+      node.handle(0x09, () => [7, 8]);
+      node.port.receiveData(Buffer.from([0xFF, 0xFF, 7, 0, 0x09, 3, 2]));
+
+      // Node 1 responds with its CRC
+      node.port.receiveData(Buffer.from([1, 2, 3]));
+      expect(node.port.buffer).to.deep.equal([]);
+      node.port.receiveData(Buffer.from([4]));
+      expect(node.port.buffer).to.deep.equal([7, 8, (crcValue >> 8) & 0xFF, crcValue & 0xFF]);
+    });
+
+    it('resets its address', function() {
+      let resetSpy = sinon.spy();
+      let daisySpy = sinon.spy(node, 'setDaisyLine');
+
+      node.on('reset', resetSpy);
+      node.port.receiveData(Buffer.from(message([0, 0, 0xFA, 1, 0])));
+
+      expect(node.address).to.equal(0);
+      expect(resetSpy).to.have.been.called;
+      expect(daisySpy).to.have.been.calledWith(false);
+    });
+  });
+
+  /**
+   * Addressing
+   */
+  describe('Addressing', function() {
+    const ADDR_HEADER = [0xFF, 0xFF, 3, 0, 0xFB, 0, 2];
+
+    it('claims the next address when the daisy line is enabled', function() {
+      node.port.receiveData(Buffer.from(ADDR_HEADER));
+      node.setDaisyInput(true);
+      node.port.receiveData(Buffer.from([0]));
+
+      expect(node.port.buffer).to.deep.equal([1]);
+      expect(node.address).to.equal(0);
+    });
+
+    it('does not claim an address without the daisy line', function() {
+      node.port.receiveData(Buffer.from(ADDR_HEADER));
+      node.port.receiveData(Buffer.from([0, 1, 1]));
+
+      expect(node.port.buffer).to.deep.equal([]);
+    });
+
+    it('claims the address after the last one when the daisy line is enabled', function() {
+      node.port.receiveData(Buffer.from(ADDR_HEADER));
+      node.port.receiveData(Buffer.from([0, 1, 1]));
+      node.setDaisyInput(true);
+
+      expect(node.port.buffer).to.deep.equal([2]);
+    });
+
+    it('takes the address once the master confirms it', function() {
+      let addressedSpy = sinon.spy();
+      let daisySpy = sinon.spy(node, 'setDaisyLine');
+
+      node.on('addressed', addressedSpy);
+      node.port.receiveData(Buffer.from(ADDR_HEADER));
+      node.setDaisyInput(true);
+      node.port.receiveData(Buffer.from([0]));
+      node.port.receiveData(Buffer.from([1]));
+
+      expect(node.address).to.equal(1);
+      expect(addressedSpy).to.have.been.calledWith(1);
+      expect(daisySpy).to.have.been.calledWith(true);
+    });
+
+    it('claims a new address after an address correction', function() {
+      node.port.receiveData(Buffer.from(ADDR_HEADER));
+      node.setDaisyInput(true);
+      node.port.receiveData(Buffer.from([0]));
+
+      node.port.buffer = [];
+      node.port.receiveData(Buffer.from([0, 4]));
+      expect(node.port.buffer).to.deep.equal([5]);
+    });
+
+    it('stops addressing on 0xFF and parses the next message', function() {
+      let handler = sinon.spy();
+
+      node.handle(0x09, handler);
+      node.port.receiveData(Buffer.from(ADDR_HEADER));
+      node.setDaisyInput(true);
+      node.port.receiveData(Buffer.from([0, 1]));
+      node.port.receiveData(Buffer.from(message([0, 0, 0xFF, 0])));
+      node.port.receiveData(Buffer.from(message([0, 1, 0x09, 1, 1], [5])));
+
+      expect(node.address).to.equal(1);
+      expect(handler).to.have.been.calledOnce;
+    });
+  });
+});
@@ -0,0 +1,117 @@
+'use strict';
+
+const sinon = require('sinon');
+const chai = require('chai');
+const expect = require('chai').expect;
+const sinonChai = require("sinon-chai");
+
+chai.use(sinonChai);
+
+const NoiseDetector = require('../dist/noise').NoiseDetector;
+
+describe('NoiseDetector', function() {
+  let detector;
+
+  beforeEach(function(){
+    detector = new NoiseDetector();
+  });
+
+  it('counts noise bytes and events by kind', function() {
+    detector.record('idle', [1, 2, 3]);
+    detector.record('idle', [4]);
+    detector.record('overflow', [5, 6], 0x06);
+
+    expect(detector.counts).to.deep.equal({ idle: 4, unsolicited: 0, overflow: 2 });
+    expect(detector.events).to.deep.equal({ idle: 2, unsolicited: 0, overflow: 1 });
+  });
+
+  it('emits a report with a hex dump', function() {
+    let noise = sinon.spy();
+    detector.on('bus-noise', noise);
+
+    detector.record('unsolicited', Buffer.from([0x0A, 0xFF]), 0x09, 1000);
+    expect(noise).to.have.been.calledWith({ kind: 'unsolicited', command: 0x09, length: 2, hex: '0A FF', time: 1000 });
+  });
+
+  it('shortens long hex dumps', function() {
+    detector.dumpLength = 2;
+    expect(detector.record('idle', [1, 2, 3]).hex).to.equal('01 02 ...');
+  });
+
+  it('throws for unknown kinds', function() {
+    expect(() => detector.record('static', [1])).to.throw(/Unknown bus noise kind/);
+  });
+
+  it('does nothing when disabled', function() {
+    detector.enabled = false;
+
+    expect(detector.record('idle', [1])).to.be.null;
+    expect(detector.counts.idle).to.equal(0);
+  });
+
+  describe('Alarm', function() {
+    let alarm;
+
+    beforeEach(function(){
+      alarm = sinon.spy();
+      detector.on('noise-alarm', alarm);
+      detector.alarmThreshold = 3;
+      detector.alarmWindow = 100;
+    });
+
+    it('raises the alarm once the rate crosses the threshold', function() {
+      detector.record('idle', [1, 2], null, 1000);
+      expect(alarm).to.not.have.been.called;
+
+      detector.record('idle', [3], null, 1050);
+      detector.record('idle', [4], null, 1060);
+      expect(alarm).to.have.been.calledOnce;
+      expect(alarm).to.have.been.calledWith({ bytes: 3, threshold: 3, window: 100, time: 1050 });
+      expect(detector.alarming).to.be.true;
+    });
+
+    it('raises the alarm again after the rate has dropped', function() {
+      detector.record('idle', [1, 2, 3], null, 1000);
+      detector.record('idle', [1], null, 1200);
+      expect(detector.alarming).to.be.false;
+
+      detector.record('idle', [1, 2], null, 1210);
+      expect(alarm).to.have.been.calledTwice;
+    });
+
+    it('only counts the bytes in the window', function() {
+      detector.record('idle', [1, 2], null, 1000);
+      detector.record('idle', [1, 2], null, 1100);
+
+      expect(alarm).to.not.have.been.called;
+      expect(detector.rate(1150)).to.equal(2);
+    });
+
+    it('has no alarm without a threshold', function() {
+      detector.alarmThreshold = null;
+      detector.record('idle', [1, 2, 3, 4, 5], null, 1000);
+
+      expect(alarm).to.not.have.been.called;
+    });
+  });
+
+  it('only keeps the samples in the window', function() {
+    detector.alarmWindow = 100;
+    for (let time = 0; time < 1000; time += 10) {
+      detector.record('idle', [1], null, time);
+    }
+
+    expect(detector._samples).to.have.lengthOf(10);
+    expect(detector.rate(990)).to.equal(10);
+  });
+
+  it('clears the counts and the alarm', function() {
+    detector.alarmThreshold = 1;
+    detector.record('idle', [1]);
+    detector.reset();
+
+    expect(detector.counts.idle).to.equal(0);
+    expect(detector.alarming).to.be.false;
+    expect(detector.rate()).to.equal(0);
+  });
+});
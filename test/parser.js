@@ -0,0 +1,138 @@
+'use strict';
+
+const crc = require('crc');
+const sinon = require('sinon');
+const chai = require('chai');
+const expect = require('chai').expect;
+const sinonChai = require("sinon-chai");
+
+chai.use(sinonChai);
+
+const MessageParser = require('../dist/parser').MessageParser;
+
+/**
+ * Build a full message, with start sequence and CRC
+ */
+function message(header, data) {
+  let body = header.concat(data || []);
+  let crcValue = crc.crc16modbus(body, 0xFFFF);
+  return [0xFF, 0xFF].concat(body, [(crcValue >> 8) & 0xFF, crcValue & 0xFF]);
+}
+
+describe('MessageParser', function() {
+  let parser;
+
+  beforeEach(function(){
+    parser = new MessageParser();
+  });
+
+  it('parses the message header', function() {
+    let headerSpy = sinon.spy();
+
+    parser.on('header', headerSpy);
+    parser.push([0xFF, 0xFF, 0x03, 0x00, 0x09, 0x05, 0x02]);
+
+    expect(headerSpy).to.have.been.calledOnce;
+    expect(headerSpy.firstCall.args[0]).to.deep.equal({
+      flags: 0x03,
+      batch: true,
+      response: true,
+      responseCrc: false,
+      fragment: false,
+      destination: 0,
+      command: 0x09,
+      nodeCount: 5,
+      length: 2,
+      slotLength: 2,
+      dataLength: 10
+    });
+  });
+
+  it('parses the fragment flag', function() {
+    let headerSpy = sinon.spy();
+
+    parser.on('header', headerSpy);
+    parser.push([0xFF, 0xFF, 0x08, 0x02, 0x09, 0x01, 0x05]);
+
+    expect(headerSpy.firstCall.args[0].fragment).to.be.true;
+  });
+
+  it('includes node response CRCs in the data length', function() {
+    let headerSpy = sinon.spy();
+
+    parser.on('header', headerSpy);
+    parser.push([0xFF, 0xFF, 0x07, 0x00, 0x09, 0x05, 0x02]);
+
+    let header = headerSpy.firstCall.args[0];
+    expect(header.responseCrc).to.be.true;
+    expect(header.slotLength).to.equal(4);
+    expect(header.dataLength).to.equal(20);
+  });
+
+  it('emits each data byte with its position', function() {
+    let dataSpy = sinon.spy();
+
+    parser.on('data', dataSpy);
+    parser.push(message([0, 1, 0x09, 1, 2], [7, 8]));
+
+    expect(dataSpy).to.have.been.calledTwice;
+    expect(dataSpy.secondCall).to.have.been.calledWith(8, 1);
+  });
+
+  it('validates the message CRC', function() {
+    let messageSpy = sinon.spy();
+    let msg = message([0, 1, 0x09, 1, 2], [7, 8]);
+
+    parser.on('message', messageSpy);
+    parser.push(msg);
+    msg[msg.length - 1]++;
+    parser.push(msg);
+
+    expect(messageSpy.firstCall.args[0].crcValid).to.be.true;
+    expect(messageSpy.firstCall.args[0].data).to.deep.equal([7, 8]);
+    expect(messageSpy.secondCall.args[0].crcValid).to.be.false;
+  });
+
+  it('skips bytes outside of a message', function() {
+    let skipSpy = sinon.spy();
+    let messageSpy = sinon.spy();
+
+    parser.on('skip', skipSpy);
+    parser.on('message', messageSpy);
+    parser.push([1, 2, 0xFF, 3]);
+    parser.push(message([0, 1, 0x09, 1, 0]));
+
+    expect(skipSpy.callCount).to.equal(4);
+    expect(messageSpy).to.have.been.calledOnce;
+  });
+
+  it('parses the addressing stream', function() {
+    let addrSpy = sinon.spy();
+    let endSpy = sinon.spy();
+    let messageSpy = sinon.spy();
+
+    parser.on('address', addrSpy);
+    parser.on('addressing-end', endSpy);
+    parser.on('message', messageSpy);
+    parser.push([0xFF, 0xFF, 3, 0, 0xFB, 0, 2, 0, 1, 1, 2, 2]);
+    parser.push(message([0, 0, 0xFF, 0]));
+
+    expect(addrSpy.callCount).to.equal(5);
+    expect(endSpy).to.have.been.calledOnce;
+    expect(messageSpy.firstCall.args[0].header.command).to.equal(0xFF);
+  });
+
+  it('parses bytes pushed from an event handler after the current bytes', function() {
+    let data = [];
+
+    parser.on('data', (byte) => {
+      data.push(byte);
+      if (byte === 1) {
+        parser.push([3]);
+      }
+    });
+    parser.push([0xFF, 0xFF, 2, 1, 0x09, 1, 3, 1, 2]);
+
+    expect(data).to.deep.equal([1, 2, 3]);
+  });
+});
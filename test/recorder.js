@@ -0,0 +1,199 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sinon = require('sinon');
+const chai = require('chai');
+const expect = require('chai').expect;
+const sinonChai = require("sinon-chai");
+
+chai.use(sinonChai);
+
+const recorder = require('../dist/recorder');
+const BusRecorder = recorder.BusRecorder;
+const ReplayPort = recorder.ReplayPort;
+const parseRecording = recorder.parseRecording;
+const loadRecording = recorder.loadRecording;
+const DiscoBusMaster = require('../dist/discobus').DiscoBusMaster;
+const VirtualBus = require('../dist/virtual-bus').VirtualBus;
+
+const CMD_RGB = 0x09;
+const CMD_SENSORS = 0x06;
+
+/**
+ * Create a master connected to the port
+ */
+function createMaster(port) {
+  let master = new DiscoBusMaster();
+  master.on('error', () => {});
+  master.connectWith(port);
+  return master;
+}
+
+/**
+ * Record a master addressing a virtual bus and requesting sensor values.
+ * Resolves with the recorder entries.
+ */
+function recordSession() {
+  let bus = new VirtualBus(3);
+  bus.handle(CMD_SENSORS, (message, node) => [node.address, 0xAA]);
+
+  let master = createMaster(bus);
+  let rec = new BusRecorder().attach(master);
+
+  return master.address()
+  .then(() => master.request(CMD_SENSORS, 2))
+  .then(() => {
+    rec.close();
+    return rec.entries;
+  });
+}
+
+describe('Recorder', function() {
+
+  describe('BusRecorder', function() {
+
+    it('records the traffic of a master', function() {
+      return recordSession()
+      .then((entries) => {
+        let dirs = entries.map((e) => e.dir);
+
+        expect(entries[0].dir).to.equal('start');
+        expect(entries[0].date).to.be.a('string');
+        expect(dirs).to.include.members(['daisy', 'out', 'in']);
+        expect(entries.filter((e) => e.dir === 'in').slice(0, 3).map((e) => e.data)).to.deep.equal(['01', '02', '03']);
+        expect(entries.find((e) => e.dir === 'daisy')).to.have.property('enabled', false);
+
+        // Time only goes forward
+        entries.reduce((last, e) => {
+          expect(e.time).to.be.at.least(last);
+          return e.time;
+        }, 0);
+      });
+    });
+
+    it('stops recording when detached', function() {
+      let master = createMaster(new VirtualBus(1));
+      let rec = new BusRecorder().attach(master);
+
+      rec.detach();
+      return master.send(CMD_RGB, [1, 2, 3], { destination: 1 })
+      .then(() => {
+        expect(rec.entries.map((e) => e.dir)).to.deep.equal(['start']);
+      });
+    });
+
+    it('writes the recording to a file', function() {
+      let file = path.join(os.tmpdir(), `discobus-recorder-${process.pid}.ndjson`);
+      let master = createMaster(new VirtualBus(1));
+      let rec = new BusRecorder(file).attach(master);
+
+      return master.send(CMD_RGB, [1, 2, 3], { destination: 1 })
+      .then(() => new Promise((resolve) => rec.close(resolve)))
+      .then(() => {
+        let entries = loadRecording(file);
+        fs.unlinkSync(file);
+
+        expect(entries[0].dir).to.equal('start');
+        expect(entries.filter((e) => e.dir === 'out').map((e) => e.data).join('')).to.match(/^ffff0001090103010203/);
+      });
+    });
+
+    it('throws for invalid recording lines', function() {
+      expect(() => parseRecording('{"time":0,"dir":"start"}\n\n{"time":1,')).to.throw(/line 3/);
+    });
+  });
+
+  describe('ReplayPort', function() {
+
+    it('replays a recording into a master', function() {
+      return recordSession()
+      .then((entries) => {
+        let port = new ReplayPort(entries, { speed: Infinity });
+        let master = createMaster(port);
+        let ended = sinon.spy();
+        port.on('end', ended);
+
+        return master.address()
+        .then((nodeNum) => {
+          expect(nodeNum).to.equal(3);
+          return master.request(CMD_SENSORS, 2);
+        })
+        .then((response) => {
+          expect(response).to.deep.equal([[1, 0xAA], [2, 0xAA], [3, 0xAA]]);
+          expect(port.mismatches).to.be.empty;
+          expect(port.done).to.be.true;
+          expect(ended).to.have.been.called;
+
+          let recorded = entries.filter((e) => e.dir === 'out').map((e) => e.data).join('');
+          let written = Buffer.from([].concat.apply([], port.writes)).toString('hex');
+          expect(written).to.equal(recorded);
+        });
+      });
+    });
+
+    it('reports writes that do not match the recording', function() {
+      let port = new ReplayPort([
+        { time: 0, dir: 'start' },
+        { time: 1, dir: 'out', data: '0102' },
+        { time: 2, dir: 'out', data: '03' }
+      ]);
+      let mismatchSpy = sinon.spy();
+      port.on('mismatch', mismatchSpy);
+
+      port.write([1]);
+      port.write([5, 3]);
+
+      return new Promise((resolve) => port.on('end', resolve))
+      .then(() => {
+        expect(port.mismatches).to.have.lengthOf(1);
+        expect(mismatchSpy).to.have.been.calledWith({ index: 1, time: 1, expected: [1, 2], received: [1, 5] });
+      });
+    });
+
+    it('plays incoming data with the recorded timing', function() {
+      let entries = [
+        { time: 0, dir: 'start' },
+        { time: 5, dir: 'out', data: '01' },
+        { time: 45, dir: 'in', data: '02' }
+      ];
+
+      const replay = (speed) => {
+        let port = new ReplayPort(entries, { speed: speed });
+        let start;
+
+        return new Promise((resolve) => {
+          port.on('data', (data) => resolve({ data: data, elapsed: Date.now() - start }));
+          setTimeout(() => {
+            start = Date.now();
+            port.write([1]);
+          }, 1);
+        });
+      };
+
+      return replay(1)
+      .then((result) => {
+        expect(result.data).to.deep.equal(Buffer.from([2]));
+        expect(result.elapsed).to.be.at.least(35);
+        return replay(10);
+      })
+      .then((result) => {
+        expect(result.elapsed).to.be.below(25);
+      });
+    });
+
+    it('stops playing when closed', function() {
+      let port = new ReplayPort([{ time: 0, dir: 'start' }, { time: 1, dir: 'in', data: '01' }]);
+      let dataSpy = sinon.spy();
+      port.on('data', dataSpy);
+      port.close();
+
+      return new Promise((resolve) => setTimeout(resolve, 10))
+      .then(() => {
+        expect(port.isOpen).to.be.false;
+        expect(dataSpy).to.not.have.been.called;
+      });
+    });
+  });
+});
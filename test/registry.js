@@ -0,0 +1,225 @@
+'use strict';
+
+const sinon = require('sinon');
+const chai = require('chai');
+const expect = require('chai').expect;
+const sinonChai = require("sinon-chai");
+
+chai.use(sinonChai);
+
+const NodeRegistry = require('../dist/registry').NodeRegistry;
+const DiscoBusMaster = require('../dist/discobus').DiscoBusMaster;
+const VirtualBus = require('../dist/virtual-bus').VirtualBus;
+
+const CMD_SENSORS = 0x06;
+
+/**
+ * Create node response info, like the master does
+ */
+function response(node, status, received, corrupt) {
+  return {
+    node: node,
+    status: status,
+    received: received,
+    corrupt: !!corrupt,
+    firstByteAt: (received) ? 100 : null,
+    completedAt: 110
+  };
+}
+
+describe('NodeRegistry', function() {
+  let registry;
+  let online, degraded, offline;
+
+  beforeEach(function(){
+    registry = new NodeRegistry();
+
+    online = sinon.spy();
+    degraded = sinon.spy();
+    offline = sinon.spy();
+    registry.on('node-online', online);
+    registry.on('node-degraded', degraded);
+    registry.on('node-offline', offline);
+  });
+
+  it('records addressed nodes', function() {
+    registry.addressed(1, 50);
+    registry.addressed(2, 60);
+
+    expect(registry.size).to.equal(2);
+    expect(registry.get(2).firstSeen).to.equal(60);
+    expect(registry.get(2).lastSeen).to.equal(60);
+    expect(registry.get(2).status).to.equal('online');
+    expect(online).to.have.been.calledTwice;
+  });
+
+  it('updates the last seen time from responses', function() {
+    registry.addressed(1, 50);
+    registry.recordResponse(response(1, 'received', 2));
+
+    expect(registry.get(1).firstSeen).to.equal(50);
+    expect(registry.get(1).lastSeen).to.equal(100);
+    expect(registry.get(1).responses).to.equal(1);
+  });
+
+  it('lists nodes in address order and by status', function() {
+    registry.addressed(3);
+    registry.addressed(1);
+    registry.addressed(2);
+    registry.recordResponse(response(2, 'default', 0));
+
+    expect(registry.all().map((n) => n.address)).to.deep.equal([1, 2, 3]);
+    expect(registry.all('online').map((n) => n.address)).to.deep.equal([1, 3]);
+  });
+
+  it('marks a node as degraded after failed responses', function() {
+    registry.thresholds.degradedAfter = 2;
+    registry.addressed(1);
+
+    registry.recordResponse(response(1, 'partial', 1));
+    expect(degraded).to.not.have.been.called;
+
+    registry.recordResponse(response(1, 'received', 2, true));
+    expect(degraded).to.have.been.calledOnce;
+    expect(registry.get(1).status).to.equal('degraded');
+    expect(registry.get(1).crcErrors).to.equal(1);
+  });
+
+  it('marks a node as offline after consecutive timeouts', function() {
+    registry.addressed(1);
+
+    registry.recordResponse(response(1, 'default', 0));
+    registry.recordResponse(response(1, 'default', 0));
+    expect(offline).to.not.have.been.called;
+
+    registry.recordResponse(response(1, 'default', 0));
+    expect(offline).to.have.been.calledOnce;
+    expect(registry.get(1).consecutiveTimeouts).to.equal(3);
+    expect(registry.get(1).timeouts).to.equal(3);
+  });
+
+  it('resets consecutive timeouts when the node responds', function() {
+    registry.addressed(1);
+
+    registry.recordResponse(response(1, 'default', 0));
+    registry.recordResponse(response(1, 'default', 0));
+    registry.recordResponse(response(1, 'received', 2));
+    registry.recordResponse(response(1, 'default', 0));
+
+    expect(offline).to.not.have.been.called;
+    expect(registry.get(1).consecutiveTimeouts).to.equal(1);
+  });
+
+  it('brings a node back online after a good response', function() {
+    registry.thresholds.offlineAfter = 1;
+    registry.addressed(1);
+    registry.recordResponse(response(1, 'default', 0));
+    expect(registry.get(1).status).to.equal('offline');
+
+    registry.recordResponse(response(1, 'received', 2));
+    expect(registry.get(1).status).to.equal('online');
+    expect(online).to.have.been.calledTwice;
+  });
+
+  it('marks a node offline after too many CRC failures in a row', function() {
+    registry.thresholds.crcOfflineAfter = 3;
+    registry.addressed(1);
+
+    registry.recordResponse(response(1, 'received', 2, true));
+    registry.recordResponse(response(1, 'received', 2, true));
+    expect(registry.get(1).status).to.equal('degraded');
+
+    registry.recordResponse(response(1, 'received', 2, true));
+    expect(registry.get(1).status).to.equal('offline');
+    expect(offline).to.have.been.calledOnce;
+
+    registry.recordResponse(response(1, 'received', 2, true));
+    expect(registry.get(1).status).to.equal('offline');
+
+    registry.recordResponse(response(1, 'received', 2));
+    expect(registry.get(1).status).to.equal('online');
+  });
+
+  it('ignores timeouts from unknown nodes', function() {
+    registry.recordResponse(response(5, 'default', 0));
+    expect(registry.size).to.equal(0);
+  });
+
+  it('adds unknown nodes that respond', function() {
+    registry.recordResponse(response(5, 'received', 2));
+    expect(registry.get(5).status).to.equal('online');
+  });
+
+  it('marks nodes offline when they are no longer found during addressing', function() {
+    registry.addressed(1);
+    registry.addressed(2);
+    registry.addressed(3);
+
+    registry.addressingComplete(2, 0);
+    expect(offline).to.have.been.calledOnce;
+    expect(registry.get(3).status).to.equal('offline');
+  });
+
+  it('does not mark nodes offline when adding to the end of the bus', function() {
+    registry.addressed(1);
+    registry.addressed(2);
+
+    registry.addressingComplete(0, 2);
+    expect(offline).to.not.have.been.called;
+  });
+
+  describe('Master', function() {
+    let master;
+    let bus;
+
+    beforeEach(function(){
+      bus = new VirtualBus(3);
+      bus.handle(CMD_SENSORS, (message, node) => [node.address]);
+
+      master = new DiscoBusMaster();
+      master.on('error', () => {});
+      master.connectWith(bus);
+    });
+
+    it('registers nodes when addressing', function() {
+      let events = [];
+      master.on('node-online', (node) => events.push(node.address));
+
+      return master.address()
+      .then(() => {
+        expect(master.registry.all().map((n) => n.address)).to.deep.equal([1, 2, 3]);
+        expect(events).to.deep.equal([1, 2, 3]);
+      });
+    });
+
+    it('tracks nodes from response traffic', function() {
+      let offlineNodes = [];
+      master.registry.thresholds.offlineAfter = 2;
+      master.on('node-offline', (node) => offlineNodes.push(node.address));
+
+      return master.address()
+      .then(() => {
+        bus.setSilent(2);
+        return master.request(CMD_SENSORS, 1);
+      })
+      .then(() => master.request(CMD_SENSORS, 1))
+      .then(() => {
+        expect(offlineNodes).to.deep.equal([3]);
+        expect(master.registry.get(1).responses).to.equal(2);
+        expect(master.registry.get(3).timeouts).to.equal(2);
+      });
+    });
+
+    it('marks missing nodes offline after re-addressing', function() {
+      return master.address()
+      .then(() => {
+        bus.setSilent(1);
+        return master.address();
+      })
+      .then((nodeNum) => {
+        expect(nodeNum).to.equal(1);
+        expect(master.registry.all('offline').map((n) => n.address)).to.deep.equal([2, 3]);
+      });
+    });
+  });
+});
@@ -0,0 +1,63 @@
+'use strict';
+
+const expect = require('chai').expect;
+
+const toObservable = require('../dist/rx').toObservable;
+const MessageStream = require('../dist/handle').MessageStream;
+const DiscoBusMaster = require('../dist/discobus').DiscoBusMaster;
+const VirtualBus = require('../dist/virtual-bus').VirtualBus;
+
+describe('RxJS adapter', function() {
+
+  it('creates an observable of a message stream', function(done) {
+    let stream = new MessageStream();
+    let values = [];
+
+    toObservable(stream)
+    .filter((val) => val.type === 'response')
+    .subscribe((val) => values.push(val.value), done, () => {
+      expect(values).to.deep.equal([[1, 2]]);
+      done();
+    });
+
+    stream.next({ type: 'addressing', value: 1 });
+    stream.next({ type: 'response', value: [1, 2] });
+    stream.complete();
+  });
+
+  it('keeps messageSubscription a connected, connectable observable', function() {
+    let bus = new VirtualBus(2);
+    let master = new DiscoBusMaster();
+    let values = [];
+    bus.handle(0x06, (message, node) => [node.address, 0xAA]);
+    master.connectWith(bus);
+
+    return master.address()
+    .then(() => {
+      master.startMessage(0x06, 2, { batchMode: true, responseMsg: true });
+
+      let observable = master.messageSubscription;
+      expect(observable.connect).to.be.a('function');
+      observable.connect();
+
+      return new Promise((resolve, reject) => {
+        observable
+        .filter((val) => val.type === 'response')
+        .subscribe((val) => values.push(val.value), reject, resolve);
+      });
+    })
+    .then(() => {
+      expect(values).to.deep.equal([[1, 0xAA], [2, 0xAA]]);
+    });
+  });
+
+  it('passes on errors', function(done) {
+    let stream = new MessageStream();
+
+    toObservable(stream).subscribe(null, (err) => {
+      expect(err).to.equal('Timed out');
+      done();
+    });
+    stream.error('Timed out');
+  });
+});
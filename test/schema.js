@@ -0,0 +1,188 @@
+'use strict';
+
+const sinon = require('sinon');
+const chai = require('chai');
+const expect = require('chai').expect;
+const sinonChai = require("sinon-chai");
+
+chai.use(sinonChai);
+
+const CommandSchema = require('../dist/schema').CommandSchema;
+const DiscoBusMaster = require('../dist/discobus').DiscoBusMaster;
+const VirtualBus = require('../dist/virtual-bus').VirtualBus;
+
+const COMMANDS = {
+  RGB:     { code: 0x09, request: ['u8 r', 'u8 g', 'u8 b'] },
+  SENSORS: { code: 0x06, response: ['u16le temp', 'i8 offset'] },
+  LEVEL:   { code: 0x0A, request: [{ name: 'level', type: 'u8', max: 100, default: 50 }] },
+  SCALE:   { code: 0x0B, request: ['f32be factor'], response: ['f32be factor'] }
+};
+
+describe('CommandSchema', function() {
+  let schema;
+
+  beforeEach(function(){
+    schema = new CommandSchema(COMMANDS);
+  });
+
+  it('finds commands by name and code', function() {
+    expect(schema.has('RGB')).to.be.true;
+    expect(schema.has(0x06)).to.be.true;
+    expect(schema.has('NOPE')).to.be.false;
+    expect(schema.get(0x09).name).to.equal('RGB');
+  });
+
+  it('throws for unknown commands', function() {
+    expect(() => schema.get('NOPE')).to.throw('Unknown command: NOPE');
+  });
+
+  it('calculates the data lengths', function() {
+    expect(schema.get('RGB').requestLength).to.equal(3);
+    expect(schema.get('RGB').responseLength).to.equal(0);
+    expect(schema.get('SENSORS').responseLength).to.equal(3);
+  });
+
+  it('rejects invalid definitions', function() {
+    expect(() => schema.define('BAD', { code: 300 })).to.throw(/code/);
+    expect(() => schema.define('BAD', { code: 1, request: ['u12 x'] })).to.throw(/Unknown type/);
+    expect(() => schema.define('BAD', { code: 1, request: ['u8'] })).to.throw(/Missing field name/);
+  });
+
+  it('rejects the reserved command codes', function() {
+    expect(() => schema.define('BAD', { code: 0xFA })).to.throw(/reserved RESET command/);
+    expect(() => schema.define('BAD', { code: 0xFB })).to.throw(/reserved ADDRESS command/);
+    expect(() => schema.define('BAD', { code: 0xFF })).to.throw(/reserved NULL command/);
+    expect(schema.has('BAD')).to.be.false;
+  });
+
+  it('encodes request values', function() {
+    expect(schema.encode('RGB', { r: 255, g: 0, b: 10 })).to.deep.equal([255, 0, 10]);
+    expect(schema.encode('SCALE', { factor: 1 })).to.deep.equal([0x3F, 0x80, 0x00, 0x00]);
+  });
+
+  it('uses default values', function() {
+    expect(schema.encode('LEVEL', {})).to.deep.equal([50]);
+  });
+
+  it('rejects missing and out of range values', function() {
+    let codes = [
+      () => schema.encode('RGB', { r: 1, g: 2 }),
+      () => schema.encode('RGB', { r: 256, g: 0, b: 0 }),
+      () => schema.encode('RGB', { r: -1, g: 0, b: 0 }),
+      () => schema.encode('RGB', { r: 1.5, g: 0, b: 0 }),
+      () => schema.encode('LEVEL', { level: 101 })
+    ].map((fn) => {
+      try {
+        fn();
+      } catch(err) {
+        return err.code;
+      }
+      return null;
+    });
+
+    expect(codes).to.deep.equal(Array(5).fill('INVALID_VALUE'));
+  });
+
+  it('decodes response data', function() {
+    expect(schema.decode('SENSORS', [0x10, 0x01, 0xFE])).to.deep.equal({ temp: 272, offset: -2 });
+  });
+
+  it('leaves out fields that are missing from short responses', function() {
+    expect(schema.decode('SENSORS', [0x10, 0x01])).to.deep.equal({ temp: 272 });
+  });
+
+  describe('Master', function() {
+    let master;
+    let bus;
+
+    beforeEach(function(){
+      bus = new VirtualBus(3);
+      bus.handle(0x06, (message, node) => [node.address, 0x01, 0xFF]);
+
+      master = new DiscoBusMaster();
+      master.on('error', () => {});
+      master.defineCommands(COMMANDS);
+      master.connectWith(bus);
+    });
+
+    it('sends encoded values', function() {
+      let rgbSpy = sinon.spy();
+      bus.handle(0x09, rgbSpy);
+
+      return master.address()
+      .then(() => master.send('RGB', { r: 1, g: 2, b: 3 }, { destination: 2 }))
+      .then(() => {
+        expect(rgbSpy).to.have.been.calledOnce;
+        expect(rgbSpy.firstCall.args[0].data).to.deep.equal([1, 2, 3]);
+      });
+    });
+
+    it('sends encoded values to all nodes in batch mode', function() {
+      let received = [];
+      bus.handle(0x09, (message, node) => { received[node.address - 1] = message.data; });
+
+      return master.address()
+      .then(() => master.send('RGB', [{ r: 1, g: 1, b: 1 }, { r: 2, g: 2, b: 2 }, { r: 3, g: 3, b: 3 }], {
+        batchMode: true
+      }))
+      .then(() => {
+        expect(received).to.deep.equal([[1, 1, 1], [2, 2, 2], [3, 3, 3]]);
+      });
+    });
+
+    it('rejects invalid values before sending anything', function() {
+      let writeSpy = sinon.spy(bus, 'write');
+
+      return master.send('RGB', { r: 1000, g: 0, b: 0 }, { destination: 1 })
+      .then(() => { throw new Error('Should have been rejected'); })
+      .catch((err) => {
+        expect(err.code).to.equal('INVALID_VALUE');
+        expect(writeSpy).to.not.have.been.called;
+      });
+    });
+
+    it('decodes a node response', function() {
+      return master.address()
+      .then(() => master.request('SENSORS', { destination: 2 }))
+      .then((sensors) => {
+        expect(sensors).to.deep.equal({ temp: 0x0102, offset: -1 });
+      });
+    });
+
+    it('decodes batch responses', function() {
+      return master.address()
+      .then(() => master.request('SENSORS', { withInfo: true }))
+      .then((result) => {
+        expect(result.response.map((r) => r.temp)).to.deep.equal([0x0101, 0x0102, 0x0103]);
+        expect(result.info).to.have.lengthOf(3);
+      });
+    });
+
+    it('rejects unknown commands', function() {
+      return master.request('NOPE', { destination: 1 })
+      .then(() => { throw new Error('Should have been rejected'); })
+      .catch((err) => {
+        expect(err.message).to.equal('Unknown command: NOPE');
+      });
+    });
+
+    it('gets the message length from the command', function() {
+      return master.address()
+      .then(() => new Promise((resolve) => {
+        bus.handle(0x09, (message) => resolve(message.data));
+
+        master.startMessage('RGB', { destination: 1 });
+        expect(master.messageCommand).to.equal(0x09);
+        expect(master._dataLen).to.equal(3);
+        master.sendData([1, 2, 3]).endMessage();
+      }))
+      .then((data) => {
+        expect(data).to.deep.equal([1, 2, 3]);
+      });
+    });
+
+    it('throws when starting a message for an unknown command', function() {
+      expect(() => master.startMessage('NOPE', { destination: 1 })).to.throw('Unknown command: NOPE');
+    });
+  });
+});
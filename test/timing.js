@@ -0,0 +1,174 @@
+'use strict';
+
+const expect = require('chai').expect;
+
+const AdaptiveTiming = require('../dist/timing').AdaptiveTiming;
+const DiscoBusMaster = require('../dist/discobus').DiscoBusMaster;
+const VirtualBus = require('../dist/virtual-bus').VirtualBus;
+
+const CMD_ADDRESS = 0xFB;
+const CMD_SENSORS = 0x06;
+
+describe('Timing', function() {
+
+  describe('AdaptiveTiming', function() {
+    let timing;
+
+    beforeEach(function(){
+      timing = new AdaptiveTiming({ baudRate: 9600 });
+    });
+
+    it('works out the minimum timeout from the baud rate', function() {
+      // 10 bits per byte at 9600 baud, for 99 + 1 bytes, plus the turnaround
+      expect(timing.byteTime()).to.be.closeTo(1.0417, 0.0001);
+      expect(timing.minimum(99)).to.equal(107);
+
+      timing.baudRate = 1000000;
+      expect(timing.minimum(99)).to.equal(3);
+
+      timing.baudRate = null;
+      expect(timing.minimum(99)).to.be.null;
+    });
+
+    it('never makes the minimum timeout longer than max', function() {
+      expect(timing.minimum(100000)).to.equal(1000);
+
+      timing.max = 50;
+      expect(timing.timeout(CMD_SENSORS, 100000, 20)).to.equal(50);
+    });
+
+    it('uses the fallback until there are enough samples', function() {
+      [1, 2, 3, 4].forEach((latency) => timing.record(CMD_SENSORS, latency));
+
+      expect(timing.timeout(CMD_SENSORS, 8, 20)).to.equal(20);
+      expect(timing.timeout(CMD_SENSORS, 100, 20)).to.equal(108);
+    });
+
+    it('tunes the timeout from the measured latency', function() {
+      [1, 2, 6, 4, 3].forEach((latency) => timing.record(CMD_SENSORS, latency));
+
+      // Longest latency, times 2, plus 2ms turnaround
+      expect(timing.timeout(CMD_SENSORS, 1, 20)).to.equal(14);
+
+      // But never shorter than it takes to send the frame
+      expect(timing.timeout(CMD_SENSORS, 30, 20)).to.equal(35);
+
+      // Or longer than the max
+      timing.max = 10;
+      expect(timing.timeout(CMD_SENSORS, 1, 20)).to.equal(10);
+    });
+
+    it('keeps a window of samples for each command', function() {
+      timing.window = 3;
+      [1, 2, 3, 4].forEach((latency) => timing.record(CMD_SENSORS, latency));
+      timing.record(CMD_ADDRESS, 5);
+
+      expect(timing.samples(CMD_SENSORS)).to.deep.equal([2, 3, 4]);
+      expect(timing.samples(CMD_ADDRESS)).to.deep.equal([5]);
+
+      timing.reset();
+      expect(timing.samples(CMD_SENSORS)).to.be.empty;
+    });
+  });
+
+  describe('Master timeouts', function() {
+    let master;
+    let bus;
+
+    beforeEach(function(){
+      bus = new VirtualBus(3);
+      bus.handle(CMD_SENSORS, (message, node) => [node.address, 0xAA]);
+
+      master = new DiscoBusMaster();
+      master.on('error', () => {});
+      master.connectWith(bus);
+      return master.address();
+    });
+
+    it('uses the message timeout option', function() {
+      bus.setLatency(1, 40);
+
+      return master.request(CMD_SENSORS, 2, { destination: 2, timeout: 100 })
+      .then((response) => {
+        expect(response).to.deep.equal([2, 0xAA]);
+        return master.request(CMD_SENSORS, 2, { destination: 2 }).catch((err) => err);
+      })
+      .then((err) => {
+        expect(err.code).to.equal('TIMEOUT');
+      });
+    });
+
+    it('uses the command timeout', function() {
+      bus.setLatency(1, 40);
+      master.timeouts.commands[CMD_SENSORS] = 100;
+
+      return master.request(CMD_SENSORS, 2, { destination: 2 })
+      .then((response) => {
+        expect(response).to.deep.equal([2, 0xAA]);
+      });
+    });
+
+    it('uses the addressing timeout option', function() {
+      bus.setLatency(2, 50);
+
+      return master.address(0, { timeout: 120 })
+      .then((nodeNum) => {
+        expect(nodeNum).to.equal(3);
+      });
+    });
+
+    it('throws for invalid timeouts', function() {
+      expect(() => master.startMessage(CMD_SENSORS, 2, { timeout: -1 })).to.throw('Invalid message timeout: -1');
+    });
+
+    it('waits for the frame to be sent at slow baud rates', function() {
+      master.adaptiveTiming.enabled = true;
+      master.adaptiveTiming.baudRate = 1200; // 8.3ms per byte
+      bus.setLatency(1, 40);
+
+      return master.request(CMD_SENSORS, 2, { destination: 2 })
+      .then((response) => {
+        expect(response).to.deep.equal([2, 0xAA]);
+      });
+    });
+
+    it('measures node latency for adaptive timing', function() {
+      master.adaptiveTiming.enabled = true;
+
+      return master.request(CMD_SENSORS, 2)
+      .then(() => {
+        expect(master.adaptiveTiming.samples(CMD_SENSORS)).to.have.lengthOf(3);
+        expect(master.adaptiveTiming.samples(CMD_ADDRESS)).to.have.lengthOf(3);
+      });
+    });
+
+    it('does not count bytes from earlier messages', function() {
+      let timeout;
+      master.adaptiveTiming.enabled = true;
+      master.adaptiveTiming.baudRate = 9600;
+
+      let sends = [];
+      for (let i = 0; i < 20; i++) {
+        sends.push(master.send(0x09, new Array(200).fill(1)));
+      }
+
+      return Promise.all(sends)
+      .then(() => {
+        expect(master._bytesInFlight).to.equal(0);
+
+        master.startMessage(CMD_SENSORS, 2, { destination: 2, responseMsg: true });
+        timeout = master._responseTimeout();
+        return new Promise((resolve) => master.subscribe(null, resolve, resolve));
+      })
+      .then(() => {
+        expect(timeout).to.be.below(50);
+      });
+    });
+
+    it('gets the baud rate from the port', function() {
+      bus.baudRate = 115200;
+      master.connectWith(bus);
+      expect(master.adaptiveTiming.baudRate).to.equal(115200);
+    });
+  });
+});
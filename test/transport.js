@@ -0,0 +1,500 @@
+'use strict';
+
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const stream = require('stream');
+const sinon = require('sinon');
+const chai = require('chai');
+const expect = require('chai').expect;
+const sinonChai = require("sinon-chai");
+
+chai.use(sinonChai);
+
+const transport = require('../dist/transport');
+const TcpTransport = transport.TcpTransport;
+const UnixTransport = transport.UnixTransport;
+const StdioTransport = transport.StdioTransport;
+const createTransport = transport.createTransport;
+const TELNET = transport.TELNET;
+const DiscoBusMaster = require('../dist/discobus').DiscoBusMaster;
+const VirtualBus = require('../dist/virtual-bus').VirtualBus;
+
+const CMD_SENSORS = 0x06;
+
+let socketNum = 0;
+
+/**
+ * Get a unique Unix socket path
+ */
+function socketPath() {
+  return path.join(os.tmpdir(), `discobus-test-${process.pid}-${socketNum++}.sock`);
+}
+
+/**
+ * Start a server, which resolves with the server and a promise for the first connection.
+ */
+function listen(address) {
+  return new Promise((resolve) => {
+    let server = net.createServer();
+    let connection = new Promise((resolveConn) => server.once('connection', resolveConn));
+
+    server.listen(address, () => resolve({ server, connection }));
+  });
+}
+
+/**
+ * Wait for the server connection and for the transport to open, and resolve with the server socket.
+ */
+function opened(connection, port) {
+  let open = new Promise((resolve) => {
+    if (port.isOpen) resolve();
+    else port.once('open', resolve);
+  });
+  return Promise.all([connection, open]).then((results) => results[0]);
+}
+
+/**
+ * Collect everything written to a socket
+ */
+function collect(socket) {
+  let received = [];
+  socket.on('data', (data) => received.push.apply(received, Array.from(data)));
+  return received;
+}
+
+/**
+ * Wait for the event loop to process socket traffic
+ */
+function wait(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms || 20));
+}
+
+describe('Transports', function() {
+  let server;
+  let connected;
+  let port;
+
+  afterEach(function(){
+    if (port && port.isOpen) {
+      port.close();
+    }
+    if (server) {
+      server.close();
+    }
+    server = null;
+    port = null;
+  });
+
+  describe('TcpTransport', function() {
+
+    beforeEach(function(){
+      return listen(0).then((result) => {
+        server = result.server;
+        connected = result.connection;
+      });
+    });
+
+    it('opens the connection', function(done) {
+      let openSpy = sinon.spy();
+
+      port = new TcpTransport('127.0.0.1', server.address().port, {}, (err) => {
+        expect(err).to.be.null;
+        expect(port.isOpen).to.be.true;
+        expect(openSpy).to.have.been.calledOnce;
+        done();
+      });
+      port.on('open', openSpy);
+    });
+
+    it('returns connection errors to the callback', function(done) {
+      let address = server.address().port;
+      server.close(() => {
+        server = null;
+        port = new TcpTransport('127.0.0.1', address, {}, (err) => {
+          expect(err).to.be.an('error');
+          expect(port.isOpen).to.be.false;
+          done();
+        });
+      });
+    });
+
+    it('writes and reads data', function() {
+      let received;
+      let dataSpy = sinon.spy();
+
+      port = new TcpTransport('127.0.0.1', server.address().port);
+      port.on('data', dataSpy);
+
+      return opened(connected, port)
+      .then((socket) => {
+        received = collect(socket);
+        port.write([0xFF, 0xFF, 0x01]);
+        socket.write(Buffer.from([0x02, 0x03]));
+        return wait();
+      })
+      .then(() => {
+        expect(received).to.deep.equal([0xFF, 0xFF, 0x01]);
+        expect(dataSpy).to.have.been.calledWith(Buffer.from([0x02, 0x03]));
+      });
+    });
+
+    it('emits close when the server disconnects', function() {
+      let closeSpy = sinon.spy();
+
+      port = new TcpTransport('127.0.0.1', server.address().port);
+      port.on('close', closeSpy);
+
+      return opened(connected, port)
+      .then((socket) => {
+        socket.end();
+        return wait();
+      })
+      .then(() => {
+        expect(closeSpy).to.have.been.calledOnce;
+        expect(port.isOpen).to.be.false;
+      });
+    });
+
+    it('sets the daisy line with a callback', function() {
+      let daisy = sinon.spy((enabled, cb) => cb());
+
+      port = new TcpTransport('127.0.0.1', server.address().port, { daisy: daisy });
+      return opened(connected, port)
+      .then(() => new Promise((resolve) => port.set({ rts: true }, resolve)))
+      .then((err) => {
+        expect(err).to.be.null;
+        expect(daisy).to.have.been.calledWith(true);
+      });
+    });
+
+    it('sets the daisy line with a callback that returns a promise', function() {
+      port = new TcpTransport('127.0.0.1', server.address().port, {
+        daisy: () => Promise.reject(new Error('no gpio'))
+      });
+
+      return opened(connected, port)
+      .then(() => new Promise((resolve) => port.set({ rts: true }, resolve)))
+      .then((err) => {
+        expect(err.message).to.equal('no gpio');
+      });
+    });
+
+    it('connects the master to a bus without a serial port', function() {
+      let bus = new VirtualBus(3);
+      bus.handle(CMD_SENSORS, (message, node) => [node.address]);
+
+      let master = new DiscoBusMaster();
+      master.timeouts.nodeResponse = 200; // Allow for the network round trip
+      port = new TcpTransport('127.0.0.1', server.address().port, {
+        daisy: (enabled, cb) => bus.set({ rts: enabled }, cb)
+      });
+      master.connectWith(port);
+
+      return opened(connected, port)
+      .then((socket) => {
+        socket.on('data', (data) => bus.write(data));
+        bus.on('data', (data) => socket.write(data));
+        return master.address();
+      })
+      .then((nodeNum) => {
+        expect(nodeNum).to.equal(3);
+        return master.request(CMD_SENSORS, 1);
+      })
+      .then((response) => {
+        expect(response).to.deep.equal([[1], [2], [3]]);
+      });
+    });
+  });
+
+  describe('RFC 2217', function() {
+
+    beforeEach(function(){
+      return listen(0).then((result) => {
+        server = result.server;
+        connected = result.connection;
+      });
+    });
+
+    it('negotiates the COM port option and sets the baud rate', function() {
+      let received;
+      port = new TcpTransport('127.0.0.1', server.address().port, { daisy: 'rfc2217', baudRate: 9600 });
+
+      return opened(connected, port)
+      .then((socket) => {
+        received = collect(socket);
+        return wait();
+      })
+      .then(() => {
+        expect(received).to.deep.equal([
+          TELNET.IAC, TELNET.WILL, TELNET.BINARY,
+          TELNET.IAC, TELNET.DO, TELNET.BINARY,
+          TELNET.IAC, TELNET.WILL, TELNET.COM_PORT_OPTION,
+          TELNET.IAC, TELNET.SB, TELNET.COM_PORT_OPTION, TELNET.SET_BAUDRATE, 0, 0, 0x25, 0x80, TELNET.IAC, TELNET.SE
+        ]);
+      });
+    });
+
+    it('escapes data and sets the daisy line in-band', function() {
+      let received;
+      port = new TcpTransport('127.0.0.1', server.address().port, { daisy: 'rfc2217' });
+
+      return opened(connected, port)
+      .then((socket) => {
+        received = collect(socket);
+        return wait();
+      })
+      .then(() => {
+        received.length = 0;
+        port.write([0xFF, 0x01]);
+        port.set({ rts: true });
+        return wait();
+      })
+      .then(() => {
+        expect(received).to.deep.equal([
+          0xFF, 0xFF, 0x01,
+          TELNET.IAC, TELNET.SB, TELNET.COM_PORT_OPTION, TELNET.SET_CONTROL, TELNET.RTS_ON, TELNET.IAC, TELNET.SE
+        ]);
+      });
+    });
+
+    it('removes telnet commands from received data', function() {
+      let received = [];
+      let socket;
+      port = new TcpTransport('127.0.0.1', server.address().port, { daisy: 'rfc2217' });
+      port.on('data', (data) => received.push.apply(received, Array.from(data)));
+
+      return opened(connected, port)
+      .then((s) => {
+        socket = s;
+        socket.write(Buffer.from([
+          0x01, TELNET.IAC, TELNET.IAC, 0x02,
+          TELNET.IAC, TELNET.SB, TELNET.COM_PORT_OPTION, 105, TELNET.RTS_ON, TELNET.IAC, TELNET.SE,
+          TELNET.IAC, TELNET.DO, 0x18,
+          0x03
+        ]));
+        return wait();
+      })
+      .then(() => {
+        expect(received).to.deep.equal([0x01, 0xFF, 0x02, 0x03]);
+      });
+    });
+
+    it('refuses unsupported telnet options', function() {
+      let received;
+      port = new TcpTransport('127.0.0.1', server.address().port, { daisy: 'rfc2217' });
+
+      return opened(connected, port)
+      .then((socket) => {
+        received = collect(socket);
+        return wait().then(() => socket);
+      })
+      .then((socket) => {
+        received.length = 0;
+        socket.write(Buffer.from([TELNET.IAC, TELNET.DO, 0x18, TELNET.IAC, TELNET.DO, TELNET.COM_PORT_OPTION]));
+        return wait();
+      })
+      .then(() => {
+        expect(received).to.deep.equal([TELNET.IAC, TELNET.WONT, 0x18]);
+      });
+    });
+  });
+
+  describe('UnixTransport', function() {
+    let sockPath;
+
+    beforeEach(function(){
+      sockPath = socketPath();
+      return listen(sockPath).then((result) => {
+        server = result.server;
+        connected = result.connection;
+      });
+    });
+
+    it('writes and reads data', function() {
+      let received;
+      let dataSpy = sinon.spy();
+
+      port = new UnixTransport(sockPath);
+      port.on('data', dataSpy);
+
+      return opened(connected, port)
+      .then((socket) => {
+        received = collect(socket);
+        port.write([0x01, 0x02]);
+        socket.write(Buffer.from([0x03]));
+        return wait();
+      })
+      .then(() => {
+        expect(received).to.deep.equal([0x01, 0x02]);
+        expect(dataSpy).to.have.been.calledWith(Buffer.from([0x03]));
+      });
+    });
+
+    it('sets the daisy line over a control channel', function() {
+      let controlPath = socketPath();
+      let control;
+      let received;
+
+      return listen(controlPath)
+      .then((result) => {
+        control = result.server;
+        port = new UnixTransport(sockPath, { daisy: { control: { path: controlPath } } });
+        return result.connection;
+      })
+      .then((socket) => {
+        socket.setEncoding('utf8');
+        received = '';
+        socket.on('data', (data) => { received += data; });
+
+        return new Promise((resolve) => port.once('open', resolve));
+      })
+      .then(() => new Promise((resolve) => port.set({ rts: true }, () => port.set({ rts: false }, resolve))))
+      .then(() => wait())
+      .then(() => {
+        expect(received).to.equal('rts 1\nrts 0\n');
+        port.close();
+        control.close();
+      });
+    });
+  });
+
+  describe('StdioTransport', function() {
+    let input, output;
+
+    beforeEach(function(){
+      input = new stream.PassThrough();
+      output = new stream.PassThrough();
+    });
+
+    it('reads from the input and writes to the output', function(done) {
+      let dataSpy = sinon.spy();
+
+      port = new StdioTransport({ input, output }, () => {
+        port.on('data', dataSpy);
+        port.write([0x01, 0x02]);
+        input.write(Buffer.from([0x03]));
+
+        setImmediate(() => {
+          expect(Array.from(output.read())).to.deep.equal([0x01, 0x02]);
+          expect(dataSpy).to.have.been.calledWith(Buffer.from([0x03]));
+          done();
+        });
+      });
+    });
+
+    it('closes when the input ends', function(done) {
+      port = new StdioTransport({ input, output }, () => {
+        port.on('close', () => {
+          expect(port.isOpen).to.be.false;
+          done();
+        });
+        input.end();
+      });
+    });
+
+    it('writes to a control stream', function(done) {
+      let control = new stream.PassThrough();
+
+      port = new StdioTransport({ input, output, daisy: { control } }, () => {
+        port.set({ rts: true }, () => {
+          expect(control.read().toString()).to.equal('rts 1\n');
+          done();
+        });
+      });
+    });
+
+    it('returns an error for lines other than the daisy line', function(done) {
+      let control = new stream.PassThrough();
+
+      port = new StdioTransport({ input, output, daisy: { control } }, () => {
+        port.set({ dtr: true }, (err) => {
+          expect(err.message).to.equal('Transports can only set the rts daisy line, not: dtr');
+          expect(control.read()).to.be.null;
+          done();
+        });
+      });
+    });
+
+    it('drains writes which complete later with rfc2217', function() {
+      let written = [];
+      let slow = new stream.Writable({
+        write(chunk, encoding, callback) {
+          written.push(chunk);
+          setTimeout(callback, 2);
+        }
+      });
+      let master = new DiscoBusMaster();
+
+      return new Promise((resolve, reject) => {
+        port = new StdioTransport({ input, output: slow, daisy: 'rfc2217' }, (err) => (err) ? reject(err) : resolve());
+      })
+      .then(() => {
+        master.connectWith(port);
+        return master.send(0x09, [1, 2, 3], { destination: 1 });
+      })
+      .then(() => {
+        expect(written.length).to.be.above(1);
+        expect(slow.writableLength).to.equal(0);
+      });
+    });
+
+    it('does not control the daisy line by default', function(done) {
+      port = new StdioTransport({ input, output }, () => {
+        port.set({ rts: true }, (err) => {
+          expect(err).to.be.null;
+          expect(output.read()).to.be.null;
+          done();
+        });
+      });
+    });
+  });
+
+  describe('createTransport', function() {
+
+    it('creates TCP transports', function() {
+      port = createTransport('tcp://10.0.0.5:4001', { autoOpen: false });
+
+      expect(port).to.be.an.instanceof(TcpTransport);
+      expect(port.host).to.equal('10.0.0.5');
+      expect(port.port).to.equal(4001);
+      expect(port.options.daisy).to.be.undefined;
+    });
+
+    it('creates RFC 2217 transports', function() {
+      port = createTransport('rfc2217://10.0.0.5:4001', { autoOpen: false, baudRate: 9600 });
+
+      expect(port).to.be.an.instanceof(TcpTransport);
+      expect(port.options.daisy).to.equal('rfc2217');
+      expect(port.options.baudRate).to.equal(9600);
+    });
+
+    it('creates Unix socket transports', function() {
+      port = createTransport('unix:///tmp/bus.sock', { autoOpen: false });
+      expect(port).to.be.an.instanceof(UnixTransport);
+      expect(port.path).to.equal('/tmp/bus.sock');
+
+      port = createTransport('unix:/tmp/bus.sock', { autoOpen: false });
+      expect(port.path).to.equal('/tmp/bus.sock');
+    });
+
+    it('creates stdio transports', function() {
+      port = createTransport('stdio:', { autoOpen: false });
+      expect(port).to.be.an.instanceof(StdioTransport);
+    });
+
+    it('adds a control channel', function() {
+      port = createTransport('tcp://10.0.0.5:4001?control=4002', { autoOpen: false });
+      expect(port.options.daisy).to.deep.equal({ control: { host: '10.0.0.5', port: 4002 } });
+
+      port = createTransport('unix:/tmp/bus.sock?control=/tmp/daisy.sock', { autoOpen: false });
+      expect(port.options.daisy).to.deep.equal({ control: { path: '/tmp/daisy.sock' } });
+    });
+
+    it('throws for invalid URLs and options', function() {
+      expect(() => createTransport('tcp://10.0.0.5')).to.throw(/host and port/);
+      expect(() => createTransport('/dev/ttyUSB0')).to.throw(/Invalid transport URL/);
+      expect(() => createTransport('stdio:', { daisy: 'rts', autoOpen: false })).to.throw(/Invalid daisy option/);
+    });
+  });
+});
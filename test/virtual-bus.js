@@ -0,0 +1,809 @@
+'use strict';
+
+const sinon = require('sinon');
+const chai = require('chai');
+const expect = require('chai').expect;
+const sinonChai = require("sinon-chai");
+
+chai.use(sinonChai);
+
+const DiscoBusMaster = require('../dist/discobus').DiscoBusMaster;
+const VirtualBus = require('../dist/virtual-bus').VirtualBus;
+
+const CMD_RGB = 0x09;
+const CMD_SENSORS = 0x06;
+
+describe('VirtualBus', function() {
+  let master;
+  let bus;
+
+  beforeEach(function(){
+    bus = new VirtualBus(3);
+    bus.handle(CMD_SENSORS, (message, node) => [node.address, 0xAA]);
+
+    master = new DiscoBusMaster();
+    master.on('error', () => {});
+    master.connectWith(bus);
+  });
+
+  it('creates the simulated nodes', function() {
+    expect(bus.nodes).to.have.lengthOf(3);
+  });
+
+  it('addresses all nodes', function() {
+    return master.address()
+    .then((nodeNum) => {
+      expect(nodeNum).to.equal(3);
+      expect(bus.nodes.map((n) => n.address)).to.deep.equal([1, 2, 3]);
+    });
+  });
+
+  it('re-addresses nodes that have already been addressed', function() {
+    return master.address()
+    .then(() => master.address())
+    .then((nodeNum) => {
+      expect(nodeNum).to.equal(3);
+    });
+  });
+
+  it('sends messages to nodes', function() {
+    let rgbSpy = sinon.spy();
+    bus.handle(CMD_RGB, rgbSpy);
+
+    return master.address()
+    .then(() => master.send(CMD_RGB, [1, 2, 3], { destination: 2 }))
+    .then(() => {
+      expect(rgbSpy).to.have.been.calledOnce;
+      expect(rgbSpy.firstCall.args[0].data).to.deep.equal([1, 2, 3]);
+      expect(rgbSpy.firstCall.args[1]).to.equal(bus.nodes[1]);
+    });
+  });
+
+  it('sends batch messages to nodes', function() {
+    let data = [];
+    bus.handle(CMD_RGB, (message, node) => { data[node.address - 1] = message.data; });
+
+    return master.address()
+    .then(() => master.send(CMD_RGB, [[1], [2], [3]], { batchMode: true }))
+    .then(() => {
+      expect(data).to.deep.equal([[1], [2], [3]]);
+    });
+  });
+
+  it('gets a response from a node', function() {
+    return master.address()
+    .then(() => master.request(CMD_SENSORS, 2, { destination: 3 }))
+    .then((response) => {
+      expect(response).to.deep.equal([3, 0xAA]);
+    });
+  });
+
+  it('gets responses from all nodes in order', function() {
+    return master.address()
+    .then(() => master.request(CMD_SENSORS, 2))
+    .then((response) => {
+      expect(response).to.deep.equal([[1, 0xAA], [2, 0xAA], [3, 0xAA]]);
+    });
+  });
+
+  it('adds latency to node responses', function() {
+    let start;
+
+    bus.setLatency(1, 10);
+    return master.address()
+    .then(() => {
+      start = Date.now();
+      return master.request(CMD_SENSORS, 2, { destination: 2 });
+    })
+    .then((response) => {
+      expect(response).to.deep.equal([2, 0xAA]);
+      expect(Date.now() - start).to.be.at.least(10);
+    });
+  });
+
+  it('fills in responses for silent nodes', function() {
+    return master.address()
+    .then(() => {
+      bus.setSilent(1);
+      return master.request(CMD_SENSORS, 2);
+    })
+    .then((response) => {
+      expect(response).to.deep.equal([[1, 0xAA], [0, 0], [3, 0xAA]]);
+    });
+  });
+
+  it('reports which nodes did not respond', function() {
+    return master.address()
+    .then(() => {
+      bus.setSilent(1);
+      return master.request(CMD_SENSORS, 2, { withInfo: true });
+    })
+    .then((result) => {
+      expect(result.info.map((i) => i.status)).to.deep.equal(['received', 'default', 'received']);
+    });
+  });
+
+  it('verifies node response CRCs', function() {
+    let errorSpy = sinon.spy();
+    master.on('error', errorSpy);
+
+    return master.address()
+    .then(() => {
+      bus.setCorrupt(1);
+      return master.request(CMD_SENSORS, 2, { responseCrc: true, corruptAsMissing: true });
+    })
+    .then((response) => {
+      expect(response).to.deep.equal([[1, 0xAA], [0, 0], [3, 0xAA]]);
+      expect(errorSpy).to.have.been.calledWith('Invalid response CRC from node 2');
+    });
+  });
+
+  it('rejects corrupted responses without an error listener', function() {
+    master.removeAllListeners('error');
+
+    return master.address()
+    .then(() => {
+      bus.setCorrupt(0);
+      return master.request(CMD_SENSORS, 2, { destination: 1, responseCrc: true });
+    })
+    .then(() => { throw new Error('Should have rejected'); })
+    .catch((err) => {
+      expect(err.code).to.equal('CRC');
+      expect(err.message).to.equal('Invalid response CRC from node 1');
+    });
+  });
+
+  it('stops addressing at a silent node', function() {
+    bus.setSilent(1);
+    return master.address()
+    .then((nodeNum) => {
+      expect(nodeNum).to.equal(1);
+    });
+  });
+
+  it('corrects nodes sending the wrong address', function(done) {
+    let errors = [];
+
+    bus.setWrongAddress(1, 5, 2);
+    master.startAddressing()
+    .subscribe((n) => {
+      if (n.type === 'error') errors.push(n.value);
+    }, done, () => {
+      try {
+        expect(errors).to.have.lengthOf(2);
+        expect(master.nodeNum).to.equal(3);
+        expect(bus.nodes.map((n) => n.address)).to.deep.equal([1, 2, 3]);
+        done();
+      } catch(e) { done(e); }
+    });
+  });
+
+  it('addresses new nodes added to the end of the bus', function() {
+    return master.address()
+    .then(() => {
+      bus.addNode();
+      return master.address(master.nodeNum);
+    })
+    .then((nodeNum) => {
+      expect(nodeNum).to.equal(4);
+      expect(bus.nodes[3].address).to.equal(4);
+    });
+  });
+
+  /**
+   * Retries
+   */
+  describe('Request retries', function() {
+    let retries;
+
+    beforeEach(function(){
+      retries = [];
+      master.on('retry', (r) => retries.push(r));
+      return master.address();
+    });
+
+    it('re-sends a request when the node does not respond', function() {
+      bus.setSilent(1);
+      master.on('retry', () => bus.setSilent(1, false));
+
+      return master.request(CMD_SENSORS, 2, { destination: 2, retry: { count: 2 } })
+      .then((response) => {
+        expect(response).to.deep.equal([2, 0xAA]);
+        expect(retries).to.deep.equal([{ command: CMD_SENSORS, node: 2, attempt: 1, reason: 'timeout' }]);
+      });
+    });
+
+    it('gives up after the retry count', function() {
+      bus.setSilent(1);
+
+      return master.request(CMD_SENSORS, 2, { destination: 2, retry: { count: 2 } })
+      .then(() => { throw new Error('Should have rejected'); })
+      .catch((err) => {
+        expect(err.code).to.equal('TIMEOUT');
+        expect(retries.map((r) => r.attempt)).to.deep.equal([1, 2]);
+      });
+    });
+
+    it('uses the master retry policy', function() {
+      bus.setSilent(1);
+      master.retryPolicy.count = 1;
+
+      return master.request(CMD_SENSORS, 2, { destination: 2 })
+      .then(() => { throw new Error('Should have rejected'); })
+      .catch((err) => {
+        expect(err.code).to.equal('TIMEOUT');
+        expect(retries).to.have.lengthOf(1);
+      });
+    });
+
+    it('only retries the failure kinds in the policy', function() {
+      bus.setSilent(1);
+
+      return master.request(CMD_SENSORS, 2, { destination: 2, retry: { count: 2, on: ['crc'] } })
+      .catch((err) => {
+        expect(err.code).to.equal('TIMEOUT');
+        expect(retries).to.have.lengthOf(0);
+      });
+    });
+
+    it('retries corrupted responses', function() {
+      bus.setCorrupt(2);
+
+      return master.request(CMD_SENSORS, 2, { destination: 3, responseCrc: true, retry: { count: 2 } })
+      .then((response) => {
+        expect(response).to.deep.equal([3, 0xAA]);
+        expect(retries.map((r) => r.reason)).to.deep.equal(['crc']);
+      });
+    });
+
+    it('waits the backoff time between retries', function() {
+      let start = Date.now();
+      bus.setSilent(1);
+
+      return master.request(CMD_SENSORS, 2, { destination: 2, retry: { count: 2, backoff: 10, backoffFactor: 2 } })
+      .catch(() => {
+        expect(retries).to.have.lengthOf(2);
+        expect(Date.now() - start).to.be.at.least(30);
+      });
+    });
+
+    it('re-queries failed batch nodes and merges their responses', function() {
+      bus.setSilent(1);
+      master.on('retry', () => bus.setSilent(1, false));
+
+      return master.request(CMD_SENSORS, 2, { withInfo: true, retry: { count: 1 } })
+      .then((result) => {
+        expect(result.response).to.deep.equal([[1, 0xAA], [2, 0xAA], [3, 0xAA]]);
+        expect(result.info.map((i) => i.status)).to.deep.equal(['received', 'received', 'received']);
+        expect(retries).to.deep.equal([{ command: CMD_SENSORS, node: 2, attempt: 1, reason: 'timeout' }]);
+        expect(master.messageResponse).to.deep.equal([2, 0xAA]); // Unicast retry was the last message
+      });
+    });
+
+    it('keeps the batch response when the retry fails too', function() {
+      bus.setSilent(1);
+
+      return master.request(CMD_SENSORS, 2, { withInfo: true, retry: { count: 1 } })
+      .then((result) => {
+        expect(result.response).to.deep.equal([[1, 0xAA], [0, 0], [3, 0xAA]]);
+        expect(result.info[1].status).to.equal('default');
+      });
+    });
+  });
+
+  describe('Echo cancellation', function() {
+
+    beforeEach(function(){
+      bus = new VirtualBus(3, { echo: true });
+      bus.handle(CMD_SENSORS, (message, node) => [node.address, 0xAA]);
+
+      master = new DiscoBusMaster();
+      master.on('error', () => {});
+      master.echoCancellation.enabled = true;
+      master.connectWith(bus);
+    });
+
+    it('addresses and gets responses on a bus with echo', function() {
+      return master.address()
+      .then((nodeNum) => {
+        expect(nodeNum).to.equal(3);
+        return master.request(CMD_SENSORS, 2);
+      })
+      .then((response) => {
+        expect(response).to.deep.equal([[1, 0xAA], [2, 0xAA], [3, 0xAA]]);
+      });
+    });
+
+    it('rejects messages with bus collisions', function() {
+      let collisions = [];
+      master.on('collision', (collision) => collisions.push(collision));
+
+      return master.address()
+      .then(() => {
+        bus.setCollision();
+        return master.send(CMD_RGB, [1, 2, 3], { destination: 2 });
+      })
+      .then(() => { throw new Error('Should have rejected'); })
+      .catch((err) => {
+        expect(err.code).to.equal('COLLISION');
+        expect(collisions).to.deep.equal([{ expected: 0xFF, received: 0xFE, command: CMD_RGB }]);
+      });
+    });
+  });
+
+  describe('Discovery', function() {
+
+    it('adds new nodes to the end of the bus without resetting the others', function() {
+      let added = [];
+      let resetSpy = sinon.spy();
+      master.on('node-added', (node) => added.push(node.address));
+
+      return master.address()
+      .then(() => {
+        bus.nodes.forEach((node) => node.on('reset', resetSpy));
+        bus.addNode();
+        bus.addNode();
+        return master.discover();
+      })
+      .then((addresses) => {
+        expect(addresses).to.deep.equal([4, 5]);
+        expect(added).to.deep.equal([4, 5]);
+        expect(master.nodeNum).to.equal(5);
+        expect(bus.nodes.map((n) => n.address)).to.deep.equal([1, 2, 3, 4, 5]);
+        expect(master.registry.get(5).status).to.equal('online');
+        expect(resetSpy).to.not.have.been.called;
+        return master.request(CMD_SENSORS, 2);
+      })
+      .then((response) => {
+        expect(response).to.deep.equal([[1, 0xAA], [2, 0xAA], [3, 0xAA], [4, 0xAA], [5, 0xAA]]);
+      });
+    });
+
+    it('keeps the existing nodes when no new nodes are found', function() {
+      let offline = sinon.spy();
+      master.on('node-offline', offline);
+
+      return master.address()
+      .then(() => master.discover())
+      .then((addresses) => {
+        expect(addresses).to.deep.equal([]);
+        expect(master.nodeNum).to.equal(3);
+        expect(master.registry.all('online')).to.have.lengthOf(3);
+        expect(offline).to.not.have.been.called;
+      });
+    });
+
+    it('discovers nodes on a schedule', function(done) {
+      master.address()
+      .then(() => {
+        master.on('node-added', (node) => {
+          master.stopDiscovery();
+          try {
+            expect(node.address).to.equal(4);
+            done();
+          } catch(e) { done(e); }
+        });
+        master.startDiscovery(5);
+        bus.addNode();
+      })
+      .catch(done);
+    });
+  });
+
+  describe('Fragmentation', function() {
+    const CMD_TABLE = 0x10;
+    const CMD_DUMP = 0x11;
+
+    function bytes(length, offset=0) {
+      return Array.from(new Array(length), (v, i) => (i + offset) & 0xFF);
+    }
+
+    beforeEach(function(){
+      return master.address();
+    });
+
+    it('sends data larger than one message', function() {
+      let received = [];
+      let progress = [];
+      let data = bytes(600);
+      bus.handle(CMD_TABLE, (message, node) => { received.push({ node: node.address, data: message.data }); });
+
+      let sending = master.sendFragmented(CMD_TABLE, data, { destination: 2 });
+      master.subscribe((val) => progress.push(val.value));
+
+      return sending.then(() => {
+        expect(received).to.deep.equal([{ node: 2, data: data }]);
+        expect(progress).to.deep.equal([
+          { fragment: 1, fragments: 3 },
+          { fragment: 2, fragments: 3 },
+          { fragment: 3, fragments: 3 }
+        ]);
+      });
+    });
+
+    it('sends batch data of different lengths', function() {
+      let received = {};
+      bus.handle(CMD_TABLE, (message, node) => { received[node.address] = message.data; });
+
+      return master.sendFragmented(CMD_TABLE, [bytes(10), bytes(300, 1), bytes(500, 2)], { batchMode: true, fragmentSize: 200 })
+      .then(() => {
+        expect(received).to.deep.equal({ 1: bytes(10), 2: bytes(300, 1), 3: bytes(500, 2) });
+      });
+    });
+
+    it('rejects batch data without a section for each node', function() {
+      let sent = sinon.spy();
+      master.on('write', sent);
+
+      return master.sendFragmented(CMD_TABLE, [bytes(10), bytes(300, 1)], { batchMode: true })
+      .then(() => { throw new Error('Should have rejected'); })
+      .catch((err) => {
+        expect(err.code).to.equal('INVALID_VALUE');
+        expect(err.message).to.match(/2 sections, but there are 3 nodes/);
+        expect(sent).to.not.have.been.called;
+      });
+    });
+
+    it('rejects data that needs too many fragments', function() {
+      return master.sendFragmented(CMD_TABLE, bytes(300), { destination: 1, fragmentSize: 1 })
+      .then(() => { throw new Error('Should have rejected'); })
+      .catch((err) => {
+        expect(err.code).to.equal('INVALID_VALUE');
+      });
+    });
+
+    it('requests a response larger than one message', function() {
+      let calls = 0;
+      let progress = [];
+      bus.handle(CMD_DUMP, (message, node) => { calls++; return bytes(400, node.address); });
+
+      let requesting = master.requestFragmented(CMD_DUMP, { destination: 3 });
+      master.subscribe((val) => progress.push(val.value), null, () => progress.push('complete'));
+
+      return requesting.then((response) => {
+        expect(response).to.deep.equal(bytes(400, 3));
+        expect(calls).to.equal(1);
+        expect(progress).to.deep.equal([{ fragment: 1, fragments: 2 }, { fragment: 2, fragments: 2 }, 'complete']);
+      });
+    });
+
+    it('requests large responses from all nodes', function() {
+      bus.handle(CMD_DUMP, (message, node) => bytes(node.address * 100, node.address));
+
+      return master.requestFragmented(CMD_DUMP, { fragmentSize: 120 })
+      .then((responses) => {
+        expect(responses).to.deep.equal([bytes(100, 1), bytes(200, 2), bytes(300, 3)]);
+      });
+    });
+
+    it('gives nodes which do not respond a null response', function() {
+      bus.handle(CMD_DUMP, (message, node) => bytes(300, node.address));
+      bus.setSilent(1, true);
+
+      return master.requestFragmented(CMD_DUMP)
+      .then((responses) => {
+        expect(responses).to.deep.equal([bytes(300, 1), null, bytes(300, 3)]);
+      });
+    });
+  });
+
+  describe('Abort', function() {
+    let nodeErrors;
+
+    beforeEach(function(){
+      nodeErrors = [];
+      bus.nodes.forEach((node) => node.on('error', (err) => nodeErrors.push(err)));
+      return master.address();
+    });
+
+    it('aborts a message while sending data', function() {
+      let received = [];
+      let aborts = [];
+      let aborted = null;
+      bus.handle(CMD_RGB, (message, node) => { received.push({ node: node.address, data: message.data }); });
+      master.on('abort', (info) => aborts.push(info));
+
+      master.startMessage(CMD_RGB, 10, { destination: 2 })
+      .subscribe(null, (err) => { aborted = err; });
+      master.sendData([1, 2, 3]);
+      master.abort('cancel');
+
+      expect(aborted.code).to.equal('ABORTED');
+      expect(aborted.message).to.equal('Message aborted: cancel');
+      expect(aborts).to.deep.equal([{ command: CMD_RGB, reason: 'cancel' }]);
+
+      // Ending the aborted message does nothing
+      let errors = sinon.spy();
+      master.on('error', errors);
+      master.endMessage();
+      expect(errors).to.not.have.been.called;
+
+      return master.send(CMD_RGB, [4, 5, 6], { destination: 2 })
+      .then(() => {
+        expect(received).to.deep.equal([{ node: 2, data: [4, 5, 6] }]);
+        expect(nodeErrors).to.have.lengthOf(1);
+        expect(nodeErrors[0]).to.match(/Invalid CRC/);
+      });
+    });
+
+    it('aborts a request without waiting for the node timeouts', function() {
+      let started = Date.now();
+      bus.setSilent(0, true);
+      bus.setSilent(1, true);
+
+      let request = master.request(CMD_SENSORS, 2, { timeout: 1000 });
+      setTimeout(() => master.abort(), 5);
+
+      return request
+      .then(() => { throw new Error('Should have rejected'); })
+      .catch((err) => {
+        expect(err.code).to.equal('ABORTED');
+        bus.setSilent(0, false);
+        bus.setSilent(1, false);
+        return master.request(CMD_SENSORS, 2);
+      })
+      .then((response) => {
+        expect(Date.now() - started).to.be.below(500);
+        expect(response).to.deep.equal([[1, 0xAA], [2, 0xAA], [3, 0xAA]]);
+      });
+    });
+
+    it('drops late responses to an aborted request', function() {
+      let noise = sinon.spy();
+      master.on('bus-noise', noise);
+      bus.setSilent(0, true);
+      bus.setSilent(1, true);
+      bus.setLatency(2, 10);
+
+      let request = master.request(CMD_SENSORS, 2);
+      setTimeout(() => master.abort(), 5);
+
+      return request
+      .catch((err) => {
+        expect(err.code).to.equal('ABORTED');
+        bus.setSilent(0, false);
+        bus.setSilent(1, false);
+        return master.request(CMD_SENSORS, 2);
+      })
+      .then((response) => {
+        expect(response).to.deep.equal([[1, 0xAA], [2, 0xAA], [3, 0xAA]]);
+        expect(noise).to.not.have.been.called;
+      });
+    });
+
+    it('does not count the nodes which did not get to respond as timeouts', function() {
+      bus.setLatency(0, 10);
+
+      let request = master.request(CMD_SENSORS, 2);
+      setTimeout(() => master.abort(), 5);
+
+      return request
+      .catch((err) => {
+        expect(err.code).to.equal('ABORTED');
+        return master.request(CMD_SENSORS, 2);
+      })
+      .then((response) => {
+        expect(response).to.deep.equal([[1, 0xAA], [2, 0xAA], [3, 0xAA]]);
+        expect(master.registry.all('online')).to.have.lengthOf(3);
+        expect(master.metrics.snapshot().timeouts).to.equal(0);
+      });
+    });
+
+    it('aborts addressing', function() {
+      let daisy = [];
+      master.on('daisy', (enabled) => daisy.push(enabled));
+
+      let addressing = master.address(0, { timeout: 1000 });
+      master.abort();
+
+      return addressing
+      .then(() => { throw new Error('Should have rejected'); })
+      .catch((err) => {
+        expect(err.code).to.equal('ABORTED');
+        expect(daisy[daisy.length - 1]).to.be.false;
+        return master.address();
+      })
+      .then((nodeNum) => {
+        expect(nodeNum).to.equal(3);
+      });
+    });
+
+    it('does nothing when there is no message in progress', function() {
+      let aborts = sinon.spy();
+      master.on('abort', aborts);
+
+      master.abort();
+      expect(aborts).to.not.have.been.called;
+      return master.request(CMD_SENSORS, 2, { destination: 1 })
+      .then((response) => {
+        expect(response).to.deep.equal([1, 0xAA]);
+      });
+    });
+  });
+
+  describe('Priority', function() {
+    let received;
+
+    beforeEach(function(){
+      received = [];
+      bus.handle(CMD_RGB, (message, node) => {
+        if (node.address === 1) received.push(message.data[0]);
+      });
+      return master.address();
+    });
+
+    it('sends higher priority messages first', function() {
+      bus.setSilent(0, true);
+      let blocking = master.request(CMD_SENSORS, 2, { destination: 1, timeout: 20 });
+
+      let sent = Promise.all([
+        master.send(CMD_RGB, [1, 0, 0], { priority: 'low' }),
+        master.send(CMD_RGB, [2, 0, 0]),
+        master.send(CMD_RGB, [3, 0, 0], { priority: 'high' }),
+        master.send(CMD_RGB, [4, 0, 0], { priority: 'high' })
+      ]);
+
+      return blocking.catch(() => {})
+      .then(() => sent)
+      .then(() => {
+        expect(received).to.deep.equal([3, 4, 2, 1]);
+      });
+    });
+
+    it('preempts a batch response for a critical message', function() {
+      let started = Date.now();
+      let aborts = [];
+      master.on('abort', (info) => aborts.push(info));
+      bus.setSilent(0, true);
+      bus.setSilent(1, true);
+
+      let request = master.request(CMD_SENSORS, 2, { timeout: 1000, rejectOnTimeout: true });
+      let preempted = request.then(() => { throw new Error('Should have rejected'); }, (err) => err);
+
+      let critical = master.send(CMD_RGB, [9, 0, 0], { priority: 'critical' });
+
+      return Promise.all([preempted, critical])
+      .then((results) => {
+        expect(results[0].code).to.equal('PREEMPTED');
+        expect(aborts).to.deep.equal([{ command: CMD_SENSORS, reason: 'Preempted' }]);
+        expect(received).to.deep.equal([9]);
+        expect(Date.now() - started).to.be.below(500);
+      });
+    });
+
+    it('leaves healthy nodes alone when preempting their responses', function() {
+      let degraded = sinon.spy();
+      master.on('node-degraded', degraded);
+      bus.setLatency(0, 10);
+
+      let request = master.request(CMD_SENSORS, 2);
+      let preempted = request.then(() => { throw new Error('Should have rejected'); }, (err) => err);
+      let critical = master.send(CMD_RGB, [9, 0, 0], { priority: 'critical' });
+
+      return Promise.all([preempted, critical])
+      .then((results) => {
+        expect(results[0].code).to.equal('PREEMPTED');
+        return master.request(CMD_SENSORS, 2);
+      })
+      .then((response) => {
+        expect(response).to.deep.equal([[1, 0xAA], [2, 0xAA], [3, 0xAA]]);
+        expect(received).to.deep.equal([9]);
+        expect(degraded).to.not.have.been.called;
+        expect(master.registry.all('online')).to.have.lengthOf(3);
+        expect(master.metrics.snapshot().timeouts).to.equal(0);
+      });
+    });
+
+    it('does not preempt when preemption is off', function() {
+      master.preemption = false;
+      bus.setSilent(0, true);
+
+      let request = master.request(CMD_SENSORS, 2, { destination: 1, timeout: 20, rejectOnTimeout: false });
+      let critical = master.send(CMD_RGB, [9, 0, 0], { priority: 'critical' });
+
+      return Promise.all([request, critical])
+      .then((results) => {
+        expect(results[0]).to.deep.equal([0, 0]);
+        expect(received).to.deep.equal([9]);
+      });
+    });
+
+    it('does not preempt data messages', function() {
+      let preempted = sinon.spy();
+      master.on('abort', preempted);
+
+      master.startMessage(CMD_RGB, 3, { destination: 1 });
+      let critical = master.send(CMD_RGB, [9, 0, 0], { priority: 'critical' });
+      master.sendData([5, 0, 0]);
+      master.endMessage();
+
+      return critical.then(() => {
+        expect(preempted).to.not.have.been.called;
+        expect(received).to.deep.equal([5, 9]);
+      });
+    });
+
+    it('drops messages which wait longer than maxWait', function() {
+      let starved = [];
+      master.on('starved', (info) => starved.push(info));
+      bus.setSilent(0, true);
+
+      let blocking = master.request(CMD_SENSORS, 2, { destination: 1, timeout: 50 });
+      let dropped = master.send(CMD_RGB, [1, 0, 0], { priority: 'low', maxWait: 5 });
+
+      return dropped
+      .then(() => { throw new Error('Should have rejected'); }, (err) => {
+        expect(err.code).to.equal('STARVED');
+        expect(starved).to.have.lengthOf(1);
+        expect(starved[0].command).to.equal(CMD_RGB);
+        expect(starved[0].priority).to.equal(0);
+        return blocking.catch(() => {});
+      })
+      .then(() => {
+        expect(received).to.be.empty;
+      });
+    });
+
+    it('throws for an invalid priority', function() {
+      expect(() => master.startMessage(CMD_RGB, 3, { priority: 'urgent' })).to.throw(/Invalid message priority/);
+      expect(() => master.startMessage(CMD_RGB, 3, { priority: 7 })).to.throw(/Invalid message priority/);
+    });
+  });
+
+  describe('Message handles', function() {
+
+    it('iterates over the addressed nodes', async function() {
+      let addresses = [];
+      for await (const val of master.address()) {
+        addresses.push(val.value);
+      }
+      expect(addresses).to.deep.equal([1, 2, 3]);
+    });
+
+    it('iterates over the responses of a batch request', async function() {
+      await master.address();
+
+      let responses = [];
+      for await (const val of master.request(CMD_SENSORS, 2, { batchMode: true })) {
+        if (val.type === 'response') {
+          responses.push(val.value);
+        }
+      }
+      expect(responses).to.deep.equal([[1, 0xAA], [2, 0xAA], [3, 0xAA]]);
+    });
+
+    it('emits the responses as events and resolves with the result', function() {
+      let responses = sinon.spy();
+
+      return master.address()
+      .then(() => {
+        let request = master.request(CMD_SENSORS, 2, { destination: 2 });
+        request.on('response', responses);
+        return request;
+      })
+      .then((response) => {
+        expect(response).to.deep.equal([2, 0xAA]);
+        expect(responses.args.map((args) => args[0].value)).to.deep.equal([2, 0xAA]);
+      });
+    });
+
+    it('keeps emitting progress for retried requests', function() {
+      let responses = sinon.spy();
+
+      return master.address()
+      .then(() => {
+        bus.setSilent(1);
+        master.on('retry', () => bus.setSilent(1, false));
+
+        let request = master.request(CMD_SENSORS, 2, { destination: 2, retry: { count: 2 } });
+        request.on('response', responses);
+        return request;
+      })
+      .then((response) => {
+        // The timed out attempt is filled with zeros
+        expect(response).to.deep.equal([2, 0xAA]);
+        expect(responses.args.map((args) => args[0].value)).to.deep.equal([0, 0, 2, 0xAA]);
+      });
+    });
+  });
+});